@@ -14,7 +14,12 @@ import VerifyOTP from './pages/VerifyOTP';
 import Dashboard from './pages/Dashboard';
 import Files from './pages/Files';
 import Clipboard from './pages/Clipboard';
+import Trash from './pages/Trash';
+import Search from './pages/Search';
 import Admin from './pages/Admin';
+import SharedFile from './pages/SharedFile';
+import Paste from './pages/Paste';
+import ReminderAction from './pages/ReminderAction';
 
 // Components
 import Layout from './components/Layout';
@@ -91,6 +96,14 @@ function App() {
                 }
             />
 
+            {/* Public share links (available whether logged in or not) */}
+            <Route path="/s/:token" element={<SharedFile />} />
+            <Route path="/p/:slug" element={<Paste />} />
+
+            {/* Links from expiry reminder emails */}
+            <Route path="/extend/:token" element={<ReminderAction action="extend" />} />
+            <Route path="/unsubscribe/:token" element={<ReminderAction action="unsubscribe" />} />
+
             {/* Protected routes */}
             <Route
                 path="/dashboard"
@@ -132,6 +145,26 @@ function App() {
                     </ProtectedRoute>
                 }
             />
+            <Route
+                path="/trash"
+                element={
+                    <ProtectedRoute>
+                        <Layout>
+                            <Trash />
+                        </Layout>
+                    </ProtectedRoute>
+                }
+            />
+            <Route
+                path="/search"
+                element={
+                    <ProtectedRoute>
+                        <Layout>
+                            <Search />
+                        </Layout>
+                    </ProtectedRoute>
+                }
+            />
             <Route
                 path="/admin"
                 element={
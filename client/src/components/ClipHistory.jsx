@@ -0,0 +1,206 @@
+/**
+ * Clip History Component
+ * Lists a clip's earlier texts with a diff against the current text or the
+ * revision before, and restores any of them
+ */
+
+import { useState, useEffect } from 'react';
+import { diffLines } from 'diff';
+import { clipboardAPI } from '../services/api';
+import { decryptText } from '../services/vault';
+import { useVault } from '../context/VaultContext';
+import { X, History, RotateCcw, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import './ClipHistory.css';
+
+/**
+ * Split a line diff into single lines
+ * @param {string} before - Older text
+ * @param {string} after - Newer text
+ * @returns {Array<{type: string, text: string}>} type is 'added', 'removed' or 'same'
+ */
+const getDiffLines = (before, after) => {
+    return diffLines(before, after).flatMap(part => {
+        const type = part.added ? 'added' : part.removed ? 'removed' : 'same';
+        return part.value.replace(/\n$/, '').split('\n').map(text => ({ type, text }));
+    });
+};
+
+/**
+ * @param {Object} clip - Text clip (vault clips are decrypted with the vault key)
+ * @param {Function} onClose - Called when the modal closes
+ * @param {Function} onRestored - Called with the updated clip after a restore
+ */
+const ClipHistory = ({ clip, onClose, onRestored }) => {
+    const [entries, setEntries] = useState([]);
+    const [limit, setLimit] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [selectedIndex, setSelectedIndex] = useState(1);
+    // Compare the selected text with the current text, or with the revision before it
+    const [compareTo, setCompareTo] = useState('current');
+    const [restoring, setRestoring] = useState(false);
+    const { getKey } = useVault();
+
+    useEffect(() => {
+        fetchRevisions();
+    }, [clip._id, clip.revision]);
+
+    const fetchRevisions = async () => {
+        try {
+            const response = await clipboardAPI.getRevisions(clip._id);
+            const { current, revisions, limit } = response.data.data;
+            // Newest first, the current text at the top
+            let loaded = [{ ...current, _id: 'current', isCurrent: true }, ...revisions];
+
+            // Vault clip texts are compared after decrypting them here
+            if (clip.vault) {
+                const key = await getKey();
+                if (!key) return onClose();
+
+                loaded = await Promise.all(loaded.map(async (entry) => ({
+                    ...entry,
+                    content: await decryptText(key, entry.content).catch(() => '[Could not decrypt]')
+                })));
+            }
+
+            setEntries(loaded);
+            setLimit(limit);
+            setSelectedIndex(revisions.length > 0 ? 1 : 0);
+        } catch (error) {
+            toast.error('Failed to load history');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRestore = async (revision) => {
+        setRestoring(true);
+        try {
+            const response = await clipboardAPI.restoreRevision(clip._id, revision._id);
+            toast.success(response.data.message);
+            onRestored?.(response.data.data.clip);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to restore revision');
+        } finally {
+            setRestoring(false);
+        }
+    };
+
+    const formatDate = (date) => {
+        return new Date(date).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    };
+
+    const selected = entries[selectedIndex];
+    const previous = entries[selectedIndex + 1];
+    // The current text can only be compared with the one before it, the oldest only with the current
+    const mode = selected?.isCurrent ? 'previous' : !previous ? 'current' : compareTo;
+
+    // Older text first, then the newer one
+    const [before, after] = mode === 'current'
+        ? [selected, entries[0]]
+        : [previous, selected];
+    const lines = selected ? getDiffLines(before.content, after.content) : [];
+    const unchanged = lines.every(line => line.type === 'same');
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal clip-history-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3><History size={18} /> History of "{clip.title}"</h3>
+                    <button onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {loading ? (
+                    <div className="clip-history-empty">
+                        <Loader2 size={20} className="animate-spin" />
+                    </div>
+                ) : entries.length === 1 ? (
+                    <p className="clip-history-empty">No earlier revisions. Edits keep the text they replace here.</p>
+                ) : (
+                    <div className="clip-history">
+                        <div className="clip-history-list">
+                            {entries.map((entry, index) => (
+                                <button
+                                    key={entry._id}
+                                    className={`clip-history-item ${index === selectedIndex ? 'active' : ''}`}
+                                    onClick={() => setSelectedIndex(index)}
+                                >
+                                    <span className="clip-history-number">
+                                        Revision {entry.number}{entry.isCurrent && ' (current)'}
+                                    </span>
+                                    <span className="clip-history-meta">
+                                        {formatDate(entry.editedAt)}
+                                        {entry.editedBy?.username && ` • ${entry.editedBy.username}`}
+                                    </span>
+                                </button>
+                            ))}
+                            {limit && (
+                                <p className="clip-history-limit">The last {limit} revisions are kept</p>
+                            )}
+                        </div>
+
+                        <div className="clip-history-diff">
+                            <div className="clip-history-toolbar">
+                                <div className="clip-history-compare">
+                                    <button
+                                        className={mode === 'current' ? 'active' : ''}
+                                        onClick={() => setCompareTo('current')}
+                                        disabled={selected.isCurrent}
+                                    >
+                                        vs current
+                                    </button>
+                                    <button
+                                        className={mode === 'previous' ? 'active' : ''}
+                                        onClick={() => setCompareTo('previous')}
+                                        disabled={!previous}
+                                    >
+                                        vs previous
+                                    </button>
+                                </div>
+                                {!selected.isCurrent && (
+                                    <button
+                                        className="btn-secondary"
+                                        onClick={() => handleRestore(selected)}
+                                        disabled={restoring}
+                                    >
+                                        {restoring ? <Loader2 size={16} className="animate-spin" /> : <RotateCcw size={16} />}
+                                        Restore
+                                    </button>
+                                )}
+                            </div>
+
+                            <p className="clip-history-range">
+                                Revision {before.number} → {after.isCurrent ? 'current' : `revision ${after.number}`}
+                                {before.contentType !== after.contentType && ` • type ${before.contentType} → ${after.contentType}`}
+                            </p>
+
+                            {unchanged ? (
+                                <p className="clip-history-empty">No text changes</p>
+                            ) : (
+                                <pre className="clip-diff">
+                                    {lines.map((line, i) => (
+                                        <div key={i} className={`clip-diff-line ${line.type}`}>
+                                            <span className="clip-diff-sign">
+                                                {line.type === 'added' ? '+' : line.type === 'removed' ? '-' : ' '}
+                                            </span>
+                                            {line.text || ' '}
+                                        </div>
+                                    ))}
+                                </pre>
+                            )}
+                        </div>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default ClipHistory;
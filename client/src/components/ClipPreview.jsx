@@ -0,0 +1,54 @@
+/**
+ * Clip Preview Component
+ * Shows a text clip highlighted (code and JSON), rendered (Markdown) or as plain text
+ */
+
+import { useState, useEffect } from 'react';
+import { renderClip } from '../services/highlight';
+import 'highlight.js/styles/github-dark.css';
+import './ClipPreview.css';
+
+/**
+ * @param {Object} clip - Text clip (content, contentType, language)
+ * @param {string} [className] - Extra classes for the container
+ */
+const ClipPreview = ({ clip, className = '' }) => {
+    const [html, setHtml] = useState(null);
+
+    useEffect(() => {
+        let cancelled = false;
+        setHtml(null);
+
+        renderClip(clip)
+            .then(result => { if (!cancelled) setHtml(result); })
+            .catch(() => { if (!cancelled) setHtml(null); });
+
+        return () => { cancelled = true; };
+    }, [clip.content, clip.contentType, clip.language]);
+
+    // Plain text, or rich text that is still loading
+    if (html === null) {
+        return (
+            <div className={`clip-preview ${clip.contentType === 'code' ? 'code' : ''} ${className}`}>
+                {clip.content}
+            </div>
+        );
+    }
+
+    if (clip.contentType === 'markdown') {
+        return (
+            <div
+                className={`clip-preview markdown-body ${className}`}
+                dangerouslySetInnerHTML={{ __html: html }}
+            />
+        );
+    }
+
+    return (
+        <pre className={`clip-preview code ${className}`}>
+            <code className="hljs" dangerouslySetInnerHTML={{ __html: html }} />
+        </pre>
+    );
+};
+
+export default ClipPreview;
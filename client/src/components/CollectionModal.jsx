@@ -0,0 +1,165 @@
+/**
+ * Collection Modal Component
+ * Create or edit a smart collection (a saved file or clip filter)
+ */
+
+import { useState } from 'react';
+import { X, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { collectionsAPI } from '../services/api';
+import TagInput from './TagInput';
+import './CollectionModal.css';
+
+const TYPE_OPTIONS = [
+    { value: '', label: 'Any type' },
+    { value: 'pdf', label: 'PDFs' },
+    { value: 'document', label: 'Documents' },
+    { value: 'image', label: 'Images' },
+    { value: 'video', label: 'Videos' },
+    { value: 'audio', label: 'Audio' }
+];
+
+const DAYS_OPTIONS = [
+    { value: '', label: 'Any time' },
+    { value: 7, label: 'Last 7 days' },
+    { value: 30, label: 'Last 30 days' },
+    { value: 90, label: 'Last 90 days' },
+    { value: 365, label: 'Last year' }
+];
+
+/**
+ * @param {Object|null} collection - Collection to edit (null to create one)
+ * @param {Object} [initialFilter] - Filter of a new collection, e.g. the tag being viewed
+ * @param {Function} onClose - Called when the modal closes
+ * @param {Function} onSaved - Called with the saved collection
+ */
+const CollectionModal = ({ collection, initialFilter = {}, onClose, onSaved }) => {
+    const filter = collection?.filter || initialFilter;
+    const [formData, setFormData] = useState({
+        name: collection?.name || '',
+        target: collection?.target || initialFilter.target || 'files',
+        tags: filter.tags || [],
+        type: filter.type || '',
+        days: filter.days || '',
+        starred: Boolean(filter.starred)
+    });
+    const [saving, setSaving] = useState(false);
+
+    const update = (changes) => setFormData(prev => ({ ...prev, ...changes }));
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (!formData.name.trim()) {
+            toast.error('Please enter a name');
+            return;
+        }
+
+        const data = {
+            name: formData.name.trim(),
+            target: formData.target,
+            filter: {
+                tags: formData.tags,
+                type: formData.target === 'files' ? formData.type || null : null,
+                days: formData.days ? Number(formData.days) : null,
+                starred: formData.starred
+            }
+        };
+
+        setSaving(true);
+        try {
+            const response = collection
+                ? await collectionsAPI.updateCollection(collection._id, data)
+                : await collectionsAPI.createCollection(data);
+            toast.success(response.data.message);
+            onSaved(response.data.data.collection);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to save collection');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal collection-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3>{collection ? 'Edit Collection' : 'New Collection'}</h3>
+                    <button onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <form onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label>Name</label>
+                        <input
+                            type="text"
+                            value={formData.name}
+                            onChange={(e) => update({ name: e.target.value })}
+                            placeholder="e.g. OS exam PDFs"
+                            maxLength={50}
+                            autoFocus
+                        />
+                    </div>
+
+                    <div className="form-group">
+                        <label>Show</label>
+                        <select value={formData.target} onChange={(e) => update({ target: e.target.value })}>
+                            <option value="files">Files</option>
+                            <option value="clips">Clips</option>
+                        </select>
+                    </div>
+
+                    <div className="form-group">
+                        <label>With all of these tags</label>
+                        <TagInput value={formData.tags} onChange={(tags) => update({ tags })} />
+                    </div>
+
+                    <div className="collection-form-row">
+                        {formData.target === 'files' && (
+                            <div className="form-group">
+                                <label>Type</label>
+                                <select value={formData.type} onChange={(e) => update({ type: e.target.value })}>
+                                    {TYPE_OPTIONS.map(option => (
+                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                    ))}
+                                </select>
+                            </div>
+                        )}
+
+                        <div className="form-group">
+                            <label>{formData.target === 'files' ? 'Uploaded' : 'Created'}</label>
+                            <select value={formData.days} onChange={(e) => update({ days: e.target.value })}>
+                                {DAYS_OPTIONS.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                    </div>
+
+                    <label className="collection-starred">
+                        <input
+                            type="checkbox"
+                            checked={formData.starred}
+                            onChange={(e) => update({ starred: e.target.checked })}
+                        />
+                        <span>Only {formData.target === 'files' ? 'starred files' : 'pinned clips'}</span>
+                    </label>
+
+                    <div className="modal-actions">
+                        <button type="button" className="btn-secondary" onClick={onClose}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn-primary" disabled={saving}>
+                            {saving && <Loader2 size={18} className="animate-spin" />}
+                            {collection ? 'Save' : 'Create Collection'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default CollectionModal;
@@ -0,0 +1,52 @@
+/**
+ * Expiry Select Component
+ * Picks a file expiry in days within the server's expiry policy
+ */
+
+import './ExpirySelect.css';
+
+// Offered durations, trimmed to the policy's maximum
+const PRESET_DAYS = [1, 3, 7, 14, 30, 90, 180, 365];
+
+/**
+ * Describe an expiry in days
+ * @param {number} days - Expiry in days (0 = never)
+ * @returns {string}
+ */
+export const formatExpiryDays = (days) => {
+    if (days === 0) return 'Keep forever';
+    return `${days} day${days === 1 ? '' : 's'}`;
+};
+
+/**
+ * @param {number|null} value - Selected days (null selects the default option)
+ * @param {Function} onChange - Called with the chosen days, or null for the default
+ * @param {Object} policy - { maxDays, allowNever } from the server
+ * @param {string} [defaultLabel] - Label of an extra "use the default" option
+ * @param {string} [placeholder] - Label shown while nothing is chosen (without a default option)
+ */
+const ExpirySelect = ({ value, onChange, policy, defaultLabel, placeholder, ...props }) => {
+    const days = PRESET_DAYS.filter(d => d < policy.maxDays);
+    days.push(policy.maxDays);
+    if (policy.allowNever) days.push(0);
+
+    return (
+        <select
+            className="expiry-select"
+            value={value ?? ''}
+            onChange={(e) => onChange(e.target.value === '' ? null : Number(e.target.value))}
+            {...props}
+        >
+            {defaultLabel ? (
+                <option value="">{defaultLabel}</option>
+            ) : (
+                <option value="" disabled>{placeholder || 'Choose expiry'}</option>
+            )}
+            {days.map(d => (
+                <option key={d} value={d}>{formatExpiryDays(d)}</option>
+            ))}
+        </select>
+    );
+};
+
+export default ExpirySelect;
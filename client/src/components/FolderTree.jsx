@@ -0,0 +1,130 @@
+/**
+ * Folder Tree Component
+ * Collapsible tree of the user's folders; folders accept files dragged from the file list
+ */
+
+import { useState, useEffect } from 'react';
+import { ChevronRight, ChevronDown, Folder, Home } from 'lucide-react';
+import './FolderTree.css';
+
+// Drag data type of files dragged out of the file list (JSON array of IDs)
+export const FILES_DRAG_TYPE = 'application/x-campus-share-files';
+
+/**
+ * Get drop handlers for a folder that accepts dragged files
+ * Dropping with Ctrl (Alt on macOS) copies instead of moving.
+ * @param {string} folderId - Target folder ('root' for the top level)
+ * @param {Function} onDropFiles - Called with (folderId, fileIds, copy)
+ * @param {Function} setOverId - Called with the folder ID while files hover it, null after
+ */
+export const getFileDropProps = (folderId, onDropFiles, setOverId) => {
+    const accepts = (e) => e.dataTransfer.types.includes(FILES_DRAG_TYPE);
+    const isCopy = (e) => e.ctrlKey || e.altKey;
+
+    return {
+        onDragOver: (e) => {
+            if (!accepts(e)) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = isCopy(e) ? 'copy' : 'move';
+            setOverId(folderId);
+        },
+        onDragLeave: () => setOverId(null),
+        onDrop: (e) => {
+            if (!accepts(e)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            setOverId(null);
+            onDropFiles(folderId, JSON.parse(e.dataTransfer.getData(FILES_DRAG_TYPE)), isCopy(e));
+        }
+    };
+};
+
+/**
+ * Find the IDs of a folder's ancestors in the tree
+ * @param {Array} nodes - Tree nodes
+ * @param {string} id - Folder ID
+ * @returns {string[]|null} - Ancestor IDs from the top, null if not found
+ */
+const findAncestors = (nodes, id) => {
+    for (const node of nodes) {
+        if (node._id === id) return [];
+        const path = findAncestors(node.children, id);
+        if (path) return [node._id, ...path];
+    }
+    return null;
+};
+
+/**
+ * @param {Array} folders - Folder tree from the server (nodes with children)
+ * @param {string|null} currentId - Open folder (null for root)
+ * @param {Function} onOpen - Called with the clicked folder ID (null for root)
+ * @param {Function} onDropFiles - Called with (folderId or 'root', fileIds, copy) when files are dropped
+ */
+const FolderTree = ({ folders, currentId, onOpen, onDropFiles }) => {
+    const [expanded, setExpanded] = useState(() => new Set());
+    const [overId, setOverId] = useState(null);
+
+    // Keep the open folder visible
+    useEffect(() => {
+        const ancestors = currentId && findAncestors(folders, currentId);
+        if (ancestors?.length) {
+            setExpanded(prev => new Set([...prev, ...ancestors]));
+        }
+    }, [folders, currentId]);
+
+    const toggle = (id) => {
+        setExpanded(prev => {
+            const next = new Set(prev);
+            if (next.has(id)) next.delete(id);
+            else next.add(id);
+            return next;
+        });
+    };
+
+    const renderNode = (folder, depth) => {
+        const isOpen = expanded.has(folder._id);
+
+        return (
+            <li key={folder._id}>
+                <div
+                    className={`tree-item ${folder._id === currentId ? 'active' : ''} ${overId === folder._id ? 'drop-over' : ''}`}
+                    style={{ paddingLeft: `${depth * 16 + 4}px` }}
+                    onClick={() => onOpen(folder._id)}
+                    {...getFileDropProps(folder._id, onDropFiles, setOverId)}
+                >
+                    <button
+                        className="tree-toggle"
+                        style={{ visibility: folder.children.length > 0 ? 'visible' : 'hidden' }}
+                        onClick={(e) => {
+                            e.stopPropagation();
+                            toggle(folder._id);
+                        }}
+                    >
+                        {isOpen ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                    </button>
+                    <Folder size={16} style={{ color: folder.color }} />
+                    <span className="tree-name">{folder.name}</span>
+                </div>
+                {isOpen && folder.children.length > 0 && (
+                    <ul>{folder.children.map(child => renderNode(child, depth + 1))}</ul>
+                )}
+            </li>
+        );
+    };
+
+    return (
+        <nav className="folder-tree">
+            <div
+                className={`tree-item ${!currentId ? 'active' : ''} ${overId === 'root' ? 'drop-over' : ''}`}
+                onClick={() => onOpen(null)}
+                {...getFileDropProps('root', onDropFiles, setOverId)}
+            >
+                <Home size={16} />
+                <span className="tree-name">My Files</span>
+            </div>
+            <ul>{folders.map(folder => renderNode(folder, 1))}</ul>
+        </nav>
+    );
+};
+
+export default FolderTree;
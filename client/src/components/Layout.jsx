@@ -3,9 +3,12 @@
  * Main application layout with sidebar and header
  */
 
-import { useState } from 'react';
-import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { useState, useEffect } from 'react';
+import { Link, useLocation, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
+import { useVault } from '../context/VaultContext';
+import { authAPI, collectionsAPI } from '../services/api';
+import toast from 'react-hot-toast';
 import {
     LayoutDashboard,
     FolderOpen,
@@ -16,25 +19,102 @@ import {
     X,
     Shield,
     User,
-    HardDrive
+    HardDrive,
+    Trash2,
+    Search,
+    Layers,
+    Plus,
+    Edit2,
+    Lock,
+    KeyRound
 } from 'lucide-react';
+import CollectionModal from './CollectionModal';
 import './Layout.css';
 
 const Layout = ({ children }) => {
-    const { user, logout, isAdmin } = useAuth();
+    const { user, logout, isAdmin, updateUser } = useAuth();
+    const { isUnlocked, lock, changePassphrase } = useVault();
     const location = useLocation();
     const navigate = useNavigate();
     const [sidebarOpen, setSidebarOpen] = useState(false);
+    const [settingsOpen, setSettingsOpen] = useState(false);
+    const [searchParams] = useSearchParams();
+    const [searchQuery, setSearchQuery] = useState(() => searchParams.get('q') || '');
+    const [collections, setCollections] = useState([]);
+    // Collection being edited, or {} while creating one
+    const [editingCollection, setEditingCollection] = useState(null);
+
+    useEffect(() => {
+        collectionsAPI.getCollections()
+            .then(response => setCollections(response.data.data.collections))
+            .catch(() => { });
+    }, []);
+
+    const expiryReminders = user?.notifications?.expiryReminders !== false;
 
     const handleLogout = async () => {
         await logout();
         navigate('/login');
     };
 
+    const handleToggleReminders = async () => {
+        try {
+            const response = await authAPI.updateNotifications({ expiryReminders: !expiryReminders });
+            updateUser({ notifications: response.data.data.notifications });
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to update settings');
+        }
+    };
+
+    const handleSearch = (e) => {
+        e.preventDefault();
+        if (!searchQuery.trim()) return;
+
+        // Keep the filters when searching again from the results page
+        const params = new URLSearchParams(location.pathname === '/search' ? searchParams : undefined);
+        params.set('q', searchQuery.trim());
+        navigate(`/search?${params}`);
+        setSidebarOpen(false);
+    };
+
+    // New collections start from the tag being viewed
+    const handleNewCollection = () => {
+        const tag = searchParams.get('tag');
+        setEditingCollection({
+            target: location.pathname === '/clipboard' ? 'clips' : 'files',
+            tags: tag ? [tag] : []
+        });
+    };
+
+    const handleCollectionSaved = (collection) => {
+        setCollections(prev => [...prev.filter(c => c._id !== collection._id), collection]
+            .sort((a, b) => a.name.localeCompare(b.name)));
+        setEditingCollection(null);
+        navigate(getCollectionPath(collection));
+    };
+
+    const handleDeleteCollection = async (collection) => {
+        if (!window.confirm(`Delete the collection "${collection.name}"? Its files and clips are kept.`)) return;
+
+        try {
+            await collectionsAPI.deleteCollection(collection._id);
+            setCollections(prev => prev.filter(c => c._id !== collection._id));
+            if (searchParams.get('collection') === collection._id) {
+                navigate(collection.target === 'clips' ? '/clipboard' : '/files');
+            }
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to delete collection');
+        }
+    };
+
+    const getCollectionPath = (collection) =>
+        `${collection.target === 'clips' ? '/clipboard' : '/files'}?collection=${collection._id}`;
+
     const navItems = [
         { path: '/dashboard', icon: LayoutDashboard, label: 'Dashboard' },
         { path: '/files', icon: FolderOpen, label: 'My Files' },
         { path: '/clipboard', icon: ClipboardList, label: 'Clipboard' },
+        { path: '/trash', icon: Trash2, label: 'Trash' },
     ];
 
     if (isAdmin) {
@@ -42,6 +122,8 @@ const Layout = ({ children }) => {
     }
 
     const isActive = (path) => {
+        // Collections are highlighted on their own
+        if (searchParams.get('collection')) return false;
         if (path === '/files') {
             return location.pathname.startsWith('/files');
         }
@@ -84,6 +166,17 @@ const Layout = ({ children }) => {
                     </Link>
                 </div>
 
+                {/* Global search */}
+                <form className="sidebar-search" onSubmit={handleSearch}>
+                    <Search size={18} />
+                    <input
+                        type="search"
+                        placeholder="Search files, folders, clips..."
+                        value={searchQuery}
+                        onChange={(e) => setSearchQuery(e.target.value)}
+                    />
+                </form>
+
                 <nav className="sidebar-nav">
                     {navItems.map(({ path, icon: Icon, label }) => (
                         <Link
@@ -96,6 +189,34 @@ const Layout = ({ children }) => {
                             <span>{label}</span>
                         </Link>
                     ))}
+
+                    {/* Smart collections */}
+                    <div className="sidebar-section-header">
+                        <span>Collections</span>
+                        <button onClick={handleNewCollection} title="New collection">
+                            <Plus size={16} />
+                        </button>
+                    </div>
+                    {collections.map(collection => (
+                        <div key={collection._id} className="collection-nav-item">
+                            <Link
+                                to={getCollectionPath(collection)}
+                                className={`nav-item ${searchParams.get('collection') === collection._id ? 'active' : ''}`}
+                                onClick={() => setSidebarOpen(false)}
+                            >
+                                {collection.target === 'clips' ? <ClipboardList size={20} /> : <Layers size={20} />}
+                                <span>{collection.name}</span>
+                            </Link>
+                            <div className="collection-actions">
+                                <button onClick={() => setEditingCollection(collection)} title="Edit">
+                                    <Edit2 size={14} />
+                                </button>
+                                <button onClick={() => handleDeleteCollection(collection)} title="Delete">
+                                    <X size={14} />
+                                </button>
+                            </div>
+                        </div>
+                    ))}
                 </nav>
 
                 {/* Storage indicator */}
@@ -127,8 +248,39 @@ const Layout = ({ children }) => {
                             <span className="user-email">{user?.email}</span>
                         </div>
                     </div>
+                    <button
+                        className={`settings-btn ${settingsOpen ? 'active' : ''}`}
+                        onClick={() => setSettingsOpen(!settingsOpen)}
+                        title="Settings"
+                    >
+                        <Settings size={18} />
+                    </button>
                 </div>
 
+                {/* Settings */}
+                {settingsOpen && (
+                    <div className="settings-section">
+                        <label className="settings-toggle">
+                            <input
+                                type="checkbox"
+                                checked={expiryReminders}
+                                onChange={handleToggleReminders}
+                            />
+                            <span>Email me before files expire</span>
+                        </label>
+                        <button className="settings-action" onClick={changePassphrase}>
+                            <KeyRound size={14} />
+                            <span>Change vault passphrase</span>
+                        </button>
+                        {isUnlocked && (
+                            <button className="settings-action" onClick={lock}>
+                                <Lock size={14} />
+                                <span>Lock vault</span>
+                            </button>
+                        )}
+                    </div>
+                )}
+
                 {/* Logout Button */}
                 <div className="logout-section">
                     <button className="logout-btn" onClick={handleLogout}>
@@ -142,6 +294,15 @@ const Layout = ({ children }) => {
             <main className="main-content">
                 {children}
             </main>
+
+            {editingCollection && (
+                <CollectionModal
+                    collection={editingCollection._id ? editingCollection : null}
+                    initialFilter={editingCollection}
+                    onClose={() => setEditingCollection(null)}
+                    onSaved={handleCollectionSaved}
+                />
+            )}
         </div>
     );
 };
@@ -0,0 +1,72 @@
+/**
+ * Link Preview Component
+ * Shows the page a link clip points to: image, site, title and description
+ */
+
+import { useState } from 'react';
+import { Globe } from 'lucide-react';
+import './LinkPreview.css';
+
+/**
+ * @param {Object} clip - Link clip with a ready linkPreview
+ * @param {string} [className] - Extra classes for the container
+ */
+const LinkPreview = ({ clip, className = '' }) => {
+    const { url, title, description, siteName, imageUrl, faviconUrl } = clip.linkPreview;
+    // Images that fail to load are hidden
+    const [broken, setBroken] = useState({});
+
+    const hide = (name) => () => setBroken(prev => ({ ...prev, [name]: true }));
+
+    let host = url;
+    try {
+        host = new URL(url).hostname;
+    } catch {
+        // Shown as it is
+    }
+
+    return (
+        <div className={`link-preview ${className}`}>
+            {imageUrl && !broken.image && (
+                <img
+                    className="link-preview-image"
+                    src={imageUrl}
+                    alt=""
+                    loading="lazy"
+                    referrerPolicy="no-referrer"
+                    onError={hide('image')}
+                />
+            )}
+
+            <div className="link-preview-body">
+                <span className="link-preview-site">
+                    {faviconUrl && !broken.favicon ? (
+                        <img
+                            src={faviconUrl}
+                            alt=""
+                            loading="lazy"
+                            referrerPolicy="no-referrer"
+                            onError={hide('favicon')}
+                        />
+                    ) : (
+                        <Globe size={14} />
+                    )}
+                    {siteName || host}
+                </span>
+
+                <a
+                    className="link-preview-title"
+                    href={url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                >
+                    {title || url}
+                </a>
+
+                {description && <p className="link-preview-description">{description}</p>}
+            </div>
+        </div>
+    );
+};
+
+export default LinkPreview;
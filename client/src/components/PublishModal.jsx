@@ -0,0 +1,194 @@
+/**
+ * Publish Modal Component
+ * Publish a clip as a public paste page, and list or revoke published clips
+ */
+
+import { useState, useEffect } from 'react';
+import { clipboardAPI, pasteAPI } from '../services/api';
+import { X, Globe, Copy, Check, Trash2, Clock, Eye, Flame, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import './ShareModal.css';
+import './PublishModal.css';
+
+const EXPIRY_OPTIONS = [
+    { value: '', label: 'Never (until clip expires)' },
+    { value: 1, label: '1 hour' },
+    { value: 24, label: '1 day' },
+    { value: 72, label: '3 days' },
+    { value: 168, label: '7 days' }
+];
+
+const emptyForm = { expiresInHours: '', burnAfterReading: false };
+
+/**
+ * @param {Object|null} clip - Clip to publish (null lists all published clips)
+ * @param {Function} onClose - Called when the modal closes
+ */
+const PublishModal = ({ clip, onClose }) => {
+    const [links, setLinks] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [creating, setCreating] = useState(false);
+    const [copiedId, setCopiedId] = useState(null);
+    const [formData, setFormData] = useState(emptyForm);
+
+    useEffect(() => {
+        fetchLinks();
+    }, [clip?._id]);
+
+    const fetchLinks = async () => {
+        try {
+            const response = await clipboardAPI.getPublished();
+            const { pasteLinks } = response.data.data;
+            setLinks(clip ? pasteLinks.filter(link => link.clipId._id === clip._id) : pasteLinks);
+        } catch (error) {
+            toast.error('Failed to load paste links');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setCreating(true);
+
+        try {
+            const response = await clipboardAPI.publishClip(clip._id, {
+                expiresInHours: formData.expiresInHours || undefined,
+                burnAfterReading: formData.burnAfterReading
+            });
+            const { pasteLink } = response.data.data;
+
+            setLinks(prev => [{ ...pasteLink, clipId: clip }, ...prev]);
+            setFormData(emptyForm);
+            await handleCopy(pasteLink);
+        } catch (error) {
+            const message = error.response?.data?.errors?.[0]?.message ||
+                error.response?.data?.message || 'Failed to publish clip';
+            toast.error(message);
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const handleCopy = async (link) => {
+        try {
+            await navigator.clipboard.writeText(pasteAPI.getPasteUrl(link.slug));
+            setCopiedId(link._id);
+            setTimeout(() => setCopiedId(null), 2000);
+            toast.success('Link copied');
+        } catch (error) {
+            toast.error('Failed to copy');
+        }
+    };
+
+    const handleRevoke = async (link) => {
+        if (!window.confirm('Revoke this link? The paste page will stop working.')) return;
+
+        try {
+            await clipboardAPI.revokePasteLink(link._id);
+            setLinks(prev => prev.filter(l => l._id !== link._id));
+            toast.success('Link revoked');
+        } catch (error) {
+            toast.error('Failed to revoke link');
+        }
+    };
+
+    const formatDate = (date) => {
+        return new Date(date).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal share-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3>{clip ? `Publish "${clip.title}"` : 'Published Clips'}</h3>
+                    <button onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {clip && (
+                    <form onSubmit={handleCreate} className="share-form">
+                        <div className="form-group">
+                            <label>Expires</label>
+                            <select
+                                value={formData.expiresInHours}
+                                onChange={(e) => setFormData(prev => ({ ...prev, expiresInHours: e.target.value }))}
+                            >
+                                {EXPIRY_OPTIONS.map(option => (
+                                    <option key={option.label} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <label className="publish-burn">
+                            <input
+                                type="checkbox"
+                                checked={formData.burnAfterReading}
+                                onChange={(e) => setFormData(prev => ({ ...prev, burnAfterReading: e.target.checked }))}
+                            />
+                            <span>Burn after reading (the link works for one view)</span>
+                        </label>
+
+                        <button type="submit" className="btn-primary" disabled={creating}>
+                            {creating ? <Loader2 size={18} className="animate-spin" /> : <Globe size={18} />}
+                            Publish
+                        </button>
+                    </form>
+                )}
+
+                <div className="share-links">
+                    <h4>Active links</h4>
+
+                    {loading ? (
+                        <div className="share-links-empty">
+                            <Loader2 size={20} className="animate-spin" />
+                        </div>
+                    ) : links.length === 0 ? (
+                        <p className="share-links-empty">
+                            {clip ? 'This clip is not published' : 'No published clips'}
+                        </p>
+                    ) : (
+                        links.map(link => (
+                            <div key={link._id} className="share-link-item">
+                                <div className="share-link-info">
+                                    {!clip && <span className="publish-clip-title">{link.clipId.title}</span>}
+                                    <a
+                                        className="share-link-url"
+                                        href={pasteAPI.getPasteUrl(link.slug)}
+                                        target="_blank"
+                                        rel="noopener noreferrer"
+                                    >
+                                        {pasteAPI.getPasteUrl(link.slug)}
+                                    </a>
+                                    <span className="share-link-meta">
+                                        {link.burnAfterReading && <span><Flame size={12} /> Burn after reading</span>}
+                                        <span>
+                                            <Clock size={12} /> {link.expiresAt ? `Expires ${formatDate(link.expiresAt)}` : 'No expiry'}
+                                        </span>
+                                        <span><Eye size={12} /> {link.viewCount}</span>
+                                    </span>
+                                </div>
+                                <div className="share-link-actions">
+                                    <button onClick={() => handleCopy(link)} title="Copy link">
+                                        {copiedId === link._id ? <Check size={16} /> : <Copy size={16} />}
+                                    </button>
+                                    <button onClick={() => handleRevoke(link)} title="Revoke" className="revoke-btn">
+                                        <Trash2 size={16} />
+                                    </button>
+                                </div>
+                            </div>
+                        ))
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default PublishModal;
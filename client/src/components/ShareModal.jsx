@@ -0,0 +1,194 @@
+/**
+ * Share Modal Component
+ * Create, list and revoke public share links for a file
+ */
+
+import { useState, useEffect } from 'react';
+import { filesAPI, shareAPI } from '../services/api';
+import { X, Link2, Copy, Check, Trash2, Lock, Clock, Download, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import './ShareModal.css';
+
+const EXPIRY_OPTIONS = [
+    { value: '', label: 'Never (until file expires)' },
+    { value: 1, label: '1 hour' },
+    { value: 24, label: '1 day' },
+    { value: 72, label: '3 days' },
+    { value: 168, label: '7 days' }
+];
+
+const emptyForm = { password: '', expiresInHours: '', maxDownloads: '' };
+
+const ShareModal = ({ file, onClose }) => {
+    const [links, setLinks] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [creating, setCreating] = useState(false);
+    const [copiedId, setCopiedId] = useState(null);
+    const [formData, setFormData] = useState(emptyForm);
+
+    useEffect(() => {
+        fetchLinks();
+    }, [file._id]);
+
+    const fetchLinks = async () => {
+        try {
+            const response = await filesAPI.getShareLinks(file._id);
+            setLinks(response.data.data.shareLinks);
+        } catch (error) {
+            toast.error('Failed to load share links');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setCreating(true);
+
+        try {
+            const response = await filesAPI.createShareLink(file._id, {
+                password: formData.password || undefined,
+                expiresInHours: formData.expiresInHours || undefined,
+                maxDownloads: formData.maxDownloads || undefined
+            });
+            const { shareLink } = response.data.data;
+
+            setLinks(prev => [shareLink, ...prev]);
+            setFormData(emptyForm);
+            await handleCopy(shareLink);
+        } catch (error) {
+            const message = error.response?.data?.errors?.[0]?.message ||
+                error.response?.data?.message || 'Failed to create link';
+            toast.error(message);
+        } finally {
+            setCreating(false);
+        }
+    };
+
+    const handleCopy = async (link) => {
+        try {
+            await navigator.clipboard.writeText(shareAPI.getShareUrl(link.token));
+            setCopiedId(link._id);
+            setTimeout(() => setCopiedId(null), 2000);
+            toast.success('Link copied');
+        } catch (error) {
+            toast.error('Failed to copy');
+        }
+    };
+
+    const handleRevoke = async (link) => {
+        if (!window.confirm('Revoke this link? Anyone using it will lose access.')) return;
+
+        try {
+            await filesAPI.revokeShareLink(file._id, link._id);
+            setLinks(prev => prev.filter(l => l._id !== link._id));
+            toast.success('Link revoked');
+        } catch (error) {
+            toast.error('Failed to revoke link');
+        }
+    };
+
+    const formatDate = (date) => {
+        return new Date(date).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal share-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3>Share "{file.originalName}"</h3>
+                    <button onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                <form onSubmit={handleCreate} className="share-form">
+                    <div className="form-group">
+                        <label>Password (optional)</label>
+                        <input
+                            type="password"
+                            value={formData.password}
+                            onChange={(e) => setFormData(prev => ({ ...prev, password: e.target.value }))}
+                            placeholder="Leave empty for no password"
+                            autoComplete="new-password"
+                        />
+                    </div>
+
+                    <div className="share-form-row">
+                        <div className="form-group">
+                            <label>Expires</label>
+                            <select
+                                value={formData.expiresInHours}
+                                onChange={(e) => setFormData(prev => ({ ...prev, expiresInHours: e.target.value }))}
+                            >
+                                {EXPIRY_OPTIONS.map(option => (
+                                    <option key={option.label} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div className="form-group">
+                            <label>Max downloads</label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={formData.maxDownloads}
+                                onChange={(e) => setFormData(prev => ({ ...prev, maxDownloads: e.target.value }))}
+                                placeholder="Unlimited"
+                            />
+                        </div>
+                    </div>
+
+                    <button type="submit" className="btn-primary" disabled={creating}>
+                        {creating ? <Loader2 size={18} className="animate-spin" /> : <Link2 size={18} />}
+                        Create Link
+                    </button>
+                </form>
+
+                <div className="share-links">
+                    <h4>Active links</h4>
+
+                    {loading ? (
+                        <div className="share-links-empty">
+                            <Loader2 size={20} className="animate-spin" />
+                        </div>
+                    ) : links.length === 0 ? (
+                        <p className="share-links-empty">No active links for this file</p>
+                    ) : (
+                        links.map(link => (
+                            <div key={link._id} className="share-link-item">
+                                <div className="share-link-info">
+                                    <span className="share-link-url">{shareAPI.getShareUrl(link.token)}</span>
+                                    <span className="share-link-meta">
+                                        {link.isPasswordProtected && <span><Lock size={12} /> Password</span>}
+                                        <span>
+                                            <Clock size={12} /> {link.expiresAt ? `Expires ${formatDate(link.expiresAt)}` : 'No expiry'}
+                                        </span>
+                                        <span>
+                                            <Download size={12} /> {link.downloadCount}{link.maxDownloads ? ` / ${link.maxDownloads}` : ''}
+                                        </span>
+                                    </span>
+                                </div>
+                                <div className="share-link-actions">
+                                    <button onClick={() => handleCopy(link)} title="Copy link">
+                                        {copiedId === link._id ? <Check size={16} /> : <Copy size={16} />}
+                                    </button>
+                                    <button onClick={() => handleRevoke(link)} title="Revoke" className="revoke-btn">
+                                        <Trash2 size={16} />
+                                    </button>
+                                </div>
+                            </div>
+                        ))
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ShareModal;
@@ -0,0 +1,128 @@
+/**
+ * Tag Input Component
+ * Edits a list of tags with suggestions from the user's existing tags
+ */
+
+import { useState, useEffect } from 'react';
+import { X } from 'lucide-react';
+import { tagsAPI } from '../services/api';
+import './TagInput.css';
+
+/**
+ * Normalize a tag like the server does ("OS Notes" becomes "os-notes")
+ * @param {string} tag - Tag as typed
+ * @returns {string}
+ */
+export const normalizeTag = (tag) => tag.trim().replace(/^#+/, '').toLowerCase().replace(/\s+/g, '-').slice(0, 32);
+
+/**
+ * Clickable list of tags
+ * @param {string[]} tags - Tags to show
+ * @param {Function} [onClick] - Called with the clicked tag
+ */
+export const TagList = ({ tags, onClick }) => {
+    if (!tags?.length) return null;
+
+    return (
+        <span className="tag-list">
+            {tags.map(tag => (
+                <button
+                    key={tag}
+                    type="button"
+                    className="tag-chip"
+                    onClick={(e) => {
+                        e.stopPropagation();
+                        onClick?.(tag);
+                    }}
+                >
+                    #{tag}
+                </button>
+            ))}
+        </span>
+    );
+};
+
+/**
+ * @param {string[]} value - Current tags
+ * @param {Function} onChange - Called with the new list of tags
+ * @param {string} [placeholder] - Input placeholder
+ */
+const TagInput = ({ value, onChange, placeholder = 'Add tags...' }) => {
+    const [text, setText] = useState('');
+    const [suggestions, setSuggestions] = useState([]);
+
+    // Suggest existing tags while typing
+    useEffect(() => {
+        const prefix = normalizeTag(text);
+        if (!prefix) {
+            setSuggestions([]);
+            return;
+        }
+
+        const timer = setTimeout(() => {
+            tagsAPI.getTags(prefix)
+                .then(response => setSuggestions(response.data.data.tags
+                    .map(tag => tag.name)
+                    .filter(name => !value.includes(name))))
+                .catch(() => setSuggestions([]));
+        }, 200);
+
+        return () => clearTimeout(timer);
+    }, [text, value]);
+
+    const addTag = (tag) => {
+        const name = normalizeTag(tag);
+        if (name && !value.includes(name)) {
+            onChange([...value, name]);
+        }
+        setText('');
+        setSuggestions([]);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            addTag(text);
+        } else if (e.key === 'Backspace' && !text && value.length > 0) {
+            onChange(value.slice(0, -1));
+        }
+    };
+
+    return (
+        <div className="tag-input">
+            {value.map(tag => (
+                <span key={tag} className="tag-chip">
+                    #{tag}
+                    <button type="button" onClick={() => onChange(value.filter(t => t !== tag))}>
+                        <X size={12} />
+                    </button>
+                </span>
+            ))}
+            <input
+                type="text"
+                value={text}
+                onChange={(e) => setText(e.target.value)}
+                onKeyDown={handleKeyDown}
+                onBlur={() => text && addTag(text)}
+                placeholder={value.length === 0 ? placeholder : ''}
+            />
+            {suggestions.length > 0 && (
+                <ul className="tag-suggestions">
+                    {suggestions.map(name => (
+                        <li key={name}>
+                            {/* mousedown fires before the input's blur */}
+                            <button type="button" onMouseDown={(e) => {
+                                e.preventDefault();
+                                addTag(name);
+                            }}>
+                                #{name}
+                            </button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default TagInput;
@@ -0,0 +1,165 @@
+/**
+ * Vault Modal Component
+ * Set up the vault, unlock it, or change its passphrase
+ */
+
+import { useState } from 'react';
+import { X, Loader2, Lock, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import { vaultAPI } from '../services/api';
+import { createVaultKey, unlockVault, rewrapVaultKey } from '../services/vault';
+import './VaultModal.css';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const TITLES = {
+    setup: 'Set Up Vault',
+    unlock: 'Unlock Vault',
+    change: 'Change Vault Passphrase'
+};
+
+/**
+ * @param {string} mode - 'setup', 'unlock' or 'change'
+ * @param {Object|null} vault - Key material from the server (unlock and change)
+ * @param {Function} onUnlock - Called with the vault key after setup or unlock
+ * @param {Function} onClose - Called when the modal closes
+ */
+const VaultModal = ({ mode, vault, onUnlock, onClose }) => {
+    const [formData, setFormData] = useState({ passphrase: '', newPassphrase: '', confirm: '', password: '' });
+    const [working, setWorking] = useState(false);
+
+    const update = (changes) => setFormData(prev => ({ ...prev, ...changes }));
+
+    // The new passphrase when changing it, otherwise the one being set up
+    const chosen = mode === 'change' ? formData.newPassphrase : formData.passphrase;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        if (mode !== 'unlock') {
+            if (chosen.length < MIN_PASSPHRASE_LENGTH) {
+                toast.error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+                return;
+            }
+            if (chosen !== formData.confirm) {
+                toast.error('Passphrases do not match');
+                return;
+            }
+        }
+
+        setWorking(true);
+        try {
+            if (mode === 'setup') {
+                const { key, vault: keyMaterial } = await createVaultKey(formData.passphrase);
+                await vaultAPI.createVault(keyMaterial);
+                toast.success('Vault set up');
+                onUnlock(key);
+            } else if (mode === 'unlock') {
+                const key = await unlockVault(vault, formData.passphrase).catch(() => null);
+                if (!key) {
+                    toast.error('Wrong passphrase');
+                    return;
+                }
+                onUnlock(key);
+            } else {
+                const keyMaterial = await rewrapVaultKey(vault, formData.passphrase, formData.newPassphrase).catch(() => null);
+                if (!keyMaterial) {
+                    toast.error('Wrong current passphrase');
+                    return;
+                }
+                const response = await vaultAPI.updateVault({ password: formData.password, ...keyMaterial });
+                toast.success(response.data.message);
+                onClose();
+            }
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Vault request failed');
+        } finally {
+            setWorking(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="modal vault-modal" onClick={e => e.stopPropagation()}>
+                <div className="modal-header">
+                    <h3>{TITLES[mode]}</h3>
+                    <button onClick={onClose}>
+                        <X size={20} />
+                    </button>
+                </div>
+
+                {mode === 'setup' && (
+                    <p className="vault-warning">
+                        <AlertTriangle size={16} />
+                        <span>
+                            Vault clips and files are encrypted in your browser with this passphrase.
+                            It is never sent to the server and can't be recovered: if you forget it,
+                            your vault items are lost.
+                        </span>
+                    </p>
+                )}
+
+                <form onSubmit={handleSubmit}>
+                    <div className="form-group">
+                        <label>{mode === 'change' ? 'Current passphrase' : 'Passphrase'}</label>
+                        <input
+                            type="password"
+                            value={formData.passphrase}
+                            onChange={(e) => update({ passphrase: e.target.value })}
+                            autoComplete={mode === 'setup' ? 'new-password' : 'current-password'}
+                            autoFocus
+                        />
+                    </div>
+
+                    {mode === 'change' && (
+                        <div className="form-group">
+                            <label>New passphrase</label>
+                            <input
+                                type="password"
+                                value={formData.newPassphrase}
+                                onChange={(e) => update({ newPassphrase: e.target.value })}
+                                autoComplete="new-password"
+                            />
+                        </div>
+                    )}
+
+                    {mode !== 'unlock' && (
+                        <div className="form-group">
+                            <label>Confirm {mode === 'change' ? 'new passphrase' : 'passphrase'}</label>
+                            <input
+                                type="password"
+                                value={formData.confirm}
+                                onChange={(e) => update({ confirm: e.target.value })}
+                                autoComplete="new-password"
+                            />
+                        </div>
+                    )}
+
+                    {mode === 'change' && (
+                        <div className="form-group">
+                            <label>Account password</label>
+                            <input
+                                type="password"
+                                value={formData.password}
+                                onChange={(e) => update({ password: e.target.value })}
+                                autoComplete="current-password"
+                            />
+                        </div>
+                    )}
+
+                    <div className="modal-actions">
+                        <button type="button" className="btn-secondary" onClick={onClose}>
+                            Cancel
+                        </button>
+                        <button type="submit" className="btn-primary" disabled={working || !formData.passphrase}>
+                            {working ? <Loader2 size={18} className="animate-spin" /> : <Lock size={18} />}
+                            {mode === 'unlock' ? 'Unlock' : mode === 'setup' ? 'Set Up Vault' : 'Change Passphrase'}
+                        </button>
+                    </div>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default VaultModal;
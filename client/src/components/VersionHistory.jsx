@@ -0,0 +1,141 @@
+/**
+ * Version History Component
+ * Lists a file's prior versions with restore and delete actions
+ */
+
+import { useState, useEffect } from 'react';
+import { filesAPI } from '../services/api';
+import { History, RotateCcw, Trash2, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import './VersionHistory.css';
+
+const VersionHistory = ({ file, onRestored, onDeleted }) => {
+    const [current, setCurrent] = useState(null);
+    const [versions, setVersions] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        fetchVersions();
+    }, [file._id, file.version]);
+
+    const fetchVersions = async () => {
+        try {
+            const response = await filesAPI.getVersions(file._id);
+            setCurrent(response.data.data.current);
+            setVersions(response.data.data.versions);
+        } catch (error) {
+            toast.error('Failed to load versions');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRestore = async (version) => {
+        setBusyId(version._id);
+        try {
+            const response = await filesAPI.restoreVersion(file._id, version._id);
+            toast.success(response.data.message);
+            onRestored?.(response.data.data.file);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to restore version');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDelete = async (version) => {
+        if (!window.confirm(`Delete version ${version.versionNumber}? This cannot be undone.`)) return;
+
+        setBusyId(version._id);
+        try {
+            await filesAPI.deleteVersion(file._id, version._id);
+            setVersions(prev => prev.filter(v => v._id !== version._id));
+            toast.success('Version deleted');
+            onDeleted?.(version);
+        } catch (error) {
+            toast.error('Failed to delete version');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const formatBytes = (bytes) => {
+        if (bytes === 0) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    };
+
+    const formatDate = (date) => {
+        return new Date(date).toLocaleString('en-US', {
+            month: 'short',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    };
+
+    return (
+        <div className="version-history">
+            <h4><History size={14} /> Versions</h4>
+
+            {loading ? (
+                <div className="version-empty">
+                    <Loader2 size={20} className="animate-spin" />
+                </div>
+            ) : (
+                <>
+                    {current && (
+                        <div className="version-item current">
+                            <div className="version-info">
+                                <span className="version-number">Version {current.versionNumber} (current)</span>
+                                <span className="version-meta">
+                                    {formatBytes(current.fileSize)} • {formatDate(current.uploadedAt)}
+                                </span>
+                            </div>
+                        </div>
+                    )}
+
+                    {versions.length === 0 ? (
+                        <p className="version-empty">No earlier versions</p>
+                    ) : (
+                        versions.map(version => (
+                            <div key={version._id} className="version-item">
+                                <div className="version-info">
+                                    <span className="version-number">
+                                        Version {version.versionNumber}
+                                        {version.scanStatus === 'infected' && <span className="scan-badge infected">Quarantined</span>}
+                                    </span>
+                                    <span className="version-meta">
+                                        {formatBytes(version.fileSize)} • {formatDate(version.uploadedAt)}
+                                    </span>
+                                </div>
+                                <div className="version-actions">
+                                    <button
+                                        onClick={() => handleRestore(version)}
+                                        disabled={busyId === version._id || version.scanStatus === 'infected'}
+                                        title="Restore"
+                                    >
+                                        <RotateCcw size={16} />
+                                    </button>
+                                    <button
+                                        onClick={() => handleDelete(version)}
+                                        disabled={busyId === version._id}
+                                        title="Delete"
+                                        className="delete-btn"
+                                    >
+                                        <Trash2 size={16} />
+                                    </button>
+                                </div>
+                            </div>
+                        ))
+                    )}
+                </>
+            )}
+        </div>
+    );
+};
+
+export default VersionHistory;
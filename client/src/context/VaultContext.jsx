@@ -0,0 +1,98 @@
+/**
+ * Vault Context
+ * Keeps the unlocked vault key in memory (never stored) and asks for the passphrase when needed
+ */
+
+import { createContext, useContext, useState, useEffect, useCallback, useRef } from 'react';
+import toast from 'react-hot-toast';
+import { useAuth } from './AuthContext';
+import { vaultAPI } from '../services/api';
+import VaultModal from '../components/VaultModal';
+
+const VaultContext = createContext(null);
+
+export const useVault = () => {
+    const context = useContext(VaultContext);
+    if (!context) {
+        throw new Error('useVault must be used within a VaultProvider');
+    }
+    return context;
+};
+
+export const VaultProvider = ({ children }) => {
+    const { isAuthenticated } = useAuth();
+    const [key, setKey] = useState(null);
+    // Open modal: { mode, vault, resolve } (resolve is called with the key, or null if cancelled)
+    const [prompt, setPrompt] = useState(null);
+    const keyRef = useRef(null);
+
+    const updateKey = (newKey) => {
+        keyRef.current = newKey;
+        setKey(newKey);
+    };
+
+    // Locked again on logout
+    useEffect(() => {
+        if (!isAuthenticated) updateKey(null);
+    }, [isAuthenticated]);
+
+    const openPrompt = async (mode) => {
+        try {
+            const response = await vaultAPI.getVault();
+            const { vault } = response.data.data;
+
+            // Without a vault there's nothing to unlock or change yet
+            return await new Promise(resolve => setPrompt({ mode: vault ? mode : 'setup', vault, resolve }));
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to load vault');
+            return null;
+        }
+    };
+
+    /**
+     * Get the vault key, asking for the passphrase (or setting the vault up) while locked
+     * @returns {Promise<CryptoKey|null>} - null if the user cancelled
+     */
+    const getKey = useCallback(async () => keyRef.current || openPrompt('unlock'), []);
+
+    const lock = useCallback(() => {
+        updateKey(null);
+        toast.success('Vault locked');
+    }, []);
+
+    const changePassphrase = useCallback(() => openPrompt('change'), []);
+
+    const handleUnlock = (newKey) => {
+        updateKey(newKey);
+        prompt.resolve(newKey);
+        setPrompt(null);
+    };
+
+    const handleClose = () => {
+        prompt.resolve(null);
+        setPrompt(null);
+    };
+
+    const value = {
+        isUnlocked: Boolean(key),
+        getKey,
+        lock,
+        changePassphrase
+    };
+
+    return (
+        <VaultContext.Provider value={value}>
+            {children}
+            {prompt && (
+                <VaultModal
+                    mode={prompt.mode}
+                    vault={prompt.vault}
+                    onUnlock={handleUnlock}
+                    onClose={handleClose}
+                />
+            )}
+        </VaultContext.Provider>
+    );
+};
+
+export default VaultContext;
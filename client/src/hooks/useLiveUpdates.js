@@ -0,0 +1,39 @@
+/**
+ * Live Updates Hook
+ * Refreshes a page when its items change on another device or tab
+ */
+
+import { useEffect, useRef } from 'react';
+import { subscribe } from '../services/liveUpdates';
+
+// Bursts of events (bulk actions, uploads) cause a single refresh
+const DEBOUNCE_MS = 300;
+
+/**
+ * @param {string[]} types - Event types to refresh on ('files', 'folders', 'clips')
+ * @param {Function} onChange - Refreshes the page (also called after reconnecting)
+ */
+const useLiveUpdates = (types, onChange) => {
+    // Latest callback, so the stream isn't reopened on every render
+    const onChangeRef = useRef(onChange);
+    onChangeRef.current = onChange;
+    const typesKey = types.join(',');
+
+    useEffect(() => {
+        const watched = typesKey.split(',');
+        let timer = null;
+
+        const unsubscribe = subscribe((type) => {
+            if (type !== 'resync' && !watched.includes(type)) return;
+            clearTimeout(timer);
+            timer = setTimeout(() => onChangeRef.current(), DEBOUNCE_MS);
+        });
+
+        return () => {
+            clearTimeout(timer);
+            unsubscribe();
+        };
+    }, [typesKey]);
+};
+
+export default useLiveUpdates;
@@ -9,13 +9,16 @@ import { BrowserRouter } from 'react-router-dom';
 import { Toaster } from 'react-hot-toast';
 import App from './App';
 import { AuthProvider } from './context/AuthContext';
+import { VaultProvider } from './context/VaultContext';
 import './styles/index.css';
 
 ReactDOM.createRoot(document.getElementById('root')).render(
     <React.StrictMode>
         <BrowserRouter>
             <AuthProvider>
-                <App />
+                <VaultProvider>
+                    <App />
+                </VaultProvider>
                 <Toaster
                     position="top-right"
                     toastOptions={{
@@ -4,7 +4,7 @@
 
 import { useState, useEffect } from 'react';
 import { adminAPI } from '../services/api';
-import { Users, FileText, HardDrive, TrendingUp, Search, Ban, Trash2, RefreshCw, X, Eye } from 'lucide-react';
+import { Users, FileText, HardDrive, TrendingUp, Search, Ban, Trash2, RefreshCw, X, Eye, ShieldAlert } from 'lucide-react';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/LoadingSpinner';
 import './Admin.css';
@@ -12,6 +12,7 @@ import './Admin.css';
 const Admin = () => {
     const [stats, setStats] = useState(null);
     const [users, setUsers] = useState([]);
+    const [quarantined, setQuarantined] = useState([]);
     const [loading, setLoading] = useState(true);
     const [searchQuery, setSearchQuery] = useState('');
     const [statusFilter, setStatusFilter] = useState('');
@@ -22,12 +23,14 @@ const Admin = () => {
 
     const fetchData = async () => {
         try {
-            const [statsRes, usersRes] = await Promise.all([
+            const [statsRes, usersRes, quarantineRes] = await Promise.all([
                 adminAPI.getStats(),
-                adminAPI.getUsers({ status: statusFilter, search: searchQuery })
+                adminAPI.getUsers({ status: statusFilter, search: searchQuery }),
+                adminAPI.getAllFiles({ scanStatus: 'infected', limit: 50 })
             ]);
             setStats(statsRes.data.data);
             setUsers(usersRes.data.data.users);
+            setQuarantined(quarantineRes.data.data.files);
         } catch (error) {
             toast.error('Failed to load admin data');
         } finally {
@@ -60,6 +63,27 @@ const Admin = () => {
         }
     };
 
+    const handleRescanFile = async (file) => {
+        try {
+            const res = await adminAPI.rescanFile(file._id);
+            toast.success(res.data.message);
+            fetchData();
+        } catch (error) {
+            toast.error('Rescan failed');
+        }
+    };
+
+    const handleDeleteFile = async (file) => {
+        if (!window.confirm(`Delete quarantined file "${file.originalName}"?`)) return;
+        try {
+            await adminAPI.deleteFile(file._id);
+            toast.success('File deleted');
+            fetchData();
+        } catch (error) {
+            toast.error('Failed to delete file');
+        }
+    };
+
     const handleRunCleanup = async () => {
         setRunningCleanup(true);
         try {
@@ -110,14 +134,15 @@ const Admin = () => {
                     <div className="stat-content">
                         <span className="stat-label">Total Files</span>
                         <span className="stat-value">{stats?.storage?.totalFiles || 0}</span>
-                        <span className="stat-detail">{stats?.storage?.expiringSoon || 0} expiring soon</span>
+                        <span className="stat-detail">{stats?.storage?.expiringSoon || 0} expiring soon · {stats?.storage?.pendingScans || 0} awaiting scan</span>
                     </div>
                 </div>
                 <div className="stat-card">
                     <div className="stat-icon storage"><HardDrive size={24} /></div>
                     <div className="stat-content">
                         <span className="stat-label">Storage Used</span>
-                        <span className="stat-value">{formatBytes(stats?.storage?.totalSize)}</span>
+                        <span className="stat-value">{formatBytes(stats?.storage?.storedSize ?? stats?.storage?.totalSize)}</span>
+                        <span className="stat-detail">{formatBytes(stats?.storage?.dedupSavedSize || 0)} saved by deduplication</span>
                     </div>
                 </div>
                 <div className="stat-card">
@@ -185,6 +210,47 @@ const Admin = () => {
                 </div>
             </div>
 
+            {quarantined.length > 0 && (
+                <div className="users-section quarantine-section">
+                    <div className="section-header">
+                        <h2><ShieldAlert size={20} /> Quarantined Files</h2>
+                        <span className="status-badge banned">{stats?.storage?.infectedFiles || quarantined.length} infected</span>
+                    </div>
+
+                    <div className="users-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>File</th>
+                                    <th>Owner</th>
+                                    <th>Detected</th>
+                                    <th>Size</th>
+                                    <th>Uploaded</th>
+                                    <th>Actions</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {quarantined.map(file => (
+                                    <tr key={file._id}>
+                                        <td><span className="user-name">{file.originalName}</span></td>
+                                        <td>{file.userId?.username || 'Unknown'}</td>
+                                        <td><span className="status-badge banned">{file.scanResult || 'Infected'}</span></td>
+                                        <td>{formatBytes(file.fileSize)}</td>
+                                        <td>{new Date(file.createdAt).toLocaleDateString()}</td>
+                                        <td>
+                                            <div className="action-btns">
+                                                <button onClick={() => handleRescanFile(file)} title="Rescan"><RefreshCw size={16} /></button>
+                                                <button onClick={() => handleDeleteFile(file)} title="Delete" className="delete"><Trash2 size={16} /></button>
+                                            </div>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            )}
+
             {selectedUser && (
                 <div className="modal-overlay" onClick={() => setSelectedUser(null)}>
                     <div className="modal user-modal" onClick={e => e.stopPropagation()}>
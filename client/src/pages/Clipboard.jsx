@@ -1,82 +1,262 @@
 /**
  * Clipboard Page Component
- * Text clipboard management with one-click copy
+ * Text clipboard management with one-click copy, and pasted or dropped images and files
  */
 
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { useDropzone } from 'react-dropzone';
 import { clipboardAPI } from '../services/api';
+import { encryptText, decryptText } from '../services/vault';
+import { useVault } from '../context/VaultContext';
 import {
     Plus,
     Copy,
     Trash2,
     Pin,
-    Search,
     X,
     Code,
     Link,
     FileText,
     Clock,
     Check,
-    Edit2
+    Edit2,
+    Globe,
+    Image,
+    Paperclip,
+    Download,
+    Upload,
+    Loader2,
+    History,
+    Mail,
+    Braces,
+    Hash,
+    Wand2,
+    Eye,
+    Pencil,
+    Lock
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/LoadingSpinner';
+import TagInput, { TagList } from '../components/TagInput';
+import PublishModal from '../components/PublishModal';
+import ClipHistory from '../components/ClipHistory';
+import ClipPreview from '../components/ClipPreview';
+import LinkPreview from '../components/LinkPreview';
+import useLiveUpdates from '../hooks/useLiveUpdates';
 import './Clipboard.css';
 
+// Text clip types; 'auto' lets the server detect the type and language
+const TYPE_OPTIONS = [
+    { value: 'auto', label: 'Auto' },
+    { value: 'text', label: 'Text' },
+    { value: 'code', label: 'Code' },
+    { value: 'markdown', label: 'Markdown' },
+    { value: 'json', label: 'JSON' },
+    { value: 'link', label: 'Link' },
+    { value: 'email', label: 'Email' }
+];
+
+const emptyForm = { title: '', content: '', contentType: 'auto', tags: [], vault: false };
+
+// Images can be put on the system clipboard (not in every browser)
+const canCopyImages = typeof window.ClipboardItem !== 'undefined' && !!navigator.clipboard?.write;
+
+/**
+ * Convert an image to PNG, the one image type every clipboard accepts
+ * @param {Blob} blob - Image contents
+ * @returns {Promise<Blob>}
+ */
+const toPngBlob = async (blob) => {
+    if (blob.type === 'image/png') return blob;
+
+    const bitmap = await createImageBitmap(blob);
+    const canvas = document.createElement('canvas');
+    canvas.width = bitmap.width;
+    canvas.height = bitmap.height;
+    canvas.getContext('2d').drawImage(bitmap, 0, 0);
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(png => png ? resolve(png) : reject(new Error('Image conversion failed')), 'image/png');
+    });
+};
+
 const Clipboard = () => {
     const [clips, setClips] = useState([]);
     const [loading, setLoading] = useState(true);
-    const [searchQuery, setSearchQuery] = useState('');
     const [showNewClipModal, setShowNewClipModal] = useState(false);
     const [editingClip, setEditingClip] = useState(null);
     const [copiedId, setCopiedId] = useState(null);
-    const [formData, setFormData] = useState({
-        title: '',
-        content: '',
-        contentType: 'text'
-    });
+    // Clip being published, or 'all' for the list of published clips
+    const [publishing, setPublishing] = useState(null);
+    const [uploading, setUploading] = useState(false);
+    // Clip whose revision history is open
+    const [historyClip, setHistoryClip] = useState(null);
+    const [formData, setFormData] = useState(emptyForm);
+    // Markdown clips show a preview instead of the editor
+    const [previewing, setPreviewing] = useState(false);
+    // Decrypted vault clip texts by ciphertext (dropped when the vault is locked)
+    const [revealed, setRevealed] = useState({});
+    const { isUnlocked, getKey } = useVault();
+    const navigate = useNavigate();
+    const [searchParams] = useSearchParams();
+    const [collection, setCollection] = useState(null);
+    const tag = searchParams.get('tag');
 
     useEffect(() => {
         fetchClips();
-    }, []);
+    }, [searchParams]);
 
-    const fetchClips = async () => {
+    const fetchClips = async ({ quiet = false } = {}) => {
         try {
-            const response = await clipboardAPI.getClips({ search: searchQuery });
+            const response = await clipboardAPI.getClips({
+                tags: tag || undefined,
+                collectionId: searchParams.get('collection') || undefined
+            });
             setClips(response.data.data.clips);
+            setCollection(response.data.data.collection);
         } catch (error) {
             console.error('Error fetching clips:', error);
-            toast.error('Failed to load clipboard');
+            if (!quiet) toast.error('Failed to load clipboard');
         } finally {
             setLoading(false);
         }
     };
 
-    const handleSearch = (e) => {
-        e.preventDefault();
-        fetchClips();
+    // Clips added or changed on other devices and tabs
+    useLiveUpdates(['clips'], () => fetchClips({ quiet: true }));
+
+    useEffect(() => {
+        if (!isUnlocked) setRevealed({});
+    }, [isUnlocked]);
+
+    /**
+     * Decrypt a vault clip, unlocking the vault first if needed
+     * @returns {Promise<string|null>} - Text, null if the vault stayed locked or decryption failed
+     */
+    const decryptClip = async (clip) => {
+        if (revealed[clip.content] !== undefined) return revealed[clip.content];
+
+        const key = await getKey();
+        if (!key) return null;
+
+        try {
+            const text = await decryptText(key, clip.content);
+            setRevealed(prev => ({ ...prev, [clip.content]: text }));
+            return text;
+        } catch (error) {
+            toast.error('This clip could not be decrypted with your vault key');
+            return null;
+        }
+    };
+
+    // Save images and files as clips, one clip each
+    const uploadFiles = async (files, title) => {
+        if (files.length === 0) return;
+        setUploading(true);
+
+        let saved = 0;
+        for (const file of files) {
+            try {
+                await clipboardAPI.uploadClipFile(file, title);
+                saved++;
+            } catch (error) {
+                const message = error.response?.data?.message || 'Upload failed';
+                toast.error(`${file.name}: ${message}`);
+            }
+        }
+
+        setUploading(false);
+        if (saved > 0) {
+            toast.success(saved === 1 ? 'Saved to clipboard' : `${saved} clips saved`);
+            await fetchClips();
+        }
+    };
+
+    const { getRootProps, getInputProps, isDragActive, open } = useDropzone({
+        onDrop: (files) => uploadFiles(files),
+        noClick: true,
+        noKeyboard: true
+    });
+
+    // Pasting an image or file anywhere on the page (Ctrl+V) saves it as a clip
+    const uploadFilesRef = useRef(uploadFiles);
+    uploadFilesRef.current = uploadFiles;
+
+    useEffect(() => {
+        const handlePaste = (e) => {
+            const files = [...(e.clipboardData?.files || [])];
+            if (files.length === 0) return;
+
+            // Text fields keep text pastes that come with an image rendition
+            const inTextField = e.target.closest?.('input, textarea');
+            if (inTextField && e.clipboardData.types.includes('text/plain')) return;
+
+            e.preventDefault();
+            // Screenshots are all named "image.png"
+            const title = files.length === 1 && files[0].name === 'image.png' ? 'Pasted image' : undefined;
+            uploadFilesRef.current(files, title);
+        };
+
+        document.addEventListener('paste', handlePaste);
+        return () => document.removeEventListener('paste', handlePaste);
+    }, []);
+
+    const closeModal = () => {
+        setShowNewClipModal(false);
+        setEditingClip(null);
+        setFormData(emptyForm);
+        setPreviewing(false);
     };
 
     const handleCreateClip = async (e) => {
         e.preventDefault();
 
-        if (!formData.content.trim()) {
+        if (!editingClip?.hasAttachment && !formData.content.trim()) {
             toast.error('Please enter some content');
             return;
         }
 
         try {
-            if (editingClip) {
-                await clipboardAPI.updateClip(editingClip._id, formData);
+            if (editingClip?.hasAttachment) {
+                // Images and files only have a title and tags to edit
+                await clipboardAPI.updateClip(editingClip._id, {
+                    title: formData.title,
+                    tags: formData.tags
+                });
                 toast.success('Clip updated');
             } else {
-                await clipboardAPI.createClip(formData);
-                toast.success('Clip created');
+                // Without a type the server detects the type and language (vault clips are text)
+                const data = {
+                    ...formData,
+                    contentType: formData.contentType === 'auto' ? undefined : formData.contentType
+                };
+
+                // Vault clips are encrypted here, the server only gets ciphertext
+                const vault = editingClip ? editingClip.vault : formData.vault;
+                if (vault) {
+                    const key = await getKey();
+                    if (!key) return;
+
+                    // Fresh ciphertext for the same text would still count as a revision
+                    if (editingClip && formData.content === revealed[editingClip.content]) {
+                        delete data.content;
+                    } else {
+                        data.content = await encryptText(key, formData.content);
+                    }
+                }
+                if (editingClip) delete data.vault;
+
+                if (editingClip) {
+                    await clipboardAPI.updateClip(editingClip._id, data);
+                    toast.success('Clip updated');
+                } else {
+                    await clipboardAPI.createClip(data);
+                    toast.success('Clip created');
+                }
             }
 
-            setShowNewClipModal(false);
-            setEditingClip(null);
-            setFormData({ title: '', content: '', contentType: 'text' });
+            closeModal();
             await fetchClips();
         } catch (error) {
             const message = error.response?.data?.message || 'Failed to save clip';
@@ -85,8 +265,11 @@ const Clipboard = () => {
     };
 
     const handleCopy = async (clip) => {
+        const text = clip.vault ? await decryptClip(clip) : clip.content;
+        if (text === null) return;
+
         try {
-            await navigator.clipboard.writeText(clip.content);
+            await navigator.clipboard.writeText(text);
             setCopiedId(clip._id);
             setTimeout(() => setCopiedId(null), 2000);
 
@@ -102,6 +285,41 @@ const Clipboard = () => {
         }
     };
 
+    const handleCopyImage = async (clip) => {
+        try {
+            // Safari only allows the write while handling the click, so it gets a promise
+            const image = clipboardAPI.getAttachment(clip._id)
+                .then(response => toPngBlob(response.data));
+            await navigator.clipboard.write([new ClipboardItem({ 'image/png': image })]);
+            setCopiedId(clip._id);
+            setTimeout(() => setCopiedId(null), 2000);
+
+            await clipboardAPI.recordCopy(clip._id);
+
+            setClips(prev => prev.map(c =>
+                c._id === clip._id ? { ...c, copyCount: c.copyCount + 1 } : c
+            ));
+        } catch (error) {
+            toast.error('Failed to copy image');
+        }
+    };
+
+    const handleDownload = async (clip) => {
+        try {
+            const response = await clipboardAPI.downloadAttachment(clip._id);
+            const url = window.URL.createObjectURL(new Blob([response.data]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', clip.attachment.originalName);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+        } catch (error) {
+            toast.error(clip.attachment?.scanStatus === 'clean' ? 'Failed to download' : 'This file is not available yet');
+        }
+    };
+
     const handleTogglePin = async (clip) => {
         try {
             await clipboardAPI.togglePin(clip._id);
@@ -114,35 +332,127 @@ const Clipboard = () => {
     };
 
     const handleDelete = async (clip) => {
-        if (!window.confirm('Delete this clip?')) return;
+        if (!window.confirm('Move this clip to trash?')) return;
 
         try {
             await clipboardAPI.deleteClip(clip._id);
-            toast.success('Clip deleted');
+            toast.success('Clip moved to trash');
             setClips(prev => prev.filter(c => c._id !== clip._id));
         } catch (error) {
             toast.error('Failed to delete');
         }
     };
 
-    const handleEdit = (clip) => {
+    const handleEdit = async (clip) => {
+        const content = clip.vault ? await decryptClip(clip) : clip.content;
+        if (content === null) return;
+
         setEditingClip(clip);
         setFormData({
             title: clip.title,
-            content: clip.content,
-            contentType: clip.contentType
+            content,
+            contentType: clip.contentType,
+            tags: clip.tags || [],
+            vault: clip.vault
         });
         setShowNewClipModal(true);
     };
 
     const getTypeIcon = (type) => {
         switch (type) {
+            case 'auto': return <Wand2 size={16} />;
             case 'code': return <Code size={16} />;
+            case 'json': return <Braces size={16} />;
+            case 'markdown': return <Hash size={16} />;
             case 'link': return <Link size={16} />;
+            case 'email': return <Mail size={16} />;
+            case 'image': return <Image size={16} />;
+            case 'file': return <Paperclip size={16} />;
             default: return <FileText size={16} />;
         }
     };
 
+    const formatBytes = (bytes) => {
+        if (bytes === 0) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    };
+
+    const renderClipContent = (clip) => {
+        const { attachment } = clip;
+
+        if (clip.vault) {
+            const text = revealed[clip.content];
+
+            return text === undefined ? (
+                <button className="clip-content clip-vault" onClick={() => decryptClip(clip)}>
+                    <Lock size={20} />
+                    <span>Encrypted • click to reveal</span>
+                </button>
+            ) : (
+                <ClipPreview clip={{ ...clip, content: text }} className="clip-content" />
+            );
+        }
+
+        // Links show their page once the server has fetched it
+        if (clip.linkPreview?.status === 'ready') {
+            return <LinkPreview clip={clip} className="clip-content" />;
+        }
+
+        if (!clip.hasAttachment) {
+            return <ClipPreview clip={clip} className="clip-content" />;
+        }
+
+        if (clip.contentType === 'image' && attachment?.scanStatus === 'clean') {
+            return (
+                <div className="clip-content clip-image">
+                    <img src={clipboardAPI.attachmentUrl(clip._id)} alt={clip.title} loading="lazy" />
+                </div>
+            );
+        }
+
+        return (
+            <div className="clip-content clip-file">
+                {clip.contentType === 'image' ? <Image size={24} /> : <Paperclip size={24} />}
+                <div className="clip-file-info">
+                    <span className="clip-file-name">{attachment?.originalName || 'Unavailable'}</span>
+                    {attachment && (
+                        <span className="clip-file-meta">
+                            {formatBytes(attachment.fileSize)}
+                            {attachment.scanStatus !== 'clean' &&
+                                (attachment.scanStatus === 'infected' ? ' • Quarantined' : ' • Scanning…')}
+                        </span>
+                    )}
+                </div>
+            </div>
+        );
+    };
+
+    const renderCopyButton = (clip) => {
+        const copied = copiedId === clip._id;
+
+        if (clip.hasAttachment && !(clip.contentType === 'image' && canCopyImages)) {
+            return (
+                <button className="copy-btn" onClick={() => handleDownload(clip)}>
+                    <Download size={16} />
+                    Download
+                </button>
+            );
+        }
+
+        return (
+            <button
+                className={`copy-btn ${copied ? 'copied' : ''}`}
+                onClick={() => clip.hasAttachment ? handleCopyImage(clip) : handleCopy(clip)}
+            >
+                {copied ? <Check size={16} /> : <Copy size={16} />}
+                {copied ? 'Copied!' : clip.hasAttachment ? 'Copy image' : 'Copy'}
+            </button>
+        );
+    };
+
     const formatDate = (date) => {
         const d = new Date(date);
         const now = new Date();
@@ -167,34 +477,44 @@ const Clipboard = () => {
     });
 
     return (
-        <div className="clipboard-page">
+        <div className="clipboard-page" {...getRootProps()}>
+            <input {...getInputProps()} />
+
+            {/* Drag overlay */}
+            {isDragActive && (
+                <div className="clipboard-drop-overlay">
+                    <div className="clipboard-drop-content">
+                        <Upload size={48} />
+                        <h3>Drop images or files to save them as clips</h3>
+                    </div>
+                </div>
+            )}
+
             {/* Header */}
             <div className="clipboard-header">
                 <div>
-                    <h1>Clipboard</h1>
-                    <p className="text-secondary">Save and share text snippets with one-click copy</p>
+                    <h1>{collection ? collection.name : tag ? `#${tag}` : 'Clipboard'}</h1>
+                    <p className="text-secondary">
+                        {collection || tag ? (
+                            <button className="show-all-btn" onClick={() => navigate('/clipboard')}>Show all clips</button>
+                        ) : 'Save text snippets, or paste and drop images and files'}
+                    </p>
                 </div>
-                <button className="btn-primary" onClick={() => setShowNewClipModal(true)}>
-                    <Plus size={18} />
-                    New Clip
-                </button>
-            </div>
-
-            {/* Search */}
-            <form onSubmit={handleSearch} className="clipboard-search">
-                <Search size={18} />
-                <input
-                    type="text"
-                    placeholder="Search clips..."
-                    value={searchQuery}
-                    onChange={(e) => setSearchQuery(e.target.value)}
-                />
-                {searchQuery && (
-                    <button type="button" onClick={() => { setSearchQuery(''); fetchClips(); }}>
-                        <X size={16} />
+                <div className="clipboard-header-actions">
+                    <button className="btn-secondary" onClick={() => setPublishing('all')}>
+                        <Globe size={18} />
+                        Published
+                    </button>
+                    <button className="btn-secondary" onClick={open} disabled={uploading}>
+                        {uploading ? <Loader2 size={18} className="animate-spin" /> : <Paperclip size={18} />}
+                        {uploading ? 'Uploading...' : 'Add File'}
+                    </button>
+                    <button className="btn-primary" onClick={() => setShowNewClipModal(true)}>
+                        <Plus size={18} />
+                        New Clip
                     </button>
-                )}
-            </form>
+                </div>
+            </div>
 
             {/* Clips Grid */}
             {sortedClips.length > 0 ? (
@@ -203,8 +523,11 @@ const Clipboard = () => {
                         <div key={clip._id} className={`clip-card ${clip.isPinned ? 'pinned' : ''}`}>
                             <div className="clip-header">
                                 <div className="clip-type">
-                                    {getTypeIcon(clip.contentType)}
+                                    {clip.vault ? <Lock size={16} /> : getTypeIcon(clip.contentType)}
                                     <span>{clip.contentType}</span>
+                                    {clip.language && clip.language !== clip.contentType && (
+                                        <span className="clip-language">{clip.language}</span>
+                                    )}
                                 </div>
                                 <div className="clip-actions">
                                     <button
@@ -214,42 +537,41 @@ const Clipboard = () => {
                                     >
                                         <Pin size={14} fill={clip.isPinned ? 'currentColor' : 'none'} />
                                     </button>
+                                    {!clip.hasAttachment && (
+                                        <>
+                                            <button onClick={() => setHistoryClip(clip)} title="History">
+                                                <History size={14} />
+                                            </button>
+                                            {!clip.vault && (
+                                                <button onClick={() => setPublishing(clip)} title="Publish">
+                                                    <Globe size={14} />
+                                                </button>
+                                            )}
+                                        </>
+                                    )}
                                     <button onClick={() => handleEdit(clip)} title="Edit">
                                         <Edit2 size={14} />
                                     </button>
-                                    <button onClick={() => handleDelete(clip)} title="Delete">
+                                    <button onClick={() => handleDelete(clip)} title="Move to trash">
                                         <Trash2 size={14} />
                                     </button>
                                 </div>
                             </div>
 
                             <h3 className="clip-title">{clip.title}</h3>
+                            <TagList
+                                tags={clip.tags}
+                                onClick={(name) => navigate(`/clipboard?tag=${encodeURIComponent(name)}`)}
+                            />
 
-                            <div className={`clip-content ${clip.contentType === 'code' ? 'code' : ''}`}>
-                                {clip.content}
-                            </div>
+                            {renderClipContent(clip)}
 
                             <div className="clip-footer">
                                 <div className="clip-meta">
                                     <span><Clock size={12} /> {formatDate(clip.createdAt)}</span>
                                     <span>Copied {clip.copyCount}x</span>
                                 </div>
-                                <button
-                                    className={`copy-btn ${copiedId === clip._id ? 'copied' : ''}`}
-                                    onClick={() => handleCopy(clip)}
-                                >
-                                    {copiedId === clip._id ? (
-                                        <>
-                                            <Check size={16} />
-                                            Copied!
-                                        </>
-                                    ) : (
-                                        <>
-                                            <Copy size={16} />
-                                            Copy
-                                        </>
-                                    )}
-                                </button>
+                                {renderCopyButton(clip)}
                             </div>
                         </div>
                     ))}
@@ -258,7 +580,7 @@ const Clipboard = () => {
                 <div className="empty-state">
                     <FileText size={64} />
                     <h3>No clips yet</h3>
-                    <p>Create your first clipboard item to save text snippets</p>
+                    <p>Create your first clipboard item, or paste an image or file anywhere on this page</p>
                     <button className="btn-primary" onClick={() => setShowNewClipModal(true)}>
                         <Plus size={18} />
                         Create Clip
@@ -268,19 +590,11 @@ const Clipboard = () => {
 
             {/* New/Edit Clip Modal */}
             {showNewClipModal && (
-                <div className="modal-overlay" onClick={() => {
-                    setShowNewClipModal(false);
-                    setEditingClip(null);
-                    setFormData({ title: '', content: '', contentType: 'text' });
-                }}>
+                <div className="modal-overlay" onClick={closeModal}>
                     <div className="modal clip-modal" onClick={e => e.stopPropagation()}>
                         <div className="modal-header">
                             <h3>{editingClip ? 'Edit Clip' : 'New Clip'}</h3>
-                            <button onClick={() => {
-                                setShowNewClipModal(false);
-                                setEditingClip(null);
-                                setFormData({ title: '', content: '', contentType: 'text' });
-                            }}>
+                            <button onClick={closeModal}>
                                 <X size={20} />
                             </button>
                         </div>
@@ -296,43 +610,80 @@ const Clipboard = () => {
                                 />
                             </div>
 
-                            <div className="form-group">
-                                <label>Content Type</label>
-                                <div className="type-selector">
-                                    {['text', 'code', 'link'].map(type => (
-                                        <button
-                                            key={type}
-                                            type="button"
-                                            className={formData.contentType === type ? 'active' : ''}
-                                            onClick={() => setFormData(prev => ({ ...prev, contentType: type }))}
-                                        >
-                                            {getTypeIcon(type)}
-                                            <span>{type.charAt(0).toUpperCase() + type.slice(1)}</span>
-                                        </button>
-                                    ))}
-                                </div>
-                            </div>
+                            {!editingClip?.hasAttachment && (
+                                <>
+                                    <div className="form-group">
+                                        <label>Content Type</label>
+                                        <div className="type-selector">
+                                            {TYPE_OPTIONS.map(({ value, label }) => (
+                                                <button
+                                                    key={value}
+                                                    type="button"
+                                                    className={formData.contentType === value ? 'active' : ''}
+                                                    onClick={() => setFormData(prev => ({ ...prev, contentType: value }))}
+                                                    title={value === 'auto' ? 'Detect the type and language from the content' : undefined}
+                                                >
+                                                    {getTypeIcon(value)}
+                                                    <span>{label}</span>
+                                                </button>
+                                            ))}
+                                        </div>
+                                    </div>
+
+                                    <div className="form-group">
+                                        <div className="content-label">
+                                            <label>Content</label>
+                                            {formData.contentType === 'markdown' && (
+                                                <button
+                                                    type="button"
+                                                    className="preview-toggle"
+                                                    onClick={() => setPreviewing(!previewing)}
+                                                >
+                                                    {previewing ? <Pencil size={14} /> : <Eye size={14} />}
+                                                    {previewing ? 'Write' : 'Preview'}
+                                                </button>
+                                            )}
+                                        </div>
+                                        {previewing && formData.contentType === 'markdown' ? (
+                                            <ClipPreview clip={formData} className="clip-modal-preview" />
+                                        ) : (
+                                            <textarea
+                                                value={formData.content}
+                                                onChange={(e) => setFormData(prev => ({ ...prev, content: e.target.value }))}
+                                                placeholder="Paste or type your content here..."
+                                                rows={8}
+                                                autoFocus
+                                            />
+                                        )}
+                                        <span className="character-count">
+                                            {formData.content.length} / 10,000 characters
+                                        </span>
+                                    </div>
+
+                                    {!editingClip && (
+                                        <label className="clip-vault-toggle">
+                                            <input
+                                                type="checkbox"
+                                                checked={formData.vault}
+                                                onChange={(e) => setFormData(prev => ({ ...prev, vault: e.target.checked }))}
+                                            />
+                                            <Lock size={14} />
+                                            <span>Vault: encrypt the content in this browser (title and tags are not encrypted)</span>
+                                        </label>
+                                    )}
+                                </>
+                            )}
 
                             <div className="form-group">
-                                <label>Content</label>
-                                <textarea
-                                    value={formData.content}
-                                    onChange={(e) => setFormData(prev => ({ ...prev, content: e.target.value }))}
-                                    placeholder="Paste or type your content here..."
-                                    rows={8}
-                                    autoFocus
+                                <label>Tags (optional)</label>
+                                <TagInput
+                                    value={formData.tags}
+                                    onChange={(tags) => setFormData(prev => ({ ...prev, tags }))}
                                 />
-                                <span className="character-count">
-                                    {formData.content.length} / 10,000 characters
-                                </span>
                             </div>
 
                             <div className="modal-actions">
-                                <button type="button" className="btn-secondary" onClick={() => {
-                                    setShowNewClipModal(false);
-                                    setEditingClip(null);
-                                    setFormData({ title: '', content: '', contentType: 'text' });
-                                }}>
+                                <button type="button" className="btn-secondary" onClick={closeModal}>
                                     Cancel
                                 </button>
                                 <button type="submit" className="btn-primary">
@@ -343,6 +694,26 @@ const Clipboard = () => {
                     </div>
                 </div>
             )}
+
+            {/* Revision History */}
+            {historyClip && (
+                <ClipHistory
+                    clip={historyClip}
+                    onClose={() => setHistoryClip(null)}
+                    onRestored={(updated) => {
+                        setClips(prev => prev.map(c => c._id === updated._id ? updated : c));
+                        setHistoryClip(updated);
+                    }}
+                />
+            )}
+
+            {/* Publish Modal */}
+            {publishing && (
+                <PublishModal
+                    clip={publishing === 'all' ? null : publishing}
+                    onClose={() => setPublishing(null)}
+                />
+            )}
         </div>
     );
 };
@@ -3,11 +3,13 @@
  * File management with upload, folders, and file operations
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { useDropzone } from 'react-dropzone';
 import { useAuth } from '../context/AuthContext';
-import { filesAPI, foldersAPI } from '../services/api';
+import { useVault } from '../context/VaultContext';
+import { filesAPI, foldersAPI, tagsAPI } from '../services/api';
+import { encryptFile, decryptBlob } from '../services/vault';
 import {
     Upload,
     FolderPlus,
@@ -23,16 +25,28 @@ import {
     MoreVertical,
     Grid,
     List,
-    Search,
     X,
     ChevronRight,
     Home,
     Eye,
     Edit2,
-    Loader2
+    Loader2,
+    Share2,
+    Clock,
+    CheckSquare,
+    Square,
+    Copy,
+    Tag,
+    Lock
 } from 'lucide-react';
 import toast from 'react-hot-toast';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ShareModal from '../components/ShareModal';
+import VersionHistory from '../components/VersionHistory';
+import ExpirySelect, { formatExpiryDays } from '../components/ExpirySelect';
+import FolderTree, { FILES_DRAG_TYPE, getFileDropProps } from '../components/FolderTree';
+import TagInput, { TagList } from '../components/TagInput';
+import useLiveUpdates from '../hooks/useLiveUpdates';
 import './Files.css';
 
 const Files = () => {
@@ -40,6 +54,7 @@ const Files = () => {
     const navigate = useNavigate();
     const [searchParams] = useSearchParams();
     const { refreshUser } = useAuth();
+    const { getKey } = useVault();
 
     const [files, setFiles] = useState([]);
     const [folders, setFolders] = useState([]);
@@ -47,36 +62,57 @@ const Files = () => {
     const [breadcrumbs, setBreadcrumbs] = useState([]);
     const [loading, setLoading] = useState(true);
     const [viewMode, setViewMode] = useState('grid');
-    const [searchQuery, setSearchQuery] = useState('');
     const [uploading, setUploading] = useState(false);
     const [uploadProgress, setUploadProgress] = useState(0);
+    const [replaceMode, setReplaceMode] = useState(() => localStorage.getItem('replaceUploads') === 'true');
+    const [extractMode, setExtractMode] = useState(false);
+    // Vault uploads are encrypted in the browser first
+    const [vaultMode, setVaultMode] = useState(false);
+    const folderInputRef = useRef(null);
+    const [extracting, setExtracting] = useState(false);
     const [showNewFolderModal, setShowNewFolderModal] = useState(false);
     const [newFolderName, setNewFolderName] = useState('');
     const [selectedFile, setSelectedFile] = useState(null);
     const [showFileMenu, setShowFileMenu] = useState(null);
+    const [shareFile, setShareFile] = useState(null);
+    const [expiryPolicy, setExpiryPolicy] = useState(null);
+    const [folderExpiryDays, setFolderExpiryDays] = useState(null);
+    const [uploadExpiry, setUploadExpiry] = useState(null);
+    const [selectedIds, setSelectedIds] = useState([]);
+    const [zipping, setZipping] = useState(false);
+    const [folderTree, setFolderTree] = useState([]);
+    const [bulkBusy, setBulkBusy] = useState(false);
+    const [dropFolderId, setDropFolderId] = useState(null);
+    const [collection, setCollection] = useState(null);
 
     // Fetch files and folders
     useEffect(() => {
+        setSelectedIds([]);
         fetchData();
     }, [folderId, searchParams]);
 
-    const fetchData = async () => {
+    // Quiet refreshes (live updates) keep the current list on screen
+    const fetchData = async ({ quiet = false } = {}) => {
         try {
-            setLoading(true);
+            if (!quiet) setLoading(true);
 
             const starred = searchParams.get('starred') === 'true';
-            const search = searchParams.get('search') || '';
+            const tag = searchParams.get('tag');
+            const collectionId = searchParams.get('collection');
 
-            // Fetch files
+            // Fetch files (tags and collections span all folders)
             const filesRes = await filesAPI.getFiles({
-                folderId: folderId || 'root',
-                search,
-                starred: starred ? 'true' : undefined
+                folderId: tag || collectionId ? undefined : folderId || 'root',
+                starred: starred ? 'true' : undefined,
+                tags: tag || undefined,
+                collectionId: collectionId || undefined
             });
             setFiles(filesRes.data.data.files);
+            setCollection(filesRes.data.data.collection);
+            setExpiryPolicy(filesRes.data.data.expiryPolicy);
 
-            // Fetch folders (only if not searching/filtering)
-            if (!search && !starred) {
+            // Fetch folders (only if not filtering)
+            if (!starred && !tag && !collectionId) {
                 const foldersRes = await foldersAPI.getFolders({
                     parentId: folderId || 'root'
                 });
@@ -85,23 +121,37 @@ const Files = () => {
                 setFolders([]);
             }
 
+            // Folder tree for the sidebar and "Move to"
+            const treeRes = await foldersAPI.getFolderTree();
+            setFolderTree(treeRes.data.data.folders);
+
             // Fetch folder details if in a folder
             if (folderId) {
                 const folderRes = await foldersAPI.getFolder(folderId);
                 setCurrentFolder(folderRes.data.data.folder);
                 setBreadcrumbs(folderRes.data.data.path);
+                setFolderExpiryDays(folderRes.data.data.effectiveExpiryDays);
             } else {
                 setCurrentFolder(null);
                 setBreadcrumbs([]);
+                setFolderExpiryDays(null);
             }
         } catch (error) {
+            // The open folder was deleted on another device
+            if (quiet && folderId && error.response?.status === 404) {
+                navigate('/files');
+                return;
+            }
             console.error('Error fetching data:', error);
-            toast.error('Failed to load files');
+            if (!quiet) toast.error('Failed to load files');
         } finally {
             setLoading(false);
         }
     };
 
+    // Changes from other devices and tabs
+    useLiveUpdates(['files', 'folders'], () => fetchData({ quiet: true }));
+
     // File upload handler
     const onDrop = useCallback(async (acceptedFiles) => {
         if (acceptedFiles.length === 0) return;
@@ -109,30 +159,86 @@ const Files = () => {
         setUploading(true);
         setUploadProgress(0);
 
-        const formData = new FormData();
-        acceptedFiles.forEach(file => {
-            formData.append('files', file);
-        });
-        if (folderId) {
-            formData.append('folderId', folderId);
-        }
-
         try {
-            await filesAPI.uploadFiles(formData, (progress) => {
+            let files = acceptedFiles;
+            if (vaultMode) {
+                const key = await getKey();
+                if (!key) return;
+
+                files = [];
+                for (const file of acceptedFiles) {
+                    files.push(await encryptFile(key, file));
+                }
+            }
+
+            const uploaded = await filesAPI.uploadFiles(files, folderId || null, (progress) => {
                 setUploadProgress(progress);
-            });
+            }, { replace: replaceMode, expiryDays: uploadExpiry, extract: extractMode && !vaultMode, vault: vaultMode });
 
-            toast.success(`${acceptedFiles.length} file(s) uploaded successfully`);
+            toast.success(`${uploaded.length} file(s) uploaded successfully`);
+            uploaded
+                .filter(file => file.scanStatus === 'infected')
+                .forEach(file => toast.error(`${file.originalName} was quarantined: ${file.scanResult || 'malware detected'}`));
             await fetchData();
             await refreshUser();
         } catch (error) {
-            const message = error.response?.data?.message || 'Upload failed';
+            const message = error.response?.data?.message ||
+                (error.response ? 'Upload failed' : 'Upload interrupted. Upload the same file again to resume');
             toast.error(message);
         } finally {
             setUploading(false);
             setUploadProgress(0);
         }
-    }, [folderId, refreshUser]);
+    }, [folderId, refreshUser, replaceMode, uploadExpiry, extractMode, vaultMode, getKey]);
+
+    // Upload a folder picked with the folder input (keeps its structure)
+    const handleFolderPicked = (e) => {
+        const picked = Array.from(e.target.files);
+        e.target.value = '';
+        onDrop(picked);
+    };
+
+    // Remember the upload mode between visits
+    const handleToggleReplace = (e) => {
+        setReplaceMode(e.target.checked);
+        localStorage.setItem('replaceUploads', e.target.checked);
+    };
+
+    // Set the default expiry of the current folder (null inherits again)
+    const handleFolderExpiry = async (expiryDays) => {
+        try {
+            const response = await foldersAPI.updateExpiry(currentFolder._id, expiryDays);
+            setCurrentFolder(response.data.data.folder);
+            setFolderExpiryDays(response.data.data.effectiveExpiryDays);
+            toast.success('Folder expiry updated');
+        } catch (error) {
+            toast.error(error.response?.data?.errors?.[0]?.message || 'Failed to update expiry');
+        }
+    };
+
+    // Give every file in the current folder at least the folder's expiry
+    const handleExtendFolder = async () => {
+        try {
+            const response = await foldersAPI.updateExpiry(currentFolder._id, currentFolder.expiryDays ?? null, true);
+            toast.success(`${response.data.data.extendedCount} file(s) extended`);
+            await fetchData();
+        } catch (error) {
+            toast.error('Failed to extend files');
+        }
+    };
+
+    // Change when a single file expires
+    const handleFileExpiry = async (file, expiryDays) => {
+        try {
+            const response = await filesAPI.updateExpiry(file._id, expiryDays);
+            const updated = { ...file, ...response.data.data };
+            setSelectedFile(updated);
+            setFiles(prev => prev.map(f => f._id === file._id ? updated : f));
+            toast.success('Expiry updated');
+        } catch (error) {
+            toast.error(error.response?.data?.errors?.[0]?.message || 'Failed to update expiry');
+        }
+    };
 
     const { getRootProps, getInputProps, isDragActive, open } = useDropzone({
         onDrop,
@@ -163,24 +269,176 @@ const Files = () => {
         }
     };
 
+    // Save a downloaded blob under the given name
+    const saveBlob = (data, filename) => {
+        const url = window.URL.createObjectURL(new Blob([data]));
+        const link = document.createElement('a');
+        link.href = url;
+        link.setAttribute('download', filename);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        window.URL.revokeObjectURL(url);
+    };
+
     // Download file
     const handleDownload = async (file) => {
+        if (file.scanStatus === 'infected') {
+            toast.error('This file failed a virus scan and cannot be downloaded');
+            return;
+        }
+        if (file.scanStatus === 'pending') {
+            toast.error('This file is still being scanned. Try again shortly');
+            return;
+        }
+
+        // Vault files are decrypted here before they are saved
+        const key = file.vault && await getKey();
+        if (file.vault && !key) return;
+
         try {
             const response = await filesAPI.downloadFile(file._id);
-            const url = window.URL.createObjectURL(new Blob([response.data]));
-            const link = document.createElement('a');
-            link.href = url;
-            link.setAttribute('download', file.originalName);
-            document.body.appendChild(link);
-            link.click();
-            link.remove();
-            window.URL.revokeObjectURL(url);
+            const blob = key ? await decryptBlob(key, response.data, file.mimeType) : response.data;
+            saveBlob(blob, file.originalName);
             toast.success('Download started');
         } catch (error) {
-            toast.error('Download failed');
+            toast.error(error.response || !key ? 'Download failed' : 'This file could not be decrypted with your vault key');
+        }
+    };
+
+    // Read the error message out of a failed blob request
+    const getBlobError = async (error, fallback) => {
+        try {
+            return JSON.parse(await error.response.data.text()).message || fallback;
+        } catch {
+            return fallback;
+        }
+    };
+
+    // Unpack a ZIP file into a new folder next to it
+    const handleExtract = async (file) => {
+        setExtracting(true);
+        try {
+            const response = await filesAPI.extractFile(file._id);
+            const { folder, files: extractedFiles, skipped } = response.data.data;
+            toast.success(`Extracted ${extractedFiles.length} file(s) into "${folder.name}"`);
+            if (skipped.length > 0) {
+                toast.error(`${skipped.length} item(s) skipped: ${skipped.map(item => item.path).slice(0, 3).join(', ')}`);
+            }
+            setSelectedFile(null);
+            await fetchData();
+            await refreshUser();
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Extraction failed');
+        } finally {
+            setExtracting(false);
+        }
+    };
+
+    // Download folder as ZIP
+    const handleDownloadFolder = async (folder) => {
+        setZipping(true);
+        try {
+            const response = await foldersAPI.downloadFolder(folder._id);
+            saveBlob(response.data, `${folder.name}.zip`);
+        } catch (error) {
+            toast.error(await getBlobError(error, 'Download failed'));
+        } finally {
+            setZipping(false);
+        }
+    };
+
+    // Download selected files as ZIP
+    const handleDownloadSelected = async () => {
+        setZipping(true);
+        try {
+            const response = await filesAPI.downloadSelected(selectedIds);
+            saveBlob(response.data, `campus-share-${new Date().toISOString().slice(0, 10)}.zip`);
+            setSelectedIds([]);
+        } catch (error) {
+            toast.error(await getBlobError(error, 'Download failed'));
+        } finally {
+            setZipping(false);
         }
     };
 
+    // Toggle a file in the selection
+    const toggleSelected = (file) => {
+        setSelectedIds(prev => prev.includes(file._id)
+            ? prev.filter(id => id !== file._id)
+            : [...prev, file._id]);
+    };
+
+    // Run a bulk action on the selection (or on the given files)
+    const handleBulk = async (action, options = {}, fileIds = selectedIds) => {
+        setBulkBusy(true);
+        try {
+            const response = await filesAPI.bulk(action, fileIds, options);
+            toast.success(response.data.message);
+            const { skipped } = response.data.data;
+            if (skipped?.length > 0) {
+                toast.error(`${skipped.length} file(s) skipped: ${skipped.map(item => item.name).slice(0, 3).join(', ')}`);
+            }
+            setSelectedIds([]);
+            await fetchData();
+            if (action === 'copy') await refreshUser();
+        } catch (error) {
+            toast.error(error.response?.data?.message || error.response?.data?.errors?.[0]?.message || 'Action failed');
+        } finally {
+            setBulkBusy(false);
+        }
+    };
+
+    // Files dropped on a folder: move, or copy with Ctrl/Alt held
+    const handleDropFiles = (targetId, fileIds, copy) => {
+        if (!copy && targetId === (folderId || 'root')) return;
+        handleBulk(copy ? 'copy' : 'move', { folderId: targetId }, fileIds);
+    };
+
+    // Start dragging a file (the whole selection if it is selected)
+    const handleDragStart = (e, file) => {
+        const fileIds = selectedIds.includes(file._id) ? selectedIds : [file._id];
+        e.dataTransfer.setData(FILES_DRAG_TYPE, JSON.stringify(fileIds));
+        e.dataTransfer.effectAllowed = 'copyMove';
+    };
+
+    // Trash the selection
+    const handleDeleteSelected = () => {
+        if (!window.confirm(`Move ${selectedIds.length} file(s) to trash?`)) return;
+        handleBulk('delete');
+    };
+
+    // Star the selection, or unstar it if every selected file is starred
+    const handleStarSelected = () => {
+        const allStarred = files.filter(f => selectedIds.includes(f._id)).every(f => f.isStarred);
+        handleBulk('star', { isStarred: !allStarred });
+    };
+
+    // Copy a folder with everything in it, next to the original
+    const handleCopyFolder = async (folder) => {
+        setBulkBusy(true);
+        try {
+            const response = await foldersAPI.copyFolder(folder._id);
+            const { folder: copy, files: copiedFiles, skipped } = response.data.data;
+            toast.success(`Copied to "${copy.name}" (${copiedFiles.length} file(s))`);
+            if (skipped.length > 0) {
+                toast.error(`${skipped.length} file(s) skipped: ${skipped.map(item => item.name).slice(0, 3).join(', ')}`);
+            }
+            await fetchData();
+            await refreshUser();
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to copy folder');
+        } finally {
+            setBulkBusy(false);
+        }
+    };
+
+    // Folder tree as indented options for "Move to"
+    const flattenTree = (nodes, depth = 0) => nodes.flatMap(node => [
+        { _id: node._id, label: `${'\u00a0\u00a0'.repeat(depth)}${node.name}` },
+        ...flattenTree(node.children, depth + 1)
+    ]);
+
     // Toggle star
     const handleToggleStar = async (file) => {
         try {
@@ -193,27 +451,69 @@ const Files = () => {
         }
     };
 
-    // Delete file
+    // Replace a file's tags
+    const handleFileTags = async (file, tags) => {
+        try {
+            const response = await filesAPI.updateFile(file._id, { tags });
+            const updated = { ...file, tags: response.data.data.file.tags };
+            setSelectedFile(updated);
+            setFiles(prev => prev.map(f => f._id === file._id ? updated : f));
+        } catch (error) {
+            toast.error(error.response?.data?.errors?.[0]?.message || 'Failed to update tags');
+        }
+    };
+
+    const openTag = (tag) => navigate(`/files?tag=${encodeURIComponent(tag)}`);
+
+    // Rename the tag being viewed (renaming to an existing tag merges them)
+    const handleRenameTag = async () => {
+        const tag = searchParams.get('tag');
+        const name = window.prompt(`Rename #${tag} to:`, tag);
+        if (!name || name === tag) return;
+
+        try {
+            const response = await tagsAPI.renameTag(tag, name);
+            toast.success(response.data.message);
+            openTag(response.data.data.tag);
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to rename tag');
+        }
+    };
+
+    // Remove the tag being viewed from everything
+    const handleDeleteTag = async () => {
+        const tag = searchParams.get('tag');
+        if (!window.confirm(`Remove #${tag} from all files and clips?`)) return;
+
+        try {
+            await tagsAPI.deleteTag(tag);
+            toast.success('Tag removed');
+            navigate('/files');
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to remove tag');
+        }
+    };
+
+    // Move file to trash
     const handleDeleteFile = async (file) => {
-        if (!window.confirm(`Delete "${file.originalName}"?`)) return;
+        if (!window.confirm(`Move "${file.originalName}" to trash?`)) return;
 
         try {
             await filesAPI.deleteFile(file._id);
-            toast.success('File deleted');
+            toast.success('File moved to trash');
             await fetchData();
-            await refreshUser();
         } catch (error) {
             toast.error('Failed to delete');
         }
     };
 
-    // Delete folder
+    // Move folder to trash
     const handleDeleteFolder = async (folder) => {
-        if (!window.confirm(`Delete folder "${folder.name}" and all its contents?`)) return;
+        if (!window.confirm(`Move folder "${folder.name}" and all its contents to trash?`)) return;
 
         try {
             await foldersAPI.deleteFolder(folder._id);
-            toast.success('Folder deleted');
+            toast.success('Folder moved to trash');
             await fetchData();
         } catch (error) {
             toast.error('Failed to delete folder');
@@ -252,13 +552,21 @@ const Files = () => {
     return (
         <div className="files-page" {...getRootProps()}>
             <input {...getInputProps()} />
+            <input
+                ref={folderInputRef}
+                type="file"
+                webkitdirectory=""
+                multiple
+                hidden
+                onChange={handleFolderPicked}
+            />
 
             {/* Drag overlay */}
             {isDragActive && (
                 <div className="drag-overlay">
                     <div className="drag-content">
                         <Upload size={48} />
-                        <h3>Drop files to upload</h3>
+                        <h3>Drop files or folders to upload</h3>
                         <p>Files will be uploaded to {currentFolder?.name || 'root'}</p>
                     </div>
                 </div>
@@ -283,7 +591,11 @@ const Files = () => {
             {/* Header */}
             <div className="files-header">
                 <div className="header-left">
-                    <h1>{searchParams.get('starred') ? 'Starred Files' : 'My Files'}</h1>
+                    <h1>
+                        {collection ? collection.name
+                            : searchParams.get('tag') ? `#${searchParams.get('tag')}`
+                                : searchParams.get('starred') ? 'Starred Files' : 'My Files'}
+                    </h1>
 
                     {/* Breadcrumbs */}
                     <div className="breadcrumbs">
@@ -306,25 +618,18 @@ const Files = () => {
                 </div>
 
                 <div className="header-actions">
-                    <div className="search-box">
-                        <Search size={18} />
-                        <input
-                            type="text"
-                            placeholder="Search files..."
-                            value={searchQuery}
-                            onChange={(e) => setSearchQuery(e.target.value)}
-                            onKeyDown={(e) => {
-                                if (e.key === 'Enter') {
-                                    navigate(`/files?search=${encodeURIComponent(searchQuery)}`);
-                                }
-                            }}
-                        />
-                        {searchQuery && (
-                            <button onClick={() => setSearchQuery('')} className="clear-search">
-                                <X size={16} />
+                    {searchParams.get('tag') && (
+                        <>
+                            <button className="btn-ghost" onClick={handleRenameTag}>
+                                <Edit2 size={16} />
+                                Rename tag
                             </button>
-                        )}
-                    </div>
+                            <button className="btn-ghost" onClick={handleDeleteTag}>
+                                <Trash2 size={16} />
+                                Remove tag
+                            </button>
+                        </>
+                    )}
 
                     <div className="view-toggle">
                         <button
@@ -345,6 +650,41 @@ const Files = () => {
                         <FolderPlus size={18} />
                         New Folder
                     </button>
+                    <label
+                        className="replace-toggle"
+                        title="Uploading a file with the same name adds a new version instead of a copy"
+                    >
+                        <input type="checkbox" checked={replaceMode} onChange={handleToggleReplace} />
+                        Keep versions
+                    </label>
+                    <label
+                        className="replace-toggle"
+                        title="Uploaded ZIP archives are unpacked into a new folder"
+                    >
+                        <input type="checkbox" checked={extractMode} onChange={(e) => setExtractMode(e.target.checked)} />
+                        Extract ZIPs
+                    </label>
+                    <label
+                        className="replace-toggle"
+                        title="Uploads are encrypted in this browser with your vault key, the server only stores ciphertext"
+                    >
+                        <input type="checkbox" checked={vaultMode} onChange={(e) => setVaultMode(e.target.checked)} />
+                        <Lock size={14} />
+                        Vault
+                    </label>
+                    {expiryPolicy && (
+                        <ExpirySelect
+                            value={uploadExpiry}
+                            onChange={setUploadExpiry}
+                            policy={expiryPolicy}
+                            defaultLabel={`Expires: ${formatExpiryDays(folderExpiryDays ?? expiryPolicy.defaultDays)}`}
+                            title="When uploaded files expire"
+                        />
+                    )}
+                    <button className="btn-secondary" onClick={() => folderInputRef.current?.click()}>
+                        <FolderOpen size={18} />
+                        Upload folder
+                    </button>
                     <button className="btn-primary" onClick={open}>
                         <Upload size={18} />
                         Upload
@@ -352,124 +692,264 @@ const Files = () => {
                 </div>
             </div>
 
-            {/* Content */}
-            <div className={`files-content ${viewMode}`}>
-                {/* Folders */}
-                {folders.length > 0 && (
-                    <div className="section">
-                        <h3 className="section-title">Folders</h3>
-                        <div className={`items-${viewMode}`}>
-                            {folders.map(folder => (
-                                <div
-                                    key={folder._id}
-                                    className="folder-item"
-                                    onClick={() => navigate(`/files/${folder._id}`)}
-                                >
-                                    <div className="folder-icon" style={{ color: folder.color }}>
-                                        <FolderOpen size={viewMode === 'grid' ? 40 : 24} />
-                                    </div>
-                                    <div className="folder-info">
-                                        <span className="folder-name">{folder.name}</span>
-                                        <span className="folder-meta">
-                                            {folder.fileCount} files • {folder.subfolderCount} folders
-                                        </span>
-                                    </div>
-                                    <button
-                                        className="item-menu-btn"
-                                        onClick={(e) => {
-                                            e.stopPropagation();
-                                            handleDeleteFolder(folder);
-                                        }}
+            {/* Folder expiry */}
+            {currentFolder && expiryPolicy && (
+                <div className="folder-expiry">
+                    <Clock size={16} />
+                    <span>New files in this folder expire after</span>
+                    <ExpirySelect
+                        value={currentFolder.expiryDays}
+                        onChange={handleFolderExpiry}
+                        policy={expiryPolicy}
+                        defaultLabel={`Inherited (${formatExpiryDays(folderExpiryDays)})`}
+                    />
+                    <button className="btn-ghost" onClick={handleExtendFolder} title="Files expiring sooner get this expiry from today">
+                        Extend all files
+                    </button>
+                </div>
+            )}
+
+            {/* Selection */}
+            {selectedIds.length > 0 && (
+                <div className="selection-bar">
+                    <span>{selectedIds.length} selected</span>
+                    <button className="btn-ghost" onClick={() => setSelectedIds(files.map(f => f._id))}>
+                        Select all
+                    </button>
+                    <button className="btn-ghost" onClick={() => setSelectedIds([])}>
+                        Clear
+                    </button>
+                    <select
+                        className="expiry-select"
+                        value=""
+                        disabled={bulkBusy}
+                        onChange={(e) => handleBulk('move', { folderId: e.target.value })}
+                    >
+                        <option value="" disabled>Move to…</option>
+                        <option value="root">My Files</option>
+                        {flattenTree(folderTree).map(option => (
+                            <option key={option._id} value={option._id}>{option.label}</option>
+                        ))}
+                    </select>
+                    {expiryPolicy && (
+                        <ExpirySelect
+                            value={null}
+                            onChange={(days) => handleBulk('extend', { expiryDays: days })}
+                            policy={expiryPolicy}
+                            placeholder="Extend expiry"
+                            disabled={bulkBusy}
+                        />
+                    )}
+                    <button className="btn-ghost" onClick={() => handleBulk('copy', { folderId: folderId || 'root' })} disabled={bulkBusy}>
+                        <Copy size={16} />
+                        Duplicate
+                    </button>
+                    <button className="btn-ghost" onClick={handleStarSelected} disabled={bulkBusy}>
+                        <Star size={16} />
+                        Star
+                    </button>
+                    <button className="btn-ghost" onClick={handleDeleteSelected} disabled={bulkBusy}>
+                        <Trash2 size={16} />
+                        Delete
+                    </button>
+                    <button className="btn-primary" onClick={handleDownloadSelected} disabled={zipping}>
+                        {zipping ? <Loader2 size={18} className="animate-spin" /> : <Download size={18} />}
+                        Download selected
+                    </button>
+                </div>
+            )}
+
+            <div className="files-body">
+                <FolderTree
+                    folders={folderTree}
+                    currentId={folderId || null}
+                    onOpen={(id) => navigate(id ? `/files/${id}` : '/files')}
+                    onDropFiles={handleDropFiles}
+                />
+
+                {/* Content */}
+                <div className={`files-content ${viewMode}`}>
+                    {/* Folders */}
+                    {folders.length > 0 && (
+                        <div className="section">
+                            <h3 className="section-title">Folders</h3>
+                            <div className={`items-${viewMode}`}>
+                                {folders.map(folder => (
+                                    <div
+                                        key={folder._id}
+                                        className={`folder-item ${dropFolderId === folder._id ? 'drop-over' : ''}`}
+                                        onClick={() => navigate(`/files/${folder._id}`)}
+                                        {...getFileDropProps(folder._id, handleDropFiles, setDropFolderId)}
                                     >
-                                        <Trash2 size={16} />
-                                    </button>
-                                </div>
-                            ))}
-                        </div>
-                    </div>
-                )}
-
-                {/* Files */}
-                {files.length > 0 && (
-                    <div className="section">
-                        <h3 className="section-title">Files</h3>
-                        <div className={`items-${viewMode}`}>
-                            {files.map(file => (
-                                <div
-                                    key={file._id}
-                                    className="file-item"
-                                    onClick={() => setSelectedFile(file)}
-                                >
-                                    <div className="file-icon">
-                                        {file.mimeType?.startsWith('image/') ? (
-                                            <img
-                                                src={filesAPI.previewFile(file._id)}
-                                                alt={file.originalName}
-                                                className="file-thumbnail"
-                                            />
-                                        ) : (
-                                            getFileIcon(file.mimeType)
-                                        )}
+                                        <div className="folder-icon" style={{ color: folder.color }}>
+                                            <FolderOpen size={viewMode === 'grid' ? 40 : 24} />
+                                        </div>
+                                        <div className="folder-info">
+                                            <span className="folder-name">{folder.name}</span>
+                                            <span className="folder-meta">
+                                                {folder.fileCount} files • {folder.subfolderCount} folders
+                                            </span>
+                                        </div>
+                                        <div className="folder-actions">
+                                            <button
+                                                className="download-btn"
+                                                title="Make a copy"
+                                                disabled={bulkBusy}
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    handleCopyFolder(folder);
+                                                }}
+                                            >
+                                                <Copy size={16} />
+                                            </button>
+                                            <button
+                                                className="download-btn"
+                                                title="Download as ZIP"
+                                                disabled={zipping}
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    handleDownloadFolder(folder);
+                                                }}
+                                            >
+                                                <Download size={16} />
+                                            </button>
+                                            <button
+                                                className="item-menu-btn"
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    handleDeleteFolder(folder);
+                                                }}
+                                            >
+                                                <Trash2 size={16} />
+                                            </button>
+                                        </div>
                                     </div>
-                                    <div className="file-info">
-                                        <span className="file-name">{file.originalName}</span>
-                                        <span className="file-meta">
-                                            {formatBytes(file.fileSize)} • {formatDate(file.createdAt)}
-                                        </span>
-                                    </div>
-                                    <div className="file-actions">
-                                        <button
-                                            className={`star-btn ${file.isStarred ? 'starred' : ''}`}
-                                            onClick={(e) => {
-                                                e.stopPropagation();
-                                                handleToggleStar(file);
-                                            }}
-                                        >
-                                            <Star size={16} fill={file.isStarred ? 'currentColor' : 'none'} />
-                                        </button>
-                                        <button
-                                            className="download-btn"
-                                            onClick={(e) => {
-                                                e.stopPropagation();
-                                                handleDownload(file);
-                                            }}
-                                        >
-                                            <Download size={16} />
-                                        </button>
+                                ))}
+                            </div>
+                        </div>
+                    )}
+
+                    {/* Files */}
+                    {files.length > 0 && (
+                        <div className="section">
+                            <h3 className="section-title">Files</h3>
+                            <div className={`items-${viewMode}`}>
+                                {files.map(file => (
+                                    <div
+                                        key={file._id}
+                                        className={`file-item ${selectedIds.includes(file._id) ? 'selected' : ''}`}
+                                        onClick={() => setSelectedFile(file)}
+                                        draggable
+                                        onDragStart={(e) => handleDragStart(e, file)}
+                                    >
                                         <button
-                                            className="delete-btn"
+                                            className="select-btn"
                                             onClick={(e) => {
                                                 e.stopPropagation();
-                                                handleDeleteFile(file);
+                                                toggleSelected(file);
                                             }}
                                         >
-                                            <Trash2 size={16} />
+                                            {selectedIds.includes(file._id) ? <CheckSquare size={18} /> : <Square size={18} />}
                                         </button>
+                                        <div className="file-icon">
+                                            {file.thumbnailStatus === 'ready' && file.scanStatus === 'clean' ? (
+                                                <img
+                                                    src={filesAPI.thumbnailUrl(file._id)}
+                                                    alt={file.originalName}
+                                                    className="file-thumbnail"
+                                                    loading="lazy"
+                                                />
+                                            ) : file.canPreview && file.thumbnailStatus === 'unsupported' && file.mimeType?.startsWith('image/') ? (
+                                                <img
+                                                    src={filesAPI.previewFile(file._id)}
+                                                    alt={file.originalName}
+                                                    className="file-thumbnail"
+                                                    loading="lazy"
+                                                />
+                                            ) : (
+                                                getFileIcon(file.mimeType)
+                                            )}
+                                        </div>
+                                        <div className="file-info">
+                                            <span className="file-name">{file.originalName}</span>
+                                            <span className="file-meta">
+                                                {formatBytes(file.plainSize ?? file.fileSize)} • {formatDate(file.createdAt)}
+                                            </span>
+                                            {file.vault && (
+                                                <span className="vault-badge"><Lock size={12} /> Vault</span>
+                                            )}
+                                            {file.scanStatus && file.scanStatus !== 'clean' && (
+                                                <span className={`scan-badge ${file.scanStatus}`}>
+                                                    {file.scanStatus === 'infected' ? 'Quarantined' : 'Scanning…'}
+                                                </span>
+                                            )}
+                                            <TagList tags={file.tags} onClick={openTag} />
+                                        </div>
+                                        <div className="file-actions">
+                                            <button
+                                                className={`star-btn ${file.isStarred ? 'starred' : ''}`}
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    handleToggleStar(file);
+                                                }}
+                                            >
+                                                <Star size={16} fill={file.isStarred ? 'currentColor' : 'none'} />
+                                            </button>
+                                            {!file.vault && (
+                                                <button
+                                                    className="share-btn"
+                                                    onClick={(e) => {
+                                                        e.stopPropagation();
+                                                        setShareFile(file);
+                                                    }}
+                                                >
+                                                    <Share2 size={16} />
+                                                </button>
+                                            )}
+                                            <button
+                                                className="download-btn"
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    handleDownload(file);
+                                                }}
+                                            >
+                                                <Download size={16} />
+                                            </button>
+                                            <button
+                                                className="delete-btn"
+                                                onClick={(e) => {
+                                                    e.stopPropagation();
+                                                    handleDeleteFile(file);
+                                                }}
+                                            >
+                                                <Trash2 size={16} />
+                                            </button>
+                                        </div>
                                     </div>
-                                </div>
-                            ))}
+                                ))}
+                            </div>
                         </div>
-                    </div>
-                )}
-
-                {/* Empty state */}
-                {folders.length === 0 && files.length === 0 && (
-                    <div className="empty-state">
-                        <Upload size={64} />
-                        <h3>No files yet</h3>
-                        <p>Upload files or create a folder to get started</p>
-                        <div className="empty-actions">
-                            <button className="btn-primary" onClick={open}>
-                                <Upload size={18} />
-                                Upload Files
-                            </button>
-                            <button className="btn-secondary" onClick={() => setShowNewFolderModal(true)}>
-                                <FolderPlus size={18} />
-                                New Folder
-                            </button>
+                    )}
+
+                    {/* Empty state */}
+                    {folders.length === 0 && files.length === 0 && (
+                        <div className="empty-state">
+                            <Upload size={64} />
+                            <h3>{collection || searchParams.get('tag') ? 'No matching files' : 'No files yet'}</h3>
+                            <p>Upload files or create a folder to get started</p>
+                            <div className="empty-actions">
+                                <button className="btn-primary" onClick={open}>
+                                    <Upload size={18} />
+                                    Upload Files
+                                </button>
+                                <button className="btn-secondary" onClick={() => setShowNewFolderModal(true)}>
+                                    <FolderPlus size={18} />
+                                    New Folder
+                                </button>
+                            </div>
                         </div>
-                    </div>
-                )}
+                    )}
+                </div>
             </div>
 
             {/* New Folder Modal */}
@@ -517,7 +997,17 @@ const Files = () => {
                             </button>
                         </div>
                         <div className="preview-content">
-                            {selectedFile.mimeType?.startsWith('image/') ? (
+                            {selectedFile.vault ? (
+                                <div className="no-preview">
+                                    <Lock size={48} />
+                                    <p>Encrypted in your vault. Download to decrypt it</p>
+                                </div>
+                            ) : !selectedFile.canPreview ? (
+                                <div className="no-preview">
+                                    {getFileIcon(selectedFile.mimeType)}
+                                    <p>Preview not available</p>
+                                </div>
+                            ) : selectedFile.mimeType?.startsWith('image/') ? (
                                 <img
                                     src={filesAPI.previewFile(selectedFile._id)}
                                     alt={selectedFile.originalName}
@@ -540,22 +1030,71 @@ const Files = () => {
                         <div className="preview-info">
                             <div className="info-row">
                                 <span>Size:</span>
-                                <span>{formatBytes(selectedFile.fileSize)}</span>
+                                <span>{formatBytes(selectedFile.plainSize ?? selectedFile.fileSize)}</span>
                             </div>
                             <div className="info-row">
                                 <span>Uploaded:</span>
-                                <span>{formatDate(selectedFile.createdAt)}</span>
+                                <span>{formatDate(selectedFile.uploadedAt || selectedFile.createdAt)}</span>
                             </div>
+                            {selectedFile.version > 1 && (
+                                <div className="info-row">
+                                    <span>Version:</span>
+                                    <span>{selectedFile.version}</span>
+                                </div>
+                            )}
                             <div className="info-row">
                                 <span>Expires:</span>
-                                <span>{selectedFile.expiresIn}</span>
+                                <span className="expiry-value">
+                                    {selectedFile.expiresIn}
+                                    {expiryPolicy && (
+                                        <ExpirySelect
+                                            value={null}
+                                            onChange={(days) => handleFileExpiry(selectedFile, days)}
+                                            policy={expiryPolicy}
+                                            placeholder="Change"
+                                        />
+                                    )}
+                                </span>
                             </div>
                             <div className="info-row">
                                 <span>Downloads:</span>
                                 <span>{selectedFile.downloads}</span>
                             </div>
+                            <div className="info-row tags-row">
+                                <span><Tag size={14} /> Tags:</span>
+                                <TagInput
+                                    value={selectedFile.tags || []}
+                                    onChange={(tags) => handleFileTags(selectedFile, tags)}
+                                />
+                            </div>
                         </div>
+                        {selectedFile.version > 1 && (
+                            <VersionHistory
+                                file={selectedFile}
+                                onRestored={(file) => {
+                                    setSelectedFile(file);
+                                    fetchData();
+                                }}
+                                onDeleted={refreshUser}
+                            />
+                        )}
                         <div className="modal-actions">
+                            {(selectedFile.detectedType || selectedFile.mimeType) === 'application/zip' && (
+                                <button
+                                    className="btn-secondary"
+                                    onClick={() => handleExtract(selectedFile)}
+                                    disabled={extracting || selectedFile.scanStatus !== 'clean'}
+                                >
+                                    {extracting ? <Loader2 size={18} className="animate-spin" /> : <Archive size={18} />}
+                                    Extract
+                                </button>
+                            )}
+                            {!selectedFile.vault && (
+                                <button className="btn-secondary" onClick={() => setShareFile(selectedFile)}>
+                                    <Share2 size={18} />
+                                    Share
+                                </button>
+                            )}
                             <button className="btn-primary" onClick={() => handleDownload(selectedFile)}>
                                 <Download size={18} />
                                 Download
@@ -564,6 +1103,11 @@ const Files = () => {
                     </div>
                 </div>
             )}
+
+            {/* Share Modal */}
+            {shareFile && (
+                <ShareModal file={shareFile} onClose={() => setShareFile(null)} />
+            )}
         </div>
     );
 };
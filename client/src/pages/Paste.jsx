@@ -0,0 +1,187 @@
+/**
+ * Paste Page Component
+ * Public read-only view of a published clip
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { pasteAPI } from '../services/api';
+import { renderClip } from '../services/highlight';
+import { ArrowLeft, AlertCircle, Copy, Check, Download, FileText, Flame, Eye, Loader2 } from 'lucide-react';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../components/LoadingSpinner';
+import 'highlight.js/styles/github-dark.css';
+import './Paste.css';
+
+const Paste = () => {
+    const { slug } = useParams();
+
+    const [paste, setPaste] = useState(null);
+    const [html, setHtml] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [opening, setOpening] = useState(false);
+    const [raw, setRaw] = useState(false);
+    const [copied, setCopied] = useState(false);
+
+    useEffect(() => {
+        fetchInfo();
+    }, [slug]);
+
+    const fetchInfo = async () => {
+        try {
+            const response = await pasteAPI.getInfo(slug);
+
+            // Burn-after-reading pastes wait for a click, so link previews don't burn them
+            if (!response.data.data.burnAfterReading) {
+                await openPaste();
+            }
+        } catch (err) {
+            setError(err.response?.data?.message || 'This paste is not available');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const openPaste = async () => {
+        setOpening(true);
+
+        try {
+            const response = await pasteAPI.getPaste(slug);
+            const { paste } = response.data.data;
+            setPaste(paste);
+            setHtml(await renderClip(paste));
+        } catch (err) {
+            setError(err.response?.data?.message || 'This paste is not available');
+        } finally {
+            setOpening(false);
+        }
+    };
+
+    const handleCopy = async () => {
+        try {
+            await navigator.clipboard.writeText(paste.content);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+            toast.success('Copied to clipboard');
+        } catch (err) {
+            toast.error('Failed to copy');
+        }
+    };
+
+    // Saved from the page, burned pastes can't be fetched again
+    const handleDownload = () => {
+        const extension = paste.contentType === 'json' ? 'json' : paste.contentType === 'markdown' ? 'md' : 'txt';
+        const url = window.URL.createObjectURL(new Blob([paste.content], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.setAttribute('download', `${paste.title}.${extension}`);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        window.URL.revokeObjectURL(url);
+    };
+
+    if (loading) {
+        return <LoadingSpinner fullScreen text="Loading paste..." />;
+    }
+
+    const renderContent = () => {
+        if (raw) return paste.content;
+        if (html !== null) return <code className="hljs" dangerouslySetInnerHTML={{ __html: html }} />;
+        if (paste.contentType === 'link' && /^https?:\/\//i.test(paste.content.trim())) {
+            return (
+                <a href={paste.content.trim()} target="_blank" rel="noopener noreferrer nofollow">
+                    {paste.content.trim()}
+                </a>
+            );
+        }
+        return paste.content;
+    };
+
+    return (
+        <div className="paste-page">
+            <Link to="/" className="paste-back">
+                <ArrowLeft size={18} />
+                Campus Share
+            </Link>
+
+            {error ? (
+                <div className="paste-message">
+                    <AlertCircle size={48} />
+                    <h1>Paste unavailable</h1>
+                    <p>{error}</p>
+                </div>
+            ) : !paste ? (
+                <div className="paste-message">
+                    <Flame size={48} />
+                    <h1>Burn after reading</h1>
+                    <p>This paste can be viewed once. It is deleted as soon as you open it.</p>
+                    <button className="btn-primary" onClick={openPaste} disabled={opening}>
+                        {opening ? <Loader2 size={18} className="animate-spin" /> : <Eye size={18} />}
+                        View paste
+                    </button>
+                </div>
+            ) : (
+                <div className="paste-view">
+                    <div className="paste-header">
+                        <div className="paste-title">
+                            <h1>{paste.title}</h1>
+                            <span className="paste-meta">
+                                {paste.language || paste.contentType}
+                                {' • '}
+                                {paste.content.length.toLocaleString()} characters
+                                {!paste.burnAfterReading && paste.expiresAt &&
+                                    ` • Expires ${new Date(paste.expiresAt).toLocaleString()}`}
+                            </span>
+                        </div>
+
+                        <div className="paste-actions">
+                            <button
+                                className={`btn-secondary ${raw ? 'active' : ''}`}
+                                onClick={() => setRaw(!raw)}
+                                title={raw ? 'Show formatted' : 'Show raw text'}
+                            >
+                                <FileText size={16} />
+                                {raw ? 'Formatted' : 'Raw'}
+                            </button>
+                            {!paste.burnAfterReading && (
+                                <a
+                                    className="btn-secondary"
+                                    href={pasteAPI.getRawUrl(slug)}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                >
+                                    Open raw
+                                </a>
+                            )}
+                            <button className="btn-secondary" onClick={handleCopy}>
+                                {copied ? <Check size={16} /> : <Copy size={16} />}
+                                Copy
+                            </button>
+                            <button className="btn-secondary" onClick={handleDownload}>
+                                <Download size={16} />
+                                Download
+                            </button>
+                        </div>
+                    </div>
+
+                    {paste.burnAfterReading && (
+                        <div className="paste-notice">
+                            <Flame size={16} />
+                            This paste has been deleted. Copy or download it before leaving the page.
+                        </div>
+                    )}
+
+                    {paste.contentType === 'markdown' && !raw && html !== null ? (
+                        <div className="paste-content markdown-body" dangerouslySetInnerHTML={{ __html: html }} />
+                    ) : (
+                        <pre className={`paste-content ${raw ? 'raw' : ''}`}>{renderContent()}</pre>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Paste;
@@ -0,0 +1,79 @@
+/**
+ * Reminder Action Page Component
+ * Landing page for the extend and unsubscribe links in expiry reminder emails
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { reminderAPI } from '../services/api';
+import { ArrowLeft, CheckCircle, AlertCircle, BellOff } from 'lucide-react';
+import LoadingSpinner from '../components/LoadingSpinner';
+import './Auth.css';
+
+const ReminderAction = ({ action }) => {
+    const { token } = useParams();
+
+    const [result, setResult] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        runAction();
+    }, [token, action]);
+
+    const runAction = async () => {
+        try {
+            const response = action === 'unsubscribe'
+                ? await reminderAPI.unsubscribe(token)
+                : await reminderAPI.extend(token);
+            setResult(response.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'This link is not available');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    if (loading) {
+        return <LoadingSpinner fullScreen text={action === 'unsubscribe' ? 'Updating settings...' : 'Extending...'} />;
+    }
+
+    return (
+        <div className="auth-page">
+            <div className="auth-container">
+                <Link to="/" className="back-link">
+                    <ArrowLeft size={18} />
+                    Campus Share
+                </Link>
+
+                <div className="auth-card">
+                    {error ? (
+                        <div className="auth-header">
+                            <div className="auth-logo"><AlertCircle size={48} /></div>
+                            <h1>Link unavailable</h1>
+                            <p>{error}</p>
+                        </div>
+                    ) : action === 'unsubscribe' ? (
+                        <div className="auth-header">
+                            <div className="auth-logo"><BellOff size={48} /></div>
+                            <h1>Reminders turned off</h1>
+                            <p>You won't get emails about expiring items. You can turn them back on from the sidebar.</p>
+                        </div>
+                    ) : (
+                        <div className="auth-header">
+                            <div className="auth-logo"><CheckCircle size={48} /></div>
+                            <h1>{result.data.name}</h1>
+                            <p>
+                                {result.data.expiresAt
+                                    ? `Now expires ${new Date(result.data.expiresAt).toLocaleString()}`
+                                    : 'Kept forever'}
+                            </p>
+                        </div>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReminderAction;
@@ -0,0 +1,227 @@
+/**
+ * Search Page Component
+ * Ranked results across file names and contents, folders and clips
+ */
+
+import { useState, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import { searchAPI, foldersAPI } from '../services/api';
+import {
+    Search as SearchIcon,
+    FileText,
+    Folder,
+    ClipboardList
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../components/LoadingSpinner';
+import './Search.css';
+
+// Filters kept in the URL next to the query
+const FILTERS = ['type', 'folderId', 'from', 'to'];
+
+/**
+ * Render text with its matched ranges marked
+ * @param {Object} highlight - { text, matches: [[start, end]] } from the server
+ */
+const Highlighted = ({ highlight }) => {
+    const parts = [];
+    let last = 0;
+
+    highlight.matches.forEach(([start, end]) => {
+        if (start < last) return;
+        if (start > last) parts.push(highlight.text.slice(last, start));
+        parts.push(<mark key={start}>{highlight.text.slice(start, end)}</mark>);
+        last = end;
+    });
+    parts.push(highlight.text.slice(last));
+
+    return <>{parts}</>;
+};
+
+const Search = () => {
+    const navigate = useNavigate();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const [results, setResults] = useState([]);
+    const [counts, setCounts] = useState({ file: 0, folder: 0, clip: 0 });
+    const [folderTree, setFolderTree] = useState([]);
+    const [loading, setLoading] = useState(false);
+
+    const query = searchParams.get('q')?.trim() || '';
+
+    useEffect(() => {
+        foldersAPI.getFolderTree()
+            .then(response => setFolderTree(response.data.data.folders))
+            .catch(() => { });
+    }, []);
+
+    useEffect(() => {
+        if (query) {
+            fetchResults();
+        } else {
+            setResults([]);
+            setCounts({ file: 0, folder: 0, clip: 0 });
+        }
+    }, [searchParams]);
+
+    const fetchResults = async () => {
+        try {
+            setLoading(true);
+
+            const params = { q: query };
+            FILTERS.forEach(name => {
+                if (searchParams.get(name)) params[name] = searchParams.get(name);
+            });
+
+            const response = await searchAPI.search(params);
+            setResults(response.data.data.results);
+            setCounts(response.data.data.counts);
+        } catch (error) {
+            console.error('Error searching:', error);
+            toast.error(error.response?.data?.message || 'Search failed');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const setFilter = (name, value) => {
+        const next = new URLSearchParams(searchParams);
+        if (value) next.set(name, value);
+        else next.delete(name);
+        setSearchParams(next);
+    };
+
+    const flattenTree = (nodes, depth = 0) => nodes.flatMap(node => [
+        { _id: node._id, label: `${'\u00a0\u00a0'.repeat(depth)}${node.name}` },
+        ...flattenTree(node.children, depth + 1)
+    ]);
+
+    const handleOpen = ({ type, item }) => {
+        switch (type) {
+            case 'folder': return navigate(`/files/${item._id}`);
+            case 'clip': return navigate('/clipboard');
+            default: return navigate(item.folderId ? `/files/${item.folderId}` : '/files');
+        }
+    };
+
+    const getIcon = (type) => {
+        switch (type) {
+            case 'folder': return <Folder size={20} />;
+            case 'clip': return <ClipboardList size={20} />;
+            default: return <FileText size={20} />;
+        }
+    };
+
+    const getMeta = ({ type, item }) => {
+        const created = new Date(item.createdAt).toLocaleDateString();
+        switch (type) {
+            case 'folder': return `Folder • Created ${created}`;
+            case 'clip': return `Clip • ${item.contentType} • Created ${created}`;
+            default: return `File • ${formatBytes(item.fileSize)} • Uploaded ${created}`;
+        }
+    };
+
+    const formatBytes = (bytes) => {
+        if (!bytes) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    };
+
+    const total = counts.file + counts.folder + counts.clip;
+
+    return (
+        <div className="search-page">
+            {/* Header */}
+            <div className="search-header">
+                <h1>{query ? `Results for "${query}"` : 'Search'}</h1>
+                {query && !loading && (
+                    <p className="text-secondary">
+                        {counts.file} files • {counts.folder} folders • {counts.clip} clips
+                    </p>
+                )}
+            </div>
+
+            {/* Filters */}
+            <div className="search-filters">
+                <select value={searchParams.get('type') || ''} onChange={(e) => setFilter('type', e.target.value)}>
+                    <option value="">Everything</option>
+                    <option value="file">Files</option>
+                    <option value="folder">Folders</option>
+                    <option value="clip">Clips</option>
+                </select>
+
+                <select value={searchParams.get('folderId') || ''} onChange={(e) => setFilter('folderId', e.target.value)}>
+                    <option value="">All folders</option>
+                    {flattenTree(folderTree).map(option => (
+                        <option key={option._id} value={option._id}>{option.label}</option>
+                    ))}
+                </select>
+
+                <label>
+                    From
+                    <input
+                        type="date"
+                        value={searchParams.get('from') || ''}
+                        onChange={(e) => setFilter('from', e.target.value)}
+                    />
+                </label>
+
+                <label>
+                    To
+                    <input
+                        type="date"
+                        value={searchParams.get('to') || ''}
+                        onChange={(e) => setFilter('to', e.target.value)}
+                    />
+                </label>
+            </div>
+
+            {loading ? (
+                <LoadingSpinner text="Searching..." />
+            ) : results.length > 0 ? (
+                <div className="search-results">
+                    {results.map(result => (
+                        <button
+                            key={`${result.type}-${result.item._id}`}
+                            className="search-result"
+                            onClick={() => handleOpen(result)}
+                        >
+                            <div className={`search-result-icon ${result.type}`}>
+                                {getIcon(result.type)}
+                            </div>
+                            <div className="search-result-info">
+                                <span className="search-result-name">
+                                    <Highlighted highlight={result.name} />
+                                </span>
+                                {result.snippet && (
+                                    <span className="search-result-snippet">
+                                        <Highlighted highlight={result.snippet} />
+                                    </span>
+                                )}
+                                <span className="search-result-meta">{getMeta(result)}</span>
+                            </div>
+                        </button>
+                    ))}
+                    {total > results.length && (
+                        <p className="search-more">
+                            Showing the best {results.length} of {total} results. Add words or filters to narrow them down.
+                        </p>
+                    )}
+                </div>
+            ) : (
+                <div className="empty-state">
+                    <SearchIcon size={64} />
+                    <h3>{query ? 'No results' : 'Search your space'}</h3>
+                    <p>
+                        {query
+                            ? 'Try other words, or search everything instead of one folder'
+                            : 'Find files by name or contents, folders and clips'}
+                    </p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Search;
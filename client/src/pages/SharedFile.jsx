@@ -0,0 +1,159 @@
+/**
+ * Shared File Page Component
+ * Public download page for share links
+ */
+
+import { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { shareAPI } from '../services/api';
+import { Download, Lock, Loader2, ArrowLeft, FileText, AlertCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../components/LoadingSpinner';
+import './Auth.css';
+
+const SharedFile = () => {
+    const { token } = useParams();
+
+    const [info, setInfo] = useState(null);
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [password, setPassword] = useState('');
+    const [downloading, setDownloading] = useState(false);
+
+    useEffect(() => {
+        fetchInfo();
+    }, [token]);
+
+    const fetchInfo = async () => {
+        try {
+            const response = await shareAPI.getInfo(token);
+            setInfo(response.data.data);
+        } catch (err) {
+            setError(err.response?.data?.message || 'This link is not available');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleDownload = async (e) => {
+        e.preventDefault();
+
+        if (info.isPasswordProtected && !password) {
+            toast.error('Please enter the password');
+            return;
+        }
+
+        setDownloading(true);
+
+        try {
+            const response = await shareAPI.download(token, password || undefined);
+
+            // File name comes from Content-Disposition when the details were hidden
+            const disposition = response.headers['content-disposition'] || '';
+            const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+            const plain = disposition.match(/filename="([^"]+)"/);
+            const fileName = encoded
+                ? decodeURIComponent(encoded[1])
+                : plain?.[1] || info.file?.originalName || 'download';
+
+            const url = window.URL.createObjectURL(new Blob([response.data]));
+            const link = document.createElement('a');
+            link.href = url;
+            link.setAttribute('download', fileName);
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            window.URL.revokeObjectURL(url);
+            toast.success('Download started');
+            fetchInfo();
+        } catch (err) {
+            // Error bodies arrive as a Blob because of responseType
+            let message = 'Download failed';
+            try {
+                message = JSON.parse(await err.response.data.text()).message || message;
+            } catch {
+                // Keep generic message
+            }
+            toast.error(message);
+        } finally {
+            setDownloading(false);
+        }
+    };
+
+    if (loading) {
+        return <LoadingSpinner fullScreen text="Loading shared file..." />;
+    }
+
+    return (
+        <div className="auth-page">
+            <div className="auth-container">
+                <Link to="/" className="back-link">
+                    <ArrowLeft size={18} />
+                    Campus Share
+                </Link>
+
+                <div className="auth-card">
+                    {error ? (
+                        <div className="auth-header">
+                            <div className="auth-logo"><AlertCircle size={48} /></div>
+                            <h1>Link unavailable</h1>
+                            <p>{error}</p>
+                        </div>
+                    ) : (
+                        <>
+                            <div className="auth-header">
+                                <div className="auth-logo">
+                                    {info.isPasswordProtected ? <Lock size={48} /> : <FileText size={48} />}
+                                </div>
+                                <h1>{info.file?.originalName || 'Protected file'}</h1>
+                                <p>
+                                    {info.file ? info.file.fileSizeFormatted : 'Enter the password to download'}
+                                    {info.downloadsRemaining !== null && ` • ${info.downloadsRemaining} download(s) left`}
+                                </p>
+                            </div>
+
+                            <form onSubmit={handleDownload} className="auth-form">
+                                {info.isPasswordProtected && (
+                                    <div className="form-group">
+                                        <label htmlFor="share-password">Password</label>
+                                        <input
+                                            type="password"
+                                            id="share-password"
+                                            value={password}
+                                            onChange={(e) => setPassword(e.target.value)}
+                                            placeholder="Enter link password"
+                                            disabled={downloading}
+                                            autoFocus
+                                        />
+                                    </div>
+                                )}
+
+                                <button type="submit" className="btn-primary auth-btn" disabled={downloading}>
+                                    {downloading ? (
+                                        <>
+                                            <Loader2 size={18} className="animate-spin" />
+                                            Downloading...
+                                        </>
+                                    ) : (
+                                        <>
+                                            <Download size={18} />
+                                            Download
+                                        </>
+                                    )}
+                                </button>
+                            </form>
+
+                            {info.expiresAt && (
+                                <div className="auth-footer">
+                                    <p>Link expires {new Date(info.expiresAt).toLocaleString()}</p>
+                                </div>
+                            )}
+                        </>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SharedFile;
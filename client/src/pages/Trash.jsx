@@ -0,0 +1,191 @@
+/**
+ * Trash Page Component
+ * Restore or permanently delete trashed files, folders and clips
+ */
+
+import { useState, useEffect } from 'react';
+import { trashAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import {
+    Trash2,
+    RotateCcw,
+    FileText,
+    Folder,
+    ClipboardList,
+    XCircle
+} from 'lucide-react';
+import toast from 'react-hot-toast';
+import LoadingSpinner from '../components/LoadingSpinner';
+import './Trash.css';
+
+const Trash = () => {
+    const { refreshUser } = useAuth();
+    const [items, setItems] = useState([]);
+    const [retentionDays, setRetentionDays] = useState(30);
+    const [loading, setLoading] = useState(true);
+    const [busyId, setBusyId] = useState(null);
+
+    useEffect(() => {
+        fetchTrash();
+    }, []);
+
+    const fetchTrash = async () => {
+        try {
+            const response = await trashAPI.getTrash();
+            const { files, folders, clips } = response.data.data;
+
+            // One list, most recently trashed first
+            setItems([
+                ...folders.map(item => ({ ...item, type: 'folders', label: item.name })),
+                ...files.map(item => ({ ...item, type: 'files', label: item.originalName })),
+                ...clips.map(item => ({ ...item, type: 'clips', label: item.title }))
+            ].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt)));
+            setRetentionDays(response.data.data.retentionDays);
+        } catch (error) {
+            console.error('Error fetching trash:', error);
+            toast.error('Failed to load trash');
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const handleRestore = async (item) => {
+        setBusyId(item._id);
+        try {
+            await trashAPI.restoreItem(item.type, item._id);
+            toast.success(`"${item.label}" restored`);
+            setItems(prev => prev.filter(i => i._id !== item._id));
+        } catch (error) {
+            toast.error(error.response?.data?.message || 'Failed to restore');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleDelete = async (item) => {
+        if (!window.confirm(`Permanently delete "${item.label}"? This cannot be undone.`)) return;
+
+        setBusyId(item._id);
+        try {
+            await trashAPI.deleteItem(item.type, item._id);
+            toast.success('Permanently deleted');
+            setItems(prev => prev.filter(i => i._id !== item._id));
+            await refreshUser();
+        } catch (error) {
+            toast.error('Failed to delete');
+        } finally {
+            setBusyId(null);
+        }
+    };
+
+    const handleEmpty = async () => {
+        if (!window.confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+
+        try {
+            await trashAPI.emptyTrash();
+            toast.success('Trash emptied');
+            setItems([]);
+            await refreshUser();
+        } catch (error) {
+            toast.error('Failed to empty trash');
+        }
+    };
+
+    const getIcon = (type) => {
+        switch (type) {
+            case 'folders': return <Folder size={20} />;
+            case 'clips': return <ClipboardList size={20} />;
+            default: return <FileText size={20} />;
+        }
+    };
+
+    const getMeta = (item) => {
+        switch (item.type) {
+            case 'folders': return `Folder • ${item.fileCount} files • ${formatBytes(item.totalSize)}`;
+            case 'clips': return `Clip • ${item.contentType}`;
+            default: return `File • ${formatBytes(item.fileSize)}`;
+        }
+    };
+
+    const formatBytes = (bytes) => {
+        if (!bytes) return '0 B';
+        const k = 1024;
+        const sizes = ['B', 'KB', 'MB', 'GB'];
+        const i = Math.floor(Math.log(bytes) / Math.log(k));
+        return parseFloat((bytes / Math.pow(k, i)).toFixed(1)) + ' ' + sizes[i];
+    };
+
+    const formatPurge = (date) => {
+        const days = Math.ceil((new Date(date) - new Date()) / 86400000);
+        if (days <= 0) return 'Deleted soon';
+        return `Deleted in ${days} day${days === 1 ? '' : 's'}`;
+    };
+
+    if (loading) {
+        return <LoadingSpinner fullScreen text="Loading trash..." />;
+    }
+
+    return (
+        <div className="trash-page">
+            {/* Header */}
+            <div className="trash-header">
+                <div>
+                    <h1>Trash</h1>
+                    <p className="text-secondary">
+                        Items are permanently deleted after {retentionDays} days. They still count toward your storage until then.
+                    </p>
+                </div>
+                {items.length > 0 && (
+                    <button className="btn-danger" onClick={handleEmpty}>
+                        <XCircle size={18} />
+                        Empty Trash
+                    </button>
+                )}
+            </div>
+
+            {items.length > 0 ? (
+                <div className="trash-list">
+                    {items.map(item => (
+                        <div key={item._id} className="trash-item">
+                            <div className={`trash-icon ${item.type}`}>
+                                {getIcon(item.type)}
+                            </div>
+                            <div className="trash-info">
+                                <span className="trash-name">{item.label}</span>
+                                <span className="trash-meta">
+                                    {getMeta(item)} • Trashed {new Date(item.deletedAt).toLocaleDateString()}
+                                </span>
+                            </div>
+                            <span className="trash-purge">{formatPurge(item.purgeAt)}</span>
+                            <div className="trash-actions">
+                                <button
+                                    onClick={() => handleRestore(item)}
+                                    disabled={busyId === item._id}
+                                    title="Restore"
+                                >
+                                    <RotateCcw size={16} />
+                                </button>
+                                <button
+                                    className="delete-btn"
+                                    onClick={() => handleDelete(item)}
+                                    disabled={busyId === item._id}
+                                    title="Delete forever"
+                                >
+                                    <Trash2 size={16} />
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            ) : (
+                <div className="empty-state">
+                    <Trash2 size={64} />
+                    <h3>Trash is empty</h3>
+                    <p>Deleted files, folders and clips show up here</p>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default Trash;
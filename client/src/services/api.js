@@ -8,6 +8,9 @@ import axios from 'axios';
 // API Base URL - uses env variable in production, empty for dev (uses Vite proxy)
 const API_URL = import.meta.env.VITE_API_URL || '';
 
+// Identifies this tab, so live updates skip changes it made itself
+export const CLIENT_ID = crypto.randomUUID?.() || `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
 // Create axios instance
 const api = axios.create({
     baseURL: `${API_URL}/api`,
@@ -24,6 +27,7 @@ api.interceptors.request.use(
         if (token) {
             config.headers.Authorization = `Bearer ${token}`;
         }
+        config.headers['X-Client-Id'] = CLIENT_ID;
         return config;
     },
     (error) => Promise.reject(error)
@@ -57,7 +61,133 @@ export const authAPI = {
     login: (data) => api.post('/auth/login', data),
     logout: () => api.post('/auth/logout'),
     getMe: () => api.get('/auth/me'),
-    updateProfile: (data) => api.put('/auth/profile', data)
+    updateProfile: (data) => api.put('/auth/profile', data),
+    updateNotifications: (data) => api.put('/auth/notifications', data)
+};
+
+// ============================================
+// CHUNKED UPLOADS
+// ============================================
+
+// Files larger than this are uploaded in chunks (10MB)
+export const CHUNKED_UPLOAD_THRESHOLD = 10 * 1024 * 1024;
+
+// Retries per chunk before giving up (network errors and 5xx only)
+const CHUNK_MAX_RETRIES = 5;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Get a file's path inside an uploaded folder
+ * Set by folder pickers (webkitRelativePath) and folder drops (react-dropzone's path)
+ * @param {File} file - Selected or dropped file
+ * @returns {string|null} - e.g. "Project/src/app.js", null for a file picked on its own
+ */
+const getRelativePath = (file) => {
+    const relativePath = (file.webkitRelativePath || file.path || '').replace(/^\.?\/+/, '');
+    return relativePath.includes('/') ? relativePath : null;
+};
+
+// Same file to the same folder with the same options resumes the same upload, even after a reload
+const uploadResumeKey = (file, folderId, { replace, expiryDays, extract } = {}) =>
+    `upload:${folderId || 'root'}:${replace ? 'replace:' : ''}${extract ? 'extract:' : ''}${expiryDays ?? ''}:${getRelativePath(file) || file.name}:${file.size}:${file.lastModified}`;
+
+/**
+ * Get a resumable upload session for a file, reusing a stored one if still valid
+ * Vault uploads are never resumed after a reload: encrypting again gives different bytes.
+ */
+const startOrResumeUpload = async (file, folderId, options) => {
+    const key = options.vault ? null : uploadResumeKey(file, folderId, options);
+    const storedId = key && localStorage.getItem(key);
+
+    if (storedId) {
+        try {
+            const response = await api.get(`/files/uploads/${storedId}`);
+            return response.data.data.upload;
+        } catch {
+            localStorage.removeItem(key);
+        }
+    }
+
+    const response = await api.post('/files/uploads', {
+        fileName: file.name,
+        fileSize: file.size,
+        mimeType: file.type,
+        folderId: folderId || null,
+        replace: Boolean(options.replace),
+        expiryDays: options.expiryDays ?? null,
+        extract: Boolean(options.extract),
+        vault: Boolean(options.vault),
+        relativePath: getRelativePath(file)
+    });
+    const { upload } = response.data.data;
+    if (key) localStorage.setItem(key, upload.uploadId);
+    return upload;
+};
+
+/**
+ * Upload one file with the chunked protocol
+ * @param {File} file - File to upload
+ * @param {string|null} folderId - Target folder
+ * @param {Function} onBytes - Called with bytes uploaded so far for this file
+ * @param {Object} [options] - { replace, expiryDays, extract, vault } as for uploadFiles
+ * @returns {Promise<Array>} - Created (or updated) file record, or the files unpacked from an archive
+ */
+const uploadChunked = async (file, folderId, onBytes, options = {}) => {
+    const key = options.vault ? null : uploadResumeKey(file, folderId, options);
+    let upload = await startOrResumeUpload(file, folderId, options);
+    let retries = 0;
+
+    onBytes(upload.receivedBytes);
+
+    while (upload.receivedBytes < file.size) {
+        const start = upload.receivedBytes;
+        const end = Math.min(start + upload.chunkSize, file.size);
+
+        try {
+            const response = await api.put(`/files/uploads/${upload.uploadId}`, file.slice(start, end), {
+                headers: {
+                    'Content-Type': 'application/octet-stream',
+                    'Content-Range': `bytes ${start}-${end - 1}/${file.size}`
+                },
+                onUploadProgress: (progressEvent) => onBytes(start + progressEvent.loaded)
+            });
+            upload = response.data.data.upload;
+            retries = 0;
+        } catch (error) {
+            const status = error.response?.status;
+
+            // Server has a different offset: continue from there
+            if (status === 409 && typeof error.response.data.receivedBytes === 'number') {
+                upload = { ...upload, receivedBytes: error.response.data.receivedBytes };
+                continue;
+            }
+
+            // Session is gone or the request is invalid: retrying won't help
+            if (status && status < 500 && status !== 429) {
+                if (status === 404 && key) localStorage.removeItem(key);
+                throw error;
+            }
+
+            retries += 1;
+            if (retries > CHUNK_MAX_RETRIES) throw error;
+            await wait(Math.min(1000 * 2 ** retries, 30000));
+
+            // Resync the offset before retrying
+            try {
+                const response = await api.get(`/files/uploads/${upload.uploadId}`);
+                upload = response.data.data.upload;
+            } catch {
+                // Still offline, the next attempt will retry
+            }
+        }
+    }
+
+    const response = await api.post(`/files/uploads/${upload.uploadId}/complete`);
+    if (key) localStorage.removeItem(key);
+
+    const { file: created, extracted } = response.data.data;
+    return extracted ? extracted.files : [created];
 };
 
 // ============================================
@@ -69,21 +199,129 @@ export const filesAPI = {
     getFile: (id) => api.get(`/files/${id}`),
     getStats: () => api.get('/files/stats'),
 
-    uploadFiles: (formData, onProgress) => api.post('/files/upload', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-        onUploadProgress: (progressEvent) => {
-            const progress = Math.round((progressEvent.loaded * 100) / progressEvent.total);
-            onProgress?.(progress);
+    /**
+     * Upload files to a folder
+     * Small files go in one multipart request, files over CHUNKED_UPLOAD_THRESHOLD
+     * use the resumable chunked protocol. Files from an uploaded folder keep their
+     * place in it, missing folders are created by the server.
+     * @param {File[]} files - Files to upload
+     * @param {string|null} folderId - Target folder (null for root)
+     * @param {Function} onProgress - Called with overall progress percentage
+     * @param {Object} [options] - replace: files with the same name in the folder get a new version,
+     *   expiryDays: days until the files expire (0 = never, null = folder default),
+     *   extract: ZIP archives are unpacked into a new folder instead of stored,
+     *   vault: the files are already encrypted with the vault key (see services/vault)
+     * @returns {Promise<Array>} - Created file records (including files unpacked from archives)
+     */
+    uploadFiles: async (files, folderId, onProgress, options = {}) => {
+        const { replace = false, expiryDays = null, extract = false, vault = false } = options;
+        const totalBytes = files.reduce((sum, file) => sum + file.size, 0) || 1;
+        let doneBytes = 0;
+        const report = (loaded) => onProgress?.(Math.round(((doneBytes + loaded) * 100) / totalBytes));
+        const uploaded = [];
+
+        // Small files: batches of 10 (server limit per request)
+        const smallFiles = files.filter(file => file.size <= CHUNKED_UPLOAD_THRESHOLD);
+        for (let i = 0; i < smallFiles.length; i += 10) {
+            const batch = smallFiles.slice(i, i + 10);
+            const formData = new FormData();
+            batch.forEach(file => formData.append('files', file));
+            if (batch.some(getRelativePath)) {
+                batch.forEach(file => formData.append('relativePaths', getRelativePath(file) || ''));
+            }
+            if (folderId) {
+                formData.append('folderId', folderId);
+            }
+            if (replace) {
+                formData.append('replace', 'true');
+            }
+            if (expiryDays !== null) {
+                formData.append('expiryDays', String(expiryDays));
+            }
+            if (extract) {
+                formData.append('extract', 'true');
+            }
+            if (vault) {
+                formData.append('vault', 'true');
+            }
+
+            const response = await api.post('/files/upload', formData, {
+                headers: { 'Content-Type': 'multipart/form-data' },
+                onUploadProgress: (progressEvent) => report(progressEvent.loaded)
+            });
+            uploaded.push(...response.data.data.files);
+            response.data.data.extracted?.forEach(archive => uploaded.push(...archive.files));
+            doneBytes += batch.reduce((sum, file) => sum + file.size, 0);
         }
-    }),
+
+        // Large files: chunked and resumable
+        for (const file of files.filter(f => f.size > CHUNKED_UPLOAD_THRESHOLD)) {
+            uploaded.push(...await uploadChunked(file, folderId, report, { replace, expiryDays, extract, vault }));
+            doneBytes += file.size;
+        }
+
+        report(0);
+        return uploaded;
+    },
 
     downloadFile: (id) => api.get(`/files/${id}/download`, { responseType: 'blob' }),
+    // Unpack a ZIP file into a new folder (next to it unless folderId is given)
+    extractFile: (id, data = {}) => api.post(`/files/${id}/extract`, data),
+    // ZIP archive of several files
+    downloadSelected: (fileIds) => api.post('/files/download', { fileIds }, { responseType: 'blob' }),
     previewFile: (id) => `${API_URL}/api/files/${id}/preview`,
+    thumbnailUrl: (id) => `${API_URL}/api/files/${id}/thumbnail`,
 
     updateFile: (id, data) => api.put(`/files/${id}`, data),
     toggleStar: (id) => api.put(`/files/${id}/star`),
+    updateExpiry: (id, expiryDays) => api.put(`/files/${id}/expiry`, { expiryDays }),
     deleteFile: (id) => api.delete(`/files/${id}`),
-    deleteMultiple: (fileIds) => api.delete('/files', { data: { fileIds } })
+    deleteMultiple: (fileIds) => api.delete('/files', { data: { fileIds } }),
+    // action: move/copy ({ folderId }), star ({ isStarred }), delete or extend ({ expiryDays })
+    bulk: (action, fileIds, options = {}) => api.post('/files/bulk', { action, fileIds, ...options }),
+
+    getVersions: (id) => api.get(`/files/${id}/versions`),
+    restoreVersion: (id, versionId) => api.post(`/files/${id}/versions/${versionId}/restore`),
+    deleteVersion: (id, versionId) => api.delete(`/files/${id}/versions/${versionId}`),
+
+    getShareLinks: (id) => api.get(`/files/${id}/share`),
+    createShareLink: (id, data) => api.post(`/files/${id}/share`, data),
+    revokeShareLink: (id, shareId) => api.delete(`/files/${id}/share/${shareId}`)
+};
+
+// ============================================
+// PUBLIC SHARE API
+// ============================================
+
+// Uses plain axios so a wrong share password (401) doesn't trigger the login redirect
+export const shareAPI = {
+    getInfo: (token) => axios.get(`${API_URL}/api/s/${token}/info`),
+    download: (token, password) => axios.post(`${API_URL}/api/s/${token}`, { password }, {
+        responseType: 'blob'
+    }),
+    getShareUrl: (token) => `${window.location.origin}/s/${token}`
+};
+
+// ============================================
+// PUBLIC PASTE API
+// ============================================
+
+// Plain axios like shareAPI, pastes are public
+export const pasteAPI = {
+    getInfo: (slug) => axios.get(`${API_URL}/api/p/${slug}/info`),
+    getPaste: (slug) => axios.get(`${API_URL}/api/p/${slug}`),
+    getRawUrl: (slug) => `${API_URL}/api/p/${slug}/raw`,
+    getPasteUrl: (slug) => `${window.location.origin}/p/${slug}`
+};
+
+// ============================================
+// REMINDER LINKS API
+// ============================================
+
+// Links from expiry reminder emails work without being logged in
+export const reminderAPI = {
+    extend: (token) => axios.post(`${API_URL}/api/reminders/extend/${token}`),
+    unsubscribe: (token) => axios.post(`${API_URL}/api/reminders/unsubscribe/${token}`)
 };
 
 // ============================================
@@ -96,6 +334,12 @@ export const foldersAPI = {
     getFolderTree: () => api.get('/folders', { params: { tree: true } }),
     createFolder: (data) => api.post('/folders', data),
     updateFolder: (id, data) => api.put(`/folders/${id}`, data),
+    // expiryDays null inherits again; extendFiles also pushes out existing files
+    updateExpiry: (id, expiryDays, extendFiles = false) => api.put(`/folders/${id}/expiry`, { expiryDays, extendFiles }),
+    // Deep copy next to the original unless parentId is given ('root' for the top level)
+    copyFolder: (id, parentId) => api.post(`/folders/${id}/copy`, { parentId }),
+    // ZIP archive of the folder and everything in it
+    downloadFolder: (id) => api.get(`/folders/${id}/download`, { responseType: 'blob' }),
     deleteFolder: (id, keepFiles = false) => api.delete(`/folders/${id}`, {
         params: { keepFiles }
     })
@@ -109,11 +353,97 @@ export const clipboardAPI = {
     getClips: (params) => api.get('/clipboard', { params }),
     getClip: (id) => api.get(`/clipboard/${id}`),
     createClip: (data) => api.post('/clipboard', data),
+    // Pasted or dropped image or file, saved as its own clip
+    uploadClipFile: (file, title) => {
+        const formData = new FormData();
+        formData.append('file', file);
+        if (title) formData.append('title', title);
+
+        return api.post('/clipboard/upload', formData, {
+            headers: { 'Content-Type': 'multipart/form-data' }
+        });
+    },
+    getAttachment: (id) => api.get(`/clipboard/${id}/attachment`, { responseType: 'blob' }),
+    downloadAttachment: (id) => api.get(`/clipboard/${id}/attachment`, {
+        params: { download: true },
+        responseType: 'blob'
+    }),
+    attachmentUrl: (id) => `${API_URL}/api/clipboard/${id}/attachment`,
     updateClip: (id, data) => api.put(`/clipboard/${id}`, data),
     togglePin: (id) => api.put(`/clipboard/${id}/pin`),
     recordCopy: (id) => api.post(`/clipboard/${id}/copy`),
     deleteClip: (id) => api.delete(`/clipboard/${id}`),
-    deleteMultiple: (clipIds) => api.delete('/clipboard', { data: { clipIds } })
+    deleteMultiple: (clipIds) => api.delete('/clipboard', { data: { clipIds } }),
+    getRevisions: (id) => api.get(`/clipboard/${id}/revisions`),
+    restoreRevision: (id, revisionId) => api.post(`/clipboard/${id}/revisions/${revisionId}/restore`),
+    publishClip: (id, data) => api.post(`/clipboard/${id}/publish`, data),
+    getPublished: () => api.get('/clipboard/published'),
+    revokePasteLink: (linkId) => api.delete(`/clipboard/published/${linkId}`)
+};
+
+// ============================================
+// VAULT API
+// ============================================
+
+export const vaultAPI = {
+    // Wrapped vault key ({ vault: null } until the vault is set up)
+    getVault: () => api.get('/vault'),
+    // data: { salt, iterations, wrappedKey }
+    createVault: (data) => api.post('/vault', data),
+    // New passphrase: the same key wrapped again, guarded by the account password
+    updateVault: (data) => api.put('/vault', data)
+};
+
+// ============================================
+// TRASH API
+// ============================================
+
+export const trashAPI = {
+    getTrash: () => api.get('/trash'),
+    restoreItem: (type, id) => api.post(`/trash/${type}/${id}/restore`),
+    deleteItem: (type, id) => api.delete(`/trash/${type}/${id}`),
+    emptyTrash: () => api.delete('/trash')
+};
+
+// ============================================
+// TAGS API
+// ============================================
+
+export const tagsAPI = {
+    // All tags with usage counts, or suggestions for a prefix
+    getTags: (q) => api.get('/tags', { params: { q } }),
+    // Renaming to an existing tag merges the two
+    renameTag: (tag, name) => api.put(`/tags/${encodeURIComponent(tag)}`, { name }),
+    deleteTag: (tag) => api.delete(`/tags/${encodeURIComponent(tag)}`)
+};
+
+// ============================================
+// SMART COLLECTIONS API
+// ============================================
+
+export const collectionsAPI = {
+    getCollections: () => api.get('/collections'),
+    // data: { name, target ('files' or 'clips'), filter: { tags, type, days, starred } }
+    createCollection: (data) => api.post('/collections', data),
+    updateCollection: (id, data) => api.put(`/collections/${id}`, data),
+    deleteCollection: (id) => api.delete(`/collections/${id}`)
+};
+
+// ============================================
+// SEARCH API
+// ============================================
+
+export const searchAPI = {
+    search: (params) => api.get('/search', { params })
+};
+
+// ============================================
+// LIVE UPDATES
+// ============================================
+
+export const eventsAPI = {
+    // Server-sent event stream (read with fetch, EventSource can't send the token)
+    streamUrl: () => `${API_URL}/api/events?clientId=${encodeURIComponent(CLIENT_ID)}`
 };
 
 // ============================================
@@ -128,6 +458,8 @@ export const adminAPI = {
     updateStorageLimit: (id, storageLimit) => api.put(`/admin/users/${id}/storage`, { storageLimit }),
     deleteUser: (id) => api.delete(`/admin/users/${id}`),
     getAllFiles: (params) => api.get('/admin/files', { params }),
+    rescanFile: (id) => api.post(`/admin/files/${id}/rescan`),
+    deleteFile: (id) => api.delete(`/admin/files/${id}`),
     runCleanup: () => api.post('/admin/cleanup')
 };
 
@@ -0,0 +1,75 @@
+/**
+ * Highlight Service
+ * Syntax highlighting and Markdown rendering for clips and pastes
+ * (the libraries are only loaded for the clips that need them)
+ */
+
+/**
+ * Format a clip for display (JSON is pretty-printed)
+ * @param {Object} clip - Clip or paste with content and contentType
+ * @returns {string}
+ */
+export const formatContent = (clip) => {
+    if (clip.contentType !== 'json') return clip.content;
+
+    try {
+        return JSON.stringify(JSON.parse(clip.content), null, 2);
+    } catch {
+        return clip.content;
+    }
+};
+
+/**
+ * Highlight code and JSON
+ * @param {Object} clip - Clip or paste with content, contentType and language
+ * @returns {Promise<string|null>} Highlighted HTML, or null for other types
+ */
+export const highlight = async (clip) => {
+    if (clip.contentType !== 'code' && clip.contentType !== 'json') return null;
+
+    const { default: hljs } = await import('highlight.js/lib/common');
+    const content = formatContent(clip);
+    const language = clip.contentType === 'json' ? 'json' : clip.language?.toLowerCase();
+
+    return language && hljs.getLanguage(language)
+        ? hljs.highlight(content, { language }).value
+        : hljs.highlightAuto(content).value;
+};
+
+/**
+ * Render Markdown as sanitized HTML, with highlighted code blocks
+ * @param {string} content - Markdown text
+ * @returns {Promise<string>}
+ */
+export const renderMarkdown = async (content) => {
+    const [{ marked }, { default: DOMPurify }, { default: hljs }] = await Promise.all([
+        import('marked'),
+        import('dompurify'),
+        import('highlight.js/lib/common')
+    ]);
+
+    const html = marked.parse(content, {
+        gfm: true,
+        breaks: true,
+        walkTokens: (token) => {
+            if (token.type !== 'code') return;
+
+            const language = token.lang && hljs.getLanguage(token.lang) ? token.lang : null;
+            token.escaped = true;
+            token.text = language
+                ? hljs.highlight(token.text, { language }).value
+                : hljs.highlightAuto(token.text).value;
+        }
+    });
+
+    return DOMPurify.sanitize(html);
+};
+
+/**
+ * Render a clip as HTML when its type has a rich view
+ * @param {Object} clip - Clip or paste
+ * @returns {Promise<string|null>} HTML, or null for plain text
+ */
+export const renderClip = (clip) => {
+    return clip.contentType === 'markdown' ? renderMarkdown(clip.content) : highlight(clip);
+};
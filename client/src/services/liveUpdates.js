@@ -0,0 +1,173 @@
+/**
+ * Live Updates
+ * One shared server-sent event stream per tab, opened while a page listens.
+ * Reconnects with backoff after network errors and tells listeners to
+ * resync, since events sent while offline are lost.
+ */
+
+import { eventsAPI } from './api';
+
+// Reconnect delays (doubled after each failure)
+const MIN_RETRY_MS = 1000;
+const MAX_RETRY_MS = 30000;
+
+// The server sends a heartbeat every 25s, a silent stream is considered dead
+const IDLE_TIMEOUT_MS = 60000;
+
+const listeners = new Set();
+let controller = null;
+let retryTimer = null;
+let idleTimer = null;
+let retryDelay = MIN_RETRY_MS;
+let hasConnected = false;
+
+/**
+ * Call listeners with an event
+ * @param {string} type - 'files', 'folders', 'clips' or 'resync'
+ * @param {Object} [data] - { action, ids }
+ */
+const emit = (type, data = {}) => {
+    listeners.forEach(listener => listener(type, data));
+};
+
+/**
+ * Parse one event block ("event: clips\ndata: {...}")
+ * @param {string} block - Lines of the event
+ * @returns {{type: string, data: Object}|null} Null for comments (heartbeats)
+ */
+const parseEvent = (block) => {
+    let type = 'message';
+    let data = '';
+
+    for (const line of block.split('\n')) {
+        if (line.startsWith('event:')) type = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+    }
+
+    if (!data) return null;
+
+    try {
+        return { type, data: JSON.parse(data) };
+    } catch {
+        return null;
+    }
+};
+
+const scheduleReconnect = () => {
+    clearTimeout(retryTimer);
+    retryTimer = setTimeout(connect, retryDelay);
+    retryDelay = Math.min(retryDelay * 2, MAX_RETRY_MS);
+};
+
+const resetIdleTimer = () => {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(() => controller?.abort(), IDLE_TIMEOUT_MS);
+};
+
+const disconnect = () => {
+    clearTimeout(retryTimer);
+    clearTimeout(idleTimer);
+    retryTimer = null;
+    controller?.abort();
+    controller = null;
+};
+
+async function connect() {
+    const token = localStorage.getItem('token');
+    if (!token || listeners.size === 0) return;
+
+    disconnect();
+    const current = new AbortController();
+    controller = current;
+
+    try {
+        const response = await fetch(eventsAPI.streamUrl(), {
+            headers: { Authorization: `Bearer ${token}` },
+            credentials: 'include',
+            signal: current.signal
+        });
+
+        // Logged out: pages reconnect when they listen again
+        if (response.status === 401) {
+            controller = null;
+            return;
+        }
+        if (!response.ok) throw new Error(`Event stream failed (${response.status})`);
+
+        const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        resetIdleTimer();
+
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) break;
+            resetIdleTimer();
+
+            buffer += value;
+            let end;
+            while ((end = buffer.indexOf('\n\n')) !== -1) {
+                const event = parseEvent(buffer.slice(0, end));
+                buffer = buffer.slice(end + 2);
+                if (!event) continue;
+
+                if (event.type === 'ready') {
+                    retryDelay = MIN_RETRY_MS;
+                    // Changes made while disconnected were missed
+                    if (hasConnected) emit('resync');
+                    hasConnected = true;
+                } else {
+                    emit(event.type, event.data);
+                }
+            }
+        }
+    } catch {
+        // Network error or aborted, handled below
+    }
+
+    clearTimeout(idleTimer);
+
+    // Stream ended without disconnect(): the server or network dropped it
+    if (controller === current) {
+        controller = null;
+        if (listeners.size > 0) scheduleReconnect();
+    }
+}
+
+// Coming back online: reconnect now instead of waiting for the backoff
+window.addEventListener('online', () => {
+    if (listeners.size > 0 && !controller) {
+        retryDelay = MIN_RETRY_MS;
+        connect();
+    }
+});
+
+// Going offline: drop the stream, it may otherwise hang until the idle timeout
+window.addEventListener('offline', () => {
+    if (controller) {
+        disconnect();
+        if (listeners.size > 0) scheduleReconnect();
+    }
+});
+
+/**
+ * Listen to live updates (opens the stream for the first listener)
+ * @param {Function} listener - Called with (type, data)
+ * @returns {Function} Stops listening
+ */
+export const subscribe = (listener) => {
+    listeners.add(listener);
+    if (!controller && !retryTimer) connect();
+
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) {
+            disconnect();
+            // The next page loads its own data
+            hasConnected = false;
+        }
+    };
+};
+
+export default {
+    subscribe
+};
@@ -0,0 +1,244 @@
+/**
+ * Vault Service
+ * End-to-end encryption of vault clips and files with WebCrypto
+ *
+ * A random AES-GCM vault key encrypts the contents. The server keeps it only
+ * wrapped with a key derived from the passphrase (PBKDF2-SHA256), so neither
+ * the passphrase, the vault key nor any plaintext leaves the browser.
+ *
+ * Every vault item starts with a random item ID. Its segments (a clip is a
+ * single one) are sealed with the item ID, their index and whether they are
+ * the last one as additional data, so segments can't be reordered, repeated,
+ * dropped or moved to another item without decryption failing.
+ */
+
+// PBKDF2 iterations for new passphrases (the server accepts 100k to 10M)
+const PBKDF2_ITERATIONS = 600000;
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+// Every ciphertext carries its IV and a 16-byte tag
+const OVERHEAD = IV_BYTES + 16;
+
+// Random ID at the start of every vault item (VAULT_CONFIG.HEADER_SIZE on the server)
+const ITEM_ID_BYTES = 16;
+
+// Files are encrypted in segments of this many bytes (VAULT_CONFIG.SEGMENT_SIZE on the server)
+const SEGMENT_SIZE = 1024 * 1024;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64 = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+/**
+ * Additional data of a segment: item ID, segment index (32-bit) and last-segment flag
+ * @returns {Uint8Array}
+ */
+const segmentData = (itemId, index, final) => {
+    const data = new Uint8Array(ITEM_ID_BYTES + 5);
+    data.set(itemId);
+    new DataView(data.buffer).setUint32(ITEM_ID_BYTES, index);
+    data[ITEM_ID_BYTES + 4] = final ? 1 : 0;
+    return data;
+};
+
+/**
+ * Encrypt bytes with a fresh IV
+ * @param {Uint8Array} additionalData - Authenticated with the ciphertext (see segmentData)
+ * @returns {Promise<Uint8Array>} - IV + ciphertext + tag
+ */
+const seal = async (key, bytes, additionalData) => {
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv, additionalData }, key, bytes));
+
+    const sealed = new Uint8Array(IV_BYTES + ciphertext.length);
+    sealed.set(iv);
+    sealed.set(ciphertext, IV_BYTES);
+    return sealed;
+};
+
+/**
+ * Decrypt bytes made by seal
+ * Throws if the key is wrong, the bytes were changed or the additional data differs.
+ * @returns {Promise<Uint8Array>} - Plaintext
+ */
+const open = async (key, sealed, additionalData) => new Uint8Array(await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: sealed.subarray(0, IV_BYTES), additionalData },
+    key,
+    sealed.subarray(IV_BYTES)
+));
+
+const deriveWrappingKey = async (passphrase, salt, iterations) => {
+    const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['wrapKey', 'unwrapKey']
+    );
+};
+
+/**
+ * Wrap the vault key with a passphrase
+ * @returns {Promise<Object>} - Key material for the server { salt, iterations, wrappedKey }
+ */
+const wrapVaultKey = async (vaultKey, passphrase) => {
+    const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+    const wrappingKey = await deriveWrappingKey(passphrase, salt, PBKDF2_ITERATIONS);
+    const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+    const wrapped = new Uint8Array(await crypto.subtle.wrapKey('raw', vaultKey, wrappingKey, { name: 'AES-GCM', iv }));
+
+    const wrappedKey = new Uint8Array(IV_BYTES + wrapped.length);
+    wrappedKey.set(iv);
+    wrappedKey.set(wrapped, IV_BYTES);
+
+    return { salt: toBase64(salt), iterations: PBKDF2_ITERATIONS, wrappedKey: toBase64(wrappedKey) };
+};
+
+/**
+ * Unwrap the vault key with a passphrase
+ * @param {Object} vault - Key material from the server
+ * @param {string} passphrase - Vault passphrase
+ * @param {boolean} [extractable] - Whether the key can be wrapped again
+ * @returns {Promise<CryptoKey>} - Rejects if the passphrase is wrong
+ */
+const unwrapVaultKey = async (vault, passphrase, extractable = false) => {
+    const wrappingKey = await deriveWrappingKey(passphrase, fromBase64(vault.salt), vault.iterations);
+    const wrappedKey = fromBase64(vault.wrappedKey);
+
+    return crypto.subtle.unwrapKey(
+        'raw',
+        wrappedKey.subarray(IV_BYTES),
+        wrappingKey,
+        { name: 'AES-GCM', iv: wrappedKey.subarray(0, IV_BYTES) },
+        { name: 'AES-GCM', length: 256 },
+        extractable,
+        ['encrypt', 'decrypt']
+    );
+};
+
+/**
+ * Make a new vault key for a passphrase
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<Object>} - { key, vault } with the key material to store on the server
+ */
+export const createVaultKey = async (passphrase) => {
+    const generated = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+    const vault = await wrapVaultKey(generated, passphrase);
+
+    // The key kept in memory can't be exported
+    const raw = await crypto.subtle.exportKey('raw', generated);
+    const key = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+    return { key, vault };
+};
+
+/**
+ * Unlock the vault
+ * @param {Object} vault - Key material from the server
+ * @param {string} passphrase - Vault passphrase
+ * @returns {Promise<CryptoKey>} - Rejects if the passphrase is wrong
+ */
+export const unlockVault = (vault, passphrase) => unwrapVaultKey(vault, passphrase);
+
+/**
+ * Wrap the vault key with a new passphrase
+ * Vault items stay as they are, only the stored key material changes.
+ * @returns {Promise<Object>} - New key material { salt, iterations, wrappedKey }
+ */
+export const rewrapVaultKey = async (vault, passphrase, newPassphrase) => {
+    const key = await unwrapVaultKey(vault, passphrase, true);
+    return wrapVaultKey(key, newPassphrase);
+};
+
+/**
+ * Encrypt the text of a vault clip
+ * @returns {Promise<string>} - Base64 of item ID + IV + ciphertext + tag
+ */
+export const encryptText = async (key, text) => {
+    const itemId = crypto.getRandomValues(new Uint8Array(ITEM_ID_BYTES));
+    const sealed = await seal(key, encoder.encode(text), segmentData(itemId, 0, true));
+
+    const content = new Uint8Array(ITEM_ID_BYTES + sealed.length);
+    content.set(itemId);
+    content.set(sealed, ITEM_ID_BYTES);
+    return toBase64(content);
+};
+
+/**
+ * Decrypt the text of a vault clip
+ * @returns {Promise<string>}
+ */
+export const decryptText = async (key, content) => {
+    const bytes = fromBase64(content);
+    const itemId = bytes.subarray(0, ITEM_ID_BYTES);
+    return decoder.decode(await open(key, bytes.subarray(ITEM_ID_BYTES), segmentData(itemId, 0, true)));
+};
+
+/**
+ * Encrypt a file for a vault upload
+ * Keeps the name, type, date and folder path, so the upload is placed and typed as the original.
+ * @param {CryptoKey} key - Vault key
+ * @param {File} file - File to encrypt
+ * @returns {Promise<File>} - Encrypted file (item ID, then segments OVERHEAD bytes larger than the plaintext)
+ */
+export const encryptFile = async (key, file) => {
+    const itemId = crypto.getRandomValues(new Uint8Array(ITEM_ID_BYTES));
+    const segments = [itemId];
+    let start = 0;
+
+    // An empty file is still one (empty) segment
+    for (let index = 0; ; index++) {
+        const end = Math.min(start + SEGMENT_SIZE, file.size);
+        const final = end === file.size;
+        segments.push(await seal(key, await file.slice(start, end).arrayBuffer(), segmentData(itemId, index, final)));
+        start = end;
+        if (final) break;
+    }
+
+    const encrypted = new File(segments, file.name, { type: file.type, lastModified: file.lastModified });
+
+    const relativePath = file.webkitRelativePath || file.path;
+    if (relativePath) {
+        Object.defineProperty(encrypted, 'path', { value: relativePath });
+    }
+
+    return encrypted;
+};
+
+/**
+ * Decrypt a downloaded vault file
+ * @param {CryptoKey} key - Vault key
+ * @param {Blob} blob - Downloaded ciphertext
+ * @param {string} [type] - MIME type of the plaintext
+ * @returns {Promise<Blob>} - Rejects if any segment is changed, missing, repeated or out of place
+ */
+export const decryptBlob = async (key, blob, type = '') => {
+    if (blob.size < ITEM_ID_BYTES + OVERHEAD) {
+        throw new Error('Not a vault file');
+    }
+
+    const itemId = new Uint8Array(await blob.slice(0, ITEM_ID_BYTES).arrayBuffer());
+    const parts = [];
+
+    // The segment that ends the blob has to be the one sealed as the last
+    for (let start = ITEM_ID_BYTES, index = 0; start < blob.size; start += SEGMENT_SIZE + OVERHEAD, index++) {
+        const end = start + SEGMENT_SIZE + OVERHEAD;
+        const segment = new Uint8Array(await blob.slice(start, end).arrayBuffer());
+        parts.push(await open(key, segment, segmentData(itemId, index, end >= blob.size)));
+    }
+
+    return new Blob(parts, { type });
+};
@@ -11,17 +11,48 @@ export const FILE_CONFIG = {
     // Maximum storage per user (default: 500MB)
     MAX_STORAGE_PER_USER: parseInt(process.env.MAX_STORAGE_PER_USER) || 524288000,
 
-    // File expiry in days
+    // File expiry in days (used when neither the upload nor the folder sets one)
     EXPIRY_DAYS: parseInt(process.env.FILE_EXPIRY_DAYS) || 7,
 
+    // Longest expiry users can choose, in days
+    MAX_EXPIRY_DAYS: parseInt(process.env.FILE_MAX_EXPIRY_DAYS) || 90,
+
+    // Whether users can keep files forever (expiryDays 0)
+    ALLOW_NO_EXPIRY: process.env.FILE_ALLOW_NO_EXPIRY !== 'false',
+
     // Upload directory
     UPLOAD_DIR: process.env.UPLOAD_DIR || 'uploads',
 
+    // Deepest folder nesting created by folder uploads and extracted archives
+    MAX_FOLDER_DEPTH: 20,
+
+    // Chunked uploads: largest chunk accepted per request (default: 5MB)
+    CHUNK_SIZE: parseInt(process.env.UPLOAD_CHUNK_SIZE) || 5242880,
+
+    // Chunked uploads: hours an unfinished upload can be resumed
+    UPLOAD_SESSION_HOURS: parseInt(process.env.UPLOAD_SESSION_HOURS) || 24,
+
+    // Chunked uploads: partial files directory inside UPLOAD_DIR
+    PARTIAL_DIR: '.partial',
+
+    // Deduplication: charge a file whose contents are already stored against the
+    // uploader's quota (true) or let duplicates cost nothing (false)
+    CHARGE_DUPLICATES: process.env.DEDUP_CHARGE_DUPLICATES !== 'false',
+
     // Allowed MIME types
     ALLOWED_TYPES: (process.env.ALLOWED_FILE_TYPES ||
-        'image/jpeg,image/png,image/gif,image/webp,video/mp4,video/webm,audio/mpeg,audio/wav,application/pdf,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document,application/zip,text/plain'
+        'image/jpeg,image/png,image/gif,image/webp,video/mp4,video/webm,audio/mpeg,audio/wav,application/pdf,application/msword,application/vnd.openxmlformats-officedocument.wordprocessingml.document,application/zip,text/plain,text/csv,application/json,text/markdown'
     ).split(','),
 
+    // Sniffed types that may be served inline by preview (never HTML or SVG)
+    SAFE_INLINE_TYPES: [
+        'image/jpeg', 'image/png', 'image/gif', 'image/webp',
+        'video/mp4', 'video/webm', 'video/quicktime',
+        'audio/mpeg', 'audio/wav', 'audio/ogg',
+        'application/pdf',
+        'text/plain', 'text/csv', 'application/json', 'text/markdown'
+    ],
+
     // Allowed extensions for display
     ALLOWED_EXTENSIONS: [
         '.jpg', '.jpeg', '.png', '.gif', '.webp', '.svg',
@@ -29,10 +60,80 @@ export const FILE_CONFIG = {
         '.mp3', '.wav', '.ogg',
         '.pdf', '.doc', '.docx', '.xls', '.xlsx', '.ppt', '.pptx',
         '.zip', '.rar', '.7z',
-        '.txt', '.csv', '.json'
+        '.txt', '.md', '.csv', '.json'
     ]
 };
 
+// Storage backend settings
+export const STORAGE_CONFIG = {
+    // Driver for file contents: 'local' or 's3'
+    DRIVER: process.env.STORAGE_DRIVER || 'local',
+
+    // S3-compatible bucket (AWS S3, MinIO, R2, ...)
+    S3_BUCKET: process.env.AWS_S3_BUCKET,
+    S3_REGION: process.env.AWS_REGION || 'us-east-1',
+
+    // Custom endpoint for S3-compatible services (e.g. http://localhost:9000)
+    S3_ENDPOINT: process.env.AWS_S3_ENDPOINT || undefined,
+
+    // Path-style URLs (bucket in the path), required by most S3-compatible services
+    S3_FORCE_PATH_STYLE: process.env.AWS_S3_FORCE_PATH_STYLE === 'true',
+
+    // Optional key prefix inside the bucket
+    S3_PREFIX: process.env.AWS_S3_PREFIX || ''
+};
+
+// Virus scanning settings
+export const SCAN_CONFIG = {
+    // Scanner driver: 'none' (scanning disabled), 'clamd' or 'test'
+    DRIVER: process.env.SCAN_DRIVER || 'none',
+
+    // ClamAV daemon: unix socket path (takes precedence) or TCP host/port
+    CLAMD_SOCKET: process.env.CLAMD_SOCKET || '',
+    CLAMD_HOST: process.env.CLAMD_HOST || '127.0.0.1',
+    CLAMD_PORT: parseInt(process.env.CLAMD_PORT) || 3310,
+
+    // Give up on a scan after this long (file stays pending)
+    TIMEOUT_MS: parseInt(process.env.SCAN_TIMEOUT_MS) || 60000,
+
+    // Pending files rescanned per scheduler run
+    RESCAN_BATCH: 100
+};
+
+// File scan states
+export const SCAN_STATUS = {
+    PENDING: 'pending',
+    CLEAN: 'clean',
+    INFECTED: 'infected'
+};
+
+// Thumbnail generation
+export const THUMBNAIL_CONFIG = {
+    // Longest side of a thumbnail in pixels
+    SIZE: 320,
+
+    // WebP quality (1-100)
+    QUALITY: 75,
+
+    // External renderers for video poster frames and PDF pages
+    FFMPEG_PATH: process.env.FFMPEG_PATH || 'ffmpeg',
+    PDFTOPPM_PATH: process.env.PDFTOPPM_PATH || 'pdftoppm',
+
+    // Give up on a renderer after this long
+    TIMEOUT_MS: 30000,
+
+    // Pending files handled per scheduler run
+    BATCH: 50
+};
+
+// Thumbnail states of a file
+export const THUMBNAIL_STATUS = {
+    PENDING: 'pending',
+    READY: 'ready',
+    FAILED: 'failed',
+    UNSUPPORTED: 'unsupported'
+};
+
 // Authentication settings
 export const AUTH_CONFIG = {
     // JWT expiry
@@ -72,10 +173,224 @@ export const CLIPBOARD_CONFIG = {
     // Maximum clips per user
     MAX_CLIPS: 50,
 
+    // Earlier contents kept per clip (oldest are dropped first)
+    MAX_REVISIONS: parseInt(process.env.CLIP_MAX_REVISIONS) || 20,
+
+    // Maximum size of a pasted image or file (10MB)
+    MAX_FILE_SIZE: parseInt(process.env.CLIP_MAX_FILE_SIZE) || 10 * 1024 * 1024,
+
     // Expiry in days (same as files)
     EXPIRY_DAYS: parseInt(process.env.FILE_EXPIRY_DAYS) || 7
 };
 
+// ZIP downloads of folders and selected files
+export const ARCHIVE_CONFIG = {
+    // Most files one archive can contain
+    MAX_FILES: parseInt(process.env.ARCHIVE_MAX_FILES) || 1000,
+
+    // Deflate level for compressible files (already compressed types are stored)
+    COMPRESSION_LEVEL: 6
+};
+
+// Full-text search over file contents, folder names and clips
+export const SEARCH_CONFIG = {
+    // PDF text extractor (poppler)
+    PDFTOTEXT_PATH: process.env.PDFTOTEXT_PATH || 'pdftotext',
+
+    // Larger files are only found by name (default: 20MB)
+    MAX_FILE_SIZE: parseInt(process.env.SEARCH_MAX_FILE_SIZE) || 20971520,
+
+    // Characters of extracted text kept per file
+    MAX_TEXT_LENGTH: 100000,
+
+    // Give up on an extraction after this long
+    TIMEOUT_MS: 30000,
+
+    // Pending files handled per scheduler run
+    BATCH: 50,
+
+    // Most results returned per search
+    MAX_RESULTS: 50,
+
+    // Characters of context shown around the first match
+    SNIPPET_LENGTH: 160
+};
+
+// Text extraction states of a file
+export const TEXT_STATUS = {
+    PENDING: 'pending',
+    READY: 'ready',
+    FAILED: 'failed',
+    UNSUPPORTED: 'unsupported'
+};
+
+// User-defined tags on files and clips
+export const TAG_CONFIG = {
+    // Most tags on one file or clip
+    MAX_PER_ITEM: 20,
+
+    // Longest tag name
+    MAX_LENGTH: 32,
+
+    // Tags suggested while typing
+    SUGGESTIONS: 10
+};
+
+// Saved filters shown in the sidebar
+export const COLLECTION_CONFIG = {
+    // Most collections per user
+    MAX_PER_USER: 30,
+
+    // What a collection lists
+    TARGETS: ['files', 'clips'],
+
+    // File type filters (same as GET /api/files?type=)
+    FILE_TYPES: ['image', 'video', 'audio', 'document', 'pdf'],
+
+    // Longest "uploaded in the last N days" window
+    MAX_DAYS: 3650
+};
+
+// Live updates pushed to open pages (server-sent events)
+export const REALTIME_CONFIG = {
+    // Comment sent on idle streams so proxies keep them open
+    HEARTBEAT_MS: 25000,
+
+    // Open streams per user; the oldest is closed beyond this
+    MAX_STREAMS_PER_USER: 10
+};
+
+// Bulk file actions and copies
+export const BULK_CONFIG = {
+    // Most files one bulk action or folder copy can touch
+    MAX_FILES: parseInt(process.env.BULK_MAX_FILES) || 1000
+};
+
+// Extracting uploaded ZIP archives into folders
+export const EXTRACT_CONFIG = {
+    // Most entries (files and folders) an archive may contain
+    MAX_ENTRIES: parseInt(process.env.EXTRACT_MAX_ENTRIES) || 1000,
+
+    // Largest total size of the extracted files (default: 500MB)
+    MAX_TOTAL_SIZE: parseInt(process.env.EXTRACT_MAX_TOTAL_SIZE) || 524288000,
+
+    // Highest extracted size to archive size ratio, anything above is treated as a zip bomb
+    MAX_RATIO: 100
+};
+
+// Expiry reminder emails
+export const REMINDER_CONFIG = {
+    // Items expiring within this many hours are included in the digest
+    WINDOW_HOURS: parseInt(process.env.EXPIRY_REMINDER_HOURS) || 48,
+
+    // How long extend and unsubscribe links in the email work
+    LINK_EXPIRES_IN: '7d',
+
+    // Reminder records are kept this long after the item's expiry
+    RECORD_TTL_DAYS: 30
+};
+
+// Trash settings
+export const TRASH_CONFIG = {
+    // Trashed items are deleted for good after this many days
+    RETENTION_DAYS: parseInt(process.env.TRASH_RETENTION_DAYS) || 30,
+
+    // Item types in the trash
+    TYPES: ['files', 'folders', 'clips']
+};
+
+// Share link settings
+export const SHARE_CONFIG = {
+    // Random bytes used for link tokens
+    TOKEN_BYTES: 18,
+
+    // Longest allowed link lifetime in hours (default: 30 days)
+    MAX_EXPIRY_HOURS: parseInt(process.env.SHARE_MAX_EXPIRY_HOURS) || 720,
+
+    // Highest download cap a link can have
+    MAX_DOWNLOADS: 1000,
+
+    // Maximum active links per file
+    MAX_LINKS_PER_FILE: 10,
+
+    // Password length limits
+    PASSWORD_MIN_LENGTH: 4,
+    PASSWORD_MAX_LENGTH: 100
+};
+
+// Public paste links for clips
+export const PASTE_CONFIG = {
+    // Random bytes used for link slugs
+    SLUG_BYTES: 9,
+
+    // Longest allowed link lifetime in hours (links never outlive their clip)
+    MAX_EXPIRY_HOURS: 720,
+
+    // Maximum active links per clip
+    MAX_LINKS_PER_CLIP: 5
+};
+
+// Link previews fetched for link clips
+export const UNFURL_CONFIG = {
+    // Turn off to never fetch clip links from the server
+    ENABLED: process.env.LINK_PREVIEWS !== 'false',
+
+    // Give up on a page after this long (all redirects included)
+    TIMEOUT_MS: parseInt(process.env.LINK_PREVIEW_TIMEOUT_MS) || 5000,
+
+    // Bytes of a page read at most (the head is all that's needed)
+    MAX_BYTES: 512 * 1024,
+
+    // Redirects followed at most
+    MAX_REDIRECTS: 3,
+
+    // Ports pages may be fetched from
+    ALLOWED_PORTS: [80, 443],
+
+    USER_AGENT: 'CampusShareBot/1.0 (link previews)',
+
+    // Longest title, description and image or icon URL kept
+    MAX_TITLE_LENGTH: 300,
+    MAX_DESCRIPTION_LENGTH: 1000,
+    MAX_URL_LENGTH: 2048,
+
+    // Pending clips handled per scheduler run
+    BATCH: 50
+};
+
+// Link preview state of a link clip
+export const LINK_PREVIEW_STATUS = {
+    PENDING: 'pending',
+    READY: 'ready',
+    FAILED: 'failed',
+    // The link points at a private or local address, or a port that isn't allowed
+    BLOCKED: 'blocked',
+    // Not a web page
+    UNSUPPORTED: 'unsupported'
+};
+
+// End-to-end encrypted vault (clips and files encrypted in the browser)
+export const VAULT_CONFIG = {
+    // PBKDF2-SHA256 iterations accepted for the passphrase key
+    MIN_ITERATIONS: 100000,
+    MAX_ITERATIONS: 10000000,
+
+    // Salt length in bytes
+    SALT_BYTES: 16,
+
+    // AES-GCM adds a 12-byte IV and a 16-byte tag to every ciphertext
+    OVERHEAD: 28,
+
+    // Random item ID at the start of every vault clip and file (authenticated by each segment)
+    HEADER_SIZE: 16,
+
+    // Vault files are encrypted in segments of this many plaintext bytes
+    SEGMENT_SIZE: 1024 * 1024,
+
+    // Served type of vault contents (the real type is only known after decrypting)
+    CONTENT_TYPE: 'application/octet-stream'
+};
+
 // Pagination defaults
 export const PAGINATION = {
     DEFAULT_PAGE: 1,
@@ -94,11 +409,16 @@ export const HTTP_STATUS = {
     OK: 200,
     CREATED: 201,
     NO_CONTENT: 204,
+    PARTIAL_CONTENT: 206,
+    NOT_MODIFIED: 304,
     BAD_REQUEST: 400,
     UNAUTHORIZED: 401,
     FORBIDDEN: 403,
     NOT_FOUND: 404,
     CONFLICT: 409,
+    GONE: 410,
+    UNSUPPORTED_MEDIA_TYPE: 415,
+    RANGE_NOT_SATISFIABLE: 416,
     UNPROCESSABLE: 422,
     TOO_MANY_REQUESTS: 429,
     SERVER_ERROR: 500
@@ -123,16 +443,77 @@ export const ERROR_MESSAGES = {
     FILE_NOT_FOUND: 'File not found',
     FILE_TOO_LARGE: 'File size exceeds the maximum allowed limit',
     INVALID_FILE_TYPE: 'This file type is not allowed',
+    FILE_CONTENT_MISMATCH: 'File contents do not match its type',
+    PREVIEW_NOT_AVAILABLE: 'Preview is not available for this file type',
+    FILE_SCAN_PENDING: 'This file is still being scanned for viruses',
+    FILE_INFECTED: 'This file was flagged as infected and is quarantined',
+    THUMBNAIL_NOT_AVAILABLE: 'No thumbnail is available for this file',
+    EXPIRY_NOT_ALLOWED: 'This expiry is not allowed',
     STORAGE_LIMIT: 'Storage limit exceeded. Please delete some files',
     UPLOAD_FAILED: 'File upload failed. Please try again',
+    UPLOAD_SESSION_NOT_FOUND: 'Upload not found or expired. Please start the upload again',
+    UPLOAD_INCOMPLETE: 'Upload is not complete yet',
+    UPLOAD_OFFSET_MISMATCH: 'Chunk does not continue the upload. Resume from the stored offset',
+    INVALID_CONTENT_RANGE: 'Missing or invalid Content-Range header',
+    INVALID_RELATIVE_PATH: 'Invalid folder path for an uploaded file',
+    ARCHIVE_TOO_LARGE: 'Too many files to download at once',
+    NOT_AN_ARCHIVE: 'Only ZIP archives can be extracted',
+    ARCHIVE_INVALID: 'This ZIP archive is damaged and cannot be extracted',
+    ARCHIVE_UNSAFE_PATH: 'This ZIP archive contains unsafe file paths',
+    ARCHIVE_TOO_MANY_ENTRIES: 'This ZIP archive contains too many files to extract',
+    ARCHIVE_BOMB: 'This ZIP archive expands too much to be extracted',
+    COPY_TOO_LARGE: 'Too many files to copy at once',
 
     // Folder errors
     FOLDER_NOT_FOUND: 'Folder not found',
     FOLDER_EXISTS: 'A folder with this name already exists',
+    FOLDER_COPY_INTO_ITSELF: 'Cannot copy a folder into itself or its subfolders',
 
     // Clipboard errors
     CLIP_NOT_FOUND: 'Clipboard item not found',
     CLIP_LIMIT: 'Maximum clipboard limit reached',
+    CLIP_NO_ATTACHMENT: 'This clip has no image or file',
+    REVISION_NOT_FOUND: 'Revision not found',
+
+    // Trash errors
+    TRASH_ITEM_NOT_FOUND: 'Item not found in trash',
+
+    // Reminder errors
+    REMINDER_LINK_INVALID: 'This link is invalid or has expired',
+    REMINDER_ITEM_GONE: 'This item has already been deleted',
+
+    // Share link errors
+    SHARE_NOT_FOUND: 'Share link not found',
+    SHARE_EXPIRED: 'This share link has expired',
+    SHARE_REVOKED: 'This share link has been revoked',
+    SHARE_DOWNLOAD_LIMIT: 'This share link has reached its download limit',
+    SHARE_PASSWORD_REQUIRED: 'This share link is password protected',
+    SHARE_INVALID_PASSWORD: 'Incorrect password for this share link',
+    SHARE_LINK_LIMIT: 'Maximum number of active share links reached for this file',
+
+    // Paste link errors
+    PASTE_NOT_FOUND: 'Paste not found',
+    PASTE_EXPIRED: 'This paste has expired',
+    PASTE_REVOKED: 'This paste is no longer published',
+    PASTE_BURNED: 'This paste was deleted after it was read',
+    PASTE_LINK_LIMIT: 'Maximum number of active paste links reached for this clip',
+    PASTE_TEXT_ONLY: 'Only text clips can be published',
+
+    // Version errors
+    VERSION_NOT_FOUND: 'Version not found',
+
+    // Vault errors
+    VAULT_NOT_SET_UP: 'Set up your vault first',
+    VAULT_EXISTS: 'Your vault is already set up',
+    VAULT_WRONG_PASSWORD: 'Incorrect account password',
+    VAULT_INVALID_CIPHERTEXT: 'Vault contents must be encrypted in the browser',
+    VAULT_NOT_SHAREABLE: 'Vault items are encrypted and can\'t be shared or published',
+
+    // Tag and collection errors
+    TAG_NOT_FOUND: 'Tag not found',
+    COLLECTION_NOT_FOUND: 'Collection not found',
+    COLLECTION_EXISTS: 'A collection with this name already exists',
+    COLLECTION_LIMIT: 'Maximum number of collections reached',
 
     // General errors
     SERVER_ERROR: 'Something went wrong. Please try again later',
@@ -151,16 +532,54 @@ export const SUCCESS_MESSAGES = {
 
     // File
     FILE_UPLOADED: 'File(s) uploaded successfully',
-    FILE_DELETED: 'File deleted successfully',
+    FILE_DELETED: 'File moved to trash',
+    EXPIRY_UPDATED: 'Expiry updated',
+    VERSION_RESTORED: 'Version restored',
+    VERSION_DELETED: 'Version deleted',
+    ARCHIVE_EXTRACTED: 'Archive extracted',
 
     // Folder
     FOLDER_CREATED: 'Folder created successfully',
     FOLDER_UPDATED: 'Folder renamed successfully',
-    FOLDER_DELETED: 'Folder deleted successfully',
+    FOLDER_DELETED: 'Folder moved to trash',
+    FOLDER_EXPIRY_UPDATED: 'Folder expiry updated',
+    FOLDER_COPIED: 'Folder copied',
 
     // Clipboard
     CLIP_CREATED: 'Text saved to clipboard',
-    CLIP_DELETED: 'Clipboard item deleted',
+    CLIP_FILE_CREATED: 'Saved to clipboard',
+    REVISION_RESTORED: 'Revision restored',
+    CLIP_DELETED: 'Clipboard item moved to trash',
+
+    // Tags and collections
+    TAG_RENAMED: 'Tag renamed',
+    TAG_MERGED: 'Tags merged',
+    TAG_DELETED: 'Tag removed',
+    COLLECTION_CREATED: 'Collection saved',
+    COLLECTION_UPDATED: 'Collection updated',
+    COLLECTION_DELETED: 'Collection deleted',
+
+    // Trash
+    ITEM_RESTORED: 'Item restored',
+    ITEM_DELETED_FOREVER: 'Item permanently deleted',
+    TRASH_EMPTIED: 'Trash emptied',
+
+    // Reminders
+    ITEM_EXTENDED: 'Expiry extended',
+    REMINDERS_DISABLED: 'Expiry reminder emails turned off',
+    NOTIFICATIONS_UPDATED: 'Notification settings updated',
+
+    // Share links
+    SHARE_CREATED: 'Share link created',
+    SHARE_REVOKED: 'Share link revoked',
+
+    // Vault
+    VAULT_CREATED: 'Vault set up',
+    VAULT_PASSPHRASE_CHANGED: 'Vault passphrase changed',
+
+    // Paste links
+    PASTE_PUBLISHED: 'Clip published',
+    PASTE_REVOKED: 'Paste link revoked',
 
     // Admin
     USER_BANNED: 'User has been banned',
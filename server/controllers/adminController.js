@@ -3,13 +3,14 @@
  * Handles admin operations like user management and system stats
  */
 
-import { User, File, Folder, Clipboard } from '../models/index.js';
+import { User, File, Folder, Clipboard, ClipAttachment, ShareLink, PasteLink, SmartCollection } from '../models/index.js';
 import { cleanupExpiredFiles, getStorageStats } from '../services/schedulerService.js';
 import {
     HTTP_STATUS,
     ERROR_MESSAGES,
     SUCCESS_MESSAGES,
-    PAGINATION
+    PAGINATION,
+    SCAN_STATUS
 } from '../config/constants.js';
 
 /**
@@ -317,8 +318,8 @@ export const deleteUser = async (req, res, next) => {
             });
         }
 
-        // Delete user's files (with physical files)
-        const files = await File.find({ userId: user._id });
+        // Delete user's files (with physical files), trashed ones included
+        const files = await File.find({ userId: user._id }).withTrashed();
         for (const file of files) {
             await file.deleteOne();
         }
@@ -328,6 +329,16 @@ export const deleteUser = async (req, res, next) => {
 
         // Delete user's clipboard items
         await Clipboard.deleteMany({ userId: user._id });
+        await ClipAttachment.purgeOrphans({ userId: user._id });
+
+        // Delete user's share links
+        await ShareLink.deleteMany({ userId: user._id });
+
+        // Delete user's paste links
+        await PasteLink.deleteMany({ userId: user._id });
+
+        // Delete user's smart collections
+        await SmartCollection.deleteMany({ userId: user._id });
 
         // Delete user
         await user.deleteOne();
@@ -375,6 +386,7 @@ export const getAllFiles = async (req, res, next) => {
             limit = PAGINATION.DEFAULT_LIMIT,
             search,
             userId,
+            scanStatus,
             sort = 'createdAt',
             order = 'desc'
         } = req.query;
@@ -390,13 +402,19 @@ export const getAllFiles = async (req, res, next) => {
             query.userId = userId;
         }
 
+        // e.g. scanStatus=infected lists quarantined files
+        if (Object.values(SCAN_STATUS).includes(scanStatus)) {
+            query.scanStatus = scanStatus;
+        }
+
         // Build sort
         const sortOrder = order === 'asc' ? 1 : -1;
         const sortOptions = { [sort]: sortOrder };
 
-        // Execute query
-        const total = await File.countDocuments(query);
+        // Execute query (trashed files are still stored, so admins see them too)
+        const total = await File.countDocuments(query).withTrashed();
         const files = await File.find(query)
+            .withTrashed()
             .populate('userId', 'username email')
             .sort(sortOptions)
             .skip((page - 1) * limit)
@@ -419,6 +437,61 @@ export const getAllFiles = async (req, res, next) => {
     }
 };
 
+/**
+ * @route   POST /api/admin/files/:id/rescan
+ * @desc    Scan a file again (e.g. after a false positive or signature update)
+ * @access  Admin
+ */
+export const rescanFile = async (req, res, next) => {
+    try {
+        const file = await File.findById(req.params.id).withTrashed();
+
+        if (!file) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.FILE_NOT_FOUND
+            });
+        }
+
+        const scanStatus = await file.rescan();
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: `File is ${scanStatus}`,
+            data: { file }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   DELETE /api/admin/files/:id
+ * @desc    Delete any user's file (e.g. a quarantined one)
+ * @access  Admin
+ */
+export const deleteFile = async (req, res, next) => {
+    try {
+        const file = await File.findById(req.params.id).withTrashed();
+
+        if (!file) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.FILE_NOT_FOUND
+            });
+        }
+
+        await file.deleteOne();
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.FILE_DELETED
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 export default {
     getSystemStats,
     getUsers,
@@ -427,5 +500,7 @@ export default {
     updateStorageLimit,
     deleteUser,
     runCleanup,
-    getAllFiles
+    getAllFiles,
+    rescanFile,
+    deleteFile
 };
@@ -270,6 +270,7 @@ export const login = async (req, res, next) => {
                     storageLimit: user.storageLimit,
                     storagePercentage: user.storagePercentage,
                     profile: user.profile,
+                    notifications: user.notifications,
                     lastLogin: user.lastLogin,
                     createdAt: user.createdAt
                 },
@@ -332,6 +333,7 @@ export const getMe = async (req, res, next) => {
                     storagePercentage: user.storagePercentage,
                     storageRemaining: user.storageRemaining,
                     profile: user.profile,
+                    notifications: user.notifications,
                     lastLogin: user.lastLogin,
                     createdAt: user.createdAt
                 }
@@ -379,6 +381,31 @@ export const updateProfile = async (req, res, next) => {
     }
 };
 
+/**
+ * @route   PUT /api/auth/notifications
+ * @desc    Update email notification preferences
+ * @access  Private
+ */
+export const updateNotifications = async (req, res, next) => {
+    try {
+        const { expiryReminders } = req.body;
+
+        const user = await User.findByIdAndUpdate(
+            req.user._id,
+            { $set: { 'notifications.expiryReminders': expiryReminders } },
+            { new: true }
+        );
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.NOTIFICATIONS_UPDATED,
+            data: { notifications: user.notifications }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 export default {
     signup,
     verifyOTP,
@@ -386,5 +413,6 @@ export default {
     login,
     logout,
     getMe,
-    updateProfile
+    updateProfile,
+    updateNotifications
 };
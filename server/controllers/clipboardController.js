@@ -1,9 +1,17 @@
 /**
  * Clipboard Controller
- * Handles text clipboard/snippet operations
+ * Handles text clipboard/snippet operations, and pasted images and files
  */
 
-import { Clipboard } from '../models/index.js';
+import fs from 'fs/promises';
+import { Clipboard, ClipAttachment, SmartCollection, User } from '../models/index.js';
+import { normalizeTags, parseTagList } from '../utils/tags.js';
+import { isSafeInline } from '../utils/fileType.js';
+import { classifyContent } from '../utils/contentClassifier.js';
+import { isVaultCiphertext } from '../utils/vault.js';
+import { publishChange } from '../services/eventService.js';
+import { streamFile } from '../services/fileStreamService.js';
+import { queueLinkPreview } from '../services/unfurlService.js';
 import {
     HTTP_STATUS,
     ERROR_MESSAGES,
@@ -12,6 +20,24 @@ import {
     PAGINATION
 } from '../config/constants.js';
 
+/**
+ * Fill in the content type and language of a text clip
+ * Given values win; a detected language is only used for the detected type.
+ * @param {string} content - Text content
+ * @param {string} [contentType] - Content type chosen by the user
+ * @param {string} [language] - Language chosen by the user
+ * @returns {{contentType: string, language: string|null}}
+ */
+const resolveContentType = (content, contentType, language) => {
+    const detected = classifyContent(content);
+    const type = contentType || detected.contentType;
+
+    return {
+        contentType: type,
+        language: language || (type === detected.contentType ? detected.language : null)
+    };
+};
+
 /**
  * @route   GET /api/clipboard
  * @desc    Get user's clipboard items
@@ -22,13 +48,39 @@ export const getClips = async (req, res, next) => {
         const {
             page = PAGINATION.DEFAULT_PAGE,
             limit = PAGINATION.DEFAULT_LIMIT,
-            search
+            search,
+            collectionId
         } = req.query;
 
+        let filters = {
+            tags: parseTagList(req.query.tags),
+            days: parseInt(req.query.days) || null
+        };
+
+        // A smart collection replaces the filters
+        let collection = null;
+        if (collectionId) {
+            collection = await SmartCollection.findOne({
+                _id: collectionId,
+                userId: req.user._id,
+                target: 'clips'
+            });
+
+            if (!collection) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    success: false,
+                    message: ERROR_MESSAGES.COLLECTION_NOT_FOUND
+                });
+            }
+
+            filters = collection.getQueryOptions();
+        }
+
         const { clips, total } = await Clipboard.getUserClips(req.user._id, {
             page: parseInt(page),
             limit: parseInt(limit),
-            search
+            search,
+            ...filters
         });
 
         res.status(HTTP_STATUS.OK).json({
@@ -40,7 +92,8 @@ export const getClips = async (req, res, next) => {
                     limit: parseInt(limit),
                     total,
                     pages: Math.ceil(total / limit)
-                }
+                },
+                collection
             }
         });
     } catch (error) {
@@ -58,7 +111,7 @@ export const getClip = async (req, res, next) => {
         const clip = await Clipboard.findOne({
             _id: req.params.id,
             userId: req.user._id
-        });
+        }).populate('attachment');
 
         if (!clip) {
             return res.status(HTTP_STATUS.NOT_FOUND).json({
@@ -83,7 +136,7 @@ export const getClip = async (req, res, next) => {
  */
 export const createClip = async (req, res, next) => {
     try {
-        const { title, content, contentType, language } = req.body;
+        const { title, content, contentType, language, tags, vault } = req.body;
 
         // Check if user has reached clip limit
         const hasReachedLimit = await Clipboard.hasReachedLimit(req.user._id);
@@ -95,19 +148,30 @@ export const createClip = async (req, res, next) => {
             });
         }
 
-        // Auto-detect content type if not provided
-        const detectedType = contentType || Clipboard.detectContentType(content);
+        if (vault && !await User.hasVault(req.user._id)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.VAULT_NOT_SET_UP
+            });
+        }
 
         // Create clip
         const clip = await Clipboard.create({
             userId: req.user._id,
             title: title || 'Untitled',
             content,
-            contentType: detectedType,
-            language: language || null,
+            // Vault ciphertext can't be classified, its type is whatever the browser says
+            ...(vault
+                ? { contentType: contentType || 'text', language: language || null }
+                : resolveContentType(content, contentType, language)),
+            vault: Boolean(vault),
+            tags: normalizeTags(tags),
             expiresAt: new Date(Date.now() + CLIPBOARD_CONFIG.EXPIRY_DAYS * 24 * 60 * 60 * 1000)
         });
 
+        publishChange(req, 'clips', 'created', [clip._id]);
+        queueLinkPreview(clip);
+
         res.status(HTTP_STATUS.CREATED).json({
             success: true,
             message: SUCCESS_MESSAGES.CLIP_CREATED,
@@ -118,6 +182,149 @@ export const createClip = async (req, res, next) => {
     }
 };
 
+/**
+ * @route   POST /api/clipboard/upload
+ * @desc    Save a pasted or dropped image or file as a clip
+ * @access  Private
+ */
+export const createFileClip = async (req, res, next) => {
+    let clip = null;
+
+    try {
+        if (!req.file) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: 'No file uploaded'
+            });
+        }
+
+        const hasReachedLimit = await Clipboard.hasReachedLimit(req.user._id);
+        if (hasReachedLimit) {
+            await fs.unlink(req.file.path).catch(() => { });
+
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.CLIP_LIMIT,
+                limit: CLIPBOARD_CONFIG.MAX_CLIPS
+            });
+        }
+
+        if (!req.user.hasStorageSpace(req.file.size)) {
+            await fs.unlink(req.file.path).catch(() => { });
+
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.STORAGE_LIMIT,
+                storageUsed: req.user.storageUsed,
+                storageLimit: req.user.storageLimit,
+                required: req.file.size
+            });
+        }
+
+        // Images the browser can show safely are previewed, anything else is a file
+        const { detectedType } = req.file;
+        const isImage = detectedType.startsWith('image/') && isSafeInline(detectedType);
+
+        clip = await Clipboard.create({
+            userId: req.user._id,
+            title: (req.body.title?.trim() || req.file.originalname).slice(0, 100),
+            contentType: isImage ? 'image' : 'file',
+            expiresAt: new Date(Date.now() + CLIPBOARD_CONFIG.EXPIRY_DAYS * 24 * 60 * 60 * 1000)
+        });
+
+        // Stored like file uploads: scanned, deduplicated and charged
+        await ClipAttachment.createFromUpload(req.file.path, {
+            clipId: clip._id,
+            userId: req.user._id,
+            originalName: req.file.originalname,
+            fileName: req.file.filename,
+            fileSize: req.file.size,
+            mimeType: req.file.mimetype,
+            detectedType
+        });
+        await clip.populate('attachment');
+
+        publishChange(req, 'clips', 'created', [clip._id]);
+
+        res.status(HTTP_STATUS.CREATED).json({
+            success: true,
+            message: SUCCESS_MESSAGES.CLIP_FILE_CREATED,
+            data: { clip }
+        });
+    } catch (error) {
+        if (req.file) {
+            await fs.unlink(req.file.path).catch(() => { });
+        }
+        // A clip without its attachment would show nothing
+        if (clip) {
+            await clip.deleteOne().catch(() => { });
+        }
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/clipboard/:id/attachment
+ * @desc    View an image clip, or download an image or file clip (?download=true)
+ * @access  Private
+ */
+export const getClipAttachment = async (req, res, next) => {
+    try {
+        const clip = await Clipboard.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        }).populate('attachment');
+
+        if (!clip) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.CLIP_NOT_FOUND
+            });
+        }
+
+        const { attachment } = clip;
+        if (!attachment) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.CLIP_NO_ATTACHMENT
+            });
+        }
+
+        // Contents are served only after a clean virus scan
+        const scanBlock = attachment.getScanBlockMessage();
+        if (scanBlock) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({
+                success: false,
+                message: scanBlock,
+                scanStatus: attachment.scanStatus
+            });
+        }
+
+        // Only safe types are shown inline
+        const download = req.query.download === 'true';
+        const detectedType = attachment.detectedType || attachment.mimeType;
+        if (!download && !isSafeInline(detectedType)) {
+            return res.status(HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE).json({
+                success: false,
+                message: ERROR_MESSAGES.PREVIEW_NOT_AVAILABLE
+            });
+        }
+
+        const sent = await streamFile(req, res, attachment, download
+            ? { disposition: 'attachment' }
+            : { disposition: 'inline', cacheControl: 'private, max-age=3600', contentType: detectedType });
+
+        if (!sent) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: 'File not found on server'
+            });
+        }
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @route   PUT /api/clipboard/:id
  * @desc    Update clipboard item
@@ -125,12 +332,12 @@ export const createClip = async (req, res, next) => {
  */
 export const updateClip = async (req, res, next) => {
     try {
-        const { title, content, contentType, language } = req.body;
+        const { title, content, contentType, language, tags } = req.body;
 
         const clip = await Clipboard.findOne({
             _id: req.params.id,
             userId: req.user._id
-        });
+        }).select('+revisions');
 
         if (!clip) {
             return res.status(HTTP_STATUS.NOT_FOUND).json({
@@ -139,19 +346,40 @@ export const updateClip = async (req, res, next) => {
             });
         }
 
-        // Update fields
-        if (title !== undefined) clip.title = title;
-        if (content !== undefined) {
-            clip.content = content;
-            // Re-detect content type if content changed
-            if (!contentType) {
-                clip.contentType = Clipboard.detectContentType(content);
-            }
+        // Image and file clips have no text, only their title and tags change
+        if (clip.hasAttachment && (content !== undefined || contentType !== undefined || language !== undefined)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: 'Only the title and tags of image and file clips can be changed'
+            });
+        }
+
+        // Vault clips stay encrypted
+        if (clip.vault && content !== undefined && !isVaultCiphertext(content)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.VAULT_INVALID_CIPHERTEXT
+            });
         }
-        if (contentType !== undefined) clip.contentType = contentType;
-        if (language !== undefined) clip.language = language;
+
+        // Re-detect the type and language when the text or the chosen type changes
+        const retyped = !clip.vault && ((content !== undefined && content !== clip.content) ||
+            (contentType !== undefined && contentType !== clip.contentType));
+        const typed = retyped
+            ? resolveContentType(content ?? clip.content, contentType, language)
+            : { contentType, language };
+
+        // Text changes keep the earlier text as a revision
+        clip.revise({ content, ...typed }, req.user._id);
+
+        if (title !== undefined) clip.title = title;
+        if (tags !== undefined) clip.tags = normalizeTags(tags);
 
         await clip.save();
+        await clip.populate('attachment');
+
+        publishChange(req, 'clips', 'updated', [clip._id]);
+        queueLinkPreview(clip);
 
         res.status(HTTP_STATUS.OK).json({
             success: true,
@@ -184,6 +412,8 @@ export const togglePin = async (req, res, next) => {
 
         const isPinned = await clip.togglePin();
 
+        publishChange(req, 'clips', 'updated', [clip._id]);
+
         res.status(HTTP_STATUS.OK).json({
             success: true,
             message: isPinned ? 'Clip pinned' : 'Clip unpinned',
@@ -226,7 +456,7 @@ export const recordCopy = async (req, res, next) => {
 
 /**
  * @route   DELETE /api/clipboard/:id
- * @desc    Delete clipboard item
+ * @desc    Move clipboard item to the trash
  * @access  Private
  */
 export const deleteClip = async (req, res, next) => {
@@ -243,7 +473,9 @@ export const deleteClip = async (req, res, next) => {
             });
         }
 
-        await clip.deleteOne();
+        await clip.moveToTrash();
+
+        publishChange(req, 'clips', 'deleted', [clip._id]);
 
         res.status(HTTP_STATUS.OK).json({
             success: true,
@@ -256,7 +488,7 @@ export const deleteClip = async (req, res, next) => {
 
 /**
  * @route   DELETE /api/clipboard
- * @desc    Delete multiple clipboard items
+ * @desc    Move multiple clipboard items to the trash
  * @access  Private
  */
 export const deleteMultipleClips = async (req, res, next) => {
@@ -270,15 +502,19 @@ export const deleteMultipleClips = async (req, res, next) => {
             });
         }
 
-        const result = await Clipboard.deleteMany({
-            _id: { $in: clipIds },
-            userId: req.user._id
-        });
+        const result = await Clipboard.updateMany(
+            { _id: { $in: clipIds }, userId: req.user._id },
+            { $set: { deletedAt: new Date(), trashedWith: null } }
+        );
+
+        if (result.modifiedCount > 0) {
+            publishChange(req, 'clips', 'deleted', clipIds);
+        }
 
         res.status(HTTP_STATUS.OK).json({
             success: true,
-            message: `${result.deletedCount} clip(s) deleted`,
-            data: { deletedCount: result.deletedCount }
+            message: `${result.modifiedCount} clip(s) moved to trash`,
+            data: { deletedCount: result.modifiedCount }
         });
     } catch (error) {
         next(error);
@@ -289,6 +525,8 @@ export default {
     getClips,
     getClip,
     createClip,
+    createFileClip,
+    getClipAttachment,
     updateClip,
     togglePin,
     recordCopy,
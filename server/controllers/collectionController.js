@@ -0,0 +1,177 @@
+/**
+ * Collection Controller
+ * Handles smart collections (saved file and clip filters)
+ */
+
+import { SmartCollection } from '../models/index.js';
+import { normalizeTags } from '../utils/tags.js';
+import {
+    HTTP_STATUS,
+    COLLECTION_CONFIG,
+    ERROR_MESSAGES,
+    SUCCESS_MESSAGES
+} from '../config/constants.js';
+
+/**
+ * Build a collection filter from the request body
+ * @param {Object} filter - { tags, type, days, starred }
+ * @returns {Object}
+ */
+const getFilter = ({ tags, type, days, starred } = {}) => ({
+    tags: normalizeTags(tags),
+    type: type || null,
+    days: days || null,
+    starred: Boolean(starred)
+});
+
+/**
+ * Check whether another of the user's collections has this name
+ * @param {ObjectId} userId - Owner
+ * @param {string} name - Collection name
+ * @param {ObjectId} [exceptId] - Collection being renamed
+ * @returns {Promise<boolean>}
+ */
+const isNameTaken = async (userId, name, exceptId = null) => Boolean(await SmartCollection.exists({
+    userId,
+    name: name.trim(),
+    ...(exceptId && { _id: { $ne: exceptId } })
+}));
+
+/**
+ * @route   GET /api/collections
+ * @desc    Get user's smart collections
+ * @access  Private
+ */
+export const getCollections = async (req, res, next) => {
+    try {
+        const collections = await SmartCollection.find({ userId: req.user._id }).sort({ name: 1 });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: { collections }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/collections
+ * @desc    Save a smart collection
+ * @access  Private
+ */
+export const createCollection = async (req, res, next) => {
+    try {
+        const { name, target, filter } = req.body;
+
+        if (await SmartCollection.hasReachedLimit(req.user._id)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.COLLECTION_LIMIT,
+                limit: COLLECTION_CONFIG.MAX_PER_USER
+            });
+        }
+
+        if (await isNameTaken(req.user._id, name)) {
+            return res.status(HTTP_STATUS.CONFLICT).json({
+                success: false,
+                message: ERROR_MESSAGES.COLLECTION_EXISTS
+            });
+        }
+
+        const collection = await SmartCollection.create({
+            userId: req.user._id,
+            name,
+            target: target || 'files',
+            filter: getFilter(filter)
+        });
+
+        res.status(HTTP_STATUS.CREATED).json({
+            success: true,
+            message: SUCCESS_MESSAGES.COLLECTION_CREATED,
+            data: { collection }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   PUT /api/collections/:id
+ * @desc    Rename a smart collection or change its filter
+ * @access  Private
+ */
+export const updateCollection = async (req, res, next) => {
+    try {
+        const { name, target, filter } = req.body;
+
+        const collection = await SmartCollection.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!collection) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.COLLECTION_NOT_FOUND
+            });
+        }
+
+        if (name !== undefined) {
+            if (await isNameTaken(req.user._id, name, collection._id)) {
+                return res.status(HTTP_STATUS.CONFLICT).json({
+                    success: false,
+                    message: ERROR_MESSAGES.COLLECTION_EXISTS
+                });
+            }
+            collection.name = name;
+        }
+        if (target !== undefined) collection.target = target;
+        if (filter !== undefined) collection.filter = getFilter(filter);
+
+        await collection.save();
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.COLLECTION_UPDATED,
+            data: { collection }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   DELETE /api/collections/:id
+ * @desc    Delete a smart collection (its files and clips are kept)
+ * @access  Private
+ */
+export const deleteCollection = async (req, res, next) => {
+    try {
+        const collection = await SmartCollection.findOneAndDelete({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!collection) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.COLLECTION_NOT_FOUND
+            });
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.COLLECTION_DELETED
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    getCollections,
+    createCollection,
+    updateCollection,
+    deleteCollection
+};
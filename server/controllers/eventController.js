@@ -0,0 +1,24 @@
+/**
+ * Event Controller
+ * Streams live updates of a user's files, folders and clips
+ */
+
+import { openStream } from '../services/eventService.js';
+
+/**
+ * @route   GET /api/events
+ * @desc    Open a server-sent event stream of the user's changes (?clientId= to skip the page's own changes)
+ * @access  Private
+ */
+export const streamEvents = (req, res, next) => {
+    try {
+        const clientId = typeof req.query.clientId === 'string' ? req.query.clientId.slice(0, 64) : null;
+        openStream(req.user._id, req, res, clientId);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    streamEvents
+};
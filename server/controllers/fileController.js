@@ -5,19 +5,30 @@
 
 import path from 'path';
 import fs from 'fs/promises';
-import { createReadStream } from 'fs';
-import { File, Folder, User } from '../models/index.js';
+import { File, FileBlob, Folder, User, SmartCollection } from '../models/index.js';
+import { streamFile } from '../services/fileStreamService.js';
+import { getSelectionArchive, streamArchive } from '../services/archiveService.js';
+import { extractArchive, extractStoredArchive } from '../services/extractService.js';
+import { copyFiles } from '../services/copyService.js';
+import { queueThumbnail } from '../services/thumbnailService.js';
+import { queueTextExtraction } from '../services/textService.js';
+import { publishChange } from '../services/eventService.js';
+import { isSafeInline } from '../utils/fileType.js';
+import { isExpiryAllowed, getExpiryDate, resolveExpiryDays, getExpiryPolicy } from '../utils/expiry.js';
+import { getUploadFolderNames } from '../utils/folderPath.js';
+import { normalizeTags, parseTagList } from '../utils/tags.js';
 import {
     HTTP_STATUS,
     ERROR_MESSAGES,
     SUCCESS_MESSAGES,
-    FILE_CONFIG,
+    THUMBNAIL_STATUS,
+    VAULT_CONFIG,
     PAGINATION
 } from '../config/constants.js';
 
 /**
  * @route   GET /api/files
- * @desc    Get user's files (with optional folder filter)
+ * @desc    Get user's files (with optional folder, tag or collection filter)
  * @access  Private
  */
 export const getFiles = async (req, res, next) => {
@@ -27,19 +38,42 @@ export const getFiles = async (req, res, next) => {
             limit = PAGINATION.DEFAULT_LIMIT,
             folderId,
             search,
-            type,
             sort = 'createdAt',
             order = 'desc',
-            starred
+            collectionId
         } = req.query;
+        let { type, starred } = req.query;
+        let tags = parseTagList(req.query.tags);
+        let days = parseInt(req.query.days) || null;
+
+        // A smart collection replaces the filters and spans all folders
+        let collection = null;
+        if (collectionId) {
+            collection = await SmartCollection.findOne({
+                _id: collectionId,
+                userId: req.user._id,
+                target: 'files'
+            });
+
+            if (!collection) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    success: false,
+                    message: ERROR_MESSAGES.COLLECTION_NOT_FOUND
+                });
+            }
+
+            const options = collection.getQueryOptions();
+            ({ type, tags, days } = options);
+            starred = options.starred ? 'true' : undefined;
+        }
 
         // Build query
         const query = { userId: req.user._id };
 
         // Filter by folder (null for root)
-        if (folderId === 'root' || folderId === '') {
+        if (!collection && (folderId === 'root' || folderId === '')) {
             query.folderId = null;
-        } else if (folderId) {
+        } else if (!collection && folderId) {
             query.folderId = folderId;
         }
 
@@ -56,6 +90,8 @@ export const getFiles = async (req, res, next) => {
                 query.mimeType = { $regex: '^video/' };
             } else if (type === 'audio') {
                 query.mimeType = { $regex: '^audio/' };
+            } else if (type === 'pdf') {
+                query.mimeType = 'application/pdf';
             } else if (type === 'document') {
                 query.mimeType = {
                     $in: [
@@ -72,6 +108,16 @@ export const getFiles = async (req, res, next) => {
             query.isStarred = true;
         }
 
+        // Files must have every tag
+        if (tags.length > 0) {
+            query.tags = { $all: tags };
+        }
+
+        // Uploaded in the last N days
+        if (days) {
+            query.createdAt = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+        }
+
         // Build sort
         const sortOrder = order === 'asc' ? 1 : -1;
         const sortOptions = { [sort]: sortOrder };
@@ -93,7 +139,9 @@ export const getFiles = async (req, res, next) => {
                     limit: parseInt(limit),
                     total,
                     pages: Math.ceil(total / limit)
-                }
+                },
+                collection,
+                expiryPolicy: getExpiryPolicy()
             }
         });
     } catch (error) {
@@ -143,12 +191,58 @@ export const uploadFiles = async (req, res, next) => {
         }
 
         const { folderId } = req.body;
+        // Replace mode: files with the same name in the folder get a new version
+        const replace = req.body.replace === 'true';
+        // Vault mode: the files are ciphertext made in the browser (checked by verifyVaultContents)
+        const vault = req.body.vault === 'true';
+        // Extract mode: ZIP archives are unpacked into a folder instead of stored
+        const extract = !vault && req.body.extract === 'true';
         const uploadedFiles = [];
+        const extracted = [];
         let totalSize = 0;
 
+        // Expiry in days chosen for this upload (0 = never), otherwise the folder default
+        const expiryDays = req.body.expiryDays ? Number(req.body.expiryDays) : null;
+        if (expiryDays !== null && !isExpiryAllowed(expiryDays)) {
+            for (const file of req.files) {
+                await fs.unlink(file.path).catch(() => { });
+            }
+
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.EXPIRY_NOT_ALLOWED
+            });
+        }
+
+        if (vault && !await User.hasVault(req.user._id)) {
+            for (const file of req.files) {
+                await fs.unlink(file.path).catch(() => { });
+            }
+
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.VAULT_NOT_SET_UP
+            });
+        }
+
+        // Folder uploads send each file's path (in file order), e.g. "Project/src/app.js"
+        const relativePaths = [].concat(req.body.relativePaths ?? []);
+        const folderNames = req.files.map((file, i) => getUploadFolderNames(relativePaths[i]));
+        if ((relativePaths.length > 0 && relativePaths.length !== req.files.length) || folderNames.includes(null)) {
+            for (const file of req.files) {
+                await fs.unlink(file.path).catch(() => { });
+            }
+
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.INVALID_RELATIVE_PATH
+            });
+        }
+
         // Validate folder if specified
+        let folder = null;
         if (folderId) {
-            const folder = await Folder.findOne({
+            folder = await Folder.findOne({
                 _id: folderId,
                 userId: req.user._id
             });
@@ -186,25 +280,74 @@ export const uploadFiles = async (req, res, next) => {
             });
         }
 
-        // Create file records
-        for (const file of req.files) {
-            const fileDoc = await File.create({
+        // Store contents (deduplicated) and create file records
+        // Storage usage is charged by the File model
+        // Expiry date per target folder (subfolders may set their own)
+        const expiryByFolder = new Map();
+        const getFolderExpiry = async (target) => {
+            const key = target?._id.toString() || 'root';
+            if (!expiryByFolder.has(key)) {
+                expiryByFolder.set(key, getExpiryDate(await resolveExpiryDays(expiryDays, target)));
+            }
+            return expiryByFolder.get(key);
+        };
+
+        let chargedSize = 0;
+        // Folders from relative paths (may have been created)
+        const pathFolderIds = new Set();
+        for (const [i, file] of req.files.entries()) {
+            // Missing folders from the file's relative path are created
+            const target = await Folder.ensurePath(req.user._id, folder, folderNames[i]);
+            const targetId = target?._id || null;
+            if (folderNames[i].length > 0) pathFolderIds.add(targetId.toString());
+
+            if (extract && file.detectedType === 'application/zip') {
+                const result = await extractArchive(file.path, {
+                    userId: req.user._id,
+                    parent: target,
+                    name: file.originalname,
+                    expiryDays
+                });
+                await fs.unlink(file.path).catch(() => { });
+
+                extracted.push(result);
+                chargedSize += result.files.reduce((sum, extractedFile) => sum + extractedFile.chargedSize, 0);
+                continue;
+            }
+
+            const data = {
                 userId: req.user._id,
                 originalName: file.originalname,
                 fileName: file.filename,
-                filePath: file.path,
                 fileSize: file.size,
                 mimeType: file.mimetype,
+                detectedType: file.detectedType,
+                vault,
                 extension: path.extname(file.originalname).toLowerCase(),
-                folderId: folderId || null,
-                expiresAt: new Date(Date.now() + FILE_CONFIG.EXPIRY_DAYS * 24 * 60 * 60 * 1000)
-            });
+                folderId: targetId,
+                expiresAt: await getFolderExpiry(target)
+            };
+
+            // A vault file and a plain one are never versions of each other
+            const sameName = replace && await File.findByName(req.user._id, targetId, file.originalname);
+            const existing = sameName?.vault === vault ? sameName : null;
+            const fileDoc = existing
+                ? await existing.addVersionFromUpload(file.path, data)
+                : await File.createFromUpload(file.path, data);
 
             uploadedFiles.push(fileDoc);
+            chargedSize += fileDoc.chargedSize;
         }
 
-        // Update user storage
-        await req.user.updateStorage(totalSize);
+        // Thumbnails and search text are prepared in the background
+        uploadedFiles.forEach(queueThumbnail);
+        uploadedFiles.forEach(queueTextExtraction);
+
+        publishChange(req, 'files', 'created', [
+            ...uploadedFiles.map(file => file._id),
+            ...extracted.flatMap(result => result.files.map(extractedFile => extractedFile._id))
+        ]);
+        publishChange(req, 'folders', 'created', [...pathFolderIds, ...extracted.map(result => result.folder._id)]);
 
         res.status(HTTP_STATUS.CREATED).json({
             success: true,
@@ -212,8 +355,9 @@ export const uploadFiles = async (req, res, next) => {
             data: {
                 files: uploadedFiles,
                 count: uploadedFiles.length,
+                extracted,
                 totalSize,
-                storageUsed: req.user.storageUsed + totalSize,
+                storageUsed: req.user.storageUsed + chargedSize,
                 storageLimit: req.user.storageLimit
             }
         });
@@ -275,29 +419,56 @@ export const downloadFile = async (req, res, next) => {
             });
         }
 
-        // Check if file exists on disk
-        try {
-            await fs.access(file.filePath);
-        } catch {
+        // Contents are served only after a clean virus scan
+        const scanBlock = file.getScanBlockMessage();
+        if (scanBlock) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({
+                success: false,
+                message: scanBlock,
+                scanStatus: file.scanStatus
+            });
+        }
+
+        // Stream file (ranged requests resuming a download aren't counted again)
+        // Vault files are ciphertext until the browser decrypts them
+        const sent = await streamFile(req, res, file, {
+            disposition: 'attachment',
+            contentType: file.vault ? VAULT_CONFIG.CONTENT_TYPE : file.mimeType,
+            onNewDownload: () => file.incrementDownloads()
+        });
+
+        if (!sent) {
             return res.status(HTTP_STATUS.NOT_FOUND).json({
                 success: false,
                 message: 'File not found on server'
             });
         }
+    } catch (error) {
+        next(error);
+    }
+};
 
-        // Increment download count
-        await file.incrementDownloads();
+/**
+ * @route   POST /api/files/download
+ * @desc    Download selected files as a ZIP archive
+ * @access  Private
+ */
+export const downloadSelectedFiles = async (req, res, next) => {
+    try {
+        const files = await File.find({
+            _id: { $in: req.body.fileIds },
+            userId: req.user._id
+        }).sort({ originalName: 1 });
 
-        // Set headers for download
-        res.set({
-            'Content-Type': file.mimeType,
-            'Content-Disposition': `attachment; filename="${encodeURIComponent(file.originalName)}"`,
-            'Content-Length': file.fileSize
-        });
+        if (files.length === 0) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: 'No files found'
+            });
+        }
 
-        // Stream file
-        const fileStream = createReadStream(file.filePath);
-        fileStream.pipe(res);
+        const date = new Date().toISOString().slice(0, 10);
+        await streamArchive(res, `campus-share-${date}`, getSelectionArchive(files));
     } catch (error) {
         next(error);
     }
@@ -322,27 +493,92 @@ export const previewFile = async (req, res, next) => {
             });
         }
 
-        // Check if file exists on disk
-        try {
-            await fs.access(file.filePath);
-        } catch {
+        // Contents are served only after a clean virus scan
+        const scanBlock = file.getScanBlockMessage();
+        if (scanBlock) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({
+                success: false,
+                message: scanBlock,
+                scanStatus: file.scanStatus
+            });
+        }
+
+        // Only serve inline what the contents really are, and only safe types
+        const detectedType = await file.ensureDetectedType();
+        if (!isSafeInline(detectedType)) {
+            return res.status(HTTP_STATUS.UNSUPPORTED_MEDIA_TYPE).json({
+                success: false,
+                message: ERROR_MESSAGES.PREVIEW_NOT_AVAILABLE
+            });
+        }
+
+        // Stream file for inline viewing (supports seeking in media)
+        const sent = await streamFile(req, res, file, {
+            disposition: 'inline',
+            cacheControl: 'private, max-age=3600',
+            contentType: detectedType
+        });
+
+        if (!sent) {
             return res.status(HTTP_STATUS.NOT_FOUND).json({
                 success: false,
                 message: 'File not found on server'
             });
         }
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/files/:id/thumbnail
+ * @desc    Get a file's thumbnail (WebP)
+ * @access  Private
+ */
+export const getThumbnail = async (req, res, next) => {
+    try {
+        const file = await File.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!file) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.FILE_NOT_FOUND
+            });
+        }
+
+        // Thumbnails show the contents, so they wait for a clean scan too
+        const scanBlock = file.getScanBlockMessage();
+        if (scanBlock) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({
+                success: false,
+                message: scanBlock,
+                scanStatus: file.scanStatus
+            });
+        }
 
-        // Set headers for inline viewing
-        res.set({
-            'Content-Type': file.mimeType,
-            'Content-Disposition': `inline; filename="${encodeURIComponent(file.originalName)}"`,
-            'Content-Length': file.fileSize,
-            'Cache-Control': 'private, max-age=3600'
+        const blob = file.thumbnailStatus === THUMBNAIL_STATUS.READY
+            ? await FileBlob.findById(file.blobId)
+            : null;
+
+        const sent = blob?.thumbnailKey && await streamFile(req, res, {
+            filePath: blob.thumbnailKey,
+            originalName: `${path.parse(file.originalName).name}.webp`,
+            mimeType: 'image/webp'
+        }, {
+            disposition: 'inline',
+            cacheControl: 'private, max-age=86400'
         });
 
-        // Stream file
-        const fileStream = createReadStream(file.filePath);
-        fileStream.pipe(res);
+        if (!sent) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.THUMBNAIL_NOT_AVAILABLE,
+                thumbnailStatus: file.thumbnailStatus
+            });
+        }
     } catch (error) {
         next(error);
     }
@@ -355,7 +591,7 @@ export const previewFile = async (req, res, next) => {
  */
 export const updateFile = async (req, res, next) => {
     try {
-        const { originalName, folderId, isStarred, description } = req.body;
+        const { originalName, folderId, isStarred, description, tags } = req.body;
 
         const file = await File.findOne({
             _id: req.params.id,
@@ -393,9 +629,12 @@ export const updateFile = async (req, res, next) => {
         if (originalName) file.originalName = originalName;
         if (isStarred !== undefined) file.isStarred = isStarred;
         if (description !== undefined) file.description = description;
+        if (tags !== undefined) file.tags = normalizeTags(tags);
 
         await file.save();
 
+        publishChange(req, 'files', 'updated', [file._id]);
+
         res.status(HTTP_STATUS.OK).json({
             success: true,
             message: 'File updated successfully',
@@ -427,6 +666,8 @@ export const toggleStar = async (req, res, next) => {
 
         const isStarred = await file.toggleStar();
 
+        publishChange(req, 'files', 'updated', [file._id]);
+
         res.status(HTTP_STATUS.OK).json({
             success: true,
             message: isStarred ? 'File starred' : 'File unstarred',
@@ -437,9 +678,120 @@ export const toggleStar = async (req, res, next) => {
     }
 };
 
+/**
+ * @route   PUT /api/files/:id/expiry
+ * @desc    Change when a file expires
+ * @access  Private
+ */
+export const updateExpiry = async (req, res, next) => {
+    try {
+        const file = await File.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!file) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.FILE_NOT_FOUND
+            });
+        }
+
+        // Days from now (0 = keep forever)
+        await file.extendExpiry(req.body.expiryDays);
+
+        publishChange(req, 'files', 'updated', [file._id]);
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.EXPIRY_UPDATED,
+            data: {
+                expiresAt: file.expiresAt,
+                expiresIn: file.expiresIn
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/files/:id/extract
+ * @desc    Extract a ZIP file into a new folder
+ * @access  Private
+ */
+export const extractFile = async (req, res, next) => {
+    try {
+        const { folderId, expiryDays = null } = req.body;
+
+        const file = await File.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!file) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.FILE_NOT_FOUND
+            });
+        }
+
+        if ((file.detectedType || file.mimeType) !== 'application/zip') {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.NOT_AN_ARCHIVE
+            });
+        }
+
+        // Contents are read only after a clean virus scan
+        const scanBlock = file.getScanBlockMessage();
+        if (scanBlock) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({
+                success: false,
+                message: scanBlock,
+                scanStatus: file.scanStatus
+            });
+        }
+
+        // Extract next to the archive unless another folder is chosen
+        const targetId = folderId || file.folderId;
+        let parent = null;
+        if (targetId) {
+            parent = await Folder.findOne({
+                _id: targetId,
+                userId: req.user._id
+            });
+
+            if (!parent) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    success: false,
+                    message: ERROR_MESSAGES.FOLDER_NOT_FOUND
+                });
+            }
+        }
+
+        const extracted = await extractStoredArchive(file, {
+            userId: req.user._id,
+            parent,
+            expiryDays
+        });
+
+        publishChange(req, 'folders', 'created', [extracted.folder._id]);
+        publishChange(req, 'files', 'created', extracted.files.map(extractedFile => extractedFile._id));
+
+        res.status(HTTP_STATUS.CREATED).json({
+            success: true,
+            message: SUCCESS_MESSAGES.ARCHIVE_EXTRACTED,
+            data: extracted
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @route   DELETE /api/files/:id
- * @desc    Delete a file
+ * @desc    Move a file to the trash
  * @access  Private
  */
 export const deleteFile = async (req, res, next) => {
@@ -456,18 +808,15 @@ export const deleteFile = async (req, res, next) => {
             });
         }
 
-        const fileSize = file.fileSize;
+        // Stays charged to the owner until the trash is emptied
+        await file.moveToTrash();
 
-        // Delete file (middleware handles physical file and storage update)
-        await file.deleteOne();
+        publishChange(req, 'files', 'deleted', [file._id]);
 
         res.status(HTTP_STATUS.OK).json({
             success: true,
             message: SUCCESS_MESSAGES.FILE_DELETED,
-            data: {
-                freedSpace: fileSize,
-                storageUsed: req.user.storageUsed - fileSize
-            }
+            data: { deletedAt: file.deletedAt }
         });
     } catch (error) {
         next(error);
@@ -476,7 +825,7 @@ export const deleteFile = async (req, res, next) => {
 
 /**
  * @route   DELETE /api/files
- * @desc    Delete multiple files
+ * @desc    Move multiple files to the trash
  * @access  Private
  */
 export const deleteMultipleFiles = async (req, res, next) => {
@@ -503,22 +852,120 @@ export const deleteMultipleFiles = async (req, res, next) => {
             });
         }
 
-        let totalFreed = 0;
-
-        // Delete each file
+        // Trash each file
+        const deletedAt = new Date();
         for (const file of files) {
-            totalFreed += file.fileSize;
-            await file.deleteOne();
+            await file.moveToTrash(null, deletedAt);
         }
 
+        publishChange(req, 'files', 'deleted', files.map(file => file._id));
+
         res.status(HTTP_STATUS.OK).json({
             success: true,
-            message: `${files.length} file(s) deleted`,
-            data: {
-                deletedCount: files.length,
-                freedSpace: totalFreed,
-                storageUsed: req.user.storageUsed - totalFreed
+            message: `${files.length} file(s) moved to trash`,
+            data: { deletedCount: files.length }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/files/bulk
+ * @desc    Move, copy, star, trash or extend many files at once
+ * @access  Private
+ */
+export const bulkUpdateFiles = async (req, res, next) => {
+    try {
+        const { action, fileIds, folderId, isStarred = true, expiryDays } = req.body;
+
+        const files = await File.find({
+            _id: { $in: fileIds },
+            userId: req.user._id
+        });
+
+        if (files.length === 0) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: 'No files found'
+            });
+        }
+
+        // Destination of moves and copies (root if none)
+        let folder = null;
+        if ((action === 'move' || action === 'copy') && folderId && folderId !== 'root') {
+            folder = await Folder.findOne({
+                _id: folderId,
+                userId: req.user._id
+            });
+
+            if (!folder) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    success: false,
+                    message: ERROR_MESSAGES.FOLDER_NOT_FOUND
+                });
+            }
+        }
+
+        const ids = files.map(file => file._id);
+        let data = { count: files.length };
+        let message;
+
+        switch (action) {
+            case 'move':
+                await File.updateMany({ _id: { $in: ids } }, { $set: { folderId: folder?._id || null } });
+                message = `${files.length} file(s) moved`;
+                break;
+
+            case 'copy': {
+                const copied = await copyFiles(files, { userId: req.user._id, folder });
+                data = { count: copied.files.length, ...copied };
+                message = `${copied.files.length} file(s) copied`;
+                break;
+            }
+
+            case 'star':
+                await File.updateMany({ _id: { $in: ids } }, { $set: { isStarred } });
+                message = `${files.length} file(s) ${isStarred ? 'starred' : 'unstarred'}`;
+                break;
+
+            case 'delete': {
+                // Stay charged to the owner until the trash is emptied
+                const deletedAt = new Date();
+                for (const file of files) {
+                    await file.moveToTrash(null, deletedAt);
+                }
+                message = `${files.length} file(s) moved to trash`;
+                break;
             }
+
+            case 'extend': {
+                // Days from now (0 = keep forever); files that already expire later keep their date
+                const expiresAt = getExpiryDate(expiryDays);
+                const result = await File.updateMany(
+                    {
+                        _id: { $in: ids },
+                        expiresAt: expiresAt ? { $ne: null, $lt: expiresAt } : { $ne: null }
+                    },
+                    { $set: { expiresAt } }
+                );
+                data.expiresAt = expiresAt;
+                data.extended = result.modifiedCount;
+                message = `${result.modifiedCount} of ${files.length} file(s) extended`;
+                break;
+            }
+        }
+
+        if (action === 'copy') {
+            publishChange(req, 'files', 'created', data.files.map(copy => copy._id));
+        } else {
+            publishChange(req, 'files', action === 'delete' ? 'deleted' : 'updated', ids);
+        }
+
+        res.status(action === 'copy' ? HTTP_STATUS.CREATED : HTTP_STATUS.OK).json({
+            success: true,
+            message,
+            data: { action, ...data }
         });
     } catch (error) {
         next(error);
@@ -531,9 +978,14 @@ export default {
     uploadFiles,
     getFile,
     downloadFile,
+    downloadSelectedFiles,
     previewFile,
+    getThumbnail,
     updateFile,
     toggleStar,
+    updateExpiry,
+    extractFile,
     deleteFile,
-    deleteMultipleFiles
+    deleteMultipleFiles,
+    bulkUpdateFiles
 };
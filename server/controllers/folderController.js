@@ -4,8 +4,12 @@
  */
 
 import { Folder, File } from '../models/index.js';
+import { getFolderArchive, streamArchive } from '../services/archiveService.js';
+import { copyFolder as copyFolderTree } from '../services/copyService.js';
+import { publishChange } from '../services/eventService.js';
 import {
     HTTP_STATUS,
+    ARCHIVE_CONFIG,
     ERROR_MESSAGES,
     SUCCESS_MESSAGES
 } from '../config/constants.js';
@@ -108,7 +112,9 @@ export const getFolder = async (req, res, next) => {
                 folder,
                 path,
                 subfolders,
-                files
+                files,
+                // Expiry new files get here (own setting, inherited or system default)
+                effectiveExpiryDays: await folder.getExpiryDays()
             }
         });
     } catch (error) {
@@ -162,6 +168,8 @@ export const createFolder = async (req, res, next) => {
             color: color || '#6366f1'
         });
 
+        publishChange(req, 'folders', 'created', [folder._id]);
+
         res.status(HTTP_STATUS.CREATED).json({
             success: true,
             message: SUCCESS_MESSAGES.FOLDER_CREATED,
@@ -244,6 +252,8 @@ export const updateFolder = async (req, res, next) => {
 
         await folder.save();
 
+        publishChange(req, 'folders', 'updated', [folder._id]);
+
         res.status(HTTP_STATUS.OK).json({
             success: true,
             message: SUCCESS_MESSAGES.FOLDER_UPDATED,
@@ -273,9 +283,147 @@ async function isDescendant(ancestorId, descendantId) {
     return false;
 }
 
+/**
+ * @route   PUT /api/folders/:id/expiry
+ * @desc    Set the default expiry for new files, optionally extending existing ones
+ * @access  Private
+ */
+export const updateFolderExpiry = async (req, res, next) => {
+    try {
+        const { expiryDays = null, extendFiles } = req.body;
+
+        const folder = await Folder.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!folder) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.FOLDER_NOT_FOUND
+            });
+        }
+
+        // null inherits from the parent folder again
+        folder.expiryDays = expiryDays;
+        await folder.save();
+
+        const effectiveExpiryDays = await folder.getExpiryDays();
+        const extendedCount = extendFiles ? await folder.extendFileExpiry(effectiveExpiryDays) : 0;
+
+        publishChange(req, 'folders', 'updated', [folder._id]);
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.FOLDER_EXPIRY_UPDATED,
+            data: {
+                folder,
+                effectiveExpiryDays,
+                extendedCount
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/folders/:id/copy
+ * @desc    Copy a folder with its subfolders and files
+ * @access  Private
+ */
+export const copyFolder = async (req, res, next) => {
+    try {
+        const { parentId } = req.body;
+
+        const folder = await Folder.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!folder) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.FOLDER_NOT_FOUND
+            });
+        }
+
+        // Copy next to the original unless another folder is chosen
+        const targetId = parentId === undefined ? folder.parentId : (parentId === 'root' ? null : parentId);
+        let parent = null;
+        if (targetId) {
+            parent = await Folder.findOne({
+                _id: targetId,
+                userId: req.user._id
+            });
+
+            if (!parent) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    success: false,
+                    message: ERROR_MESSAGES.FOLDER_NOT_FOUND
+                });
+            }
+
+            // The copy would end up inside what is being copied
+            if (parent._id.equals(folder._id) || await isDescendant(folder._id, parent._id)) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    success: false,
+                    message: ERROR_MESSAGES.FOLDER_COPY_INTO_ITSELF
+                });
+            }
+        }
+
+        const copied = await copyFolderTree(folder, { parent });
+
+        publishChange(req, 'folders', 'created', [copied.folder._id]);
+
+        res.status(HTTP_STATUS.CREATED).json({
+            success: true,
+            message: SUCCESS_MESSAGES.FOLDER_COPIED,
+            data: copied
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/folders/:id/download
+ * @desc    Download a folder and everything in it as a ZIP archive
+ * @access  Private
+ */
+export const downloadFolder = async (req, res, next) => {
+    try {
+        const folder = await Folder.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!folder) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.FOLDER_NOT_FOUND
+            });
+        }
+
+        const layout = await getFolderArchive(folder);
+
+        if (layout.entries.length > ARCHIVE_CONFIG.MAX_FILES) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.ARCHIVE_TOO_LARGE
+            });
+        }
+
+        await streamArchive(res, folder.name, layout);
+    } catch (error) {
+        next(error);
+    }
+};
+
 /**
  * @route   DELETE /api/folders/:id
- * @desc    Delete folder and all contents
+ * @desc    Move folder and all contents to the trash
  * @access  Private
  */
 export const deleteFolder = async (req, res, next) => {
@@ -316,8 +464,10 @@ export const deleteFolder = async (req, res, next) => {
             await moveFilesFromSubfolders(folder._id);
         }
 
-        // Delete folder (cascade delete handled by pre middleware)
-        await folder.deleteOne();
+        // Trash folder along with its subfolders and remaining files
+        await folder.moveTreeToTrash();
+
+        publishChange(req, 'folders', 'deleted', [folder._id]);
 
         res.status(HTTP_STATUS.OK).json({
             success: true,
@@ -333,5 +483,8 @@ export default {
     getFolder,
     createFolder,
     updateFolder,
+    updateFolderExpiry,
+    copyFolder,
+    downloadFolder,
     deleteFolder
 };
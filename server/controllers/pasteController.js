@@ -0,0 +1,307 @@
+/**
+ * Paste Controller
+ * Handles public read-only paste links for clips
+ */
+
+import { Clipboard, PasteLink } from '../models/index.js';
+import {
+    HTTP_STATUS,
+    ERROR_MESSAGES,
+    SUCCESS_MESSAGES,
+    PASTE_CONFIG
+} from '../config/constants.js';
+
+/**
+ * @route   POST /api/clipboard/:id/publish
+ * @desc    Publish a clip as a public paste page
+ * @access  Private
+ */
+export const publishClip = async (req, res, next) => {
+    try {
+        const { expiresInHours, burnAfterReading = false } = req.body;
+
+        const clip = await Clipboard.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!clip) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.CLIP_NOT_FOUND
+            });
+        }
+
+        // The server can't read vault clips, so there's nothing to publish
+        if (clip.vault) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.VAULT_NOT_SHAREABLE
+            });
+        }
+
+        // Paste pages show text only
+        if (clip.hasAttachment) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.PASTE_TEXT_ONLY
+            });
+        }
+
+        // Limit active links per clip
+        const activeCount = await PasteLink.countDocuments({
+            clipId: clip._id,
+            ...PasteLink.activeFilter()
+        });
+
+        if (activeCount >= PASTE_CONFIG.MAX_LINKS_PER_CLIP) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.PASTE_LINK_LIMIT,
+                limit: PASTE_CONFIG.MAX_LINKS_PER_CLIP
+            });
+        }
+
+        // Links never outlive their clip
+        let expiresAt = null;
+        if (expiresInHours) {
+            expiresAt = new Date(Math.min(Date.now() + expiresInHours * 60 * 60 * 1000, clip.expiresAt));
+        }
+
+        const pasteLink = await PasteLink.create({
+            clipId: clip._id,
+            userId: req.user._id,
+            slug: PasteLink.generateSlug(),
+            burnAfterReading,
+            expiresAt
+        });
+
+        res.status(HTTP_STATUS.CREATED).json({
+            success: true,
+            message: SUCCESS_MESSAGES.PASTE_PUBLISHED,
+            data: { pasteLink }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/clipboard/published
+ * @desc    Get user's active paste links with their clips
+ * @access  Private
+ */
+export const getPublishedClips = async (req, res, next) => {
+    try {
+        const pasteLinks = await PasteLink.find({
+            userId: req.user._id,
+            ...PasteLink.activeFilter()
+        })
+            .populate('clipId', 'title contentType language expiresAt')
+            .sort({ createdAt: -1 });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            // Links of trashed or expired clips are left out
+            data: { pasteLinks: pasteLinks.filter(link => link.clipId) }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   DELETE /api/clipboard/published/:linkId
+ * @desc    Revoke a paste link
+ * @access  Private
+ */
+export const revokePasteLink = async (req, res, next) => {
+    try {
+        const pasteLink = await PasteLink.findOne({
+            _id: req.params.linkId,
+            userId: req.user._id
+        });
+
+        if (!pasteLink) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.PASTE_NOT_FOUND
+            });
+        }
+
+        if (!pasteLink.revokedAt) {
+            await pasteLink.revoke();
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.PASTE_REVOKED,
+            data: { pasteLink }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Look up a paste link by slug and its clip
+ * Sends the error response itself when the link cannot be viewed
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @returns {Promise<{pasteLink: PasteLink, clip: Clipboard}|null>}
+ */
+async function resolvePasteLink(req, res) {
+    const pasteLink = await PasteLink.findOne({ slug: req.params.slug });
+
+    if (!pasteLink) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: ERROR_MESSAGES.PASTE_NOT_FOUND
+        });
+        return null;
+    }
+
+    const inactiveReason = pasteLink.getInactiveReason();
+    if (inactiveReason) {
+        const messages = {
+            revoked: ERROR_MESSAGES.PASTE_REVOKED,
+            expired: ERROR_MESSAGES.PASTE_EXPIRED,
+            burned: ERROR_MESSAGES.PASTE_BURNED
+        };
+
+        res.status(HTTP_STATUS.GONE).json({
+            success: false,
+            message: messages[inactiveReason]
+        });
+        return null;
+    }
+
+    const clip = await Clipboard.findOne({
+        _id: pasteLink.clipId,
+        userId: pasteLink.userId,
+        expiresAt: { $gt: new Date() }
+    });
+
+    if (!clip) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: ERROR_MESSAGES.PASTE_NOT_FOUND
+        });
+        return null;
+    }
+
+    return { pasteLink, clip };
+}
+
+/**
+ * Count a view of a paste, burning it if it is read once
+ * Sends the error response itself when another request burned it first
+ * @param {PasteLink} pasteLink - Resolved link
+ * @param {Response} res - Express response
+ * @returns {Promise<boolean>} - True if the paste may be shown
+ */
+async function consumePasteView(pasteLink, res) {
+    const consumed = await PasteLink.consumeView(pasteLink._id);
+
+    if (!consumed) {
+        res.status(HTTP_STATUS.GONE).json({
+            success: false,
+            message: pasteLink.burnAfterReading ? ERROR_MESSAGES.PASTE_BURNED : ERROR_MESSAGES.PASTE_NOT_FOUND
+        });
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * @route   GET /api/p/:slug/info
+ * @desc    Get public details of a paste without viewing it
+ * @access  Public
+ */
+export const getPasteInfo = async (req, res, next) => {
+    try {
+        const resolved = await resolvePasteLink(req, res);
+        if (!resolved) return;
+
+        const { pasteLink, clip } = resolved;
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: {
+                burnAfterReading: pasteLink.burnAfterReading,
+                expiresAt: pasteLink.expiresAt || clip.expiresAt
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/p/:slug
+ * @desc    View a paste (burn-after-reading pastes are gone afterwards)
+ * @access  Public
+ */
+export const getPaste = async (req, res, next) => {
+    try {
+        const resolved = await resolvePasteLink(req, res);
+        if (!resolved) return;
+
+        const { pasteLink, clip } = resolved;
+        if (!await consumePasteView(pasteLink, res)) return;
+
+        res.set('Cache-Control', 'no-store');
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: {
+                paste: {
+                    title: clip.title,
+                    content: clip.content,
+                    contentType: clip.contentType,
+                    language: clip.language,
+                    updatedAt: clip.updatedAt,
+                    burnAfterReading: pasteLink.burnAfterReading,
+                    expiresAt: pasteLink.expiresAt || clip.expiresAt
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/p/:slug/raw
+ * @desc    View a paste as plain text (?download=true to save it)
+ * @access  Public
+ */
+export const getRawPaste = async (req, res, next) => {
+    try {
+        const resolved = await resolvePasteLink(req, res);
+        if (!resolved) return;
+
+        const { pasteLink, clip } = resolved;
+        if (!await consumePasteView(pasteLink, res)) return;
+
+        if (req.query.download === 'true') {
+            const extension = clip.contentType === 'json' ? 'json' : clip.contentType === 'markdown' ? 'md' : 'txt';
+            res.attachment(`${clip.title}.${extension}`);
+        }
+
+        // Always plain text, so pasted HTML is never rendered
+        res.set('Cache-Control', 'no-store');
+        res.type('text/plain; charset=utf-8').send(clip.content);
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    publishClip,
+    getPublishedClips,
+    revokePasteLink,
+    getPasteInfo,
+    getPaste,
+    getRawPaste
+};
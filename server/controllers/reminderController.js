@@ -0,0 +1,81 @@
+/**
+ * Reminder Controller
+ * Handles the one-click links in expiry reminder emails
+ */
+
+import {
+    REMINDER_ACTIONS,
+    verifyReminderToken,
+    extendItem,
+    unsubscribe
+} from '../services/reminderService.js';
+import {
+    HTTP_STATUS,
+    ERROR_MESSAGES,
+    SUCCESS_MESSAGES
+} from '../config/constants.js';
+
+/**
+ * @route   POST /api/reminders/extend/:token
+ * @desc    Extend a file or clip from a reminder email
+ * @access  Public (signed link)
+ */
+export const extendFromLink = async (req, res, next) => {
+    try {
+        const payload = verifyReminderToken(req.params.token, REMINDER_ACTIONS.EXTEND);
+
+        if (!payload) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.REMINDER_LINK_INVALID
+            });
+        }
+
+        const item = await extendItem(payload);
+
+        if (!item) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.REMINDER_ITEM_GONE
+            });
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.ITEM_EXTENDED,
+            data: item
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/reminders/unsubscribe/:token
+ * @desc    Turn off expiry reminder emails from a reminder email
+ * @access  Public (signed link)
+ */
+export const unsubscribeFromLink = async (req, res, next) => {
+    try {
+        const payload = verifyReminderToken(req.params.token, REMINDER_ACTIONS.UNSUBSCRIBE);
+
+        if (!payload || !await unsubscribe(payload)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.REMINDER_LINK_INVALID
+            });
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.REMINDERS_DISABLED
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    extendFromLink,
+    unsubscribeFromLink
+};
@@ -0,0 +1,109 @@
+/**
+ * Revision Controller
+ * Handles the edit history of text clips
+ */
+
+import { Clipboard } from '../models/index.js';
+import { publishChange } from '../services/eventService.js';
+import { queueLinkPreview } from '../services/unfurlService.js';
+import {
+    HTTP_STATUS,
+    ERROR_MESSAGES,
+    SUCCESS_MESSAGES,
+    CLIPBOARD_CONFIG
+} from '../config/constants.js';
+
+/**
+ * @route   GET /api/clipboard/:id/revisions
+ * @desc    Get a clip's revision history
+ * @access  Private
+ */
+export const getRevisions = async (req, res, next) => {
+    try {
+        const clip = await Clipboard.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        })
+            .select('+revisions')
+            .populate('editedBy revisions.editedBy', 'username');
+
+        if (!clip) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.CLIP_NOT_FOUND
+            });
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: {
+                current: {
+                    number: clip.revision,
+                    content: clip.content,
+                    contentType: clip.contentType,
+                    language: clip.language,
+                    editedBy: clip.editedBy,
+                    editedAt: clip.editedAt || clip.createdAt
+                },
+                // Newest first
+                revisions: [...clip.revisions].reverse(),
+                limit: CLIPBOARD_CONFIG.MAX_REVISIONS
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/clipboard/:id/revisions/:revisionId/restore
+ * @desc    Make an earlier text current again (the current text becomes a revision)
+ * @access  Private
+ */
+export const restoreRevision = async (req, res, next) => {
+    try {
+        const clip = await Clipboard.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        }).select('+revisions');
+
+        if (!clip) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.CLIP_NOT_FOUND
+            });
+        }
+
+        const revision = clip.revisions.id(req.params.revisionId);
+        if (!revision) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.REVISION_NOT_FOUND
+            });
+        }
+
+        const restoredNumber = revision.number;
+        clip.revise({
+            content: revision.content,
+            contentType: revision.contentType,
+            language: revision.language
+        }, req.user._id);
+        await clip.save();
+
+        publishChange(req, 'clips', 'updated', [clip._id]);
+        queueLinkPreview(clip);
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: `${SUCCESS_MESSAGES.REVISION_RESTORED}: revision ${restoredNumber} is now revision ${clip.revision}`,
+            data: { clip }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    getRevisions,
+    restoreRevision
+};
@@ -0,0 +1,50 @@
+/**
+ * Search Controller
+ * Handles the global search over files, folders and clips
+ */
+
+import { Folder } from '../models/index.js';
+import { search } from '../services/searchService.js';
+import {
+    HTTP_STATUS,
+    ERROR_MESSAGES
+} from '../config/constants.js';
+
+/**
+ * @route   GET /api/search
+ * @desc    Search file names and contents, folders and clips
+ * @access  Private
+ */
+export const searchAll = async (req, res, next) => {
+    try {
+        const { q, type, folderId, from, to } = req.query;
+
+        let folder = null;
+        if (folderId) {
+            folder = await Folder.findOne({ _id: folderId, userId: req.user._id });
+
+            if (!folder) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    success: false,
+                    message: ERROR_MESSAGES.FOLDER_NOT_FOUND
+                });
+            }
+        }
+
+        const result = await search(req.user._id, { q, type, folder, from, to });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: {
+                query: q,
+                ...result
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    searchAll
+};
@@ -0,0 +1,316 @@
+/**
+ * Share Controller
+ * Handles public share links for files
+ */
+
+import { File, ShareLink } from '../models/index.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { streamFile } from '../services/fileStreamService.js';
+import {
+    HTTP_STATUS,
+    ERROR_MESSAGES,
+    SUCCESS_MESSAGES,
+    SHARE_CONFIG,
+    SCAN_STATUS
+} from '../config/constants.js';
+
+/**
+ * @route   POST /api/files/:id/share
+ * @desc    Create a share link for a file
+ * @access  Private
+ */
+export const createShareLink = async (req, res, next) => {
+    try {
+        const { password, expiresInHours, maxDownloads } = req.body;
+
+        const file = await File.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!file) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.FILE_NOT_FOUND
+            });
+        }
+
+        // Infected files can't be shared
+        if (file.scanStatus === SCAN_STATUS.INFECTED) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({
+                success: false,
+                message: ERROR_MESSAGES.FILE_INFECTED
+            });
+        }
+
+        // Vault files are ciphertext the recipient couldn't decrypt
+        if (file.vault) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({
+                success: false,
+                message: ERROR_MESSAGES.VAULT_NOT_SHAREABLE
+            });
+        }
+
+        // Limit active links per file
+        const activeCount = await ShareLink.countDocuments({
+            fileId: file._id,
+            ...ShareLink.activeFilter()
+        });
+
+        if (activeCount >= SHARE_CONFIG.MAX_LINKS_PER_FILE) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.SHARE_LINK_LIMIT,
+                limit: SHARE_CONFIG.MAX_LINKS_PER_FILE
+            });
+        }
+
+        const shareLink = await ShareLink.create({
+            fileId: file._id,
+            userId: req.user._id,
+            token: ShareLink.generateToken(),
+            password: password || null,
+            expiresAt: expiresInHours ? new Date(Date.now() + expiresInHours * 60 * 60 * 1000) : null,
+            maxDownloads: maxDownloads || null
+        });
+
+        // Never send the password hash back
+        shareLink.password = undefined;
+
+        res.status(HTTP_STATUS.CREATED).json({
+            success: true,
+            message: SUCCESS_MESSAGES.SHARE_CREATED,
+            data: { shareLink }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/files/:id/share
+ * @desc    Get active share links for a file
+ * @access  Private
+ */
+export const getShareLinks = async (req, res, next) => {
+    try {
+        const file = await File.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!file) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.FILE_NOT_FOUND
+            });
+        }
+
+        const shareLinks = await ShareLink.find({
+            fileId: file._id,
+            userId: req.user._id,
+            ...ShareLink.activeFilter()
+        }).sort({ createdAt: -1 });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: { shareLinks }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   DELETE /api/files/:id/share/:shareId
+ * @desc    Revoke a share link
+ * @access  Private
+ */
+export const revokeShareLink = async (req, res, next) => {
+    try {
+        const shareLink = await ShareLink.findOne({
+            _id: req.params.shareId,
+            fileId: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!shareLink) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.SHARE_NOT_FOUND
+            });
+        }
+
+        if (!shareLink.revokedAt) {
+            await shareLink.revoke();
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.SHARE_REVOKED,
+            data: { shareLink }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Look up a share link by token and its file
+ * Sends the error response itself when the link cannot be used
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @returns {Promise<{shareLink: ShareLink, file: File}|null>}
+ */
+async function resolveShareLink(req, res) {
+    const shareLink = await ShareLink.findOne({ token: req.params.token }).select('+password');
+
+    if (!shareLink) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: ERROR_MESSAGES.SHARE_NOT_FOUND
+        });
+        return null;
+    }
+
+    const inactiveReason = shareLink.getInactiveReason();
+    if (inactiveReason) {
+        const messages = {
+            revoked: ERROR_MESSAGES.SHARE_REVOKED,
+            expired: ERROR_MESSAGES.SHARE_EXPIRED,
+            exhausted: ERROR_MESSAGES.SHARE_DOWNLOAD_LIMIT
+        };
+
+        res.status(HTTP_STATUS.GONE).json({
+            success: false,
+            message: messages[inactiveReason]
+        });
+        return null;
+    }
+
+    const file = await File.findOne({
+        _id: shareLink.fileId,
+        userId: shareLink.userId,
+        // Files kept forever have no expiry date
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+
+    if (!file) {
+        res.status(HTTP_STATUS.NOT_FOUND).json({
+            success: false,
+            message: ERROR_MESSAGES.FILE_NOT_FOUND
+        });
+        return null;
+    }
+
+    return { shareLink, file };
+}
+
+/**
+ * @route   GET /api/s/:token/info
+ * @desc    Get public details of a shared file
+ * @access  Public
+ */
+export const getSharedFileInfo = async (req, res, next) => {
+    try {
+        const resolved = await resolveShareLink(req, res);
+        if (!resolved) return;
+
+        const { shareLink, file } = resolved;
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: {
+                isPasswordProtected: shareLink.isPasswordProtected,
+                expiresAt: shareLink.expiresAt,
+                downloadsRemaining: shareLink.downloadsRemaining,
+                // File details stay hidden until the password is known
+                file: shareLink.isPasswordProtected ? null : {
+                    originalName: file.originalName,
+                    fileSize: file.fileSize,
+                    fileSizeFormatted: file.fileSizeFormatted,
+                    mimeType: file.mimeType,
+                    fileType: file.fileType
+                }
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/s/:token
+ * @route   POST /api/s/:token
+ * @desc    Download a shared file (password via X-Share-Password header or body)
+ * @access  Public
+ */
+export const downloadSharedFile = async (req, res, next) => {
+    try {
+        const resolved = await resolveShareLink(req, res);
+        if (!resolved) return;
+
+        const { shareLink, file } = resolved;
+
+        // Check password
+        const password = req.body?.password || req.get('X-Share-Password');
+        if (shareLink.isPasswordProtected) {
+            if (!password) {
+                return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+                    success: false,
+                    message: ERROR_MESSAGES.SHARE_PASSWORD_REQUIRED,
+                    passwordRequired: true
+                });
+            }
+
+            const isMatch = await shareLink.comparePassword(password);
+            if (!isMatch) {
+                return res.status(HTTP_STATUS.UNAUTHORIZED).json({
+                    success: false,
+                    message: ERROR_MESSAGES.SHARE_INVALID_PASSWORD,
+                    passwordRequired: true
+                });
+            }
+        }
+
+        // Contents are served only after a clean virus scan
+        const scanBlock = file.getScanBlockMessage();
+        if (scanBlock) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({
+                success: false,
+                message: scanBlock
+            });
+        }
+
+        // Stream file, counting the download against the link only once per logical download
+        const sent = await streamFile(req, res, file, {
+            disposition: 'attachment',
+            cacheControl: 'no-store',
+            onNewDownload: async () => {
+                // Fails if another request used the last download
+                const consumed = await ShareLink.consumeDownload(shareLink._id);
+                if (!consumed) {
+                    throw new ApiError(ERROR_MESSAGES.SHARE_DOWNLOAD_LIMIT, HTTP_STATUS.GONE);
+                }
+                await file.incrementDownloads();
+            }
+        });
+
+        if (!sent) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: 'File not found on server'
+            });
+        }
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    createShareLink,
+    getShareLinks,
+    revokeShareLink,
+    getSharedFileInfo,
+    downloadSharedFile
+};
@@ -0,0 +1,97 @@
+/**
+ * Tag Controller
+ * Handles tag suggestions and renaming, merging and removing tags
+ */
+
+import { getUserTags, renameTag as renameUserTag, deleteTag as deleteUserTag } from '../services/tagService.js';
+import { normalizeTag } from '../utils/tags.js';
+import {
+    HTTP_STATUS,
+    TAG_CONFIG,
+    ERROR_MESSAGES,
+    SUCCESS_MESSAGES
+} from '../config/constants.js';
+
+/**
+ * @route   GET /api/tags
+ * @desc    Get user's tags with usage counts (?q= for suggestions)
+ * @access  Private
+ */
+export const getTags = async (req, res, next) => {
+    try {
+        const prefix = req.query.q ? normalizeTag(req.query.q) : '';
+
+        const tags = await getUserTags(req.user._id, {
+            prefix,
+            limit: req.query.q ? TAG_CONFIG.SUGGESTIONS : undefined
+        });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: { tags }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   PUT /api/tags/:tag
+ * @desc    Rename a tag everywhere (merges into an existing tag)
+ * @access  Private
+ */
+export const renameTag = async (req, res, next) => {
+    try {
+        const from = normalizeTag(req.params.tag);
+        const to = normalizeTag(req.body.name);
+
+        const result = await renameUserTag(req.user._id, from, to);
+
+        if (!result) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.TAG_NOT_FOUND
+            });
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: result.merged ? SUCCESS_MESSAGES.TAG_MERGED : SUCCESS_MESSAGES.TAG_RENAMED,
+            data: { tag: to, ...result }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   DELETE /api/tags/:tag
+ * @desc    Remove a tag from all files, clips and collections
+ * @access  Private
+ */
+export const deleteTag = async (req, res, next) => {
+    try {
+        const result = await deleteUserTag(req.user._id, normalizeTag(req.params.tag));
+
+        if (!result) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.TAG_NOT_FOUND
+            });
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.TAG_DELETED,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    getTags,
+    renameTag,
+    deleteTag
+};
@@ -0,0 +1,151 @@
+/**
+ * Trash Controller
+ * Handles listing, restoring and permanently deleting trashed items
+ */
+
+import { File, Folder, Clipboard } from '../models/index.js';
+import { listTrash, emptyTrash } from '../services/trashService.js';
+import { publishChange } from '../services/eventService.js';
+import {
+    HTTP_STATUS,
+    ERROR_MESSAGES,
+    SUCCESS_MESSAGES,
+    TRASH_CONFIG
+} from '../config/constants.js';
+
+// Model behind each trash item type
+const MODELS = {
+    files: File,
+    folders: Folder,
+    clips: Clipboard
+};
+
+/**
+ * Load one of the requesting user's top-level trash entries
+ * @param {Request} req - Express request (params type, id)
+ * @returns {Promise<Document|null>}
+ */
+const findTrashItem = (req) => {
+    return MODELS[req.params.type].findOne({
+        _id: req.params.id,
+        userId: req.user._id,
+        deletedAt: { $ne: null },
+        trashedWith: null
+    });
+};
+
+/**
+ * @route   GET /api/trash
+ * @desc    Get user's trashed files, folders and clips
+ * @access  Private
+ */
+export const getTrash = async (req, res, next) => {
+    try {
+        const trash = await listTrash(req.user._id);
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: {
+                ...trash,
+                retentionDays: TRASH_CONFIG.RETENTION_DAYS
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/trash/:type/:id/restore
+ * @desc    Restore a trashed item to where it was
+ * @access  Private
+ */
+export const restoreItem = async (req, res, next) => {
+    try {
+        const item = await findTrashItem(req);
+
+        if (!item) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.TRASH_ITEM_NOT_FOUND
+            });
+        }
+
+        // Files and folders fall back to the root if their parent is gone
+        switch (req.params.type) {
+            case 'files':
+                await item.restore();
+                break;
+            case 'folders':
+                await item.restoreTree();
+                break;
+            default:
+                await item.restoreFromTrash();
+        }
+
+        // Back on the user's pages (a folder brings its contents along)
+        publishChange(req, req.params.type, 'created', [item._id]);
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.ITEM_RESTORED,
+            data: { item }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   DELETE /api/trash/:type/:id
+ * @desc    Permanently delete a trashed item
+ * @access  Private
+ */
+export const deleteItem = async (req, res, next) => {
+    try {
+        const item = await findTrashItem(req);
+
+        if (!item) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.TRASH_ITEM_NOT_FOUND
+            });
+        }
+
+        // Document delete releases stored contents and refunds storage
+        await item.deleteOne();
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.ITEM_DELETED_FOREVER
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   DELETE /api/trash
+ * @desc    Permanently delete everything in the trash
+ * @access  Private
+ */
+export const emptyUserTrash = async (req, res, next) => {
+    try {
+        const result = await emptyTrash({ userId: req.user._id });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.TRASH_EMPTIED,
+            data: result
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    getTrash,
+    restoreItem,
+    deleteItem,
+    emptyUserTrash
+};
@@ -0,0 +1,469 @@
+/**
+ * Upload Controller
+ * Handles resumable chunked uploads for large files
+ *
+ * Protocol:
+ *   1. POST   /api/files/uploads                    -> { uploadId, chunkSize, receivedBytes }
+ *   2. PUT    /api/files/uploads/:uploadId          -> raw bytes with Content-Range: bytes start-end/total
+ *   3. POST   /api/files/uploads/:uploadId/complete -> creates the File document
+ * An interrupted upload calls GET /api/files/uploads/:uploadId and continues from receivedBytes.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { File, Folder, UploadSession, User } from '../models/index.js';
+import { partialDir } from '../middleware/upload.js';
+import { queueThumbnail } from '../services/thumbnailService.js';
+import { queueTextExtraction } from '../services/textService.js';
+import { extractArchive } from '../services/extractService.js';
+import { publishChange } from '../services/eventService.js';
+import { inspectUpload } from '../utils/fileType.js';
+import { getExpiryDate, resolveExpiryDays } from '../utils/expiry.js';
+import { getUploadFolderNames } from '../utils/folderPath.js';
+import { getVaultPlainSize } from '../utils/vault.js';
+import {
+    HTTP_STATUS,
+    ERROR_MESSAGES,
+    SUCCESS_MESSAGES,
+    FILE_CONFIG,
+    VAULT_CONFIG
+} from '../config/constants.js';
+
+/**
+ * Parse a Content-Range request header
+ * @param {string} header - e.g. "bytes 0-5242879/52428800"
+ * @returns {{start: number, end: number, total: number}|null}
+ */
+const parseContentRange = (header) => {
+    const match = /^bytes (\d+)-(\d+)\/(\d+)$/.exec(header || '');
+    if (!match) return null;
+
+    const [start, end, total] = match.slice(1).map(Number);
+    if (end < start || end >= total) return null;
+
+    return { start, end, total };
+};
+
+/**
+ * Write the request body into the partial file at an offset
+ * Rejects if the body is longer than expected
+ * @param {Request} req - Express request (unparsed body stream)
+ * @param {string} filePath - Partial file path
+ * @param {number} start - Byte offset
+ * @param {number} length - Expected byte count
+ * @returns {Promise<number>} - Bytes written
+ */
+const writeChunk = async (req, filePath, start, length) => {
+    let written = 0;
+
+    const counter = new Transform({
+        transform(chunk, encoding, callback) {
+            written += chunk.length;
+            if (written > length) {
+                return callback(new Error('Chunk is larger than its Content-Range'));
+            }
+            callback(null, chunk);
+        }
+    });
+
+    await pipeline(req, counter, createWriteStream(filePath, { flags: 'r+', start }));
+    return written;
+};
+
+/**
+ * Find an upload session owned by the current user
+ * @param {Request} req - Express request
+ * @returns {Promise<UploadSession|null>}
+ */
+const findSession = (req) => UploadSession.findOne({
+    uploadId: req.params.uploadId,
+    userId: req.user._id,
+    expiresAt: { $gt: new Date() }
+});
+
+/**
+ * @route   POST /api/files/uploads
+ * @desc    Start a chunked upload
+ * @access  Private
+ */
+export const initUpload = async (req, res, next) => {
+    try {
+        const { fileName, fileSize, mimeType, folderId, replace, expiryDays, extract, relativePath, vault } = req.body;
+
+        // Vault uploads are ciphertext made in the browser, only its layout can be checked
+        if (vault) {
+            if (!await User.hasVault(req.user._id)) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    success: false,
+                    message: ERROR_MESSAGES.VAULT_NOT_SET_UP
+                });
+            }
+
+            if (getVaultPlainSize(fileSize) === null) {
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    success: false,
+                    message: ERROR_MESSAGES.VAULT_INVALID_CIPHERTEXT
+                });
+            }
+        }
+
+        // Validate folder if specified
+        if (folderId) {
+            const folder = await Folder.findOne({
+                _id: folderId,
+                userId: req.user._id
+            });
+
+            if (!folder) {
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    success: false,
+                    message: ERROR_MESSAGES.FOLDER_NOT_FOUND
+                });
+            }
+        }
+
+        // Space already promised to the user's other unfinished uploads counts too
+        const pending = await UploadSession.aggregate([
+            { $match: { userId: req.user._id, expiresAt: { $gt: new Date() } } },
+            { $group: { _id: null, total: { $sum: '$fileSize' } } }
+        ]);
+        const reserved = pending[0]?.total || 0;
+
+        if (!req.user.hasStorageSpace(reserved + fileSize)) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.STORAGE_LIMIT,
+                storageUsed: req.user.storageUsed,
+                storageLimit: req.user.storageLimit,
+                required: fileSize
+            });
+        }
+
+        const uploadId = uuidv4();
+        const tempPath = path.join(partialDir, `${uploadId}.part`);
+
+        // Create the empty partial file so chunks can be written at offsets
+        await fs.writeFile(tempPath, '');
+
+        const session = await UploadSession.create({
+            userId: req.user._id,
+            uploadId,
+            originalName: fileName,
+            mimeType: mimeType || '',
+            fileSize,
+            chunkSize: FILE_CONFIG.CHUNK_SIZE,
+            folderId: folderId || null,
+            replace: Boolean(replace),
+            expiryDays: expiryDays ?? null,
+            extract: !vault && Boolean(extract),
+            vault: Boolean(vault),
+            relativePath: relativePath || null,
+            tempPath
+        });
+
+        res.status(HTTP_STATUS.CREATED).json({
+            success: true,
+            data: { upload: session }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   GET /api/files/uploads/:uploadId
+ * @desc    Get upload status (used to resume)
+ * @access  Private
+ */
+export const getUploadStatus = async (req, res, next) => {
+    try {
+        const session = await findSession(req);
+
+        if (!session) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.UPLOAD_SESSION_NOT_FOUND
+            });
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: { upload: session }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   PUT /api/files/uploads/:uploadId
+ * @desc    Upload one chunk (raw body, Content-Range header)
+ * @access  Private
+ */
+export const uploadChunk = async (req, res, next) => {
+    try {
+        const session = await findSession(req);
+
+        if (!session) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.UPLOAD_SESSION_NOT_FOUND
+            });
+        }
+
+        const range = parseContentRange(req.get('Content-Range'));
+        const length = range ? range.end - range.start + 1 : 0;
+        const contentLength = parseInt(req.headers['content-length']);
+
+        if (
+            !range ||
+            range.total !== session.fileSize ||
+            length > session.chunkSize ||
+            (!isNaN(contentLength) && contentLength !== length)
+        ) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.INVALID_CONTENT_RANGE,
+                chunkSize: session.chunkSize
+            });
+        }
+
+        // Chunk was already stored (e.g. a retry after a lost response)
+        if (range.end < session.receivedBytes) {
+            req.resume();
+            return res.status(HTTP_STATUS.OK).json({
+                success: true,
+                data: { upload: session }
+            });
+        }
+
+        // Chunks must continue exactly where the stored data ends
+        if (range.start !== session.receivedBytes) {
+            req.resume();
+            return res.status(HTTP_STATUS.CONFLICT).json({
+                success: false,
+                message: ERROR_MESSAGES.UPLOAD_OFFSET_MISMATCH,
+                receivedBytes: session.receivedBytes
+            });
+        }
+
+        let written;
+        try {
+            written = await writeChunk(req, session.tempPath, range.start, length);
+        } catch {
+            written = -1;
+        }
+
+        if (written !== length) {
+            // Drop whatever part of the chunk made it to disk
+            await fs.truncate(session.tempPath, range.start).catch(() => { });
+
+            if (req.destroyed) return;
+
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.UPLOAD_FAILED,
+                receivedBytes: session.receivedBytes
+            });
+        }
+
+        const advanced = await session.advance(range.start, length);
+        if (!advanced) {
+            const current = await UploadSession.findById(session._id);
+            return res.status(HTTP_STATUS.CONFLICT).json({
+                success: false,
+                message: ERROR_MESSAGES.UPLOAD_OFFSET_MISMATCH,
+                receivedBytes: current ? current.receivedBytes : 0
+            });
+        }
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: { upload: session }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/files/uploads/:uploadId/complete
+ * @desc    Assemble the uploaded chunks into a file
+ * @access  Private
+ */
+export const completeUpload = async (req, res, next) => {
+    try {
+        const session = await findSession(req);
+
+        if (!session) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.UPLOAD_SESSION_NOT_FOUND
+            });
+        }
+
+        if (!session.isComplete) {
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.UPLOAD_INCOMPLETE,
+                receivedBytes: session.receivedBytes,
+                fileSize: session.fileSize
+            });
+        }
+
+        // Folder may have been deleted while uploading
+        let folder = null;
+        if (session.folderId) {
+            folder = await Folder.findOne({
+                _id: session.folderId,
+                userId: req.user._id
+            });
+
+            if (!folder) {
+                await session.deleteOne();
+                return res.status(HTTP_STATUS.NOT_FOUND).json({
+                    success: false,
+                    message: ERROR_MESSAGES.FOLDER_NOT_FOUND
+                });
+            }
+        }
+
+        // Check the contents against their magic bytes (vault ciphertext can't be sniffed)
+        const { valid, detectedType } = session.vault
+            ? { valid: true, detectedType: VAULT_CONFIG.CONTENT_TYPE }
+            : await inspectUpload(session.tempPath, session.originalName);
+        if (!valid) {
+            await session.deleteOne();
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.FILE_CONTENT_MISMATCH,
+                detectedType
+            });
+        }
+
+        if (!req.user.hasStorageSpace(session.fileSize)) {
+            await session.deleteOne();
+            return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                success: false,
+                message: ERROR_MESSAGES.STORAGE_LIMIT,
+                storageUsed: req.user.storageUsed,
+                storageLimit: req.user.storageLimit,
+                required: session.fileSize
+            });
+        }
+
+        // Missing folders from a folder upload's relative path are created
+        const target = await Folder.ensurePath(req.user._id, folder, getUploadFolderNames(session.relativePath));
+        const targetId = target?._id || null;
+
+        // Extract mode: the archive is unpacked into a folder and not stored itself
+        if (session.extract && detectedType === 'application/zip') {
+            let extracted;
+            try {
+                extracted = await extractArchive(session.tempPath, {
+                    userId: req.user._id,
+                    parent: target,
+                    name: session.originalName,
+                    expiryDays: session.expiryDays
+                });
+            } finally {
+                await session.deleteOne();
+            }
+
+            publishChange(req, 'folders', 'created', [extracted.folder._id]);
+            publishChange(req, 'files', 'created', extracted.files.map(file => file._id));
+
+            return res.status(HTTP_STATUS.CREATED).json({
+                success: true,
+                message: SUCCESS_MESSAGES.ARCHIVE_EXTRACTED,
+                data: { extracted }
+            });
+        }
+
+        // Store the assembled file (deduplicated), storage usage is charged by the File model
+        const extension = path.extname(session.originalName).toLowerCase();
+        const data = {
+            userId: req.user._id,
+            originalName: session.originalName,
+            fileName: `${uuidv4()}${extension}`,
+            fileSize: session.fileSize,
+            mimeType: session.vault ? session.mimeType || VAULT_CONFIG.CONTENT_TYPE : detectedType,
+            detectedType,
+            vault: session.vault,
+            extension,
+            folderId: targetId,
+            expiresAt: getExpiryDate(await resolveExpiryDays(session.expiryDays, target))
+        };
+
+        // Replace mode: a file with the same name in the folder gets a new version
+        // (a vault file and a plain one are never versions of each other)
+        const sameName = session.replace && await File.findByName(req.user._id, targetId, session.originalName);
+        const existing = sameName?.vault === session.vault ? sameName : null;
+        const fileDoc = existing
+            ? await existing.addVersionFromUpload(session.tempPath, data)
+            : await File.createFromUpload(session.tempPath, data);
+
+        // Partial file is already stored, only the session record is left
+        await UploadSession.deleteOne({ _id: session._id });
+
+        // Thumbnail and search text are prepared in the background
+        queueThumbnail(fileDoc);
+        queueTextExtraction(fileDoc);
+
+        if (session.relativePath) {
+            publishChange(req, 'folders', 'created', [targetId]);
+        }
+        publishChange(req, 'files', existing ? 'updated' : 'created', [fileDoc._id]);
+
+        res.status(HTTP_STATUS.CREATED).json({
+            success: true,
+            message: SUCCESS_MESSAGES.FILE_UPLOADED,
+            data: {
+                file: fileDoc,
+                storageUsed: req.user.storageUsed + fileDoc.chargedSize,
+                storageLimit: req.user.storageLimit
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   DELETE /api/files/uploads/:uploadId
+ * @desc    Cancel an upload and discard stored chunks
+ * @access  Private
+ */
+export const abortUpload = async (req, res, next) => {
+    try {
+        const session = await findSession(req);
+
+        if (!session) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.UPLOAD_SESSION_NOT_FOUND
+            });
+        }
+
+        await session.deleteOne();
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: 'Upload cancelled'
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    initUpload,
+    getUploadStatus,
+    uploadChunk,
+    completeUpload,
+    abortUpload
+};
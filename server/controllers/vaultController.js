@@ -0,0 +1,124 @@
+/**
+ * Vault Controller
+ * Keeps the key material of the end-to-end encrypted vault
+ *
+ * The browser derives a key from the user's passphrase and uses it to wrap a
+ * random vault key, which encrypts vault clips and files. Only the salt,
+ * iteration count and wrapped key are stored; the passphrase never leaves
+ * the browser.
+ */
+
+import { User } from '../models/index.js';
+import {
+    HTTP_STATUS,
+    ERROR_MESSAGES,
+    SUCCESS_MESSAGES
+} from '../config/constants.js';
+
+/**
+ * Shape the stored key material for a response
+ * @param {Object|null} vault - User's vault subdocument
+ * @returns {Object|null}
+ */
+const toVaultKey = (vault) => vault && {
+    salt: vault.salt,
+    iterations: vault.iterations,
+    wrappedKey: vault.wrappedKey,
+    updatedAt: vault.updatedAt
+};
+
+/**
+ * @route   GET /api/vault
+ * @desc    Get the wrapped vault key (null if the vault isn't set up)
+ * @access  Private
+ */
+export const getVault = async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user._id).select('+vault');
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: { vault: toVaultKey(user.vault) }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/vault
+ * @desc    Set up the vault
+ * @access  Private
+ */
+export const createVault = async (req, res, next) => {
+    try {
+        const { salt, iterations, wrappedKey } = req.body;
+
+        // Only when none is set up: replacing the key would lock away existing vault items
+        const user = await User.findOneAndUpdate(
+            { _id: req.user._id, vault: null },
+            { vault: { salt, iterations, wrappedKey, updatedAt: new Date() } },
+            { new: true }
+        ).select('+vault');
+
+        if (!user) {
+            return res.status(HTTP_STATUS.CONFLICT).json({
+                success: false,
+                message: ERROR_MESSAGES.VAULT_EXISTS
+            });
+        }
+
+        res.status(HTTP_STATUS.CREATED).json({
+            success: true,
+            message: SUCCESS_MESSAGES.VAULT_CREATED,
+            data: { vault: toVaultKey(user.vault) }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   PUT /api/vault
+ * @desc    Change the vault passphrase (the same vault key, wrapped again)
+ * @access  Private
+ */
+export const updateVault = async (req, res, next) => {
+    try {
+        const { password, salt, iterations, wrappedKey } = req.body;
+
+        const user = await User.findById(req.user._id).select('+password +vault');
+
+        if (!user.vault) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.VAULT_NOT_SET_UP
+            });
+        }
+
+        // The server can't check the old passphrase, so the account password guards the change
+        if (!await user.comparePassword(password)) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({
+                success: false,
+                message: ERROR_MESSAGES.VAULT_WRONG_PASSWORD
+            });
+        }
+
+        user.vault = { salt, iterations, wrappedKey, updatedAt: new Date() };
+        await user.save({ validateBeforeSave: false });
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.VAULT_PASSPHRASE_CHANGED,
+            data: { vault: toVaultKey(user.vault) }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    getVault,
+    createVault,
+    updateVault
+};
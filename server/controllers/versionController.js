@@ -0,0 +1,166 @@
+/**
+ * Version Controller
+ * Handles prior versions of replaced files
+ */
+
+import { File, FileVersion } from '../models/index.js';
+import { queueThumbnail } from '../services/thumbnailService.js';
+import { queueTextExtraction } from '../services/textService.js';
+import { publishChange } from '../services/eventService.js';
+import {
+    HTTP_STATUS,
+    ERROR_MESSAGES,
+    SUCCESS_MESSAGES,
+    SCAN_STATUS
+} from '../config/constants.js';
+
+/**
+ * Load the requesting user's file and one of its versions
+ * @param {Request} req - Express request (params id, versionId)
+ * @returns {Promise<{file: File|null, version: FileVersion|null}>}
+ */
+const findFileVersion = async (req) => {
+    const file = await File.findOne({
+        _id: req.params.id,
+        userId: req.user._id
+    });
+
+    const version = file && await FileVersion.findOne({
+        _id: req.params.versionId,
+        fileId: file._id
+    });
+
+    return { file, version };
+};
+
+/**
+ * @route   GET /api/files/:id/versions
+ * @desc    Get a file's version history
+ * @access  Private
+ */
+export const getVersions = async (req, res, next) => {
+    try {
+        const file = await File.findOne({
+            _id: req.params.id,
+            userId: req.user._id
+        });
+
+        if (!file) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.FILE_NOT_FOUND
+            });
+        }
+
+        const versions = await FileVersion.find({ fileId: file._id })
+            .sort({ versionNumber: -1 });
+
+        const storedSize = versions.reduce((sum, version) => sum + version.chargedSize, 0);
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            data: {
+                current: {
+                    versionNumber: file.version,
+                    fileSize: file.fileSize,
+                    chargedSize: file.chargedSize,
+                    scanStatus: file.scanStatus,
+                    uploadedAt: file.uploadedAt || file.createdAt
+                },
+                versions,
+                storedSize
+            }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   POST /api/files/:id/versions/:versionId/restore
+ * @desc    Make a prior version the current one
+ * @access  Private
+ */
+export const restoreVersion = async (req, res, next) => {
+    try {
+        const { file, version } = await findFileVersion(req);
+
+        if (!file) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.FILE_NOT_FOUND
+            });
+        }
+
+        if (!version) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.VERSION_NOT_FOUND
+            });
+        }
+
+        // Quarantined contents stay in the history
+        if (version.scanStatus === SCAN_STATUS.INFECTED) {
+            return res.status(HTTP_STATUS.FORBIDDEN).json({
+                success: false,
+                message: ERROR_MESSAGES.FILE_INFECTED
+            });
+        }
+
+        const restoredNumber = version.versionNumber;
+        await file.restoreVersion(version);
+        queueThumbnail(file);
+        queueTextExtraction(file);
+
+        publishChange(req, 'files', 'updated', [file._id]);
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: `${SUCCESS_MESSAGES.VERSION_RESTORED}: version ${restoredNumber} is now version ${file.version}`,
+            data: { file }
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * @route   DELETE /api/files/:id/versions/:versionId
+ * @desc    Delete a prior version and free its storage
+ * @access  Private
+ */
+export const deleteVersion = async (req, res, next) => {
+    try {
+        const { file, version } = await findFileVersion(req);
+
+        if (!file) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.FILE_NOT_FOUND
+            });
+        }
+
+        if (!version) {
+            return res.status(HTTP_STATUS.NOT_FOUND).json({
+                success: false,
+                message: ERROR_MESSAGES.VERSION_NOT_FOUND
+            });
+        }
+
+        // Contents are released and the storage refunded by the model
+        await version.deleteOne();
+
+        res.status(HTTP_STATUS.OK).json({
+            success: true,
+            message: SUCCESS_MESSAGES.VERSION_DELETED
+        });
+    } catch (error) {
+        next(error);
+    }
+};
+
+export default {
+    getVersions,
+    restoreVersion,
+    deleteVersion
+};
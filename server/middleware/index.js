@@ -6,5 +6,5 @@
 export { protect, adminOnly, optionalAuth } from './auth.js';
 export { ApiError, notFound, errorHandler } from './errorHandler.js';
 export { uploadSingle, uploadMultiple, checkStorageSpace, handleUploadError } from './upload.js';
-export { generalLimiter, authLimiter, otpLimiter, uploadLimiter, downloadLimiter } from './rateLimiter.js';
+export { generalLimiter, authLimiter, otpLimiter, uploadLimiter, downloadLimiter, shareAccessLimiter, sharePasswordLimiter } from './rateLimiter.js';
 export * from './validation.js';
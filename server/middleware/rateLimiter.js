@@ -8,10 +8,12 @@ import { RATE_LIMIT_CONFIG, HTTP_STATUS } from '../config/constants.js';
 
 /**
  * General rate limiter for all routes
+ * Public share links are left to shareAccessLimiter and sharePasswordLimiter.
  */
 export const generalLimiter = rateLimit({
     windowMs: RATE_LIMIT_CONFIG.WINDOW_MS,
     max: RATE_LIMIT_CONFIG.MAX_REQUESTS,
+    skip: (req) => req.path.startsWith('/api/s/'),
     message: {
         success: false,
         message: RATE_LIMIT_CONFIG.MESSAGE
@@ -112,10 +114,103 @@ export const downloadLimiter = rateLimit({
     }
 });
 
+/**
+ * Share link access limiter
+ * Public share pages and downloads. Loose enough for a campus behind one NAT
+ * address and for players that fetch a file in many ranges.
+ */
+export const shareAccessLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 300, // 300 requests per window per IP
+    message: {
+        success: false,
+        message: 'Too many share link requests. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+            success: false,
+            message: 'Too many share link requests. Please try again after 15 minutes.'
+        });
+    }
+});
+
+/**
+ * Share link password limiter
+ * Slows down password guessing: only requests with a wrong password count,
+ * per IP and link, so other visitors on the same network aren't locked out
+ */
+export const sharePasswordLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // 10 wrong passwords per window per IP and link
+    keyGenerator: (req) => `${req.ip}:${req.params.token}`,
+    skip: (req) => !(req.body?.password || req.get('X-Share-Password')),
+    skipSuccessfulRequests: true,
+    message: {
+        success: false,
+        message: 'Too many password attempts. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+            success: false,
+            message: 'Too many password attempts. Please try again after 15 minutes.'
+        });
+    }
+});
+
+/**
+ * Paste link access limiter
+ * Public paste pages and raw views
+ */
+export const pasteAccessLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 60, // 60 requests per window per IP
+    message: {
+        success: false,
+        message: 'Too many paste requests. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+            success: false,
+            message: 'Too many paste requests. Please try again after 15 minutes.'
+        });
+    }
+});
+
+/**
+ * Reminder link limiter
+ * Extend and unsubscribe links from emails
+ */
+export const reminderLinkLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // 30 requests per window per IP
+    message: {
+        success: false,
+        message: 'Too many requests. Please try again later.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+    handler: (req, res) => {
+        res.status(HTTP_STATUS.TOO_MANY_REQUESTS).json({
+            success: false,
+            message: 'Too many requests. Please try again after 15 minutes.'
+        });
+    }
+});
+
 export default {
     generalLimiter,
     authLimiter,
     otpLimiter,
     uploadLimiter,
-    downloadLimiter
+    downloadLimiter,
+    shareAccessLimiter,
+    sharePasswordLimiter,
+    pasteAccessLimiter,
+    reminderLinkLimiter
 };
@@ -7,27 +7,31 @@ import multer from 'multer';
 import path from 'path';
 import fs from 'fs';
 import { v4 as uuidv4 } from 'uuid';
-import { FILE_CONFIG, HTTP_STATUS, ERROR_MESSAGES } from '../config/constants.js';
-import { ApiError } from './errorHandler.js';
+import { FILE_CONFIG, CLIPBOARD_CONFIG, VAULT_CONFIG, HTTP_STATUS, ERROR_MESSAGES } from '../config/constants.js';
+import { inspectUpload } from '../utils/fileType.js';
+import { getVaultPlainSize } from '../utils/vault.js';
 
 // Ensure upload directory exists
-const uploadDir = path.join(process.cwd(), FILE_CONFIG.UPLOAD_DIR);
+export const uploadDir = path.join(process.cwd(), FILE_CONFIG.UPLOAD_DIR);
 if (!fs.existsSync(uploadDir)) {
     fs.mkdirSync(uploadDir, { recursive: true });
 }
 
+// Uploads are staged here before they are handed to the storage driver
+// (also holds the partial files of chunked uploads)
+export const partialDir = path.join(uploadDir, FILE_CONFIG.PARTIAL_DIR);
+if (!fs.existsSync(partialDir)) {
+    fs.mkdirSync(partialDir, { recursive: true });
+}
+
 /**
  * Storage configuration
- * Files are stored with UUID names to prevent conflicts
+ * Files are staged with UUID names to prevent conflicts,
+ * the controller then moves them into the storage driver
  */
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        // Create user-specific subdirectory
-        const userDir = path.join(uploadDir, req.user._id.toString());
-        if (!fs.existsSync(userDir)) {
-            fs.mkdirSync(userDir, { recursive: true });
-        }
-        cb(null, userDir);
+        cb(null, partialDir);
     },
 
     filename: (req, file, cb) => {
@@ -38,34 +42,30 @@ const storage = multer.diskStorage({
     }
 });
 
-/**
- * File filter
- * Validates file type against allowed types
- */
-const fileFilter = (req, file, cb) => {
-    // Check MIME type
-    if (FILE_CONFIG.ALLOWED_TYPES.includes(file.mimetype)) {
-        cb(null, true);
-    } else {
-        cb(new ApiError(
-            `${ERROR_MESSAGES.INVALID_FILE_TYPE}. Allowed: ${FILE_CONFIG.ALLOWED_EXTENSIONS.join(', ')}`,
-            HTTP_STATUS.BAD_REQUEST
-        ), false);
-    }
-};
-
 /**
  * Create multer upload instance
+ * Types aren't checked here: browsers often send none or application/octet-stream,
+ * so verifyFileContents decides by magic bytes, as for chunked uploads.
  */
 const upload = multer({
     storage,
-    fileFilter,
     limits: {
         fileSize: FILE_CONFIG.MAX_SIZE,
         files: 10 // Max 10 files per upload
     }
 });
 
+/**
+ * Multer instance for images and files pasted into the clipboard
+ */
+const clipUpload = multer({
+    storage,
+    limits: {
+        fileSize: CLIPBOARD_CONFIG.MAX_FILE_SIZE,
+        files: 1
+    }
+});
+
 /**
  * Middleware to check storage space before upload
  */
@@ -95,6 +95,78 @@ export const uploadSingle = upload.single('file');
  */
 export const uploadMultiple = upload.array('files', 10);
 
+/**
+ * Single image or file for a clip (smaller size limit)
+ */
+export const uploadClipFile = (req, res, next) => {
+    req.uploadLimit = CLIPBOARD_CONFIG.MAX_FILE_SIZE;
+    clipUpload.single('file')(req, res, next);
+};
+
+/**
+ * Middleware to check uploaded contents against their magic bytes
+ * Rejects the whole upload if any file is not what it claims to be,
+ * otherwise replaces the declared type with the detected one.
+ */
+export const verifyFileContents = async (req, res, next) => {
+    const files = req.files || (req.file ? [req.file] : []);
+
+    try {
+        for (const file of files) {
+            const { valid, detectedType } = await inspectUpload(file.path, file.originalname);
+
+            if (!valid) {
+                for (const staged of files) {
+                    await fs.promises.unlink(staged.path).catch(() => { });
+                }
+
+                return res.status(HTTP_STATUS.BAD_REQUEST).json({
+                    success: false,
+                    message: `${ERROR_MESSAGES.FILE_CONTENT_MISMATCH}: ${file.originalname}`,
+                    detectedType
+                });
+            }
+
+            file.mimetype = detectedType;
+            file.detectedType = detectedType;
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+/**
+ * Middleware to check file uploads that may be vault ciphertext
+ * Vault uploads (vault=true) can't be sniffed: only the ciphertext layout is
+ * checked, and the declared type of the plaintext is kept. Other uploads go
+ * through verifyFileContents.
+ */
+export const verifyVaultContents = async (req, res, next) => {
+    if (req.body.vault !== 'true') return verifyFileContents(req, res, next);
+
+    const files = req.files || [];
+    const invalid = files.find((file) => getVaultPlainSize(file.size) === null);
+
+    if (invalid) {
+        for (const staged of files) {
+            await fs.promises.unlink(staged.path).catch(() => { });
+        }
+
+        return res.status(HTTP_STATUS.BAD_REQUEST).json({
+            success: false,
+            message: `${ERROR_MESSAGES.VAULT_INVALID_CIPHERTEXT}: ${invalid.originalname}`
+        });
+    }
+
+    for (const file of files) {
+        file.detectedType = VAULT_CONFIG.CONTENT_TYPE;
+    }
+
+    next();
+};
+
 /**
  * Handle upload errors
  */
@@ -104,7 +176,7 @@ export const handleUploadError = (err, req, res, next) => {
 
         switch (err.code) {
             case 'LIMIT_FILE_SIZE':
-                message = `${ERROR_MESSAGES.FILE_TOO_LARGE} (Max: ${FILE_CONFIG.MAX_SIZE / 1024 / 1024}MB)`;
+                message = `${ERROR_MESSAGES.FILE_TOO_LARGE} (Max: ${(req.uploadLimit || FILE_CONFIG.MAX_SIZE) / 1024 / 1024}MB)`;
                 break;
             case 'LIMIT_FILE_COUNT':
                 message = 'Too many files. Maximum 10 files allowed per upload.';
@@ -128,6 +200,9 @@ export const handleUploadError = (err, req, res, next) => {
 export default {
     uploadSingle,
     uploadMultiple,
+    uploadClipFile,
     checkStorageSpace,
+    verifyFileContents,
+    verifyVaultContents,
     handleUploadError
 };
@@ -4,7 +4,11 @@
  */
 
 import { body, param, query, validationResult } from 'express-validator';
-import { AUTH_CONFIG, CLIPBOARD_CONFIG, HTTP_STATUS } from '../config/constants.js';
+import { isExpiryAllowed } from '../utils/expiry.js';
+import { getUploadFolderNames } from '../utils/folderPath.js';
+import { normalizeTag } from '../utils/tags.js';
+import { isVaultCiphertext } from '../utils/vault.js';
+import { AUTH_CONFIG, ARCHIVE_CONFIG, BULK_CONFIG, CLIPBOARD_CONFIG, COLLECTION_CONFIG, FILE_CONFIG, PASTE_CONFIG, SHARE_CONFIG, TAG_CONFIG, TRASH_CONFIG, VAULT_CONFIG, HTTP_STATUS, ERROR_MESSAGES } from '../config/constants.js';
 
 /**
  * Validate request and return errors if any
@@ -26,6 +30,40 @@ export const validate = (req, res, next) => {
     next();
 };
 
+/**
+ * Expiry in days within the admin-set limits (0 = keep forever)
+ * @param {string} field - Body field
+ * @param {boolean} [required] - Whether the field must be sent
+ */
+const expiryDaysRule = (field, required = false) => {
+    const message = `Expiry must be between 1 and ${FILE_CONFIG.MAX_EXPIRY_DAYS} days` +
+        (FILE_CONFIG.ALLOW_NO_EXPIRY ? ' (0 keeps the file forever)' : '');
+    const chain = required
+        ? body(field).exists({ values: 'null' }).withMessage('Expiry is required').bail()
+        : body(field).optional({ values: 'null' });
+
+    return chain
+        .isInt().withMessage(message)
+        .toInt()
+        .custom(isExpiryAllowed).withMessage(message);
+};
+
+/**
+ * Optional list of tag names
+ * @param {string} field - Body field
+ */
+const tagsRules = (field) => [
+    body(field)
+        .optional()
+        .isArray({ max: TAG_CONFIG.MAX_PER_ITEM }).withMessage(`No more than ${TAG_CONFIG.MAX_PER_ITEM} tags allowed`),
+
+    body(`${field}.*`)
+        .isString().withMessage('Tags must be text')
+        .trim()
+        .isLength({ min: 1, max: TAG_CONFIG.MAX_LENGTH })
+        .withMessage(`Tags must be between 1 and ${TAG_CONFIG.MAX_LENGTH} characters`)
+];
+
 // ============================================
 // AUTH VALIDATORS
 // ============================================
@@ -122,6 +160,299 @@ export const fileIdValidation = [
     validate
 ];
 
+/**
+ * Update file validation
+ */
+export const updateFileValidation = [
+    param('id')
+        .notEmpty().withMessage('File ID is required')
+        .isMongoId().withMessage('Invalid file ID'),
+
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 200 }).withMessage('Description cannot exceed 200 characters'),
+
+    ...tagsRules('tags'),
+
+    validate
+];
+
+/**
+ * Start chunked upload validation
+ */
+export const initUploadValidation = [
+    body('fileName')
+        .trim()
+        .notEmpty().withMessage('File name is required')
+        .isLength({ max: 255 }).withMessage('File name cannot exceed 255 characters'),
+
+    body('fileSize')
+        .notEmpty().withMessage('File size is required')
+        .isInt({ min: 1, max: FILE_CONFIG.MAX_SIZE })
+        .withMessage(`File size must be between 1 byte and ${FILE_CONFIG.MAX_SIZE / 1024 / 1024}MB`)
+        .toInt(),
+
+    // Only informational: browsers send no type or a vague one for many files,
+    // so the contents are checked against their magic bytes when the upload completes
+    body('mimeType')
+        .optional({ values: 'falsy' })
+        .isString()
+        .isLength({ max: 255 }).withMessage('File type cannot exceed 255 characters'),
+
+    body('replace')
+        .optional()
+        .isBoolean().withMessage('Replace must be true or false')
+        .toBoolean(),
+
+    expiryDaysRule('expiryDays'),
+
+    body('extract')
+        .optional()
+        .isBoolean().withMessage('Extract must be true or false')
+        .toBoolean(),
+
+    body('vault')
+        .optional()
+        .isBoolean().withMessage('Vault must be true or false')
+        .toBoolean(),
+
+    body('relativePath')
+        .optional({ values: 'null' })
+        .isString()
+        .isLength({ max: 1024 })
+        .custom(relativePath => getUploadFolderNames(relativePath) !== null)
+        .withMessage(ERROR_MESSAGES.INVALID_RELATIVE_PATH),
+
+    body('folderId')
+        .optional({ nullable: true, checkFalsy: true })
+        .isMongoId().withMessage('Invalid folder ID'),
+
+    validate
+];
+
+/**
+ * Extract archive validation
+ */
+export const extractFileValidation = [
+    param('id')
+        .notEmpty().withMessage('File ID is required')
+        .isMongoId().withMessage('Invalid file ID'),
+
+    expiryDaysRule('expiryDays'),
+
+    body('folderId')
+        .optional({ nullable: true, checkFalsy: true })
+        .isMongoId().withMessage('Invalid folder ID'),
+
+    validate
+];
+
+/**
+ * File expiry validation
+ */
+export const fileExpiryValidation = [
+    param('id')
+        .notEmpty().withMessage('File ID is required')
+        .isMongoId().withMessage('Invalid file ID'),
+
+    expiryDaysRule('expiryDays', true),
+
+    validate
+];
+
+/**
+ * Selected files download validation
+ */
+export const downloadSelectionValidation = [
+    body('fileIds')
+        .isArray({ min: 1, max: ARCHIVE_CONFIG.MAX_FILES })
+        .withMessage(`Select between 1 and ${ARCHIVE_CONFIG.MAX_FILES} files`),
+
+    body('fileIds.*')
+        .isMongoId().withMessage('Invalid file ID'),
+
+    validate
+];
+
+/**
+ * Bulk file action validation
+ * move and copy take a destination folder (root if none), star takes isStarred
+ * and extend takes expiryDays.
+ */
+export const bulkFilesValidation = [
+    body('action')
+        .isIn(['move', 'copy', 'star', 'delete', 'extend'])
+        .withMessage('Action must be move, copy, star, delete or extend'),
+
+    body('fileIds')
+        .isArray({ min: 1, max: BULK_CONFIG.MAX_FILES })
+        .withMessage(`Select between 1 and ${BULK_CONFIG.MAX_FILES} files`),
+
+    body('fileIds.*')
+        .isMongoId().withMessage('Invalid file ID'),
+
+    body('folderId')
+        .optional({ nullable: true, checkFalsy: true })
+        .custom(value => value === 'root' || /^[a-f\d]{24}$/i.test(value))
+        .withMessage('Invalid folder ID'),
+
+    body('isStarred')
+        .optional()
+        .isBoolean().withMessage('isStarred must be true or false')
+        .toBoolean(),
+
+    body('expiryDays')
+        .if(body('action').equals('extend'))
+        .exists({ values: 'null' }).withMessage('Expiry is required'),
+
+    expiryDaysRule('expiryDays'),
+
+    validate
+];
+
+/**
+ * Upload ID validation
+ */
+export const uploadIdValidation = [
+    param('uploadId')
+        .notEmpty().withMessage('Upload ID is required')
+        .isUUID(4).withMessage('Invalid upload ID'),
+
+    validate
+];
+
+// ============================================
+// SHARE LINK VALIDATORS
+// ============================================
+
+/**
+ * Create share link validation
+ */
+export const createShareLinkValidation = [
+    param('id')
+        .notEmpty().withMessage('File ID is required')
+        .isMongoId().withMessage('Invalid file ID'),
+
+    body('password')
+        .optional({ values: 'falsy' })
+        .isString().withMessage('Password must be text')
+        .isLength({ min: SHARE_CONFIG.PASSWORD_MIN_LENGTH, max: SHARE_CONFIG.PASSWORD_MAX_LENGTH })
+        .withMessage(`Password must be ${SHARE_CONFIG.PASSWORD_MIN_LENGTH}-${SHARE_CONFIG.PASSWORD_MAX_LENGTH} characters`),
+
+    body('expiresInHours')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1, max: SHARE_CONFIG.MAX_EXPIRY_HOURS })
+        .withMessage(`Expiry must be between 1 and ${SHARE_CONFIG.MAX_EXPIRY_HOURS} hours`)
+        .toInt(),
+
+    body('maxDownloads')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1, max: SHARE_CONFIG.MAX_DOWNLOADS })
+        .withMessage(`Download limit must be between 1 and ${SHARE_CONFIG.MAX_DOWNLOADS}`)
+        .toInt(),
+
+    validate
+];
+
+/**
+ * Share link ID validation (owner routes)
+ */
+export const shareLinkIdValidation = [
+    param('id')
+        .notEmpty().withMessage('File ID is required')
+        .isMongoId().withMessage('Invalid file ID'),
+
+    param('shareId')
+        .notEmpty().withMessage('Share link ID is required')
+        .isMongoId().withMessage('Invalid share link ID'),
+
+    validate
+];
+
+/**
+ * File version ID validation
+ */
+export const versionIdValidation = [
+    param('id')
+        .notEmpty().withMessage('File ID is required')
+        .isMongoId().withMessage('Invalid file ID'),
+
+    param('versionId')
+        .notEmpty().withMessage('Version ID is required')
+        .isMongoId().withMessage('Invalid version ID'),
+
+    validate
+];
+
+/**
+ * Share token validation (public routes)
+ */
+export const shareTokenValidation = [
+    param('token')
+        .notEmpty().withMessage('Share token is required')
+        .isLength({ max: 64 }).withMessage('Invalid share token')
+        .matches(/^[A-Za-z0-9_-]+$/).withMessage('Invalid share token'),
+
+    validate
+];
+
+/**
+ * Reminder link token validation (public routes)
+ */
+export const reminderTokenValidation = [
+    param('token')
+        .notEmpty().withMessage('Token is required')
+        .isJWT().withMessage('Invalid link'),
+
+    validate
+];
+
+/**
+ * Notification preferences validation
+ */
+export const notificationsValidation = [
+    body('expiryReminders')
+        .exists().withMessage('expiryReminders is required')
+        .isBoolean().withMessage('expiryReminders must be true or false')
+        .toBoolean(),
+
+    validate
+];
+
+/**
+ * Vault key validation (setting up the vault or changing its passphrase)
+ */
+export const vaultKeyValidation = [
+    body('salt')
+        .isBase64().withMessage('Salt must be base64')
+        .custom(salt => Buffer.byteLength(salt, 'base64') === VAULT_CONFIG.SALT_BYTES)
+        .withMessage(`Salt must be ${VAULT_CONFIG.SALT_BYTES} bytes`),
+
+    body('iterations')
+        .isInt({ min: VAULT_CONFIG.MIN_ITERATIONS, max: VAULT_CONFIG.MAX_ITERATIONS })
+        .withMessage(`Iterations must be between ${VAULT_CONFIG.MIN_ITERATIONS} and ${VAULT_CONFIG.MAX_ITERATIONS}`)
+        .toInt(),
+
+    // IV + 32-byte key + tag
+    body('wrappedKey')
+        .isBase64().withMessage('Wrapped key must be base64')
+        .custom(wrappedKey => Buffer.byteLength(wrappedKey, 'base64') === 32 + VAULT_CONFIG.OVERHEAD)
+        .withMessage('Wrapped key must hold a 256-bit key'),
+
+    validate
+];
+
+/**
+ * Vault passphrase change validation (the account password confirms it)
+ */
+export const changeVaultKeyValidation = [
+    body('password')
+        .notEmpty().withMessage('Password is required'),
+
+    ...vaultKeyValidation
+];
+
 // ============================================
 // FOLDER VALIDATORS
 // ============================================
@@ -168,6 +499,26 @@ export const updateFolderValidation = [
     validate
 ];
 
+/**
+ * Folder expiry validation
+ * expiryDays null makes the folder inherit again; extendFiles also applies it to
+ * every file in the folder that would expire sooner.
+ */
+export const folderExpiryValidation = [
+    param('id')
+        .notEmpty().withMessage('Folder ID is required')
+        .isMongoId().withMessage('Invalid folder ID'),
+
+    expiryDaysRule('expiryDays'),
+
+    body('extendFiles')
+        .optional()
+        .isBoolean().withMessage('extendFiles must be true or false')
+        .toBoolean(),
+
+    validate
+];
+
 /**
  * Folder ID validation
  */
@@ -179,6 +530,22 @@ export const folderIdValidation = [
     validate
 ];
 
+/**
+ * Folder copy validation
+ */
+export const copyFolderValidation = [
+    param('id')
+        .notEmpty().withMessage('Folder ID is required')
+        .isMongoId().withMessage('Invalid folder ID'),
+
+    body('parentId')
+        .optional({ nullable: true, checkFalsy: true })
+        .custom(value => value === 'root' || /^[a-f\d]{24}$/i.test(value))
+        .withMessage('Invalid folder ID'),
+
+    validate
+];
+
 // ============================================
 // CLIPBOARD VALIDATORS
 // ============================================
@@ -192,21 +559,49 @@ export const createClipboardValidation = [
         .trim()
         .isLength({ max: 100 }).withMessage('Title cannot exceed 100 characters'),
 
+    body('vault')
+        .optional()
+        .isBoolean().withMessage('Vault must be true or false')
+        .toBoolean(),
+
+    // Vault clips send ciphertext, which is longer than the text
     body('content')
         .trim()
         .notEmpty().withMessage('Content is required')
-        .isLength({ max: CLIPBOARD_CONFIG.MAX_LENGTH })
-        .withMessage(`Content cannot exceed ${CLIPBOARD_CONFIG.MAX_LENGTH} characters`),
+        .custom((content, { req }) => req.body.vault || content.length <= CLIPBOARD_CONFIG.MAX_LENGTH)
+        .withMessage(`Content cannot exceed ${CLIPBOARD_CONFIG.MAX_LENGTH} characters`)
+        .custom((content, { req }) => !req.body.vault || isVaultCiphertext(content))
+        .withMessage(ERROR_MESSAGES.VAULT_INVALID_CIPHERTEXT),
 
     body('contentType')
         .optional()
-        .isIn(['text', 'code', 'link', 'json']).withMessage('Invalid content type'),
+        .isIn(['text', 'code', 'link', 'email', 'json', 'markdown']).withMessage('Invalid content type'),
 
     body('language')
         .optional()
         .trim()
         .isLength({ max: 20 }).withMessage('Language cannot exceed 20 characters'),
 
+    ...tagsRules('tags'),
+
+    validate
+];
+
+/**
+ * Update clipboard validation
+ */
+export const updateClipboardValidation = [
+    param('id')
+        .notEmpty().withMessage('Clipboard ID is required')
+        .isMongoId().withMessage('Invalid clipboard ID'),
+
+    // Image and file clips are only created by uploads
+    body('contentType')
+        .optional()
+        .isIn(['text', 'code', 'link', 'email', 'json', 'markdown']).withMessage('Invalid content type'),
+
+    ...tagsRules('tags'),
+
     validate
 ];
 
@@ -221,6 +616,212 @@ export const clipboardIdValidation = [
     validate
 ];
 
+/**
+ * Clip revision validation
+ */
+export const revisionIdValidation = [
+    param('id')
+        .notEmpty().withMessage('Clipboard ID is required')
+        .isMongoId().withMessage('Invalid clipboard ID'),
+
+    param('revisionId')
+        .notEmpty().withMessage('Revision ID is required')
+        .isMongoId().withMessage('Invalid revision ID'),
+
+    validate
+];
+
+/**
+ * Publish clip validation
+ */
+export const publishClipValidation = [
+    param('id')
+        .notEmpty().withMessage('Clipboard ID is required')
+        .isMongoId().withMessage('Invalid clipboard ID'),
+
+    body('expiresInHours')
+        .optional({ values: 'falsy' })
+        .isInt({ min: 1, max: PASTE_CONFIG.MAX_EXPIRY_HOURS })
+        .withMessage(`Expiry must be between 1 and ${PASTE_CONFIG.MAX_EXPIRY_HOURS} hours`)
+        .toInt(),
+
+    body('burnAfterReading')
+        .optional()
+        .isBoolean().withMessage('burnAfterReading must be true or false')
+        .toBoolean(),
+
+    validate
+];
+
+/**
+ * Paste link ID validation
+ */
+export const pasteLinkIdValidation = [
+    param('linkId')
+        .notEmpty().withMessage('Paste link ID is required')
+        .isMongoId().withMessage('Invalid paste link ID'),
+
+    validate
+];
+
+/**
+ * Paste slug validation (public routes)
+ */
+export const pasteSlugValidation = [
+    param('slug')
+        .notEmpty().withMessage('Paste link is required')
+        .isLength({ max: 64 }).withMessage('Invalid paste link')
+        .matches(/^[A-Za-z0-9_-]+$/).withMessage('Invalid paste link'),
+
+    validate
+];
+
+// ============================================
+// TAG AND COLLECTION VALIDATORS
+// ============================================
+
+/**
+ * Tag filters of the file and clip lists
+ */
+export const listFiltersValidation = [
+    query('tags')
+        .optional()
+        .isLength({ max: 500 }).withMessage('Tag filter is too long'),
+
+    query('days')
+        .optional()
+        .isInt({ min: 1, max: COLLECTION_CONFIG.MAX_DAYS })
+        .withMessage(`Days must be between 1 and ${COLLECTION_CONFIG.MAX_DAYS}`),
+
+    query('collectionId')
+        .optional()
+        .isMongoId().withMessage('Invalid collection ID'),
+
+    validate
+];
+
+/**
+ * Tag name validation
+ */
+export const tagValidation = [
+    param('tag')
+        .trim()
+        .isLength({ min: 1, max: TAG_CONFIG.MAX_LENGTH })
+        .withMessage(`Tags must be between 1 and ${TAG_CONFIG.MAX_LENGTH} characters`),
+
+    validate
+];
+
+/**
+ * Rename tag validation
+ */
+export const renameTagValidation = [
+    param('tag')
+        .trim()
+        .isLength({ min: 1, max: TAG_CONFIG.MAX_LENGTH })
+        .withMessage(`Tags must be between 1 and ${TAG_CONFIG.MAX_LENGTH} characters`),
+
+    body('name')
+        .isString().withMessage('New tag name is required')
+        .trim()
+        .isLength({ min: 1, max: TAG_CONFIG.MAX_LENGTH })
+        .withMessage(`Tags must be between 1 and ${TAG_CONFIG.MAX_LENGTH} characters`)
+        // "#" alone passes the length check but normalizes to nothing
+        .custom(name => normalizeTag(name) !== '')
+        .withMessage('New tag name is required'),
+
+    validate
+];
+
+/**
+ * Smart collection fields
+ * @param {boolean} [required] - Whether the name must be sent (creating)
+ */
+const collectionRules = (required = false) => [
+    (required ? body('name') : body('name').optional())
+        .isString().withMessage('Collection name is required')
+        .trim()
+        .isLength({ min: 1, max: 50 }).withMessage('Collection name must be between 1 and 50 characters'),
+
+    body('target')
+        .optional()
+        .isIn(COLLECTION_CONFIG.TARGETS)
+        .withMessage(`Target must be one of: ${COLLECTION_CONFIG.TARGETS.join(', ')}`),
+
+    body('filter')
+        .optional()
+        .isObject().withMessage('Filter must be an object'),
+
+    ...tagsRules('filter.tags'),
+
+    body('filter.type')
+        .optional({ values: 'null' })
+        .isIn(COLLECTION_CONFIG.FILE_TYPES)
+        .withMessage(`Type must be one of: ${COLLECTION_CONFIG.FILE_TYPES.join(', ')}`),
+
+    body('filter.days')
+        .optional({ values: 'null' })
+        .isInt({ min: 1, max: COLLECTION_CONFIG.MAX_DAYS })
+        .withMessage(`Days must be between 1 and ${COLLECTION_CONFIG.MAX_DAYS}`)
+        .toInt(),
+
+    body('filter.starred')
+        .optional()
+        .isBoolean().withMessage('Starred must be true or false')
+        .toBoolean()
+];
+
+/**
+ * Create collection validation
+ */
+export const createCollectionValidation = [
+    ...collectionRules(true),
+
+    validate
+];
+
+/**
+ * Update collection validation
+ */
+export const updateCollectionValidation = [
+    param('id')
+        .notEmpty().withMessage('Collection ID is required')
+        .isMongoId().withMessage('Invalid collection ID'),
+
+    ...collectionRules(),
+
+    validate
+];
+
+/**
+ * Collection ID validation
+ */
+export const collectionIdValidation = [
+    param('id')
+        .notEmpty().withMessage('Collection ID is required')
+        .isMongoId().withMessage('Invalid collection ID'),
+
+    validate
+];
+
+// ============================================
+// TRASH VALIDATORS
+// ============================================
+
+/**
+ * Trash item validation
+ */
+export const trashItemValidation = [
+    param('type')
+        .isIn(TRASH_CONFIG.TYPES).withMessage(`Type must be one of: ${TRASH_CONFIG.TYPES.join(', ')}`),
+
+    param('id')
+        .notEmpty().withMessage('Item ID is required')
+        .isMongoId().withMessage('Invalid item ID'),
+
+    validate
+];
+
 // ============================================
 // ADMIN VALIDATORS
 // ============================================
@@ -252,6 +853,38 @@ export const userIdValidation = [
     validate
 ];
 
+// ============================================
+// SEARCH VALIDATORS
+// ============================================
+
+/**
+ * Search query validation
+ */
+export const searchValidation = [
+    query('q')
+        .trim()
+        .notEmpty().withMessage('Search query is required')
+        .isLength({ max: 200 }).withMessage('Search query cannot exceed 200 characters'),
+
+    query('type')
+        .optional()
+        .isIn(['file', 'folder', 'clip']).withMessage('Type must be one of: file, folder, clip'),
+
+    query('folderId')
+        .optional()
+        .isMongoId().withMessage('Invalid folder ID'),
+
+    query('from')
+        .optional()
+        .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('From must be a date (YYYY-MM-DD)'),
+
+    query('to')
+        .optional()
+        .isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('To must be a date (YYYY-MM-DD)'),
+
+    validate
+];
+
 // ============================================
 // PAGINATION VALIDATORS
 // ============================================
@@ -285,12 +918,42 @@ export default {
     loginValidation,
     resendOTPValidation,
     fileIdValidation,
+    updateFileValidation,
+    initUploadValidation,
+    fileExpiryValidation,
+    extractFileValidation,
+    downloadSelectionValidation,
+    bulkFilesValidation,
+    uploadIdValidation,
+    createShareLinkValidation,
+    shareLinkIdValidation,
+    versionIdValidation,
+    shareTokenValidation,
+    reminderTokenValidation,
+    notificationsValidation,
+    vaultKeyValidation,
+    changeVaultKeyValidation,
     createFolderValidation,
     updateFolderValidation,
+    folderExpiryValidation,
     folderIdValidation,
+    copyFolderValidation,
     createClipboardValidation,
+    updateClipboardValidation,
     clipboardIdValidation,
+    revisionIdValidation,
+    publishClipValidation,
+    pasteLinkIdValidation,
+    pasteSlugValidation,
+    listFiltersValidation,
+    tagValidation,
+    renameTagValidation,
+    createCollectionValidation,
+    updateCollectionValidation,
+    collectionIdValidation,
+    trashItemValidation,
     banUserValidation,
     userIdValidation,
+    searchValidation,
     paginationValidation
 };
@@ -0,0 +1,238 @@
+/**
+ * ClipAttachment Model
+ * Contents of an image or file clip, stored like file uploads
+ *
+ * Kept apart from the clip because clips are removed by a TTL index, which
+ * runs no hooks: attachments without a clip are purged by the scheduler.
+ */
+
+import mongoose from 'mongoose';
+import { SCAN_STATUS, ERROR_MESSAGES } from '../config/constants.js';
+import { getStorage } from '../services/storageService.js';
+import { scanContents } from '../services/scanService.js';
+
+const clipAttachmentSchema = new mongoose.Schema({
+    // Clip the contents belong to
+    clipId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Clipboard',
+        required: true,
+        unique: true
+    },
+
+    // Clip owner
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Original file name (pasted images get a generated one)
+    originalName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // Stored file name (UUID-based)
+    fileName: {
+        type: String,
+        required: true
+    },
+
+    // Storage key of the contents
+    filePath: {
+        type: String,
+        required: true
+    },
+
+    // Shared contents (null for quarantined contents)
+    blobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FileBlob',
+        default: null,
+        index: true
+    },
+
+    // SHA-256 of the contents
+    contentHash: {
+        type: String,
+        default: null
+    },
+
+    // Size in bytes
+    fileSize: {
+        type: Number,
+        required: true
+    },
+
+    // Bytes counted against the owner's storage quota
+    chargedSize: {
+        type: Number,
+        required: true
+    },
+
+    // MIME type
+    mimeType: {
+        type: String,
+        required: true
+    },
+
+    // Type detected from the contents' magic bytes
+    detectedType: {
+        type: String,
+        default: null
+    },
+
+    // Virus scan state
+    scanStatus: {
+        type: String,
+        enum: Object.values(SCAN_STATUS),
+        default: SCAN_STATUS.PENDING
+    },
+
+    // Signature name reported for infected contents
+    scanResult: {
+        type: String,
+        default: null
+    },
+
+    // Last completed scan
+    scannedAt: {
+        type: Date,
+        default: null
+    },
+
+    // When the contents were uploaded
+    uploadedAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            delete ret.filePath;
+            return ret;
+        }
+    }
+});
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Pre-delete middleware to release the contents and refund storage
+ */
+clipAttachmentSchema.pre('deleteOne', { document: true, query: false }, async function (next) {
+    try {
+        await mongoose.model('File').releaseContents(this);
+
+        const User = mongoose.model('User');
+        await User.findByIdAndUpdate(this.userId, {
+            $inc: { storageUsed: -this.chargedSize }
+        });
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Get the reason the contents can't be served yet
+ * @returns {string|null} - Error message, null if the contents are clean
+ */
+clipAttachmentSchema.methods.getScanBlockMessage = function () {
+    if (this.scanStatus === SCAN_STATUS.CLEAN) return null;
+    if (this.scanStatus === SCAN_STATUS.INFECTED) return ERROR_MESSAGES.FILE_INFECTED;
+    return ERROR_MESSAGES.FILE_SCAN_PENDING;
+};
+
+/**
+ * Scan the stored contents again and record the verdict
+ * Files and attachments sharing the same blob get the same verdict.
+ * @returns {Promise<string>} - New scan status
+ */
+clipAttachmentSchema.methods.rescan = async function () {
+    const scan = await scanContents(() => getStorage().get(this.filePath));
+    if (scan.scanStatus === SCAN_STATUS.PENDING) return scan.scanStatus;
+
+    const filter = this.blobId ? { blobId: this.blobId } : { _id: this._id };
+    await this.constructor.updateMany(filter, scan);
+    if (this.blobId) {
+        await mongoose.model('File').updateMany(filter, scan).withTrashed();
+        await mongoose.model('FileVersion').updateMany(filter, scan);
+    }
+
+    Object.assign(this, scan);
+    return scan.scanStatus;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Create an attachment from a staged upload
+ * Stores the contents (deduplicated with files) and charges the owner's quota
+ * @param {string} stagedPath - Staged file path (moved or removed)
+ * @param {Object} data - Attachment fields (clipId, userId, originalName, fileName, fileSize, mimeType, detectedType)
+ * @returns {Promise<ClipAttachment>} - Created attachment
+ */
+clipAttachmentSchema.statics.createFromUpload = async function (stagedPath, data) {
+    const File = mongoose.model('File');
+    const content = await File.storeContents(stagedPath, data);
+
+    let attachment;
+    try {
+        attachment = await this.create({ ...data, ...content });
+    } catch (error) {
+        await File.releaseContents(content);
+        throw error;
+    }
+
+    const User = mongoose.model('User');
+    await User.findByIdAndUpdate(data.userId, {
+        $inc: { storageUsed: attachment.chargedSize }
+    });
+
+    return attachment;
+};
+
+/**
+ * Delete attachments whose clip is gone (expired, purged from the trash or deleted)
+ * @param {Object} [filter] - Attachments to check, e.g. { userId }
+ * @returns {Promise<number>} - Number of attachments deleted
+ */
+clipAttachmentSchema.statics.purgeOrphans = async function (filter = {}) {
+    const attachments = await this.find(filter);
+    if (attachments.length === 0) return 0;
+
+    // distinct() isn't filtered by the trash plugin, so trashed clips count as existing
+    const clipIds = await mongoose.model('Clipboard').distinct('_id', {
+        _id: { $in: attachments.map(attachment => attachment.clipId) }
+    });
+    const existing = new Set(clipIds.map(String));
+
+    let deleted = 0;
+    for (const attachment of attachments) {
+        if (existing.has(attachment.clipId.toString())) continue;
+
+        await attachment.deleteOne();
+        deleted++;
+    }
+
+    return deleted;
+};
+
+const ClipAttachment = mongoose.model('ClipAttachment', clipAttachmentSchema);
+
+export default ClipAttachment;
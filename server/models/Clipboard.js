@@ -1,10 +1,115 @@
 /**
  * Clipboard Model
- * Defines the schema for text clipboard/snippets
+ * Defines the schema for text clipboard/snippets, and pasted images and files
  */
 
 import mongoose from 'mongoose';
-import { CLIPBOARD_CONFIG } from '../config/constants.js';
+import { CLIPBOARD_CONFIG, TAG_CONFIG, LINK_PREVIEW_STATUS, ERROR_MESSAGES } from '../config/constants.js';
+import { isVaultCiphertext } from '../utils/vault.js';
+import { trashPlugin } from './plugins/trash.js';
+
+// Content types stored as a ClipAttachment instead of text
+export const ATTACHMENT_TYPES = ['image', 'file'];
+
+// Fields whose changes are kept as revisions
+const REVISED_FIELDS = ['content', 'contentType', 'language'];
+
+/**
+ * Earlier text of a clip, kept when an edit replaces it
+ */
+const clipRevisionSchema = new mongoose.Schema({
+    // Revision number the text had while it was current
+    number: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+
+    // Text content
+    content: {
+        type: String,
+        default: ''
+    },
+
+    // Content type at the time
+    contentType: {
+        type: String,
+        required: true
+    },
+
+    // Programming language at the time
+    language: {
+        type: String,
+        default: null
+    },
+
+    // Who saved this text
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // When this text was saved
+    editedAt: {
+        type: Date,
+        required: true
+    }
+});
+
+/**
+ * Title, description and images of the page a link clip points to
+ */
+const linkPreviewSchema = new mongoose.Schema({
+    // Fetch status (pending until the unfurl service has fetched the page)
+    status: {
+        type: String,
+        enum: Object.values(LINK_PREVIEW_STATUS),
+        default: LINK_PREVIEW_STATUS.PENDING
+    },
+
+    // Link the preview is for (the clip's content when it was fetched)
+    url: {
+        type: String,
+        required: true
+    },
+
+    // Page title
+    title: {
+        type: String,
+        default: null
+    },
+
+    // Page description
+    description: {
+        type: String,
+        default: null
+    },
+
+    // Site name (og:site_name)
+    siteName: {
+        type: String,
+        default: null
+    },
+
+    // Open Graph image
+    imageUrl: {
+        type: String,
+        default: null
+    },
+
+    // Site icon
+    faviconUrl: {
+        type: String,
+        default: null
+    },
+
+    // When the page was fetched
+    fetchedAt: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
 
 const clipboardSchema = new mongoose.Schema({
     // Clipboard owner
@@ -23,26 +128,52 @@ const clipboardSchema = new mongoose.Schema({
         default: 'Untitled'
     },
 
-    // Text content
+    // Text content (empty for image and file clips, ciphertext for vault clips)
     content: {
         type: String,
-        required: [true, 'Content is required'],
-        maxlength: [CLIPBOARD_CONFIG.MAX_LENGTH, `Content cannot exceed ${CLIPBOARD_CONFIG.MAX_LENGTH} characters`]
+        required: [function () { return !this.hasAttachment; }, 'Content is required'],
+        default: '',
+        validate: [
+            {
+                validator: function (content) {
+                    return this.vault || content.length <= CLIPBOARD_CONFIG.MAX_LENGTH;
+                },
+                message: `Content cannot exceed ${CLIPBOARD_CONFIG.MAX_LENGTH} characters`
+            },
+            {
+                validator: function (content) {
+                    return !this.vault || isVaultCiphertext(content);
+                },
+                message: ERROR_MESSAGES.VAULT_INVALID_CIPHERTEXT
+            }
+        ]
+    },
+
+    // Encrypted in the browser with the owner's vault key (the server only has ciphertext)
+    vault: {
+        type: Boolean,
+        default: false
     },
 
-    // Content type (plain text, code, link, etc.)
+    // Content type (plain text, code, link, etc.; image and file clips have an attachment)
     contentType: {
         type: String,
-        enum: ['text', 'code', 'link', 'json'],
+        enum: ['text', 'code', 'link', 'email', 'json', 'markdown', 'image', 'file'],
         default: 'text'
     },
 
-    // Programming language (if code)
+    // highlight.js language name (code and JSON clips, detected unless given)
     language: {
         type: String,
         default: null
     },
 
+    // Preview of the linked page (link clips only, see services/unfurlService.js)
+    linkPreview: {
+        type: linkPreviewSchema,
+        default: null
+    },
+
     // Expiry date
     expiresAt: {
         type: Date,
@@ -57,17 +188,63 @@ const clipboardSchema = new mongoose.Schema({
         default: false
     },
 
+    // User-defined tags (normalized, see utils/tags.js)
+    tags: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: (tags) => tags.length <= TAG_CONFIG.MAX_PER_ITEM,
+            message: `No more than ${TAG_CONFIG.MAX_PER_ITEM} tags allowed`
+        }
+    },
+
     // Copy count
     copyCount: {
         type: Number,
         default: 0
+    },
+
+    // Current revision number (increases with every text edit)
+    revision: {
+        type: Number,
+        default: 1
+    },
+
+    // Who saved the current text (null = the owner, for clips from before revisions)
+    editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+
+    // When the current text was saved (null = when the clip was created)
+    editedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Earlier texts, oldest first (at most CLIPBOARD_CONFIG.MAX_REVISIONS, load with +revisions)
+    revisions: {
+        type: [clipRevisionSchema],
+        default: [],
+        select: false
     }
 }, {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+        virtuals: true,
+        transform: function (doc, ret) {
+            // Served by the revisions endpoint only
+            delete ret.revisions;
+            return ret;
+        }
+    },
     toObject: { virtuals: true }
 });
 
+// Soft delete (deletedAt, trashedWith)
+clipboardSchema.plugin(trashPlugin);
+
 // ============================================
 // INDEXES
 // ============================================
@@ -78,17 +255,42 @@ clipboardSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 // User + pinned index for sorting
 clipboardSchema.index({ userId: 1, isPinned: -1, createdAt: -1 });
 
+// User + tag index for tag filters
+clipboardSchema.index({ userId: 1, tags: 1 });
+
+// Full-text search, titles weigh more than contents
+clipboardSchema.index(
+    { title: 'text', content: 'text' },
+    { name: 'clip_search', weights: { title: 5, content: 1 } }
+);
+
 // ============================================
 // VIRTUALS
 // ============================================
 
 // Virtual for content preview
 clipboardSchema.virtual('preview').get(function () {
+    if (this.hasAttachment) return this.contentType === 'image' ? '[Image]' : '[File]';
+    if (this.vault) return '[Encrypted]';
+
     const maxLength = 100;
     if (this.content.length <= maxLength) return this.content;
     return this.content.substring(0, maxLength) + '...';
 });
 
+// Image and file clips keep their contents in a ClipAttachment
+clipboardSchema.virtual('hasAttachment').get(function () {
+    return ATTACHMENT_TYPES.includes(this.contentType);
+});
+
+// Attachment of an image or file clip (populate to load)
+clipboardSchema.virtual('attachment', {
+    ref: 'ClipAttachment',
+    localField: '_id',
+    foreignField: 'clipId',
+    justOne: true
+});
+
 // Virtual for time until expiry
 clipboardSchema.virtual('expiresIn').get(function () {
     const now = new Date();
@@ -108,6 +310,49 @@ clipboardSchema.virtual('characterCount').get(function () {
     return this.content.length;
 });
 
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Pre-save middleware to mark link previews for fetching
+ * A new link gets a pending preview; other content types have none.
+ */
+clipboardSchema.pre('save', function (next) {
+    if (!this.isNew && !this.isModified('content') && !this.isModified('contentType') && !this.isModified('vault')) {
+        return next();
+    }
+
+    // Vault links are ciphertext to the server
+    if (this.contentType !== 'link' || this.vault) {
+        this.linkPreview = null;
+        return next();
+    }
+
+    const url = this.content.trim();
+    if (this.linkPreview?.url !== url) {
+        this.linkPreview = { status: LINK_PREVIEW_STATUS.PENDING, url };
+    }
+    next();
+});
+
+/**
+ * Pre-delete middleware to release the attachment
+ * (clips removed by the TTL index are handled by ClipAttachment.purgeOrphans)
+ */
+clipboardSchema.pre('deleteOne', { document: true, query: false }, async function (next) {
+    try {
+        if (this.hasAttachment) {
+            const attachment = await mongoose.model('ClipAttachment').findOne({ clipId: this._id });
+            if (attachment) await attachment.deleteOne();
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
 // ============================================
 // INSTANCE METHODS
 // ============================================
@@ -129,6 +374,44 @@ clipboardSchema.methods.togglePin = async function () {
     return this.isPinned;
 };
 
+/**
+ * Change the text, keeping the current text as a revision
+ * The clip must be loaded with +revisions. Title and tag changes are not revisions.
+ * @param {Object} changes - New content, contentType and/or language
+ * @param {ObjectId} userId - Who made the change
+ * @returns {boolean} - True if the text changed
+ */
+clipboardSchema.methods.revise = function (changes, userId) {
+    const changed = REVISED_FIELDS.filter(
+        field => changes[field] !== undefined && changes[field] !== this[field]
+    );
+    if (changed.length === 0) return false;
+
+    this.revisions.push({
+        number: this.revision,
+        content: this.content,
+        contentType: this.contentType,
+        language: this.language,
+        editedBy: this.editedBy || this.userId,
+        editedAt: this.editedAt || this.createdAt
+    });
+
+    // Oldest revisions are dropped first
+    const excess = this.revisions.length - CLIPBOARD_CONFIG.MAX_REVISIONS;
+    if (excess > 0) {
+        this.revisions.splice(0, excess);
+    }
+
+    for (const field of changed) {
+        this[field] = changes[field];
+    }
+    this.revision += 1;
+    this.editedBy = userId;
+    this.editedAt = new Date();
+
+    return true;
+};
+
 /**
  * Extend expiry
  * @param {number} days - Days to extend
@@ -142,56 +425,20 @@ clipboardSchema.methods.extendExpiry = async function (days = CLIPBOARD_CONFIG.E
 // STATIC METHODS
 // ============================================
 
-/**
- * Detect content type from content
- * @param {string} content - Text content
- * @returns {string} - Detected content type
- */
-clipboardSchema.statics.detectContentType = function (content) {
-    // Check if it's a URL
-    const urlPattern = /^(https?:\/\/)?([\da-z.-]+)\.([a-z.]{2,6})([/\w .-]*)*\/?$/i;
-    if (urlPattern.test(content.trim())) {
-        return 'link';
-    }
-
-    // Check if it's JSON
-    try {
-        JSON.parse(content);
-        return 'json';
-    } catch {
-        // Not JSON
-    }
-
-    // Check if it looks like code
-    const codePatterns = [
-        /function\s*\w*\s*\(/,
-        /const\s+\w+\s*=/,
-        /let\s+\w+\s*=/,
-        /var\s+\w+\s*=/,
-        /import\s+.*\s+from/,
-        /class\s+\w+/,
-        /def\s+\w+\(/,
-        /public\s+(static\s+)?void/
-    ];
-
-    if (codePatterns.some(pattern => pattern.test(content))) {
-        return 'code';
-    }
-
-    return 'text';
-};
-
 /**
  * Get user's clipboard with pagination
  * @param {ObjectId} userId - User ID
- * @param {Object} options - Query options
+ * @param {Object} options - Query options (page, limit, search, tags, days, starred)
  * @returns {Promise<{clips: Array, total: number}>}
  */
 clipboardSchema.statics.getUserClips = async function (userId, options = {}) {
     const {
         page = 1,
         limit = 20,
-        search = ''
+        search = '',
+        tags = [],
+        days = null,
+        starred = false
     } = options;
 
     const query = { userId };
@@ -199,15 +446,31 @@ clipboardSchema.statics.getUserClips = async function (userId, options = {}) {
     if (search) {
         query.$or = [
             { title: { $regex: search, $options: 'i' } },
-            { content: { $regex: search, $options: 'i' } }
+            // Vault ciphertext would match at random
+            { content: { $regex: search, $options: 'i' }, vault: { $ne: true } }
         ];
     }
 
+    // Clips must have every tag
+    if (tags.length > 0) {
+        query.tags = { $all: tags };
+    }
+
+    if (days) {
+        query.createdAt = { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) };
+    }
+
+    // Starred collections list pinned clips
+    if (starred) {
+        query.isPinned = true;
+    }
+
     const total = await this.countDocuments(query);
     const clips = await this.find(query)
         .sort({ isPinned: -1, createdAt: -1 })
         .skip((page - 1) * limit)
-        .limit(limit);
+        .limit(limit)
+        .populate('attachment');
 
     return { clips, total };
 };
@@ -0,0 +1,59 @@
+/**
+ * ExpiryReminder Model
+ * Records which expiring items a user has already been emailed about
+ */
+
+import mongoose from 'mongoose';
+import { REMINDER_CONFIG } from '../config/constants.js';
+
+const expiryReminderSchema = new mongoose.Schema({
+    // Item owner
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Kind of item ('files' or 'clips')
+    itemType: {
+        type: String,
+        enum: ['files', 'clips'],
+        required: true
+    },
+
+    // File or clip the reminder was about
+    itemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+
+    // Expiry date the reminder was about (an extended item can be reminded again)
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    // When the reminder email went out
+    sentAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+// One reminder per item and expiry date
+expiryReminderSchema.index({ itemType: 1, itemId: 1, expiresAt: 1 }, { unique: true });
+
+// Drop records once the item is long gone
+expiryReminderSchema.index(
+    { expiresAt: 1 },
+    { expireAfterSeconds: REMINDER_CONFIG.RECORD_TTL_DAYS * 24 * 60 * 60 }
+);
+
+const ExpiryReminder = mongoose.model('ExpiryReminder', expiryReminderSchema);
+
+export default ExpiryReminder;
@@ -4,9 +4,15 @@
  */
 
 import mongoose from 'mongoose';
-import fs from 'fs/promises';
 import path from 'path';
-import { FILE_CONFIG } from '../config/constants.js';
+import { v4 as uuidv4 } from 'uuid';
+import { FILE_CONFIG, SCAN_STATUS, THUMBNAIL_STATUS, TEXT_STATUS, TAG_CONFIG, VAULT_CONFIG, ERROR_MESSAGES } from '../config/constants.js';
+import { getStorage } from '../services/storageService.js';
+import { scanContents, scanLocalFile } from '../services/scanService.js';
+import { SNIFF_BYTES, detectMimeType, isSafeInline } from '../utils/fileType.js';
+import { getExpiryDate } from '../utils/expiry.js';
+import { getVaultPlainSize } from '../utils/vault.js';
+import { trashPlugin } from './plugins/trash.js';
 
 const fileSchema = new mongoose.Schema({
     // File owner
@@ -31,24 +37,60 @@ const fileSchema = new mongoose.Schema({
         unique: true
     },
 
-    // File path on server
+    // Storage key of the contents (the blob's key; older records hold
+    // "<userId>/<fileName>" or an absolute disk path)
     filePath: {
         type: String,
         required: true
     },
 
+    // Shared contents (null for files stored before deduplication)
+    blobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FileBlob',
+        default: null
+    },
+
+    // SHA-256 of the contents
+    contentHash: {
+        type: String,
+        default: null
+    },
+
     // File size in bytes
     fileSize: {
         type: Number,
         required: true
     },
 
-    // MIME type
+    // Bytes counted against the owner's storage quota
+    // (0 for duplicates when FILE_CONFIG.CHARGE_DUPLICATES is off)
+    chargedSize: {
+        type: Number,
+        default: function () {
+            return this.fileSize;
+        }
+    },
+
+    // MIME type (the detected type for sniffed uploads)
     mimeType: {
         type: String,
         required: true
     },
 
+    // Type detected from the contents' magic bytes (null until sniffed)
+    detectedType: {
+        type: String,
+        default: null
+    },
+
+    // Encrypted in the browser: the server stores ciphertext it can't read
+    // (mimeType is the declared type of the plaintext)
+    vault: {
+        type: Boolean,
+        default: false
+    },
+
     // File extension
     extension: {
         type: String,
@@ -62,11 +104,10 @@ const fileSchema = new mongoose.Schema({
         default: null
     },
 
-    // Expiry date (auto-delete after this date)
+    // Expiry date (auto-delete after this date, null keeps the file forever)
     expiresAt: {
         type: Date,
-        required: true,
-        default: () => new Date(Date.now() + FILE_CONFIG.EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+        default: () => getExpiryDate(FILE_CONFIG.EXPIRY_DAYS),
         index: true
     },
 
@@ -93,13 +134,88 @@ const fileSchema = new mongoose.Schema({
     isStarred: {
         type: Boolean,
         default: false
+    },
+
+    // User-defined tags (normalized, see utils/tags.js)
+    tags: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: (tags) => tags.length <= TAG_CONFIG.MAX_PER_ITEM,
+            message: `No more than ${TAG_CONFIG.MAX_PER_ITEM} tags allowed`
+        }
+    },
+
+    // Virus scan state (downloads and previews need 'clean')
+    scanStatus: {
+        type: String,
+        enum: Object.values(SCAN_STATUS),
+        default: SCAN_STATUS.PENDING,
+        index: true
+    },
+
+    // Signature name reported for infected files
+    scanResult: {
+        type: String,
+        default: null
+    },
+
+    // Last completed scan
+    scannedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Thumbnail generation state (the image itself is kept with the blob)
+    thumbnailStatus: {
+        type: String,
+        enum: Object.values(THUMBNAIL_STATUS),
+        default: THUMBNAIL_STATUS.PENDING,
+        index: true
+    },
+
+    // Text extracted from the contents for search (left out of queries unless selected)
+    contentText: {
+        type: String,
+        default: null,
+        select: false
+    },
+
+    // Text extraction state
+    textStatus: {
+        type: String,
+        enum: Object.values(TEXT_STATUS),
+        default: TEXT_STATUS.PENDING,
+        index: true
+    },
+
+    // Current version number (prior versions are FileVersion documents)
+    version: {
+        type: Number,
+        default: 1
+    },
+
+    // When the current contents were uploaded (older records use createdAt)
+    uploadedAt: {
+        type: Date,
+        default: null
     }
 }, {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+        virtuals: true,
+        transform: function (doc, ret) {
+            // Storage keys stay on the server; contents go through the download routes
+            delete ret.filePath;
+            return ret;
+        }
+    },
     toObject: { virtuals: true }
 });
 
+// Soft delete (deletedAt, trashedWith)
+fileSchema.plugin(trashPlugin);
+
 // ============================================
 // INDEXES
 // ============================================
@@ -112,6 +228,13 @@ fileSchema.index({ expiresAt: 1 });
 fileSchema.index({ userId: 1, folderId: 1 });
 fileSchema.index({ userId: 1, createdAt: -1 });
 fileSchema.index({ userId: 1, isStarred: 1 });
+fileSchema.index({ userId: 1, tags: 1 });
+
+// Full-text search, names weigh more than contents
+fileSchema.index(
+    { originalName: 'text', description: 'text', contentText: 'text' },
+    { name: 'file_search', weights: { originalName: 10, description: 3, contentText: 1 } }
+);
 
 // ============================================
 // VIRTUALS
@@ -131,6 +254,8 @@ fileSchema.virtual('fileSizeFormatted').get(function () {
 
 // Virtual for time until expiry
 fileSchema.virtual('expiresIn').get(function () {
+    if (!this.expiresAt) return 'Never';
+
     const now = new Date();
     const diff = this.expiresAt - now;
 
@@ -160,18 +285,29 @@ fileSchema.virtual('fileType').get(function () {
     return 'other';
 });
 
+// Virtual for the size of the plaintext (vault ciphertext adds an IV and tag per segment)
+fileSchema.virtual('plainSize').get(function () {
+    return this.vault ? getVaultPlainSize(this.fileSize) : this.fileSize;
+});
+
+// Virtual for inline preview support (sniffed type on the safe list)
+fileSchema.virtual('canPreview').get(function () {
+    return this.scanStatus === SCAN_STATUS.CLEAN && isSafeInline(this.detectedType || this.mimeType);
+});
+
 // ============================================
 // MIDDLEWARE
 // ============================================
 
 /**
  * Post-save middleware to update user storage
+ * This and the delete hook are the only places storageUsed changes for files
  */
 fileSchema.post('save', async function (doc) {
     if (this.wasNew) {
         const User = mongoose.model('User');
         await User.findByIdAndUpdate(doc.userId, {
-            $inc: { storageUsed: doc.fileSize }
+            $inc: { storageUsed: doc.chargedSize ?? doc.fileSize }
         });
     }
 });
@@ -187,17 +323,26 @@ fileSchema.pre('save', function (next) {
  */
 fileSchema.pre('deleteOne', { document: true, query: false }, async function (next) {
     try {
-        // Delete physical file
-        await fs.unlink(this.filePath).catch(() => {
-            console.warn(`File not found on disk: ${this.filePath}`);
-        });
+        // Drop the reference to the contents (deleted with the last reference)
+        await this.constructor.releaseContents(this);
+
+        // Prior versions release their own contents and charges
+        const FileVersion = mongoose.model('FileVersion');
+        const versions = await FileVersion.find({ fileId: this._id });
+        for (const version of versions) {
+            await version.deleteOne();
+        }
 
-        // Update user storage
+        // Refund what was charged for this file
         const User = mongoose.model('User');
         await User.findByIdAndUpdate(this.userId, {
-            $inc: { storageUsed: -this.fileSize }
+            $inc: { storageUsed: -(this.chargedSize ?? this.fileSize) }
         });
 
+        // Remove share links pointing at this file
+        const ShareLink = mongoose.model('ShareLink');
+        await ShareLink.deleteMany({ fileId: this._id });
+
         next();
     } catch (error) {
         next(error);
@@ -218,11 +363,77 @@ fileSchema.methods.incrementDownloads = async function () {
 };
 
 /**
- * Extend expiry date
- * @param {number} days - Days to extend
+ * Get the sniffed content type, sniffing files uploaded before detection existed
+ * @returns {Promise<string|null>} - Detected type, null if the contents can't be read
+ */
+fileSchema.methods.ensureDetectedType = async function () {
+    if (this.detectedType) return this.detectedType;
+
+    try {
+        const stream = await getStorage().get(this.filePath, { start: 0, end: SNIFF_BYTES - 1 });
+        const chunks = [];
+        for await (const chunk of stream) chunks.push(chunk);
+
+        this.detectedType = detectMimeType(Buffer.concat(chunks), this.originalName) || 'application/octet-stream';
+    } catch {
+        return null;
+    }
+
+    await this.constructor.updateOne({ _id: this._id }, { detectedType: this.detectedType });
+    return this.detectedType;
+};
+
+/**
+ * Get the reason the contents can't be served yet
+ * @returns {string|null} - Error message, null if the file is clean
+ */
+fileSchema.methods.getScanBlockMessage = function () {
+    if (this.scanStatus === SCAN_STATUS.CLEAN) return null;
+    if (this.scanStatus === SCAN_STATUS.INFECTED) return ERROR_MESSAGES.FILE_INFECTED;
+    return ERROR_MESSAGES.FILE_SCAN_PENDING;
+};
+
+/**
+ * Scan the stored contents again and record the verdict
+ * Files and clip attachments sharing the same blob get the same verdict.
+ * @returns {Promise<string>} - New scan status
+ */
+fileSchema.methods.rescan = async function () {
+    const scan = await scanContents(() => getStorage().get(this.filePath));
+    if (scan.scanStatus === SCAN_STATUS.PENDING) return scan.scanStatus;
+
+    const filter = this.blobId ? { blobId: this.blobId } : { _id: this._id };
+    await this.constructor.updateMany(filter, scan).withTrashed();
+    if (this.blobId) {
+        await mongoose.model('FileVersion').updateMany(filter, scan);
+        await mongoose.model('ClipAttachment').updateMany(filter, scan);
+    }
+
+    Object.assign(this, scan);
+    return scan.scanStatus;
+};
+
+/**
+ * Take this file out of the trash
+ * Goes back to its folder, or to the root if the folder is gone or in the trash.
+ * @returns {Promise<File>}
+ */
+fileSchema.methods.restore = async function () {
+    const Folder = mongoose.model('Folder');
+
+    if (this.folderId && !await Folder.exists({ _id: this.folderId })) {
+        this.folderId = null;
+    }
+
+    return await this.restoreFromTrash();
+};
+
+/**
+ * Set the expiry date
+ * @param {number} days - Days from now (0 = never)
  */
 fileSchema.methods.extendExpiry = async function (days = FILE_CONFIG.EXPIRY_DAYS) {
-    this.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    this.expiresAt = getExpiryDate(days);
     await this.save();
 };
 
@@ -239,6 +450,223 @@ fileSchema.methods.toggleStar = async function () {
 // STATIC METHODS
 // ============================================
 
+/**
+ * Fields that describe a file's contents
+ * They move between File and FileVersion when versions are added or restored.
+ */
+const CONTENT_FIELDS = [
+    'fileName', 'filePath', 'blobId', 'contentHash', 'fileSize', 'chargedSize',
+    'mimeType', 'detectedType', 'scanStatus', 'scanResult', 'scannedAt',
+    'thumbnailStatus', 'uploadedAt'
+];
+
+// Search text of new contents is extracted again
+const UNINDEXED_TEXT = { contentText: null, textStatus: TEXT_STATUS.PENDING };
+
+/**
+ * Pick the content fields of a File or FileVersion
+ * @param {Document} doc - File or FileVersion
+ * @returns {Object} - Content fields
+ */
+fileSchema.statics.pickContent = function (doc) {
+    const content = Object.fromEntries(CONTENT_FIELDS.map((field) => [field, doc[field]]));
+    content.uploadedAt = doc.uploadedAt || doc.createdAt;
+    return content;
+};
+
+/**
+ * Store a staged upload
+ * Scans the contents, then stores them deduplicated by hash (or in quarantine
+ * when infected). Nothing is charged yet.
+ * @param {string} stagedPath - Staged file path (moved or removed)
+ * @param {Object} data - Upload fields (userId, fileName, fileSize, mimeType, detectedType, vault)
+ * @returns {Promise<Object>} - Content fields for a File or FileVersion
+ */
+fileSchema.statics.storeContents = async function (stagedPath, data) {
+    const FileBlob = mongoose.model('FileBlob');
+    const scan = await scanLocalFile(stagedPath);
+    const content = {
+        fileName: data.fileName,
+        fileSize: data.fileSize,
+        mimeType: data.mimeType,
+        detectedType: data.detectedType,
+        uploadedAt: new Date(),
+        ...scan
+    };
+
+    // Infected contents are kept out of the shared blobs
+    if (scan.scanStatus === SCAN_STATUS.INFECTED) {
+        const key = `quarantine/${data.userId}/${data.fileName}`;
+        await getStorage().putFile(key, stagedPath, { contentType: data.mimeType });
+
+        return {
+            ...content,
+            filePath: key,
+            blobId: null,
+            contentHash: null,
+            chargedSize: data.fileSize,
+            thumbnailStatus: THUMBNAIL_STATUS.UNSUPPORTED
+        };
+    }
+
+    const { blob, isDuplicate } = await FileBlob.storeFile(stagedPath, {
+        size: data.fileSize,
+        mimeType: data.vault ? VAULT_CONFIG.CONTENT_TYPE : data.mimeType
+    });
+
+    // Ciphertext has nothing to render
+    const thumbnailStatus = data.vault
+        ? THUMBNAIL_STATUS.UNSUPPORTED
+        : blob.thumbnailKey ? THUMBNAIL_STATUS.READY : THUMBNAIL_STATUS.PENDING;
+
+    return {
+        ...content,
+        filePath: blob.storageKey,
+        blobId: blob._id,
+        contentHash: blob.hash,
+        chargedSize: isDuplicate && !FILE_CONFIG.CHARGE_DUPLICATES ? 0 : data.fileSize,
+        thumbnailStatus
+    };
+};
+
+/**
+ * Release stored contents
+ * Drops the blob reference, or deletes the object for contents without a blob.
+ * Errors are logged, not thrown.
+ * @param {Object} content - Content fields (blobId, filePath)
+ */
+fileSchema.statics.releaseContents = async function ({ blobId, filePath }) {
+    const release = blobId
+        ? mongoose.model('FileBlob').release(blobId)
+        : getStorage().delete(filePath);
+
+    await release.catch((error) => {
+        console.warn(`Could not delete stored file ${filePath}: ${error.message}`);
+    });
+};
+
+/**
+ * Create a file record from a staged upload
+ * Stores the contents and charges the owner's quota
+ * @param {string} stagedPath - Staged file path (moved or removed)
+ * @param {Object} data - File fields (userId, originalName, fileName, fileSize, mimeType, ...)
+ * @returns {Promise<File>} - Created file
+ */
+fileSchema.statics.createFromUpload = async function (stagedPath, data) {
+    const content = await this.storeContents(stagedPath, data);
+
+    try {
+        return await this.create({ ...data, ...content });
+    } catch (error) {
+        await this.releaseContents(content);
+        throw error;
+    }
+};
+
+/**
+ * Create a copy of a file that shares its stored contents
+ * Takes another reference on the blob and charges the owner like a duplicate
+ * upload. Prior versions are not copied.
+ * @param {File} file - File to copy
+ * @param {Object} data - Fields of the copy (folderId, expiresAt, ...)
+ * @returns {Promise<File|null>} - Created file, null if the contents have no blob to share
+ */
+fileSchema.statics.createCopy = async function (file, data) {
+    const FileBlob = mongoose.model('FileBlob');
+    if (!file.blobId || !await FileBlob.retain(file.blobId)) return null;
+
+    const content = {
+        ...this.pickContent(file),
+        fileName: `${uuidv4()}${file.extension}`,
+        chargedSize: FILE_CONFIG.CHARGE_DUPLICATES ? file.fileSize : 0
+    };
+
+    try {
+        return await this.create({
+            userId: file.userId,
+            originalName: file.originalName,
+            extension: file.extension,
+            description: file.description,
+            tags: file.tags,
+            vault: file.vault,
+            ...content,
+            ...data
+        });
+    } catch (error) {
+        await this.releaseContents(content);
+        throw error;
+    }
+};
+
+/**
+ * Replace the contents with a staged upload
+ * The current contents are kept as a prior version and stay charged.
+ * @param {string} stagedPath - Staged file path (moved or removed)
+ * @param {Object} data - Upload fields (fileName, fileSize, mimeType, detectedType, expiresAt)
+ * @returns {Promise<File>} - Updated file
+ */
+fileSchema.methods.addVersionFromUpload = async function (stagedPath, data) {
+    const FileVersion = mongoose.model('FileVersion');
+    const content = await this.constructor.storeContents(stagedPath, { ...data, userId: this.userId });
+
+    try {
+        await FileVersion.create({
+            fileId: this._id,
+            userId: this.userId,
+            versionNumber: this.version,
+            ...this.constructor.pickContent(this)
+        });
+    } catch (error) {
+        await this.constructor.releaseContents(content);
+        throw error;
+    }
+
+    this.set({
+        ...content,
+        ...UNINDEXED_TEXT,
+        version: this.version + 1,
+        expiresAt: data.expiresAt !== undefined ? data.expiresAt : this.expiresAt
+    });
+    await this.save();
+
+    const User = mongoose.model('User');
+    await User.findByIdAndUpdate(this.userId, {
+        $inc: { storageUsed: content.chargedSize }
+    });
+
+    return this;
+};
+
+/**
+ * Make a prior version current again
+ * The current contents take the version's place, so nothing is copied or charged.
+ * @param {FileVersion} version - Version of this file
+ * @returns {Promise<File>} - Updated file
+ */
+fileSchema.methods.restoreVersion = async function (version) {
+    const current = this.constructor.pickContent(this);
+    const restored = this.constructor.pickContent(version);
+
+    version.set({ ...current, versionNumber: this.version });
+    await version.save();
+
+    this.set({ ...restored, ...UNINDEXED_TEXT, version: this.version + 1 });
+    await this.save();
+
+    return this;
+};
+
+/**
+ * Find a user's file by name in a folder (the newest if there are several)
+ * @param {ObjectId} userId - Owner
+ * @param {ObjectId|null} folderId - Folder (null for root level)
+ * @param {string} originalName - File name
+ * @returns {Promise<File|null>}
+ */
+fileSchema.statics.findByName = function (userId, folderId, originalName) {
+    return this.findOne({ userId, folderId: folderId || null, originalName }).sort({ createdAt: -1 });
+};
+
 /**
  * Get expired files for cleanup
  * @returns {Promise<Array>} - Array of expired files
@@ -246,7 +674,7 @@ fileSchema.methods.toggleStar = async function () {
 fileSchema.statics.getExpiredFiles = async function () {
     return await this.find({
         expiresAt: { $lt: new Date() }
-    });
+    }).withTrashed();
 };
 
 /**
@@ -275,7 +703,7 @@ fileSchema.statics.cleanupExpiredFiles = async function () {
  */
 fileSchema.statics.getUserStats = async function (userId) {
     const stats = await this.aggregate([
-        { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+        { $match: { userId: new mongoose.Types.ObjectId(userId), deletedAt: null } },
         {
             $group: {
                 _id: null,
@@ -289,7 +717,7 @@ fileSchema.statics.getUserStats = async function (userId) {
 
     // Get file type distribution
     const typeDistribution = await this.aggregate([
-        { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+        { $match: { userId: new mongoose.Types.ObjectId(userId), deletedAt: null } },
         {
             $group: {
                 _id: '$mimeType',
@@ -0,0 +1,146 @@
+/**
+ * FileBlob Model
+ * Stored file contents, shared by every File with the same SHA-256 hash
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { getStorage } from '../services/storageService.js';
+
+const fileBlobSchema = new mongoose.Schema({
+    // SHA-256 of the contents (hex)
+    hash: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // Storage key of the contents
+    storageKey: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // Size in bytes
+    size: {
+        type: Number,
+        required: true
+    },
+
+    // Number of File documents referencing this blob
+    refCount: {
+        type: Number,
+        default: 1,
+        min: 0
+    },
+
+    // Storage key of the rendered thumbnail (null until generated)
+    thumbnailKey: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Compute the SHA-256 hash of a local file
+ * @param {string} filePath - File path
+ * @returns {Promise<string>} - Hex digest
+ */
+fileBlobSchema.statics.hashFile = async function (filePath) {
+    const hash = crypto.createHash('sha256');
+    await pipeline(createReadStream(filePath), hash);
+    return hash.digest('hex');
+};
+
+/**
+ * Store a staged file, reusing existing contents with the same hash
+ * Takes one reference on the returned blob and removes the staged file.
+ * @param {string} filePath - Staged file path
+ * @param {Object} options
+ * @param {number} options.size - File size in bytes
+ * @param {string} options.mimeType - Content type for the storage driver
+ * @returns {Promise<{blob: FileBlob, isDuplicate: boolean}>}
+ */
+fileBlobSchema.statics.storeFile = async function (filePath, { size, mimeType }) {
+    const hash = await this.hashFile(filePath);
+
+    // Same contents already stored
+    let blob = await this.findOneAndUpdate({ hash }, { $inc: { refCount: 1 } }, { new: true });
+    if (blob) {
+        await fs.unlink(filePath).catch(() => { });
+        return { blob, isDuplicate: true };
+    }
+
+    // New contents. The random suffix keeps a re-upload from reusing the key of a
+    // blob that is being deleted at the same moment.
+    const storageKey = `blobs/${hash.slice(0, 2)}/${hash}-${crypto.randomBytes(4).toString('hex')}`;
+    await getStorage().putFile(storageKey, filePath, { contentType: mimeType });
+
+    try {
+        blob = await this.create({ hash, storageKey, size });
+        return { blob, isDuplicate: false };
+    } catch (error) {
+        await getStorage().delete(storageKey).catch(() => { });
+
+        // Another upload stored the same contents first, use its copy
+        if (error.code === 11000) {
+            blob = await this.findOneAndUpdate({ hash }, { $inc: { refCount: 1 } }, { new: true });
+            if (blob) return { blob, isDuplicate: true };
+        }
+        throw error;
+    }
+};
+
+/**
+ * Take one more reference to a blob
+ * Used when a file is copied, so the contents are shared instead of stored again.
+ * @param {ObjectId} blobId - Blob ID
+ * @returns {Promise<FileBlob|null>} - The blob, null if it is gone
+ */
+fileBlobSchema.statics.retain = async function (blobId) {
+    return await this.findOneAndUpdate(
+        { _id: blobId, refCount: { $gt: 0 } },
+        { $inc: { refCount: 1 } },
+        { new: true }
+    );
+};
+
+/**
+ * Drop one reference to a blob
+ * The contents and thumbnail are deleted when the last reference is gone.
+ * @param {ObjectId} blobId - Blob ID
+ * @returns {Promise<boolean>} - True if the contents were deleted
+ */
+fileBlobSchema.statics.release = async function (blobId) {
+    const blob = await this.findOneAndUpdate(
+        { _id: blobId, refCount: { $gt: 0 } },
+        { $inc: { refCount: -1 } },
+        { new: true }
+    );
+
+    if (!blob || blob.refCount > 0) return false;
+
+    // Only delete if no upload took a new reference in the meantime
+    const { deletedCount } = await this.deleteOne({ _id: blob._id, refCount: 0 });
+    if (deletedCount === 0) return false;
+
+    await getStorage().delete(blob.storageKey);
+    if (blob.thumbnailKey) {
+        await getStorage().delete(blob.thumbnailKey);
+    }
+    return true;
+};
+
+const FileBlob = mongoose.model('FileBlob', fileBlobSchema);
+
+export default FileBlob;
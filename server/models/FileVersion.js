@@ -0,0 +1,152 @@
+/**
+ * FileVersion Model
+ * Prior contents of a file, kept when a file is replaced by a new upload
+ */
+
+import mongoose from 'mongoose';
+import { SCAN_STATUS, THUMBNAIL_STATUS } from '../config/constants.js';
+
+const fileVersionSchema = new mongoose.Schema({
+    // File this version belongs to
+    fileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File',
+        required: true,
+        index: true
+    },
+
+    // File owner
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Version number the contents had while they were current
+    versionNumber: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+
+    // Stored file name (UUID-based)
+    fileName: {
+        type: String,
+        required: true
+    },
+
+    // Storage key of the contents
+    filePath: {
+        type: String,
+        required: true
+    },
+
+    // Shared contents (null for quarantined or older contents)
+    blobId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'FileBlob',
+        default: null,
+        index: true
+    },
+
+    // SHA-256 of the contents
+    contentHash: {
+        type: String,
+        default: null
+    },
+
+    // Size in bytes
+    fileSize: {
+        type: Number,
+        required: true
+    },
+
+    // Bytes counted against the owner's storage quota
+    chargedSize: {
+        type: Number,
+        required: true
+    },
+
+    // MIME type
+    mimeType: {
+        type: String,
+        required: true
+    },
+
+    // Type detected from the contents' magic bytes
+    detectedType: {
+        type: String,
+        default: null
+    },
+
+    // Virus scan state
+    scanStatus: {
+        type: String,
+        enum: Object.values(SCAN_STATUS),
+        default: SCAN_STATUS.PENDING
+    },
+
+    // Signature name reported for infected contents
+    scanResult: {
+        type: String,
+        default: null
+    },
+
+    // Last completed scan
+    scannedAt: {
+        type: Date,
+        default: null
+    },
+
+    // Thumbnail state of the contents
+    thumbnailStatus: {
+        type: String,
+        enum: Object.values(THUMBNAIL_STATUS),
+        default: THUMBNAIL_STATUS.PENDING
+    },
+
+    // When the contents were uploaded
+    uploadedAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        transform: function (doc, ret) {
+            delete ret.__v;
+            delete ret.filePath;
+            return ret;
+        }
+    }
+});
+
+// One document per version number
+fileVersionSchema.index({ fileId: 1, versionNumber: 1 }, { unique: true });
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Pre-delete middleware to release the contents and refund storage
+ */
+fileVersionSchema.pre('deleteOne', { document: true, query: false }, async function (next) {
+    try {
+        await mongoose.model('File').releaseContents(this);
+
+        const User = mongoose.model('User');
+        await User.findByIdAndUpdate(this.userId, {
+            $inc: { storageUsed: -this.chargedSize }
+        });
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+const FileVersion = mongoose.model('FileVersion', fileVersionSchema);
+
+export default FileVersion;
@@ -4,6 +4,9 @@
  */
 
 import mongoose from 'mongoose';
+import { trashPlugin } from './plugins/trash.js';
+import { FILE_CONFIG } from '../config/constants.js';
+import { clampExpiryDays, getExpiryDate } from '../utils/expiry.js';
 
 const folderSchema = new mongoose.Schema({
     // Folder owner
@@ -39,6 +42,13 @@ const folderSchema = new mongoose.Schema({
     icon: {
         type: String,
         default: 'folder'
+    },
+
+    // Expiry in days for new files (null inherits from the parent, 0 keeps forever)
+    expiryDays: {
+        type: Number,
+        default: null,
+        min: 0
     }
 }, {
     timestamps: true,
@@ -46,6 +56,9 @@ const folderSchema = new mongoose.Schema({
     toObject: { virtuals: true }
 });
 
+// Soft delete (deletedAt, trashedWith)
+folderSchema.plugin(trashPlugin);
+
 // ============================================
 // INDEXES
 // ============================================
@@ -53,8 +66,11 @@ const folderSchema = new mongoose.Schema({
 // Compound index for user's folders
 folderSchema.index({ userId: 1, parentId: 1 });
 
-// Unique folder name per user in same parent
-folderSchema.index({ userId: 1, parentId: 1, name: 1 }, { unique: true });
+// Unique folder name per user in same parent (trashed folders don't block the name)
+folderSchema.index({ userId: 1, parentId: 1, name: 1, deletedAt: 1 }, { unique: true });
+
+// Full-text search on names
+folderSchema.index({ name: 'text' }, { name: 'folder_search' });
 
 // ============================================
 // VIRTUALS
@@ -80,7 +96,7 @@ folderSchema.virtual('subfolders', {
 
 /**
  * Pre-remove middleware to handle cascading deletes
- * Deletes all files and subfolders when folder is deleted
+ * Permanently deletes all files and subfolders (trashed ones too)
  */
 folderSchema.pre('deleteOne', { document: true, query: false }, async function (next) {
     const File = mongoose.model('File');
@@ -88,15 +104,19 @@ folderSchema.pre('deleteOne', { document: true, query: false }, async function (
 
     try {
         // Get all subfolders recursively
-        const subfolders = await Folder.find({ parentId: this._id });
+        const subfolders = await Folder.find({ parentId: this._id }).withTrashed();
 
         // Delete subfolders recursively
         for (const subfolder of subfolders) {
             await subfolder.deleteOne();
         }
 
-        // Delete all files in this folder
-        await File.deleteMany({ folderId: this._id });
+        // Delete all files in this folder (one by one so stored contents
+        // are released and the owner's storage is refunded)
+        const files = await File.find({ folderId: this._id }).withTrashed();
+        for (const file of files) {
+            await file.deleteOne();
+        }
 
         next();
     } catch (error) {
@@ -104,6 +124,129 @@ folderSchema.pre('deleteOne', { document: true, query: false }, async function (
     }
 });
 
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Get the IDs of all active folders below this one
+ * @returns {Promise<ObjectId[]>}
+ */
+folderSchema.methods.getDescendantIds = async function () {
+    const Folder = mongoose.model('Folder');
+    const ids = [];
+    let parents = [this._id];
+
+    while (parents.length > 0) {
+        const children = await Folder.find({ parentId: { $in: parents } }).select('_id');
+        parents = children.map(child => child._id);
+        ids.push(...parents);
+    }
+
+    return ids;
+};
+
+/**
+ * Move this folder and everything in it to the trash
+ * Contents are marked as trashed with this folder so they come back with it.
+ * Items that were already in the trash keep their own entries.
+ * @returns {Promise<Folder>}
+ */
+folderSchema.methods.moveTreeToTrash = async function () {
+    const File = mongoose.model('File');
+    const Folder = mongoose.model('Folder');
+    const deletedAt = new Date();
+    const folderIds = [this._id, ...await this.getDescendantIds()];
+
+    await File.updateMany(
+        { folderId: { $in: folderIds } },
+        { $set: { deletedAt, trashedWith: this._id } }
+    );
+    await Folder.updateMany(
+        { _id: { $in: folderIds.slice(1) } },
+        { $set: { deletedAt, trashedWith: this._id } }
+    );
+
+    return await this.moveToTrash(null, deletedAt);
+};
+
+/**
+ * Restore this folder and the contents trashed with it
+ * Goes back to its original parent, or to the root if the parent is gone or
+ * in the trash. A name clash gets a " (restored)" suffix.
+ * @returns {Promise<Folder>}
+ */
+folderSchema.methods.restoreTree = async function () {
+    const File = mongoose.model('File');
+    const Folder = mongoose.model('Folder');
+
+    if (this.parentId && !await Folder.exists({ _id: this.parentId })) {
+        this.parentId = null;
+    }
+
+    // Free name in the target parent (case-insensitive like folder creation)
+    const baseName = this.name;
+    for (let attempt = 1; ; attempt++) {
+        const escaped = this.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const clash = await Folder.exists({
+            userId: this.userId,
+            parentId: this.parentId,
+            name: { $regex: new RegExp(`^${escaped}$`, 'i') }
+        });
+        if (!clash) break;
+        const suffix = attempt === 1 ? ' (restored)' : ` (restored ${attempt})`;
+        this.name = `${baseName.slice(0, 50 - suffix.length)}${suffix}`;
+    }
+
+    const filter = { trashedWith: this._id, deletedAt: { $ne: null } };
+    const update = { $set: { deletedAt: null, trashedWith: null } };
+    await Folder.updateMany(filter, update);
+    await File.updateMany(filter, update);
+
+    return await this.restoreFromTrash();
+};
+
+/**
+ * Get the expiry new files in this folder inherit
+ * Walks up to the first folder with its own setting, then the system default.
+ * @returns {Promise<number>} - Expiry in days (0 = never)
+ */
+folderSchema.methods.getExpiryDays = async function () {
+    const Folder = mongoose.model('Folder');
+    let folder = this;
+
+    while (folder) {
+        if (folder.expiryDays !== null && folder.expiryDays !== undefined) {
+            return clampExpiryDays(folder.expiryDays);
+        }
+        folder = folder.parentId && await Folder.findById(folder.parentId);
+    }
+
+    return clampExpiryDays(FILE_CONFIG.EXPIRY_DAYS);
+};
+
+/**
+ * Extend the expiry of every file in this folder and its subfolders
+ * Files already expiring later (or never) are left alone.
+ * @param {number} days - Expiry in days from now (0 = never)
+ * @returns {Promise<number>} - Number of files extended
+ */
+folderSchema.methods.extendFileExpiry = async function (days) {
+    const File = mongoose.model('File');
+    const folderIds = [this._id, ...await this.getDescendantIds()];
+    const expiresAt = getExpiryDate(days);
+
+    const result = await File.updateMany(
+        {
+            folderId: { $in: folderIds },
+            expiresAt: expiresAt ? { $ne: null, $lt: expiresAt } : { $ne: null }
+        },
+        { $set: { expiresAt } }
+    );
+
+    return result.modifiedCount;
+};
+
 // ============================================
 // STATIC METHODS
 // ============================================
@@ -148,6 +291,68 @@ folderSchema.statics.getFolderTree = async function (userId) {
     return tree;
 };
 
+/**
+ * Find a folder name that is free in a parent
+ * Clashes are case-insensitive like folder creation and get " (2)", " (3)"...
+ * @param {ObjectId} userId - Owner
+ * @param {ObjectId|null} parentId - Parent folder (null for root)
+ * @param {string} name - Wanted name
+ * @returns {Promise<string>}
+ */
+folderSchema.statics.findFreeName = async function (userId, parentId, name) {
+    let candidate = name;
+
+    for (let attempt = 2; ; attempt++) {
+        const escaped = candidate.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const clash = await this.exists({
+            userId,
+            parentId,
+            name: { $regex: new RegExp(`^${escaped}$`, 'i') }
+        });
+        if (!clash) return candidate;
+
+        const suffix = ` (${attempt})`;
+        candidate = `${name.slice(0, 50 - suffix.length)}${suffix}`;
+    }
+};
+
+/**
+ * Find or create a chain of nested folders
+ * Each name reuses an existing folder in its parent (case-insensitive like
+ * folder creation) or creates it. Names are cut to the folder name limit.
+ * @param {ObjectId} userId - Owner
+ * @param {Folder|null} parent - Folder the chain starts in (null for root)
+ * @param {string[]} names - Folder names from the outermost down
+ * @returns {Promise<Folder|null>} - Innermost folder (parent itself for no names)
+ */
+folderSchema.statics.ensurePath = async function (userId, parent, names) {
+    let folder = parent;
+
+    for (const name of names.map(name => name.slice(0, 50).trim())) {
+        const escaped = name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const filter = {
+            userId,
+            parentId: folder?._id || null,
+            name: { $regex: new RegExp(`^${escaped}$`, 'i') }
+        };
+
+        let child = await this.findOne(filter);
+        if (!child) {
+            try {
+                child = await this.create({ userId, parentId: folder?._id || null, name });
+            } catch (error) {
+                // Created by a parallel upload in the meantime
+                if (error.code !== 11000) throw error;
+                child = await this.findOne(filter);
+            }
+        }
+
+        folder = child;
+    }
+
+    return folder;
+};
+
 /**
  * Get folder path (breadcrumb)
  * @param {ObjectId} folderId - Folder ID
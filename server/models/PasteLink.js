@@ -0,0 +1,150 @@
+/**
+ * PasteLink Model
+ * Public read-only pages for clips, with optional expiry and burn after reading
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import { PASTE_CONFIG } from '../config/constants.js';
+
+const pasteLinkSchema = new mongoose.Schema({
+    // Published clip
+    clipId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Clipboard',
+        required: true,
+        index: true
+    },
+
+    // Link owner (same as clip owner)
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Random URL-safe slug used in the public link (/p/:slug)
+    slug: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // Link stops working after the first view
+    burnAfterReading: {
+        type: Boolean,
+        default: false
+    },
+
+    // Expiry date (null = lives as long as the clip)
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+
+    // Number of views through this link
+    viewCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Last time the link was viewed
+    lastViewed: {
+        type: Date,
+        default: null
+    },
+
+    // Revocation timestamp (null = not revoked)
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+// TTL index - drop links once they expire
+pasteLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+// Virtual for link usability
+pasteLinkSchema.virtual('isActive').get(function () {
+    return this.getInactiveReason() === null;
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Get the reason this link can no longer be viewed
+ * @returns {string|null} - 'revoked', 'expired', 'burned' or null if usable
+ */
+pasteLinkSchema.methods.getInactiveReason = function () {
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+    if (this.burnAfterReading && this.viewCount > 0) return 'burned';
+    return null;
+};
+
+/**
+ * Revoke link
+ */
+pasteLinkSchema.methods.revoke = async function () {
+    this.revokedAt = new Date();
+    await this.save();
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Generate a random link slug
+ * @returns {string} - URL-safe slug
+ */
+pasteLinkSchema.statics.generateSlug = function () {
+    return crypto.randomBytes(PASTE_CONFIG.SLUG_BYTES).toString('base64url');
+};
+
+/**
+ * Query filter matching links that can still be viewed
+ * @returns {Object} - MongoDB filter
+ */
+pasteLinkSchema.statics.activeFilter = function () {
+    return {
+        revokedAt: null,
+        $and: [
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+            { $or: [{ burnAfterReading: false }, { viewCount: 0 }] }
+        ]
+    };
+};
+
+/**
+ * Atomically count one view of a link
+ * Fails if the link was revoked, expired or burned in the meantime
+ * @param {ObjectId} linkId - Link ID
+ * @returns {Promise<PasteLink|null>} - Updated link, or null if no longer usable
+ */
+pasteLinkSchema.statics.consumeView = async function (linkId) {
+    return await this.findOneAndUpdate(
+        { _id: linkId, ...this.activeFilter() },
+        { $inc: { viewCount: 1 }, $set: { lastViewed: new Date() } },
+        { new: true }
+    );
+};
+
+const PasteLink = mongoose.model('PasteLink', pasteLinkSchema);
+
+export default PasteLink;
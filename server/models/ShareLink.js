@@ -0,0 +1,207 @@
+/**
+ * ShareLink Model
+ * Public download links for files, with optional password, expiry and download cap
+ */
+
+import mongoose from 'mongoose';
+import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+import { SHARE_CONFIG } from '../config/constants.js';
+
+const shareLinkSchema = new mongoose.Schema({
+    // Shared file
+    fileId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'File',
+        required: true,
+        index: true
+    },
+
+    // Link owner (same as file owner)
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Random URL-safe token used in the public link
+    token: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // Hashed password (optional)
+    password: {
+        type: String,
+        default: null,
+        select: false
+    },
+
+    // Whether a password is required to download
+    isPasswordProtected: {
+        type: Boolean,
+        default: false
+    },
+
+    // Expiry date (null = lives as long as the file)
+    expiresAt: {
+        type: Date,
+        default: null
+    },
+
+    // Maximum number of downloads (null = unlimited)
+    maxDownloads: {
+        type: Number,
+        default: null,
+        min: 1
+    },
+
+    // Number of downloads through this link
+    downloadCount: {
+        type: Number,
+        default: 0
+    },
+
+    // Last time the link was used to download
+    lastAccessed: {
+        type: Date,
+        default: null
+    },
+
+    // Revocation timestamp (null = not revoked)
+    revokedAt: {
+        type: Date,
+        default: null
+    }
+}, {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+// TTL index - drop links once they expire
+shareLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+// Virtual for link usability
+shareLinkSchema.virtual('isActive').get(function () {
+    return this.getInactiveReason() === null;
+});
+
+// Virtual for downloads left
+shareLinkSchema.virtual('downloadsRemaining').get(function () {
+    if (this.maxDownloads === null) return null;
+    return Math.max(0, this.maxDownloads - this.downloadCount);
+});
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Pre-save middleware to hash password
+ */
+shareLinkSchema.pre('save', async function (next) {
+    if (!this.isModified('password')) {
+        return next();
+    }
+
+    try {
+        if (this.password) {
+            const salt = await bcrypt.genSalt(10);
+            this.password = await bcrypt.hash(this.password, salt);
+        }
+        this.isPasswordProtected = Boolean(this.password);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Compare entered password with hashed password
+ * Requires the document to be loaded with +password
+ * @param {string} enteredPassword - Plain text password
+ * @returns {Promise<boolean>} - True if passwords match
+ */
+shareLinkSchema.methods.comparePassword = async function (enteredPassword) {
+    if (!this.isPasswordProtected) return true;
+    if (!enteredPassword || !this.password) return false;
+    return await bcrypt.compare(enteredPassword, this.password);
+};
+
+/**
+ * Get the reason this link can no longer be used
+ * @returns {string|null} - 'revoked', 'expired', 'exhausted' or null if usable
+ */
+shareLinkSchema.methods.getInactiveReason = function () {
+    if (this.revokedAt) return 'revoked';
+    if (this.expiresAt && this.expiresAt <= new Date()) return 'expired';
+    if (this.maxDownloads !== null && this.downloadCount >= this.maxDownloads) return 'exhausted';
+    return null;
+};
+
+/**
+ * Revoke link
+ */
+shareLinkSchema.methods.revoke = async function () {
+    this.revokedAt = new Date();
+    await this.save();
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Generate a random link token
+ * @returns {string} - URL-safe token
+ */
+shareLinkSchema.statics.generateToken = function () {
+    return crypto.randomBytes(SHARE_CONFIG.TOKEN_BYTES).toString('base64url');
+};
+
+/**
+ * Query filter matching links that can still be used
+ * @returns {Object} - MongoDB filter
+ */
+shareLinkSchema.statics.activeFilter = function () {
+    return {
+        revokedAt: null,
+        $and: [
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] },
+            { $or: [{ maxDownloads: null }, { $expr: { $lt: ['$downloadCount', '$maxDownloads'] } }] }
+        ]
+    };
+};
+
+/**
+ * Atomically consume one download from a link
+ * Fails if the link was revoked, expired or ran out in the meantime
+ * @param {ObjectId} linkId - Link ID
+ * @returns {Promise<ShareLink|null>} - Updated link, or null if no longer usable
+ */
+shareLinkSchema.statics.consumeDownload = async function (linkId) {
+    return await this.findOneAndUpdate(
+        { _id: linkId, ...this.activeFilter() },
+        { $inc: { downloadCount: 1 }, $set: { lastAccessed: new Date() } },
+        { new: true }
+    );
+};
+
+const ShareLink = mongoose.model('ShareLink', shareLinkSchema);
+
+export default ShareLink;
@@ -0,0 +1,107 @@
+/**
+ * SmartCollection Model
+ * A saved filter over the user's files or clips, listed in the sidebar
+ */
+
+import mongoose from 'mongoose';
+import { COLLECTION_CONFIG } from '../config/constants.js';
+
+const smartCollectionSchema = new mongoose.Schema({
+    // Collection owner
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Name shown in the sidebar
+    name: {
+        type: String,
+        required: [true, 'Collection name is required'],
+        trim: true,
+        maxlength: [50, 'Collection name cannot exceed 50 characters']
+    },
+
+    // What the collection lists ('files' or 'clips')
+    target: {
+        type: String,
+        enum: COLLECTION_CONFIG.TARGETS,
+        default: 'files'
+    },
+
+    // Saved filter; all set conditions must match
+    filter: {
+        // Items must have every one of these tags
+        tags: {
+            type: [String],
+            default: []
+        },
+
+        // File type (files only, null for any)
+        type: {
+            type: String,
+            enum: [...COLLECTION_CONFIG.FILE_TYPES, null],
+            default: null
+        },
+
+        // Only items added in the last N days (null for any time)
+        days: {
+            type: Number,
+            min: 1,
+            max: COLLECTION_CONFIG.MAX_DAYS,
+            default: null
+        },
+
+        // Only starred files or pinned clips
+        starred: {
+            type: Boolean,
+            default: false
+        }
+    }
+}, {
+    timestamps: true
+});
+
+// ============================================
+// INDEXES
+// ============================================
+
+// Collection names are unique per user
+smartCollectionSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Get the collection's filter as list query options
+ * @returns {Object} - { tags, type, days, starred } for getFiles / getUserClips
+ */
+smartCollectionSchema.methods.getQueryOptions = function () {
+    const { tags, type, days, starred } = this.filter;
+    return {
+        tags,
+        type: this.target === 'files' ? type : null,
+        days,
+        starred
+    };
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Check if user has reached the collection limit
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+smartCollectionSchema.statics.hasReachedLimit = async function (userId) {
+    const count = await this.countDocuments({ userId });
+    return count >= COLLECTION_CONFIG.MAX_PER_USER;
+};
+
+const SmartCollection = mongoose.model('SmartCollection', smartCollectionSchema);
+
+export default SmartCollection;
@@ -0,0 +1,202 @@
+/**
+ * UploadSession Model
+ * Tracks resumable chunked uploads until they are finalized into a File
+ */
+
+import mongoose from 'mongoose';
+import fs from 'fs/promises';
+import { FILE_CONFIG } from '../config/constants.js';
+
+const uploadSessionSchema = new mongoose.Schema({
+    // Uploading user
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Public upload ID (UUID)
+    uploadId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+
+    // Original file name
+    originalName: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    // MIME type declared by the client (empty if the browser didn't know it)
+    mimeType: {
+        type: String,
+        default: ''
+    },
+
+    // Total file size in bytes
+    fileSize: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+
+    // Maximum chunk size accepted for this upload
+    chunkSize: {
+        type: Number,
+        required: true
+    },
+
+    // Target folder (null for root level)
+    folderId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Folder',
+        default: null
+    },
+
+    // Add a new version to an existing file with the same name
+    replace: {
+        type: Boolean,
+        default: false
+    },
+
+    // Expiry chosen for the file in days (null uses the folder default, 0 = never)
+    expiryDays: {
+        type: Number,
+        default: null
+    },
+
+    // Path inside the target folder from a folder upload (e.g. "Project/src/app.js"),
+    // missing folders are created when the upload completes
+    relativePath: {
+        type: String,
+        default: null
+    },
+
+    // Unpack a ZIP archive into a folder instead of storing it
+    extract: {
+        type: Boolean,
+        default: false
+    },
+
+    // Contents are vault ciphertext (stored as sent, with the declared type)
+    vault: {
+        type: Boolean,
+        default: false
+    },
+
+    // Path of the partial file on disk
+    tempPath: {
+        type: String,
+        required: true
+    },
+
+    // Bytes stored so far (always a contiguous prefix of the file)
+    receivedBytes: {
+        type: Number,
+        default: 0
+    },
+
+    // Abandoned sessions are removed after this date
+    expiresAt: {
+        type: Date,
+        required: true,
+        default: () => new Date(Date.now() + FILE_CONFIG.UPLOAD_SESSION_HOURS * 60 * 60 * 1000),
+        index: true
+    }
+}, {
+    timestamps: true,
+    toJSON: {
+        virtuals: true,
+        // Hide server paths from API responses
+        transform: (doc, ret) => {
+            delete ret.tempPath;
+            return ret;
+        }
+    },
+    toObject: { virtuals: true }
+});
+
+// ============================================
+// VIRTUALS
+// ============================================
+
+// Virtual for completion state
+uploadSessionSchema.virtual('isComplete').get(function () {
+    return this.receivedBytes >= this.fileSize;
+});
+
+// Virtual for upload progress percentage
+uploadSessionSchema.virtual('progress').get(function () {
+    return Math.floor((this.receivedBytes / this.fileSize) * 100);
+});
+
+// ============================================
+// MIDDLEWARE
+// ============================================
+
+/**
+ * Pre-delete middleware to remove the partial file
+ */
+uploadSessionSchema.pre('deleteOne', { document: true, query: false }, async function (next) {
+    await fs.unlink(this.tempPath).catch(() => { });
+    next();
+});
+
+// ============================================
+// INSTANCE METHODS
+// ============================================
+
+/**
+ * Record a stored chunk
+ * Only advances if no other request moved the offset in the meantime
+ * @param {number} start - Offset the chunk was written at
+ * @param {number} length - Chunk length in bytes
+ * @returns {Promise<boolean>} - True if the offset was advanced
+ */
+uploadSessionSchema.methods.advance = async function (start, length) {
+    const result = await this.constructor.updateOne(
+        { _id: this._id, receivedBytes: start },
+        {
+            $set: {
+                receivedBytes: start + length,
+                expiresAt: new Date(Date.now() + FILE_CONFIG.UPLOAD_SESSION_HOURS * 60 * 60 * 1000)
+            }
+        }
+    );
+
+    if (result.modifiedCount === 1) {
+        this.receivedBytes = start + length;
+        return true;
+    }
+    return false;
+};
+
+// ============================================
+// STATIC METHODS
+// ============================================
+
+/**
+ * Delete expired upload sessions and their partial files
+ * @returns {Promise<{count: number, freedSpace: number}>} - Cleanup stats
+ */
+uploadSessionSchema.statics.cleanupExpiredSessions = async function () {
+    const sessions = await this.find({ expiresAt: { $lt: new Date() } });
+    let freedSpace = 0;
+
+    for (const session of sessions) {
+        freedSpace += session.receivedBytes;
+        await session.deleteOne();
+    }
+
+    return {
+        count: sessions.length,
+        freedSpace
+    };
+};
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+export default UploadSession;
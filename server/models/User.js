@@ -6,6 +6,37 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 
+/**
+ * Vault key material
+ * The vault key is wrapped in the browser with a key derived from the user's
+ * passphrase (PBKDF2-SHA256), so the server can't unwrap it.
+ */
+const vaultKeySchema = new mongoose.Schema({
+    // PBKDF2 salt (base64)
+    salt: {
+        type: String,
+        required: true
+    },
+
+    // PBKDF2 iterations
+    iterations: {
+        type: Number,
+        required: true
+    },
+
+    // Vault key wrapped with AES-GCM (base64 of IV + wrapped key + tag)
+    wrappedKey: {
+        type: String,
+        required: true
+    },
+
+    // When the passphrase was last set
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
     // Username - unique identifier for login
     username: {
@@ -91,6 +122,22 @@ const userSchema = new mongoose.Schema({
             trim: true,
             maxlength: 50
         }
+    },
+
+    // End-to-end encrypted vault (null until set up)
+    vault: {
+        type: vaultKeySchema,
+        default: null,
+        select: false
+    },
+
+    // Email notification preferences
+    notifications: {
+        // Digest of files and clips about to expire
+        expiryReminders: {
+            type: Boolean,
+            default: true
+        }
     }
 }, {
     timestamps: true, // Adds createdAt and updatedAt
@@ -204,6 +251,15 @@ userSchema.statics.findByCredentials = async function (identifier) {
     }).select('+password');
 };
 
+/**
+ * Check whether a user has set up the vault
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<boolean>}
+ */
+userSchema.statics.hasVault = async function (userId) {
+    return Boolean(await this.exists({ _id: userId, vault: { $ne: null } }));
+};
+
 // Create and export the model
 const User = mongoose.model('User', userSchema);
 
@@ -6,5 +6,13 @@
 export { default as User } from './User.js';
 export { default as OTP } from './OTP.js';
 export { default as File } from './File.js';
+export { default as FileBlob } from './FileBlob.js';
+export { default as FileVersion } from './FileVersion.js';
 export { default as Folder } from './Folder.js';
 export { default as Clipboard } from './Clipboard.js';
+export { default as ClipAttachment } from './ClipAttachment.js';
+export { default as ShareLink } from './ShareLink.js';
+export { default as PasteLink } from './PasteLink.js';
+export { default as UploadSession } from './UploadSession.js';
+export { default as ExpiryReminder } from './ExpiryReminder.js';
+export { default as SmartCollection } from './SmartCollection.js';
@@ -0,0 +1,72 @@
+/**
+ * Trash Plugin
+ * Soft delete for documents that can be restored from the trash
+ *
+ * Trashed documents are hidden from find/count/update queries unless the query
+ * calls .withTrashed() or filters on deletedAt itself (e.g. the trash view).
+ */
+
+import mongoose from 'mongoose';
+
+// Query operations that skip trashed documents
+const FILTERED_QUERIES = ['find', 'findOne', 'countDocuments', 'findOneAndUpdate', 'updateMany'];
+
+/**
+ * Add trash support to a schema
+ * @param {mongoose.Schema} schema - Schema to extend
+ */
+export const trashPlugin = (schema) => {
+    schema.add({
+        // When the document was moved to the trash (null while active)
+        deletedAt: {
+            type: Date,
+            default: null,
+            index: true
+        },
+
+        // Folder whose trashing took this document along (null if trashed on its own)
+        trashedWith: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Folder',
+            default: null
+        }
+    });
+
+    /**
+     * Include trashed documents in this query
+     * @returns {Query}
+     */
+    schema.query.withTrashed = function () {
+        return this.setOptions({ withTrashed: true });
+    };
+
+    schema.pre(FILTERED_QUERIES, function () {
+        if (this.getOptions().withTrashed) return;
+        if (Object.prototype.hasOwnProperty.call(this.getFilter(), 'deletedAt')) return;
+        this.where({ deletedAt: null });
+    });
+
+    /**
+     * Move this document to the trash
+     * @param {ObjectId} [trashedWith] - Folder being trashed along with it
+     * @param {Date} [deletedAt] - Trash time (shared by a folder's contents)
+     * @returns {Promise<Document>}
+     */
+    schema.methods.moveToTrash = async function (trashedWith = null, deletedAt = new Date()) {
+        this.deletedAt = deletedAt;
+        this.trashedWith = trashedWith;
+        return await this.save();
+    };
+
+    /**
+     * Take this document out of the trash
+     * @returns {Promise<Document>}
+     */
+    schema.methods.restoreFromTrash = async function () {
+        this.deletedAt = null;
+        this.trashedWith = null;
+        return await this.save();
+    };
+};
+
+export default trashPlugin;
@@ -12,12 +12,15 @@ import {
     updateStorageLimit,
     deleteUser,
     runCleanup,
-    getAllFiles
+    getAllFiles,
+    rescanFile,
+    deleteFile
 } from '../controllers/adminController.js';
 import { protect, adminOnly } from '../middleware/auth.js';
 import {
     banUserValidation,
     userIdValidation,
+    fileIdValidation,
     paginationValidation
 } from '../middleware/validation.js';
 
@@ -62,6 +65,16 @@ router.delete('/users/:id', userIdValidation, deleteUser);
 // @access  Admin
 router.get('/files', paginationValidation, getAllFiles);
 
+// @route   POST /api/admin/files/:id/rescan
+// @desc    Scan a file again
+// @access  Admin
+router.post('/files/:id/rescan', fileIdValidation, rescanFile);
+
+// @route   DELETE /api/admin/files/:id
+// @desc    Delete any user's file
+// @access  Admin
+router.delete('/files/:id', fileIdValidation, deleteFile);
+
 // @route   POST /api/admin/cleanup
 // @desc    Run manual cleanup
 // @access  Admin
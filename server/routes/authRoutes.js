@@ -11,7 +11,8 @@ import {
     login,
     logout,
     getMe,
-    updateProfile
+    updateProfile,
+    updateNotifications
 } from '../controllers/authController.js';
 import { protect } from '../middleware/auth.js';
 import { authLimiter, otpLimiter } from '../middleware/rateLimiter.js';
@@ -19,7 +20,8 @@ import {
     signupValidation,
     verifyOTPValidation,
     loginValidation,
-    resendOTPValidation
+    resendOTPValidation,
+    notificationsValidation
 } from '../middleware/validation.js';
 
 const router = Router();
@@ -63,4 +65,9 @@ router.get('/me', protect, getMe);
 // @access  Private
 router.put('/profile', protect, updateProfile);
 
+// @route   PUT /api/auth/notifications
+// @desc    Update email notification preferences
+// @access  Private
+router.put('/notifications', protect, notificationsValidation, updateNotifications);
+
 export default router;
@@ -1,6 +1,6 @@
 /**
  * Clipboard Routes
- * Routes for text clipboard/snippet management
+ * Routes for text clipboard/snippet management, and pasted images and files
  */
 
 import { Router } from 'express';
@@ -8,17 +8,35 @@ import {
     getClips,
     getClip,
     createClip,
+    createFileClip,
+    getClipAttachment,
     updateClip,
     togglePin,
     recordCopy,
     deleteClip,
     deleteMultipleClips
 } from '../controllers/clipboardController.js';
+import {
+    getRevisions,
+    restoreRevision
+} from '../controllers/revisionController.js';
+import {
+    publishClip,
+    getPublishedClips,
+    revokePasteLink
+} from '../controllers/pasteController.js';
 import { protect } from '../middleware/auth.js';
+import { uploadClipFile, checkStorageSpace, verifyFileContents, handleUploadError } from '../middleware/upload.js';
+import { uploadLimiter } from '../middleware/rateLimiter.js';
 import {
     createClipboardValidation,
+    updateClipboardValidation,
     clipboardIdValidation,
-    paginationValidation
+    revisionIdValidation,
+    publishClipValidation,
+    pasteLinkIdValidation,
+    paginationValidation,
+    listFiltersValidation
 } from '../middleware/validation.js';
 
 const router = Router();
@@ -29,27 +47,55 @@ router.use(protect);
 // @route   GET /api/clipboard
 // @desc    Get user's clipboard items
 // @access  Private
-router.get('/', paginationValidation, getClips);
+router.get('/', paginationValidation, listFiltersValidation, getClips);
 
 // @route   POST /api/clipboard
 // @desc    Create new clipboard item
 // @access  Private
 router.post('/', createClipboardValidation, createClip);
 
+// @route   POST /api/clipboard/upload
+// @desc    Save a pasted or dropped image or file as a clip
+// @access  Private
+router.post(
+    '/upload',
+    uploadLimiter,
+    checkStorageSpace,
+    uploadClipFile,
+    handleUploadError,
+    verifyFileContents,
+    createFileClip
+);
+
 // @route   DELETE /api/clipboard
-// @desc    Delete multiple clipboard items
+// @desc    Move multiple clipboard items to the trash
 // @access  Private
 router.delete('/', deleteMultipleClips);
 
+// @route   GET /api/clipboard/published
+// @desc    Get user's published clips (active paste links)
+// @access  Private
+router.get('/published', getPublishedClips);
+
+// @route   DELETE /api/clipboard/published/:linkId
+// @desc    Revoke a paste link
+// @access  Private
+router.delete('/published/:linkId', pasteLinkIdValidation, revokePasteLink);
+
 // @route   GET /api/clipboard/:id
 // @desc    Get single clipboard item
 // @access  Private
 router.get('/:id', clipboardIdValidation, getClip);
 
+// @route   GET /api/clipboard/:id/attachment
+// @desc    View an image clip, or download an image or file clip (?download=true)
+// @access  Private
+router.get('/:id/attachment', clipboardIdValidation, getClipAttachment);
+
 // @route   PUT /api/clipboard/:id
 // @desc    Update clipboard item
 // @access  Private
-router.put('/:id', clipboardIdValidation, updateClip);
+router.put('/:id', updateClipboardValidation, updateClip);
 
 // @route   PUT /api/clipboard/:id/pin
 // @desc    Toggle pin status
@@ -61,8 +107,23 @@ router.put('/:id/pin', clipboardIdValidation, togglePin);
 // @access  Private
 router.post('/:id/copy', clipboardIdValidation, recordCopy);
 
+// @route   GET /api/clipboard/:id/revisions
+// @desc    Get clip revision history
+// @access  Private
+router.get('/:id/revisions', clipboardIdValidation, getRevisions);
+
+// @route   POST /api/clipboard/:id/revisions/:revisionId/restore
+// @desc    Restore an earlier revision
+// @access  Private
+router.post('/:id/revisions/:revisionId/restore', revisionIdValidation, restoreRevision);
+
+// @route   POST /api/clipboard/:id/publish
+// @desc    Publish clip as a public paste page
+// @access  Private
+router.post('/:id/publish', publishClipValidation, publishClip);
+
 // @route   DELETE /api/clipboard/:id
-// @desc    Delete clipboard item
+// @desc    Move clipboard item to the trash
 // @access  Private
 router.delete('/:id', clipboardIdValidation, deleteClip);
 
@@ -0,0 +1,45 @@
+/**
+ * Collection Routes
+ * Routes for smart collections (saved filters)
+ */
+
+import { Router } from 'express';
+import {
+    getCollections,
+    createCollection,
+    updateCollection,
+    deleteCollection
+} from '../controllers/collectionController.js';
+import { protect } from '../middleware/auth.js';
+import {
+    createCollectionValidation,
+    updateCollectionValidation,
+    collectionIdValidation
+} from '../middleware/validation.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/collections
+// @desc    Get user's smart collections
+// @access  Private
+router.get('/', getCollections);
+
+// @route   POST /api/collections
+// @desc    Save a smart collection
+// @access  Private
+router.post('/', createCollectionValidation, createCollection);
+
+// @route   PUT /api/collections/:id
+// @desc    Update a smart collection
+// @access  Private
+router.put('/:id', updateCollectionValidation, updateCollection);
+
+// @route   DELETE /api/collections/:id
+// @desc    Delete a smart collection
+// @access  Private
+router.delete('/:id', collectionIdValidation, deleteCollection);
+
+export default router;
@@ -0,0 +1,20 @@
+/**
+ * Event Routes
+ * Route for the live update stream
+ */
+
+import { Router } from 'express';
+import { streamEvents } from '../controllers/eventController.js';
+import { protect } from '../middleware/auth.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/events
+// @desc    Stream live updates of files, folders and clips (server-sent events)
+// @access  Private
+router.get('/', streamEvents);
+
+export default router;
@@ -10,16 +10,52 @@ import {
     uploadFiles,
     getFile,
     downloadFile,
+    downloadSelectedFiles,
     previewFile,
+    getThumbnail,
     updateFile,
     toggleStar,
+    updateExpiry,
+    extractFile,
     deleteFile,
-    deleteMultipleFiles
+    deleteMultipleFiles,
+    bulkUpdateFiles
 } from '../controllers/fileController.js';
+import {
+    createShareLink,
+    getShareLinks,
+    revokeShareLink
+} from '../controllers/shareController.js';
+import {
+    initUpload,
+    getUploadStatus,
+    uploadChunk,
+    completeUpload,
+    abortUpload
+} from '../controllers/uploadController.js';
+import {
+    getVersions,
+    restoreVersion,
+    deleteVersion
+} from '../controllers/versionController.js';
 import { protect } from '../middleware/auth.js';
-import { uploadMultiple, checkStorageSpace, handleUploadError } from '../middleware/upload.js';
+import { uploadMultiple, checkStorageSpace, verifyVaultContents, handleUploadError } from '../middleware/upload.js';
 import { uploadLimiter, downloadLimiter } from '../middleware/rateLimiter.js';
-import { fileIdValidation, paginationValidation } from '../middleware/validation.js';
+import {
+    fileIdValidation,
+    updateFileValidation,
+    fileExpiryValidation,
+    downloadSelectionValidation,
+    bulkFilesValidation,
+    extractFileValidation,
+    paginationValidation,
+    listFiltersValidation,
+    initUploadValidation,
+    uploadIdValidation,
+    createShareLinkValidation,
+    shareLinkIdValidation,
+    versionIdValidation
+} from '../middleware/validation.js';
 
 const router = Router();
 
@@ -29,7 +65,7 @@ router.use(protect);
 // @route   GET /api/files
 // @desc    Get user's files
 // @access  Private
-router.get('/', paginationValidation, getFiles);
+router.get('/', paginationValidation, listFiltersValidation, getFiles);
 
 // @route   GET /api/files/stats
 // @desc    Get file statistics
@@ -45,14 +81,50 @@ router.post(
     checkStorageSpace,
     uploadMultiple,
     handleUploadError,
+    verifyVaultContents,
     uploadFiles
 );
 
+// @route   POST /api/files/uploads
+// @desc    Start a resumable chunked upload
+// @access  Private
+router.post('/uploads', uploadLimiter, initUploadValidation, initUpload);
+
+// @route   GET /api/files/uploads/:uploadId
+// @desc    Get chunked upload status (resume offset)
+// @access  Private
+router.get('/uploads/:uploadId', uploadIdValidation, getUploadStatus);
+
+// @route   PUT /api/files/uploads/:uploadId
+// @desc    Upload a chunk (Content-Range: bytes start-end/total)
+// @access  Private
+router.put('/uploads/:uploadId', uploadIdValidation, uploadChunk);
+
+// @route   POST /api/files/uploads/:uploadId/complete
+// @desc    Finalize chunked upload into a file
+// @access  Private
+router.post('/uploads/:uploadId/complete', uploadIdValidation, completeUpload);
+
+// @route   DELETE /api/files/uploads/:uploadId
+// @desc    Cancel chunked upload
+// @access  Private
+router.delete('/uploads/:uploadId', uploadIdValidation, abortUpload);
+
 // @route   DELETE /api/files
-// @desc    Delete multiple files
+// @desc    Move multiple files to the trash
 // @access  Private
 router.delete('/', deleteMultipleFiles);
 
+// @route   POST /api/files/bulk
+// @desc    Move, copy, star, trash or extend many files at once
+// @access  Private
+router.post('/bulk', bulkFilesValidation, bulkUpdateFiles);
+
+// @route   POST /api/files/download
+// @desc    Download selected files as a ZIP archive
+// @access  Private
+router.post('/download', downloadLimiter, downloadSelectionValidation, downloadSelectedFiles);
+
 // @route   GET /api/files/:id
 // @desc    Get single file details
 // @access  Private
@@ -68,18 +140,63 @@ router.get('/:id/download', downloadLimiter, fileIdValidation, downloadFile);
 // @access  Private
 router.get('/:id/preview', fileIdValidation, previewFile);
 
+// @route   GET /api/files/:id/thumbnail
+// @desc    Get file thumbnail
+// @access  Private
+router.get('/:id/thumbnail', fileIdValidation, getThumbnail);
+
 // @route   PUT /api/files/:id
 // @desc    Update file
 // @access  Private
-router.put('/:id', fileIdValidation, updateFile);
+router.put('/:id', updateFileValidation, updateFile);
 
 // @route   PUT /api/files/:id/star
 // @desc    Toggle star status
 // @access  Private
 router.put('/:id/star', fileIdValidation, toggleStar);
 
+// @route   PUT /api/files/:id/expiry
+// @desc    Change file expiry
+// @access  Private
+router.put('/:id/expiry', fileExpiryValidation, updateExpiry);
+
+// @route   POST /api/files/:id/extract
+// @desc    Extract a ZIP file into a new folder
+// @access  Private
+router.post('/:id/extract', uploadLimiter, extractFileValidation, extractFile);
+
+// @route   GET /api/files/:id/share
+// @desc    Get active share links for a file
+// @access  Private
+router.get('/:id/share', fileIdValidation, getShareLinks);
+
+// @route   POST /api/files/:id/share
+// @desc    Create a public share link
+// @access  Private
+router.post('/:id/share', createShareLinkValidation, createShareLink);
+
+// @route   DELETE /api/files/:id/share/:shareId
+// @desc    Revoke a share link
+// @access  Private
+router.delete('/:id/share/:shareId', shareLinkIdValidation, revokeShareLink);
+
+// @route   GET /api/files/:id/versions
+// @desc    Get file version history
+// @access  Private
+router.get('/:id/versions', fileIdValidation, getVersions);
+
+// @route   POST /api/files/:id/versions/:versionId/restore
+// @desc    Restore a prior version
+// @access  Private
+router.post('/:id/versions/:versionId/restore', versionIdValidation, restoreVersion);
+
+// @route   DELETE /api/files/:id/versions/:versionId
+// @desc    Delete a prior version
+// @access  Private
+router.delete('/:id/versions/:versionId', versionIdValidation, deleteVersion);
+
 // @route   DELETE /api/files/:id
-// @desc    Delete a file
+// @desc    Move a file to the trash
 // @access  Private
 router.delete('/:id', fileIdValidation, deleteFile);
 
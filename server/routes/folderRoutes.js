@@ -9,13 +9,19 @@ import {
     getFolder,
     createFolder,
     updateFolder,
+    updateFolderExpiry,
+    copyFolder,
+    downloadFolder,
     deleteFolder
 } from '../controllers/folderController.js';
 import { protect } from '../middleware/auth.js';
+import { uploadLimiter, downloadLimiter } from '../middleware/rateLimiter.js';
 import {
     createFolderValidation,
     updateFolderValidation,
-    folderIdValidation
+    folderExpiryValidation,
+    folderIdValidation,
+    copyFolderValidation
 } from '../middleware/validation.js';
 
 const router = Router();
@@ -43,8 +49,23 @@ router.get('/:id', folderIdValidation, getFolder);
 // @access  Private
 router.put('/:id', updateFolderValidation, updateFolder);
 
+// @route   PUT /api/folders/:id/expiry
+// @desc    Set default expiry (and optionally extend the files inside)
+// @access  Private
+router.put('/:id/expiry', folderExpiryValidation, updateFolderExpiry);
+
+// @route   POST /api/folders/:id/copy
+// @desc    Copy folder with its subfolders and files
+// @access  Private
+router.post('/:id/copy', uploadLimiter, copyFolderValidation, copyFolder);
+
+// @route   GET /api/folders/:id/download
+// @desc    Download folder as a ZIP archive
+// @access  Private
+router.get('/:id/download', downloadLimiter, folderIdValidation, downloadFolder);
+
 // @route   DELETE /api/folders/:id
-// @desc    Delete folder
+// @desc    Move folder to the trash
 // @access  Private
 router.delete('/:id', folderIdValidation, deleteFolder);
 
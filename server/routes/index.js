@@ -9,6 +9,15 @@ import fileRoutes from './fileRoutes.js';
 import folderRoutes from './folderRoutes.js';
 import clipboardRoutes from './clipboardRoutes.js';
 import adminRoutes from './adminRoutes.js';
+import shareRoutes from './shareRoutes.js';
+import pasteRoutes from './pasteRoutes.js';
+import trashRoutes from './trashRoutes.js';
+import reminderRoutes from './reminderRoutes.js';
+import searchRoutes from './searchRoutes.js';
+import tagRoutes from './tagRoutes.js';
+import collectionRoutes from './collectionRoutes.js';
+import eventRoutes from './eventRoutes.js';
+import vaultRoutes from './vaultRoutes.js';
 
 const router = Router();
 
@@ -27,6 +36,15 @@ router.use('/auth', authRoutes);
 router.use('/files', fileRoutes);
 router.use('/folders', folderRoutes);
 router.use('/clipboard', clipboardRoutes);
+router.use('/trash', trashRoutes);
+router.use('/search', searchRoutes);
+router.use('/tags', tagRoutes);
+router.use('/collections', collectionRoutes);
+router.use('/events', eventRoutes);
+router.use('/vault', vaultRoutes);
 router.use('/admin', adminRoutes);
+router.use('/s', shareRoutes);
+router.use('/p', pasteRoutes);
+router.use('/reminders', reminderRoutes);
 
 export default router;
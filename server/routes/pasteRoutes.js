@@ -0,0 +1,35 @@
+/**
+ * Paste Routes
+ * Public routes for viewing published clips
+ */
+
+import { Router } from 'express';
+import {
+    getPasteInfo,
+    getPaste,
+    getRawPaste
+} from '../controllers/pasteController.js';
+import { pasteAccessLimiter } from '../middleware/rateLimiter.js';
+import { pasteSlugValidation } from '../middleware/validation.js';
+
+const router = Router();
+
+// All routes are public but rate limited
+router.use(pasteAccessLimiter);
+
+// @route   GET /api/p/:slug/info
+// @desc    Get paste details without viewing it
+// @access  Public
+router.get('/:slug/info', pasteSlugValidation, getPasteInfo);
+
+// @route   GET /api/p/:slug/raw
+// @desc    View paste as plain text
+// @access  Public
+router.get('/:slug/raw', pasteSlugValidation, getRawPaste);
+
+// @route   GET /api/p/:slug
+// @desc    View paste
+// @access  Public
+router.get('/:slug', pasteSlugValidation, getPaste);
+
+export default router;
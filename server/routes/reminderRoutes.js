@@ -0,0 +1,29 @@
+/**
+ * Reminder Routes
+ * Public routes behind the signed links in expiry reminder emails
+ */
+
+import { Router } from 'express';
+import {
+    extendFromLink,
+    unsubscribeFromLink
+} from '../controllers/reminderController.js';
+import { reminderLinkLimiter } from '../middleware/rateLimiter.js';
+import { reminderTokenValidation } from '../middleware/validation.js';
+
+const router = Router();
+
+// All routes are public but rate limited
+router.use(reminderLinkLimiter);
+
+// @route   POST /api/reminders/extend/:token
+// @desc    Extend an expiring file or clip
+// @access  Public (signed link)
+router.post('/extend/:token', reminderTokenValidation, extendFromLink);
+
+// @route   POST /api/reminders/unsubscribe/:token
+// @desc    Turn off expiry reminder emails
+// @access  Public (signed link)
+router.post('/unsubscribe/:token', reminderTokenValidation, unsubscribeFromLink);
+
+export default router;
@@ -0,0 +1,21 @@
+/**
+ * Search Routes
+ * Routes for the global search
+ */
+
+import { Router } from 'express';
+import { searchAll } from '../controllers/searchController.js';
+import { protect } from '../middleware/auth.js';
+import { searchValidation } from '../middleware/validation.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/search
+// @desc    Search files (names and contents), folders and clips
+// @access  Private
+router.get('/', searchValidation, searchAll);
+
+export default router;
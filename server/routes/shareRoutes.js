@@ -0,0 +1,34 @@
+/**
+ * Share Routes
+ * Public routes for accessing shared files
+ */
+
+import { Router } from 'express';
+import {
+    getSharedFileInfo,
+    downloadSharedFile
+} from '../controllers/shareController.js';
+import { shareAccessLimiter, sharePasswordLimiter } from '../middleware/rateLimiter.js';
+import { shareTokenValidation } from '../middleware/validation.js';
+
+const router = Router();
+
+// All routes are public but rate limited
+router.use(shareAccessLimiter);
+
+// @route   GET /api/s/:token/info
+// @desc    Get shared file details
+// @access  Public
+router.get('/:token/info', shareTokenValidation, getSharedFileInfo);
+
+// @route   GET /api/s/:token
+// @desc    Download shared file
+// @access  Public
+router.get('/:token', sharePasswordLimiter, shareTokenValidation, downloadSharedFile);
+
+// @route   POST /api/s/:token
+// @desc    Download password-protected shared file
+// @access  Public
+router.post('/:token', sharePasswordLimiter, shareTokenValidation, downloadSharedFile);
+
+export default router;
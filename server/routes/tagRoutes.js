@@ -0,0 +1,38 @@
+/**
+ * Tag Routes
+ * Routes for tag suggestions and tag management
+ */
+
+import { Router } from 'express';
+import {
+    getTags,
+    renameTag,
+    deleteTag
+} from '../controllers/tagController.js';
+import { protect } from '../middleware/auth.js';
+import {
+    tagValidation,
+    renameTagValidation
+} from '../middleware/validation.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/tags
+// @desc    Get user's tags (?q= for suggestions)
+// @access  Private
+router.get('/', getTags);
+
+// @route   PUT /api/tags/:tag
+// @desc    Rename a tag (merges into an existing tag)
+// @access  Private
+router.put('/:tag', renameTagValidation, renameTag);
+
+// @route   DELETE /api/tags/:tag
+// @desc    Remove a tag from all files, clips and collections
+// @access  Private
+router.delete('/:tag', tagValidation, deleteTag);
+
+export default router;
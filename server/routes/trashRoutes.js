@@ -0,0 +1,41 @@
+/**
+ * Trash Routes
+ * Routes for the recycle bin of files, folders and clips
+ */
+
+import { Router } from 'express';
+import {
+    getTrash,
+    restoreItem,
+    deleteItem,
+    emptyUserTrash
+} from '../controllers/trashController.js';
+import { protect } from '../middleware/auth.js';
+import { trashItemValidation } from '../middleware/validation.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/trash
+// @desc    Get user's trashed items
+// @access  Private
+router.get('/', getTrash);
+
+// @route   DELETE /api/trash
+// @desc    Empty the trash
+// @access  Private
+router.delete('/', emptyUserTrash);
+
+// @route   POST /api/trash/:type/:id/restore
+// @desc    Restore a trashed item
+// @access  Private
+router.post('/:type/:id/restore', trashItemValidation, restoreItem);
+
+// @route   DELETE /api/trash/:type/:id
+// @desc    Permanently delete a trashed item
+// @access  Private
+router.delete('/:type/:id', trashItemValidation, deleteItem);
+
+export default router;
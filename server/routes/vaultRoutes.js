@@ -0,0 +1,38 @@
+/**
+ * Vault Routes
+ * Routes for the key material of the end-to-end encrypted vault
+ */
+
+import { Router } from 'express';
+import {
+    getVault,
+    createVault,
+    updateVault
+} from '../controllers/vaultController.js';
+import { protect } from '../middleware/auth.js';
+import {
+    vaultKeyValidation,
+    changeVaultKeyValidation
+} from '../middleware/validation.js';
+
+const router = Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/vault
+// @desc    Get the wrapped vault key
+// @access  Private
+router.get('/', getVault);
+
+// @route   POST /api/vault
+// @desc    Set up the vault
+// @access  Private
+router.post('/', vaultKeyValidation, createVault);
+
+// @route   PUT /api/vault
+// @desc    Change the vault passphrase
+// @access  Private
+router.put('/', changeVaultKeyValidation, updateVault);
+
+export default router;
@@ -5,11 +5,13 @@
  * Built with Express.js, MongoDB, and love ❤️
  */
 
+// Load environment variables (before config modules read process.env)
+import 'dotenv/config';
+
 import express from 'express';
 import cors from 'cors';
 import helmet from 'helmet';
 import cookieParser from 'cookie-parser';
-import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
 
@@ -19,16 +21,16 @@ import routes from './routes/index.js';
 import { notFound, errorHandler } from './middleware/errorHandler.js';
 import { generalLimiter } from './middleware/rateLimiter.js';
 import { initEmailService } from './services/emailService.js';
+import { initStorage } from './services/storageService.js';
+import { initScanner } from './services/scanService.js';
 import { initScheduledTasks } from './services/schedulerService.js';
+import { runMigrations } from './services/migrationService.js';
 import { FILE_CONFIG } from './config/constants.js';
 
 // ES Module dirname fix
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-// Load environment variables
-dotenv.config();
-
 // Initialize Express app
 const app = express();
 
@@ -67,8 +69,8 @@ app.use(cors({
     },
     credentials: true,
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
-    exposedHeaders: ['Content-Disposition', 'Content-Length', 'Content-Type']
+    allowedHeaders: ['Content-Type', 'Content-Range', 'Range', 'If-Range', 'If-None-Match', 'If-Modified-Since', 'Authorization', 'X-Requested-With', 'X-Share-Password', 'X-Client-Id'],
+    exposedHeaders: ['Content-Disposition', 'Content-Length', 'Content-Type', 'Content-Range', 'Accept-Ranges', 'ETag', 'Last-Modified']
 }));
 
 // Rate limiting
@@ -87,13 +89,6 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Parse cookies
 app.use(cookieParser());
 
-// ============================================
-// STATIC FILES
-// ============================================
-
-// Serve uploads directory (for file previews)
-app.use('/uploads', express.static(path.join(__dirname, FILE_CONFIG.UPLOAD_DIR)));
-
 // ============================================
 // REQUEST LOGGING (Development)
 // ============================================
@@ -124,7 +119,8 @@ app.get('/', (req, res) => {
             files: '/api/files',
             folders: '/api/folders',
             clipboard: '/api/clipboard',
-            admin: '/api/admin'
+            admin: '/api/admin',
+            share: '/api/s/:token'
         }
     });
 });
@@ -150,9 +146,18 @@ const startServer = async () => {
         // Connect to MongoDB
         await connectDB();
 
+        // Update data and indexes from earlier versions
+        await runMigrations();
+
         // Initialize email service
         initEmailService();
 
+        // Initialize storage driver
+        const storageDriver = initStorage();
+
+        // Initialize virus scanner
+        initScanner();
+
         // Initialize scheduled tasks (auto cleanup)
         initScheduledTasks();
 
@@ -164,6 +169,7 @@ const startServer = async () => {
             console.log(`📡 Server:      http://localhost:${PORT}`);
             console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
             console.log(`📁 Uploads:     ${path.join(__dirname, FILE_CONFIG.UPLOAD_DIR)}`);
+            console.log(`💾 Storage:     ${storageDriver}`);
             console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
             console.log('\n📋 API Endpoints:');
             console.log('   POST   /api/auth/signup      - Register');
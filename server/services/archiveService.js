@@ -0,0 +1,212 @@
+/**
+ * Archive Service
+ * Streams folders and file selections to the client as ZIP archives
+ *
+ * Archives are built on the fly: each file is read from storage and written
+ * into the response in turn, so nothing is staged on disk and only one stored
+ * file is open at a time.
+ */
+
+import path from 'path';
+import { once } from 'events';
+import archiver from 'archiver';
+import { File, Folder } from '../models/index.js';
+import { getStorage } from './storageService.js';
+import { ARCHIVE_CONFIG } from '../config/constants.js';
+import { formatContentDisposition } from '../utils/contentDisposition.js';
+
+// Types that are already compressed and gain nothing from deflate
+const STORED_TYPES = /^(image\/(?!svg)|video\/|audio\/|application\/(zip|gzip|x-7z-compressed|x-rar-compressed|pdf))/;
+
+/**
+ * Make a folder or file name safe to use as one ZIP path segment
+ * @param {string} name - Folder or file name
+ * @returns {string}
+ */
+const safeSegment = (name) => {
+    const segment = name.replace(/[\\/\x00-\x1f]/g, '_').trim();
+    return segment && segment !== '.' && segment !== '..' ? segment : '_';
+};
+
+/**
+ * Pick a path that isn't taken yet, adding " (2)", " (3)"... before the extension
+ * @param {string} entryPath - Wanted path
+ * @param {Set<string>} used - Paths already in the archive (lowercased)
+ * @param {boolean} [isDirectory] - Add the number at the end, folder names have no extension
+ * @returns {string}
+ */
+const uniquePath = (entryPath, used, isDirectory = false) => {
+    const parsed = path.posix.parse(entryPath);
+    const { dir } = parsed;
+    const name = isDirectory ? parsed.base : parsed.name;
+    const ext = isDirectory ? '' : parsed.ext;
+    let candidate = entryPath;
+
+    for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+        candidate = path.posix.join(dir, `${name} (${n})${ext}`);
+    }
+
+    used.add(candidate.toLowerCase());
+    return candidate;
+};
+
+/**
+ * Find a folder node in a tree from Folder.getFolderTree
+ * @param {Array} nodes - Tree nodes
+ * @param {string} id - Folder ID
+ * @returns {Object|null}
+ */
+const findNode = (nodes, id) => {
+    for (const node of nodes) {
+        if (node._id.toString() === id) return node;
+        const found = findNode(node.children, id);
+        if (found) return found;
+    }
+    return null;
+};
+
+/**
+ * Collect the archive layout of a folder subtree
+ * Paths start with the folder's own name, so extracting gives back the folder.
+ * @param {Folder} folder - Folder document
+ * @returns {Promise<Object>} - { directories: string[], entries: [{ file, path }] }
+ */
+export const getFolderArchive = async (folder) => {
+    const tree = await Folder.getFolderTree(folder.userId);
+    const root = findNode(tree, folder._id.toString());
+
+    // Path of every folder in the subtree, keyed by folder ID. Folders whose
+    // names clash once made safe are renamed here, so their files follow them.
+    const folderPaths = new Map();
+    const used = new Set();
+    const walk = (node, parentPath) => {
+        const wanted = parentPath ? `${parentPath}/${safeSegment(node.name)}` : safeSegment(node.name);
+        const nodePath = uniquePath(wanted, used, true);
+        folderPaths.set(node._id.toString(), nodePath);
+        node.children.forEach(child => walk(child, nodePath));
+    };
+    walk(root || { ...folder.toObject(), children: [] }, '');
+
+    const files = await File.find({
+        userId: folder.userId,
+        folderId: { $in: [...folderPaths.keys()] }
+    }).sort({ originalName: 1 });
+
+    return {
+        directories: [...folderPaths.values()],
+        entries: files.map(file => ({
+            file,
+            path: `${folderPaths.get(file.folderId.toString())}/${safeSegment(file.originalName)}`
+        }))
+    };
+};
+
+/**
+ * Collect the archive layout of a selection of files
+ * Files go at the top level of the archive.
+ * @param {Array<File>} files - File documents
+ * @returns {Object} - { directories: [], entries: [{ file, path }] }
+ */
+export const getSelectionArchive = (files) => ({
+    directories: [],
+    entries: files.map(file => ({ file, path: safeSegment(file.originalName) }))
+});
+
+/**
+ * Stream a ZIP archive to the client
+ * Files that are blocked by the virus scan, vault files (ciphertext only the
+ * browser can decrypt) and files missing from storage are left out.
+ * @param {Response} res - Express response
+ * @param {string} name - Download file name, without extension
+ * @param {Object} layout - { directories, entries } from getFolderArchive/getSelectionArchive;
+ *   directory paths must already be unique
+ * @returns {Promise<Object>} - { added, skipped }
+ */
+export const streamArchive = async (res, name, { directories, entries }) => {
+    const storage = getStorage();
+    const archive = archiver('zip', { zlib: { level: ARCHIVE_CONFIG.COMPRESSION_LEVEL } });
+    const used = new Set();
+    const stopped = new AbortController();
+    let appended = 0;
+    let written = 0;
+    let added = 0;
+    let skipped = 0;
+
+    archive.on('entry', () => written++);
+
+    // Stop reading from storage if the client goes away or a stream fails
+    const stop = () => {
+        if (stopped.signal.aborted) return;
+        stopped.abort();
+        archive.abort();
+        res.destroy();
+    };
+    res.on('close', () => {
+        if (!res.writableFinished) stop();
+    });
+    archive.on('error', (error) => {
+        console.error('❌ Archive error:', error.message);
+        stop();
+    });
+
+    res.set({
+        'Content-Type': 'application/zip',
+        'Content-Disposition': formatContentDisposition('attachment', `${name}.zip`),
+        'Cache-Control': 'private, no-cache'
+    });
+    archive.pipe(res);
+
+    // Keep empty folders in the archive
+    for (const directory of directories) {
+        used.add(directory.toLowerCase());
+        archive.append(null, { name: `${directory}/` });
+        appended++;
+    }
+
+    for (const { file, path: entryPath } of entries) {
+        if (stopped.signal.aborted) break;
+
+        if (file.vault || file.getScanBlockMessage()) {
+            skipped++;
+            continue;
+        }
+
+        let stream;
+        try {
+            stream = await storage.get(file.filePath);
+        } catch {
+            skipped++;
+            continue;
+        }
+
+        stream.on('error', (error) => archive.emit('error', error));
+        archive.append(stream, {
+            name: uniquePath(entryPath, used),
+            date: file.uploadedAt || file.createdAt,
+            store: STORED_TYPES.test(file.mimeType)
+        });
+        appended++;
+
+        // Wait for this entry to be written before opening the next file
+        try {
+            while (written < appended) {
+                await once(archive, 'entry', { signal: stopped.signal });
+            }
+        } catch {
+            break;
+        }
+        added++;
+    }
+
+    if (!stopped.signal.aborted) {
+        await archive.finalize().catch(stop);
+    }
+
+    return { added, skipped };
+};
+
+export default {
+    getFolderArchive,
+    getSelectionArchive,
+    streamArchive
+};
@@ -0,0 +1,239 @@
+/**
+ * Copy Service
+ * Copies files and folder trees
+ *
+ * Copies share the stored contents of the original, so they cost quota (unless
+ * duplicates are free) but no storage. Files stored before deduplication are
+ * read back and stored again. Quarantined files are left out. Copying is all
+ * or nothing.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { File, Folder, User } from '../models/index.js';
+import { getStorage } from './storageService.js';
+import { queueThumbnail } from './thumbnailService.js';
+import { queueTextExtraction } from './textService.js';
+import { partialDir } from '../middleware/upload.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { getExpiryDate, resolveExpiryDays } from '../utils/expiry.js';
+import {
+    BULK_CONFIG,
+    FILE_CONFIG,
+    SCAN_STATUS,
+    HTTP_STATUS,
+    ERROR_MESSAGES
+} from '../config/constants.js';
+
+/**
+ * Split off the files that can't be copied
+ * @param {Array<File>} files - Files to copy
+ * @returns {Object} - { copyable, skipped: [{ _id, name, reason }] }
+ */
+const partitionFiles = (files) => {
+    const copyable = [];
+    const skipped = [];
+
+    for (const file of files) {
+        if (file.scanStatus === SCAN_STATUS.INFECTED) {
+            skipped.push({ _id: file._id, name: file.originalName, reason: ERROR_MESSAGES.FILE_INFECTED });
+        } else {
+            copyable.push(file);
+        }
+    }
+
+    return { copyable, skipped };
+};
+
+/**
+ * Check the copy limit and the owner's quota before copying anything
+ * @param {ObjectId} userId - Owner
+ * @param {Array<File>} files - Files to copy
+ */
+const checkCopy = async (userId, files) => {
+    if (files.length > BULK_CONFIG.MAX_FILES) {
+        throw new ApiError(ERROR_MESSAGES.COPY_TOO_LARGE, HTTP_STATUS.BAD_REQUEST);
+    }
+
+    // Shared contents are charged like a duplicate upload
+    const charge = files.reduce((total, file) => total +
+        (file.blobId && !FILE_CONFIG.CHARGE_DUPLICATES ? 0 : file.fileSize), 0);
+
+    const user = await User.findById(userId);
+    if (!user.hasStorageSpace(charge)) {
+        throw new ApiError(ERROR_MESSAGES.STORAGE_LIMIT, HTTP_STATUS.BAD_REQUEST);
+    }
+};
+
+/**
+ * Name a copy placed next to its original: "report.pdf" becomes "report (copy).pdf"
+ * @param {string} name - Original file name
+ * @returns {string}
+ */
+const getCopyName = (name) => {
+    const extension = path.extname(name);
+    return `${path.basename(name, extension)} (copy)${extension}`;
+};
+
+/**
+ * Copy one file
+ * @param {File} file - File to copy
+ * @param {Object} data - Fields of the copy (folderId, expiresAt, originalName)
+ * @returns {Promise<File>}
+ */
+const copyFile = async (file, data) => {
+    const copy = await File.createCopy(file, data);
+    if (copy) return copy;
+
+    // Contents stored before deduplication are stored again
+    const fileName = `${uuidv4()}${file.extension}`;
+    const stagedPath = path.join(partialDir, fileName);
+    try {
+        await pipeline(await getStorage().get(file.filePath), createWriteStream(stagedPath));
+    } catch (error) {
+        await fs.unlink(stagedPath).catch(() => { });
+        throw error;
+    }
+
+    return await File.createFromUpload(stagedPath, {
+        userId: file.userId,
+        originalName: file.originalName,
+        fileName,
+        fileSize: file.fileSize,
+        mimeType: file.mimeType,
+        detectedType: file.detectedType,
+        extension: file.extension,
+        description: file.description,
+        tags: file.tags,
+        ...data
+    });
+};
+
+/**
+ * Copy files into a folder
+ * Copies get the folder's expiry like new uploads. A file copied into its own
+ * folder gets " (copy)" added to its name.
+ * @param {Array<File>} files - Files to copy (same owner)
+ * @param {Object} options
+ * @param {ObjectId} options.userId - Owner
+ * @param {Folder|null} options.folder - Destination folder (null for root)
+ * @returns {Promise<Object>} - { files, skipped }
+ */
+export const copyFiles = async (files, { userId, folder }) => {
+    const { copyable, skipped } = partitionFiles(files);
+    await checkCopy(userId, copyable);
+
+    const folderId = folder?._id || null;
+    const expiresAt = getExpiryDate(await resolveExpiryDays(null, folder));
+    const copies = [];
+
+    try {
+        for (const file of copyable) {
+            const sameFolder = String(file.folderId) === String(folderId);
+            copies.push(await copyFile(file, {
+                folderId,
+                expiresAt,
+                originalName: sameFolder ? getCopyName(file.originalName) : file.originalName
+            }));
+        }
+    } catch (error) {
+        // Remove the copies made so far (refunds the storage)
+        for (const copy of copies) {
+            await copy.deleteOne().catch(() => { });
+        }
+        throw error;
+    }
+
+    copies.forEach(queueThumbnail);
+    copies.forEach(queueTextExtraction);
+
+    console.log(`📄 Copied ${copies.length} files (${skipped.length} skipped)`);
+    return { files: copies, skipped };
+};
+
+/**
+ * Copy a folder with all its subfolders and files
+ * The copy keeps the folders' colors and expiry settings. It is named like
+ * the original, with " (2)", " (3)"... if the name is taken in the parent.
+ * @param {Folder} folder - Folder to copy
+ * @param {Object} options
+ * @param {Folder|null} options.parent - Folder to copy into (null for root)
+ * @returns {Promise<Object>} - { folder, files, skipped }
+ */
+export const copyFolder = async (folder, { parent }) => {
+    const { userId } = folder;
+
+    // Subfolders level by level, so parents come before their children
+    const subfolders = [];
+    let level = [folder._id];
+    while (level.length > 0) {
+        const children = await Folder.find({ userId, parentId: { $in: level } }).sort({ name: 1 });
+        subfolders.push(...children);
+        level = children.map(child => child._id);
+    }
+
+    const files = await File.find({
+        userId,
+        folderId: { $in: [folder._id, ...subfolders.map(subfolder => subfolder._id)] }
+    }).sort({ originalName: 1 });
+
+    const { copyable, skipped } = partitionFiles(files);
+    await checkCopy(userId, copyable);
+
+    const parentId = parent?._id || null;
+    const settings = ({ color, icon, expiryDays }) => ({ color, icon, expiryDays });
+    let root = null;
+
+    try {
+        root = await Folder.create({
+            userId,
+            parentId,
+            name: await Folder.findFreeName(userId, parentId, folder.name),
+            ...settings(folder)
+        });
+
+        // Copies by original folder ID
+        const copies = new Map([[folder._id.toString(), root]]);
+        for (const subfolder of subfolders) {
+            copies.set(subfolder._id.toString(), await Folder.create({
+                userId,
+                parentId: copies.get(subfolder.parentId.toString())._id,
+                name: subfolder.name,
+                ...settings(subfolder)
+            }));
+        }
+
+        // Expiry of new files per copied folder
+        const expiry = new Map();
+        const created = [];
+        for (const file of copyable) {
+            const target = copies.get(file.folderId.toString());
+            const key = target._id.toString();
+            if (!expiry.has(key)) {
+                expiry.set(key, getExpiryDate(await target.getExpiryDays()));
+            }
+
+            created.push(await copyFile(file, { folderId: target._id, expiresAt: expiry.get(key) }));
+        }
+
+        created.forEach(queueThumbnail);
+        created.forEach(queueTextExtraction);
+
+        console.log(`📁 Copied folder ${folder.name} with ${created.length} files (${skipped.length} skipped)`);
+        return { folder: root, files: created, skipped };
+    } catch (error) {
+        // Remove whatever was created so far (refunds the storage)
+        if (root) {
+            await root.deleteOne().catch(() => { });
+        }
+        throw error;
+    }
+};
+
+export default {
+    copyFiles,
+    copyFolder
+};
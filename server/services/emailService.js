@@ -276,10 +276,126 @@ Campus Share Team
     return await sendEmail({ to: email, subject, text, html });
 };
 
+/**
+ * Escape user-provided text for HTML emails
+ * @param {string} value - Text to escape
+ * @returns {string}
+ */
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Send digest of files and clips that are about to expire
+ * @param {string} email - Recipient email
+ * @param {string} username - User's username
+ * @param {Array<{name: string, kind: string, expiresAt: Date, extendUrl: string}>} items - Expiring items
+ * @param {string} unsubscribeUrl - Link that turns these emails off
+ * @returns {Promise<Object>}
+ */
+export const sendExpiryReminderEmail = async (email, username, items, unsubscribeUrl) => {
+    const subject = items.length === 1
+        ? `Campus Share - "${items[0].name}" expires soon`
+        : `Campus Share - ${items.length} items expire soon`;
+
+    const formatDate = (date) => new Date(date).toUTCString().replace(' GMT', ' UTC');
+
+    const text = `
+Hello ${username},
+
+The following items will be deleted automatically unless you extend them:
+
+${items.map(item => `- ${item.kind}: ${item.name} (expires ${formatDate(item.expiresAt)})\n  Extend: ${item.extendUrl}`).join('\n')}
+
+Don't want these emails? Turn them off: ${unsubscribeUrl}
+
+Best regards,
+Campus Share Team
+  `.trim();
+
+    const rows = items.map(item => `
+                <tr>
+                  <td style="padding: 12px 0; border-bottom: 1px solid #e5e7eb;">
+                    <p style="margin: 0; color: #374151; font-size: 15px; font-weight: 600; word-break: break-all;">${escapeHtml(item.name)}</p>
+                    <p style="margin: 4px 0 0; color: #6b7280; font-size: 13px;">${item.kind} • expires ${formatDate(item.expiresAt)}</p>
+                  </td>
+                  <td style="padding: 12px 0 12px 16px; border-bottom: 1px solid #e5e7eb; text-align: right; white-space: nowrap;">
+                    <a href="${escapeHtml(item.extendUrl)}" style="display: inline-block; padding: 8px 16px; background: linear-gradient(135deg, #6366f1 0%, #8b5cf6 100%); color: #ffffff; text-decoration: none; border-radius: 8px; font-weight: 600; font-size: 13px;">
+                      Extend
+                    </a>
+                  </td>
+                </tr>`).join('');
+
+    const html = `
+<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Items Expiring Soon</title>
+</head>
+<body style="margin: 0; padding: 0; font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; background-color: #f4f4f5;">
+  <table role="presentation" style="width: 100%; border-collapse: collapse;">
+    <tr>
+      <td align="center" style="padding: 40px 0;">
+        <table role="presentation" style="width: 100%; max-width: 500px; border-collapse: collapse; background-color: #ffffff; border-radius: 16px; box-shadow: 0 4px 6px rgba(0, 0, 0, 0.1);">
+          
+          <!-- Header -->
+          <tr>
+            <td style="padding: 40px 40px 20px; text-align: center; background: linear-gradient(135deg, #f59e0b 0%, #d97706 100%); border-radius: 16px 16px 0 0;">
+              <h1 style="margin: 0; color: #ffffff; font-size: 28px; font-weight: 700;">
+                ⏰ Expiring Soon
+              </h1>
+            </td>
+          </tr>
+          
+          <!-- Content -->
+          <tr>
+            <td style="padding: 40px;">
+              <p style="margin: 0 0 24px; color: #374151; font-size: 16px; line-height: 24px;">
+                Hello <strong>${escapeHtml(username)}</strong>,
+              </p>
+              
+              <p style="margin: 0 0 16px; color: #374151; font-size: 16px; line-height: 24px;">
+                These items will be deleted automatically unless you extend them:
+              </p>
+              
+              <table role="presentation" style="width: 100%; border-collapse: collapse;">${rows}
+              </table>
+            </td>
+          </tr>
+          
+          <!-- Footer -->
+          <tr>
+            <td style="padding: 24px 40px; background-color: #f9fafb; border-radius: 0 0 16px 16px; border-top: 1px solid #e5e7eb;">
+              <p style="margin: 0 0 8px; color: #9ca3af; font-size: 12px; text-align: center;">
+                Don't want these emails? <a href="${escapeHtml(unsubscribeUrl)}" style="color: #6366f1;">Turn off expiry reminders</a>
+              </p>
+              <p style="margin: 0; color: #9ca3af; font-size: 12px; text-align: center;">
+                © ${new Date().getFullYear()} Campus Share. Made for students, by students.
+              </p>
+            </td>
+          </tr>
+          
+        </table>
+      </td>
+    </tr>
+  </table>
+</body>
+</html>
+  `.trim();
+
+    return await sendEmail({ to: email, subject, text, html });
+};
+
 export default {
     initEmailService,
     verifyEmailConfig,
     sendEmail,
     sendOTPEmail,
-    sendWelcomeEmail
+    sendWelcomeEmail,
+    sendExpiryReminderEmail
 };
@@ -0,0 +1,101 @@
+/**
+ * Event Service
+ * Pushes changes to a user's files, folders and clips to their open pages
+ * over server-sent events, so other devices update without refreshing.
+ *
+ * Events only name what changed ({ action, ids }); pages fetch the items
+ * again through the API. Streams live in this process, so every server
+ * instance only reaches the pages connected to it.
+ */
+
+import { REALTIME_CONFIG } from '../config/constants.js';
+
+// Open streams by user ID: Set<{ res, clientId }>
+const streams = new Map();
+
+/**
+ * Write one event to a stream
+ * @param {Response} res - Event stream response
+ * @param {string} type - Event name
+ * @param {Object} data - JSON payload
+ */
+const send = (res, type, data) => {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+};
+
+/**
+ * Open an event stream for a user
+ * The stream stays open until the client disconnects.
+ * @param {ObjectId} userId - Owner of the stream
+ * @param {Request} req - Request of the stream
+ * @param {Response} res - Response to stream events on
+ * @param {string|null} clientId - Page that opened the stream (skipped for its own changes)
+ */
+export const openStream = (userId, req, res, clientId = null) => {
+    const key = userId.toString();
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        // Don't let nginx buffer the stream
+        'X-Accel-Buffering': 'no'
+    });
+
+    if (!streams.has(key)) streams.set(key, new Set());
+    const userStreams = streams.get(key);
+
+    // Close the oldest streams beyond the limit (forgotten tabs)
+    while (userStreams.size >= REALTIME_CONFIG.MAX_STREAMS_PER_USER) {
+        const [oldest] = userStreams;
+        userStreams.delete(oldest);
+        oldest.res.end();
+    }
+
+    const stream = { res, clientId };
+    userStreams.add(stream);
+    send(res, 'ready', { at: new Date().toISOString() });
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), REALTIME_CONFIG.HEARTBEAT_MS);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        userStreams.delete(stream);
+        if (userStreams.size === 0) streams.delete(key);
+    });
+};
+
+/**
+ * Push an event to all of a user's open streams
+ * @param {ObjectId} userId - Owner of the changed items
+ * @param {string} type - 'files', 'folders' or 'clips'
+ * @param {Object} data - { action, ids }
+ * @param {string|null} [except] - Client ID that made the change (already up to date)
+ */
+export const publish = (userId, type, data, except = null) => {
+    const userStreams = streams.get(userId.toString());
+    if (!userStreams) return;
+
+    for (const stream of userStreams) {
+        if (except && stream.clientId === except) continue;
+        send(stream.res, type, data);
+    }
+};
+
+/**
+ * Push a change made by a request to the user's other pages
+ * @param {Request} req - Authenticated request that made the change
+ * @param {string} type - 'files', 'folders' or 'clips'
+ * @param {string} action - 'created', 'updated' or 'deleted'
+ * @param {Array<ObjectId>} ids - Changed items
+ */
+export const publishChange = (req, type, action, ids) => {
+    if (ids.length === 0) return;
+    publish(req.user._id, type, { action, ids: ids.map(String) }, req.get('X-Client-Id') || null);
+};
+
+export default {
+    openStream,
+    publish,
+    publishChange
+};
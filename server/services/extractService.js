@@ -0,0 +1,265 @@
+/**
+ * Extract Service
+ * Unpacks ZIP archives into a folder tree
+ *
+ * The archive's central directory is checked before anything is written:
+ * entry count, unsafe paths (absolute or with ".."), total size against the
+ * quota, and the compression ratio to catch zip bombs. Declared sizes are
+ * enforced while reading, so an entry can't expand past what it claims.
+ * Every file then goes through the same type detection and storage as a
+ * normal upload. Extraction is all or nothing.
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import { v4 as uuidv4 } from 'uuid';
+import yauzl from 'yauzl';
+import { File, Folder, User } from '../models/index.js';
+import { getStorage } from './storageService.js';
+import { queueThumbnail } from './thumbnailService.js';
+import { queueTextExtraction } from './textService.js';
+import { partialDir } from '../middleware/upload.js';
+import { ApiError } from '../middleware/errorHandler.js';
+import { inspectUpload } from '../utils/fileType.js';
+import { splitRelativePath } from '../utils/folderPath.js';
+import { getExpiryDate, resolveExpiryDays } from '../utils/expiry.js';
+import {
+    EXTRACT_CONFIG,
+    FILE_CONFIG,
+    HTTP_STATUS,
+    ERROR_MESSAGES
+} from '../config/constants.js';
+
+// Longest folder name the Folder model accepts
+const MAX_FOLDER_NAME = 50;
+
+// Archiver clutter that is left out without being reported
+const IGNORED_ENTRIES = /(^|\/)(__MACOSX|\.DS_Store|Thumbs\.db|desktop\.ini)(\/|$)/i;
+
+// yauzl refuses these paths while reading the central directory
+const UNSAFE_PATH_ERRORS = /absolute path|invalid relative path|invalid characters/;
+
+/**
+ * Create an extraction error for the client
+ * @param {string} message - Error message
+ * @returns {ApiError}
+ */
+const rejectArchive = (message) => new ApiError(message, HTTP_STATUS.BAD_REQUEST);
+
+/**
+ * Check if an entry is a symbolic link (Unix mode in the external attributes)
+ * @param {Entry} entry - yauzl entry
+ * @returns {boolean}
+ */
+const isSymlink = (entry) => ((entry.externalFileAttributes >>> 16) & 0o170000) === 0o120000;
+
+/**
+ * Read all entries of an open archive
+ * @param {ZipFile} zipfile - yauzl zip file
+ * @returns {Promise<Entry[]>}
+ */
+const readEntries = async (zipfile) => {
+    if (zipfile.entryCount > EXTRACT_CONFIG.MAX_ENTRIES) {
+        throw rejectArchive(ERROR_MESSAGES.ARCHIVE_TOO_MANY_ENTRIES);
+    }
+
+    const entries = [];
+    try {
+        for await (const entry of zipfile.eachEntry()) {
+            entries.push(entry);
+        }
+    } catch (error) {
+        throw rejectArchive(UNSAFE_PATH_ERRORS.test(error.message)
+            ? ERROR_MESSAGES.ARCHIVE_UNSAFE_PATH
+            : ERROR_MESSAGES.ARCHIVE_INVALID);
+    }
+
+    return entries;
+};
+
+/**
+ * Work out what an archive will create, without writing anything
+ * Entries that can't be extracted are listed in skipped with a reason.
+ * @param {Entry[]} entries - Archive entries
+ * @returns {Object} - { directories: string[][], files: [{ entry, names }], skipped, totalSize }
+ */
+const planExtraction = (entries) => {
+    const directories = [];
+    const files = [];
+    const skipped = [];
+    let totalSize = 0;
+
+    for (const entry of entries) {
+        if (IGNORED_ENTRIES.test(entry.fileName)) continue;
+
+        const names = splitRelativePath(entry.fileName);
+        if (!names) throw rejectArchive(ERROR_MESSAGES.ARCHIVE_UNSAFE_PATH);
+        if (names.length === 0) continue;
+
+        const isDirectory = entry.fileName.endsWith('/');
+        const skip = (reason) => skipped.push({ path: entry.fileName, reason });
+
+        if ((isDirectory ? names.length : names.length - 1) > FILE_CONFIG.MAX_FOLDER_DEPTH) {
+            skip('Nested too deeply');
+        } else if (isDirectory) {
+            directories.push(names);
+        } else if (isSymlink(entry)) {
+            skip('Links are not extracted');
+        } else if (entry.isEncrypted()) {
+            skip('Encrypted');
+        } else if (entry.uncompressedSize > FILE_CONFIG.MAX_SIZE) {
+            skip(ERROR_MESSAGES.FILE_TOO_LARGE);
+        } else {
+            files.push({ entry, names });
+            totalSize += entry.uncompressedSize;
+        }
+    }
+
+    return { directories, files, skipped, totalSize };
+};
+
+/**
+ * Extract a ZIP archive into a new folder
+ * The folder is named after the archive and created in the parent folder.
+ * @param {string} zipPath - Local path of the archive (left in place)
+ * @param {Object} options
+ * @param {ObjectId} options.userId - Owner
+ * @param {Folder|null} options.parent - Folder to extract into (null for root)
+ * @param {string} options.name - Archive file name
+ * @param {number|null} [options.expiryDays] - Expiry chosen for the files (null = folder default)
+ * @returns {Promise<Object>} - { folder, files, skipped }
+ */
+export const extractArchive = async (zipPath, { userId, parent, name, expiryDays = null }) => {
+    let zipfile;
+    try {
+        zipfile = await yauzl.openPromise(zipPath, { autoClose: false });
+    } catch {
+        throw rejectArchive(ERROR_MESSAGES.ARCHIVE_INVALID);
+    }
+
+    let root = null;
+    try {
+        const plan = planExtraction(await readEntries(zipfile));
+
+        // Zip bombs: too much in total, or far more than the archive's own size
+        const { size: archiveSize } = await fs.stat(zipPath);
+        if (plan.totalSize > EXTRACT_CONFIG.MAX_TOTAL_SIZE ||
+            plan.totalSize > archiveSize * EXTRACT_CONFIG.MAX_RATIO) {
+            throw rejectArchive(ERROR_MESSAGES.ARCHIVE_BOMB);
+        }
+
+        const user = await User.findById(userId);
+        if (!user.hasStorageSpace(plan.totalSize)) {
+            throw rejectArchive(ERROR_MESSAGES.STORAGE_LIMIT);
+        }
+
+        const parentId = parent?._id || null;
+        const baseName = path.basename(name, path.extname(name)).trim().slice(0, MAX_FOLDER_NAME) || 'Archive';
+        root = await Folder.create({
+            userId,
+            parentId,
+            name: await Folder.findFreeName(userId, parentId, baseName)
+        });
+
+        // Folders by lowercased path, created as they are first needed
+        const folders = new Map([['', root]]);
+        const ensureFolder = async (names) => {
+            let folder = root;
+            let key = '';
+
+            for (const name of names.map(name => name.slice(0, MAX_FOLDER_NAME))) {
+                key = `${key}/${name.toLowerCase()}`;
+                if (!folders.has(key)) {
+                    folders.set(key, await Folder.create({ userId, parentId: folder._id, name }));
+                }
+                folder = folders.get(key);
+            }
+
+            return folder;
+        };
+
+        for (const names of plan.directories) {
+            await ensureFolder(names);
+        }
+
+        const expiresAt = getExpiryDate(await resolveExpiryDays(expiryDays, root));
+        const files = [];
+        const skipped = [...plan.skipped];
+
+        for (const { entry, names } of plan.files) {
+            const originalName = names[names.length - 1];
+            const folder = await ensureFolder(names.slice(0, -1));
+            const extension = path.extname(originalName).toLowerCase();
+            const fileName = `${uuidv4()}${extension}`;
+            const stagedPath = path.join(partialDir, fileName);
+
+            try {
+                await pipeline(await zipfile.openReadStreamPromise(entry), createWriteStream(stagedPath));
+            } catch {
+                await fs.unlink(stagedPath).catch(() => { });
+                throw rejectArchive(ERROR_MESSAGES.ARCHIVE_INVALID);
+            }
+
+            // Same checks as an upload
+            const { valid, detectedType } = await inspectUpload(stagedPath, originalName);
+            if (!valid) {
+                await fs.unlink(stagedPath).catch(() => { });
+                skipped.push({ path: entry.fileName, reason: ERROR_MESSAGES.INVALID_FILE_TYPE });
+                continue;
+            }
+
+            files.push(await File.createFromUpload(stagedPath, {
+                userId,
+                originalName,
+                fileName,
+                fileSize: entry.uncompressedSize,
+                mimeType: detectedType,
+                detectedType,
+                extension,
+                folderId: folder._id,
+                expiresAt
+            }));
+        }
+
+        // Thumbnails and search text are prepared in the background
+        files.forEach(queueThumbnail);
+        files.forEach(queueTextExtraction);
+
+        console.log(`📦 Extracted ${files.length} files from ${name} (${skipped.length} skipped)`);
+        return { folder: root, files, skipped };
+    } catch (error) {
+        // Remove whatever was created so far (refunds the storage)
+        if (root) {
+            await root.deleteOne().catch(() => { });
+        }
+        throw error;
+    } finally {
+        zipfile.close();
+    }
+};
+
+/**
+ * Extract a stored ZIP file into a new folder
+ * The archive is copied to the staging directory first, since entries are
+ * read out of order.
+ * @param {File} file - Stored ZIP file document
+ * @param {Object} options - Same as extractArchive, without name
+ * @returns {Promise<Object>} - { folder, files, skipped }
+ */
+export const extractStoredArchive = async (file, options) => {
+    const stagedPath = path.join(partialDir, `extract-${uuidv4()}.zip`);
+
+    try {
+        await pipeline(await getStorage().get(file.filePath), createWriteStream(stagedPath));
+        return await extractArchive(stagedPath, { ...options, name: file.originalName });
+    } finally {
+        await fs.unlink(stagedPath).catch(() => { });
+    }
+};
+
+export default {
+    extractArchive,
+    extractStoredArchive
+};
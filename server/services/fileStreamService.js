@@ -0,0 +1,132 @@
+/**
+ * File Stream Service
+ * Sends stored files with HTTP Range and conditional request support
+ */
+
+import { HTTP_STATUS } from '../config/constants.js';
+import { getStorage } from './storageService.js';
+import { formatContentDisposition } from '../utils/contentDisposition.js';
+
+/**
+ * Build a strong ETag from file size and modification time
+ * @param {{size: number, lastModified: Date}} stat - Stored file stats
+ * @returns {string}
+ */
+const buildETag = (stat) => `"${stat.size.toString(16)}-${stat.lastModified.getTime().toString(16)}"`;
+
+/**
+ * Check whether an If-Range precondition still matches the file
+ * @param {Request} req - Express request
+ * @param {string} etag - Current ETag
+ * @param {string} lastModified - Current Last-Modified (HTTP date)
+ * @returns {boolean} - True if the Range header may be honoured
+ */
+const isRangeFresh = (req, etag, lastModified) => {
+    const ifRange = req.headers['if-range'];
+    if (!ifRange) return true;
+
+    // ETag form (weak validators never match)
+    if (ifRange.includes('"')) {
+        return !ifRange.startsWith('W/') && ifRange.trim() === etag;
+    }
+
+    // Date form
+    const since = Date.parse(ifRange);
+    return !isNaN(since) && Date.parse(lastModified) <= since;
+};
+
+/**
+ * Stream a file to the client
+ * Handles Accept-Ranges, 206 Partial Content, 416, ETag/Last-Modified,
+ * If-None-Match/If-Modified-Since (304) and If-Range.
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {File|Object} file - File document, or any { filePath, originalName, mimeType }
+ * @param {Object} options
+ * @param {string} options.disposition - 'attachment' or 'inline'
+ * @param {string} [options.cacheControl] - Cache-Control header value
+ * @param {string} [options.contentType] - Content-Type (defaults to the file's MIME type)
+ * @param {Function} [options.onNewDownload] - Awaited before a response with the whole
+ *   file is sent, ranged or not (not for 304s, probes like bytes=0-1 or resumed
+ *   ranges). Throw to cancel the response.
+ * @returns {Promise<boolean>} - False if the file is missing from storage (nothing was sent)
+ */
+export const streamFile = async (req, res, file, options) => {
+    const { disposition, cacheControl = 'private, no-cache', contentType = file.mimeType, onNewDownload } = options;
+    const storage = getStorage();
+
+    const stat = await storage.stat(file.filePath);
+    if (!stat) return false;
+
+    const etag = buildETag(stat);
+    const lastModified = stat.lastModified.toUTCString();
+
+    res.set({
+        'Accept-Ranges': 'bytes',
+        'ETag': etag,
+        'Last-Modified': lastModified,
+        'Cache-Control': cacheControl
+    });
+
+    // Conditional GET: client copy is current (checks If-None-Match / If-Modified-Since)
+    if (req.fresh) {
+        res.status(HTTP_STATUS.NOT_MODIFIED).end();
+        return true;
+    }
+
+    // Work out the byte range to send
+    let start = 0;
+    let end = stat.size - 1;
+    let partial = false;
+
+    if (req.headers.range && isRangeFresh(req, etag, lastModified)) {
+        const ranges = req.range(stat.size, { combine: true });
+
+        if (ranges === -1) {
+            res.set('Content-Range', `bytes */${stat.size}`);
+            res.status(HTTP_STATUS.RANGE_NOT_SATISFIABLE).end();
+            return true;
+        }
+
+        // Multiple ranges are not supported, those requests get the whole file
+        if (Array.isArray(ranges) && ranges.type === 'bytes' && ranges.length === 1) {
+            ({ start, end } = ranges[0]);
+            partial = true;
+        }
+    }
+
+    // Only a response with every byte counts as a download
+    if (onNewDownload && start === 0 && end === stat.size - 1) {
+        await onNewDownload();
+    }
+
+    // Open the stream before the body headers so storage errors can still be reported
+    const fileStream = req.method === 'HEAD' || stat.size === 0
+        ? null
+        : await storage.get(file.filePath, { start, end });
+
+    res.set({
+        'Content-Type': contentType,
+        'Content-Disposition': formatContentDisposition(disposition, file.originalName),
+        'Content-Length': stat.size === 0 ? 0 : end - start + 1
+    });
+
+    if (partial) {
+        res.status(HTTP_STATUS.PARTIAL_CONTENT);
+        res.set('Content-Range', `bytes ${start}-${end}/${stat.size}`);
+    }
+
+    if (!fileStream) {
+        res.end();
+        return true;
+    }
+
+    // Stream file
+    fileStream.on('error', () => res.destroy());
+    fileStream.pipe(res);
+    return true;
+};
+
+export default {
+    streamFile
+};
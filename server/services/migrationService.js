@@ -0,0 +1,81 @@
+/**
+ * Migration Service
+ * Brings databases created by earlier versions up to date on startup
+ *
+ * Every migration checks for its own work first, so running them again on an
+ * up-to-date database changes nothing.
+ */
+
+import * as models from '../models/index.js';
+import { Folder } from '../models/index.js';
+
+// Unique folder name index from before the trash, which trashed folders also hit
+const LEGACY_FOLDER_NAME_INDEX = { userId: 1, parentId: 1, name: 1 };
+
+/**
+ * Check whether an index has exactly the given keys
+ * @param {Object} index - Index description from listIndexes
+ * @param {Object} keys - Expected keys in order
+ * @returns {boolean}
+ */
+const hasKeys = (index, keys) => JSON.stringify(index.key) === JSON.stringify(keys);
+
+/**
+ * Drop the old unique folder name index
+ * It also counts trashed folders, so a folder couldn't be recreated while its
+ * namesake was in the trash. buildIndexes creates the replacement.
+ * @returns {Promise<boolean>} - True if the old index was dropped
+ */
+export const migrateFolderNameIndex = async () => {
+    // The collection doesn't exist yet on a new database
+    const indexes = await Folder.collection.listIndexes().toArray().catch(() => []);
+    const legacy = indexes.find(index => index.unique && hasKeys(index, LEGACY_FOLDER_NAME_INDEX));
+
+    if (legacy) {
+        await Folder.collection.dropIndex(legacy.name);
+        console.log(`🔧 Dropped the old folder name index ${legacy.name}`);
+    }
+
+    return Boolean(legacy);
+};
+
+/**
+ * Build the indexes every model declares
+ * Auto-indexing is off in production, and search ($text), blob deduplication
+ * and the TTL cleanups need theirs. Existing indexes are left alone; a model
+ * whose indexes fail (e.g. a conflicting older index) is reported and the
+ * rest are still built.
+ * @returns {Promise<Array<string>>} - Models whose indexes failed
+ */
+export const buildIndexes = async () => {
+    const failed = [];
+
+    for (const Model of Object.values(models)) {
+        try {
+            await Model.createIndexes();
+        } catch (error) {
+            failed.push(Model.modelName);
+            console.error(`❌ Indexes for ${Model.modelName} failed: ${error.message}`);
+        }
+    }
+
+    return failed;
+};
+
+/**
+ * Run all migrations, then build indexes
+ * Indexes come last so replaced ones are dropped first.
+ * @returns {Promise<Object>} - Result of each step
+ */
+export const runMigrations = async () => {
+    return {
+        folderNameIndex: await migrateFolderNameIndex(),
+        failedIndexes: await buildIndexes()
+    };
+};
+
+export default {
+    migrateFolderNameIndex,
+    buildIndexes,
+    runMigrations
+};
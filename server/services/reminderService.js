@@ -0,0 +1,206 @@
+/**
+ * Reminder Service
+ * Emails users a digest of files and clips that are about to expire
+ *
+ * Each item in the email has a signed one-click extend link, and the email
+ * has a signed link that turns reminders off. Links are JWTs signed with a key
+ * derived from JWT_SECRET, so they can never be used as login tokens.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { User, File, Folder, Clipboard, ExpiryReminder } from '../models/index.js';
+import { sendExpiryReminderEmail } from './emailService.js';
+import { getExpiryDate, resolveExpiryDays } from '../utils/expiry.js';
+import { REMINDER_CONFIG } from '../config/constants.js';
+
+// Actions a reminder link can perform
+export const REMINDER_ACTIONS = {
+    EXTEND: 'extend',
+    UNSUBSCRIBE: 'unsubscribe'
+};
+
+/**
+ * Get the key reminder links are signed with
+ * @returns {Buffer}
+ */
+const getSigningKey = () => {
+    return crypto.createHmac('sha256', process.env.JWT_SECRET).update('expiry-reminders').digest();
+};
+
+/**
+ * Create a signed reminder link token
+ * @param {Object} payload - { action, userId, itemType?, itemId? }
+ * @returns {string}
+ */
+export const createReminderToken = (payload) => {
+    return jwt.sign(payload, getSigningKey(), { expiresIn: REMINDER_CONFIG.LINK_EXPIRES_IN });
+};
+
+/**
+ * Verify a reminder link token
+ * @param {string} token - Token from the link
+ * @param {string} action - Expected action
+ * @returns {Object|null} - Payload, or null if invalid, expired or for another action
+ */
+export const verifyReminderToken = (token, action) => {
+    try {
+        const payload = jwt.verify(token, getSigningKey());
+        return payload.action === action ? payload : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Extend an item from a reminder link
+ * Files get their folder's expiry (or the default) from now, clips the clip expiry.
+ * An item that already expires later keeps its date.
+ * @param {Object} payload - Verified extend token payload
+ * @returns {Promise<Object|null>} - { name, expiresAt }, or null if the item is gone
+ */
+export const extendItem = async ({ userId, itemType, itemId }) => {
+    if (itemType === 'clips') {
+        const clip = await Clipboard.findOne({ _id: itemId, userId });
+        if (!clip) return null;
+
+        await clip.extendExpiry();
+        return { name: clip.title, expiresAt: clip.expiresAt };
+    }
+
+    const file = await File.findOne({ _id: itemId, userId });
+    if (!file) return null;
+
+    const folder = file.folderId && await Folder.findOne({ _id: file.folderId, userId });
+    const days = await resolveExpiryDays(null, folder);
+    const expiresAt = getExpiryDate(days);
+
+    if (file.expiresAt && (!expiresAt || expiresAt > file.expiresAt)) {
+        await file.extendExpiry(days);
+    }
+
+    return { name: file.originalName, expiresAt: file.expiresAt };
+};
+
+/**
+ * Turn off expiry reminders from an unsubscribe link
+ * @param {Object} payload - Verified unsubscribe token payload
+ * @returns {Promise<boolean>} - False if the user no longer exists
+ */
+export const unsubscribe = async ({ userId }) => {
+    const result = await User.updateOne(
+        { _id: userId },
+        { $set: { 'notifications.expiryReminders': false } }
+    );
+    return result.matchedCount > 0;
+};
+
+/**
+ * Send expiry reminder digests
+ * Items expiring within the reminder window are grouped per user. Items
+ * already reminded about for the same expiry date are skipped.
+ * @returns {Promise<Object>} Reminder statistics
+ */
+export const sendExpiryReminders = async () => {
+    console.log('⏰ Starting expiry reminders...');
+
+    const now = new Date();
+    const windowEnd = new Date(now.getTime() + REMINDER_CONFIG.WINDOW_HOURS * 60 * 60 * 1000);
+    const expiring = { expiresAt: { $gt: now, $lte: windowEnd } };
+    let emailsSent = 0;
+    let itemsReminded = 0;
+    const errors = [];
+
+    try {
+        const [files, clips] = await Promise.all([
+            File.find(expiring).select('userId originalName expiresAt'),
+            Clipboard.find(expiring).select('userId title expiresAt')
+        ]);
+
+        const candidates = [
+            ...files.map(file => ({ itemType: 'files', kind: 'File', name: file.originalName, doc: file })),
+            ...clips.map(clip => ({ itemType: 'clips', kind: 'Clip', name: clip.title, doc: clip }))
+        ];
+
+        // Skip items already reminded about for this expiry date
+        const sent = await ExpiryReminder.find({
+            itemId: { $in: candidates.map(item => item.doc._id) }
+        }).select('itemType itemId expiresAt');
+        const sentKeys = new Set(sent.map(r => `${r.itemType}:${r.itemId}:${r.expiresAt.getTime()}`));
+
+        const byUser = new Map();
+        for (const item of candidates) {
+            if (sentKeys.has(`${item.itemType}:${item.doc._id}:${item.doc.expiresAt.getTime()}`)) continue;
+
+            const key = item.doc.userId.toString();
+            if (!byUser.has(key)) byUser.set(key, []);
+            byUser.get(key).push(item);
+        }
+
+        // Only verified, active users who haven't opted out
+        const users = await User.find({
+            _id: { $in: [...byUser.keys()] },
+            isVerified: true,
+            isBanned: false,
+            'notifications.expiryReminders': { $ne: false }
+        }).select('username email');
+
+        for (const user of users) {
+            const items = byUser.get(user._id.toString())
+                .sort((a, b) => a.doc.expiresAt - b.doc.expiresAt);
+
+            try {
+                await sendExpiryReminderEmail(
+                    user.email,
+                    user.username,
+                    items.map(item => ({
+                        name: item.name,
+                        kind: item.kind,
+                        expiresAt: item.doc.expiresAt,
+                        extendUrl: `${process.env.CLIENT_URL}/extend/${createReminderToken({
+                            action: REMINDER_ACTIONS.EXTEND,
+                            userId: user._id,
+                            itemType: item.itemType,
+                            itemId: item.doc._id
+                        })}`
+                    })),
+                    `${process.env.CLIENT_URL}/unsubscribe/${createReminderToken({
+                        action: REMINDER_ACTIONS.UNSUBSCRIBE,
+                        userId: user._id
+                    })}`
+                );
+
+                // Duplicates from a concurrent run are ignored
+                await ExpiryReminder.insertMany(items.map(item => ({
+                    userId: user._id,
+                    itemType: item.itemType,
+                    itemId: item.doc._id,
+                    expiresAt: item.doc.expiresAt
+                })), { ordered: false }).catch(error => {
+                    if (error.code !== 11000) throw error;
+                });
+
+                emailsSent++;
+                itemsReminded += items.length;
+            } catch (error) {
+                errors.push({ user: user.username, error: error.message });
+                console.error(`✗ Reminder to ${user.username} failed:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('❌ Expiry reminder error:', error.message);
+        errors.push({ error: error.message });
+    }
+
+    console.log(`✅ Expiry reminders: ${emailsSent} emails covering ${itemsReminded} items`);
+    return { emailsSent, itemsReminded, errors: errors.length > 0 ? errors : null };
+};
+
+export default {
+    REMINDER_ACTIONS,
+    createReminderToken,
+    verifyReminderToken,
+    extendItem,
+    unsubscribe,
+    sendExpiryReminders
+};
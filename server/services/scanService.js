@@ -0,0 +1,109 @@
+/**
+ * Scan Service
+ * Virus scanning of uploaded contents through a pluggable driver
+ *
+ * Every driver implements:
+ *   scan(stream) - Resolves { infected, signature }, rejects if the scan could not run
+ */
+
+import { createReadStream } from 'fs';
+import { createClamdDriver } from './scanner/clamdDriver.js';
+import { createTestDriver } from './scanner/testDriver.js';
+import { SCAN_CONFIG, SCAN_STATUS } from '../config/constants.js';
+
+// Active driver (null when scanning is disabled)
+let driver;
+
+/**
+ * Create the driver selected by SCAN_DRIVER
+ * @returns {Object|null} - Scanner driver
+ */
+const createDriver = () => {
+    switch (SCAN_CONFIG.DRIVER) {
+        case 'none':
+            return null;
+        case 'clamd':
+            return createClamdDriver({
+                socket: SCAN_CONFIG.CLAMD_SOCKET,
+                host: SCAN_CONFIG.CLAMD_HOST,
+                port: SCAN_CONFIG.CLAMD_PORT,
+                timeout: SCAN_CONFIG.TIMEOUT_MS
+            });
+        case 'test':
+            return createTestDriver();
+        default:
+            throw new Error(`Unknown scan driver: ${SCAN_CONFIG.DRIVER}`);
+    }
+};
+
+/**
+ * Get the active scanner driver
+ * @returns {Object|null}
+ */
+export const getScanner = () => {
+    if (driver === undefined) {
+        driver = createDriver();
+    }
+    return driver;
+};
+
+/**
+ * Initialize scanner driver
+ * Called once at app startup so configuration errors surface early
+ * @returns {string} - Driver name
+ */
+export const initScanner = () => {
+    const scanner = getScanner();
+    if (scanner) {
+        console.log(`✅ Virus scanner initialized (${scanner.name})`);
+    } else {
+        console.warn('⚠️ Virus scanning disabled (SCAN_DRIVER=none)');
+    }
+    return scanner ? scanner.name : 'none';
+};
+
+/**
+ * Scan contents and map the verdict to a file scan state
+ * Never rejects: a scan that fails leaves the file pending for a later retry.
+ * @param {Function} openStream - Returns (a promise of) the stream to scan
+ * @returns {Promise<{scanStatus: string, scanResult: string|null, scannedAt: Date|null}>}
+ */
+export const scanContents = async (openStream) => {
+    const scanner = getScanner();
+
+    // Scanning disabled
+    if (!scanner) {
+        return { scanStatus: SCAN_STATUS.CLEAN, scanResult: null, scannedAt: null };
+    }
+
+    let stream;
+    try {
+        stream = await openStream();
+        const { infected, signature } = await scanner.scan(stream);
+
+        return {
+            scanStatus: infected ? SCAN_STATUS.INFECTED : SCAN_STATUS.CLEAN,
+            scanResult: signature,
+            scannedAt: new Date()
+        };
+    } catch (error) {
+        console.warn(`⚠️ Virus scan failed: ${error.message}`);
+        return { scanStatus: SCAN_STATUS.PENDING, scanResult: null, scannedAt: null };
+    } finally {
+        stream?.destroy();
+    }
+};
+
+/**
+ * Scan a local (staged) file
+ * @param {string} filePath - File path
+ * @returns {Promise<{scanStatus: string, scanResult: string|null, scannedAt: Date|null}>}
+ */
+export const scanLocalFile = (filePath) => scanContents(() => createReadStream(filePath));
+
+export default {
+    getScanner,
+    initScanner,
+    scanContents,
+    scanLocalFile
+};
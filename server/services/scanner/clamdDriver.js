@@ -0,0 +1,96 @@
+/**
+ * ClamAV Daemon Scanner Driver
+ * Streams file contents to clamd with the INSTREAM command
+ */
+
+import net from 'net';
+import { once } from 'events';
+
+// Largest chunk sent per INSTREAM frame
+const FRAME_SIZE = 64 * 1024;
+
+/**
+ * Create a clamd driver
+ * @param {Object} options
+ * @param {string} [options.socket] - Unix socket path (used instead of host/port)
+ * @param {string} options.host - clamd host
+ * @param {number} options.port - clamd port
+ * @param {number} options.timeout - Socket inactivity timeout in ms
+ * @returns {Object} - Scanner driver
+ */
+export const createClamdDriver = ({ socket, host, port, timeout }) => {
+    /**
+     * Send a stream to clamd and collect the reply
+     * @param {Readable} stream - Contents to scan
+     * @returns {Promise<string>} - Raw reply
+     */
+    const instream = (stream) => new Promise((resolve, reject) => {
+        const client = socket
+            ? net.createConnection({ path: socket })
+            : net.createConnection({ host, port });
+
+        let reply = '';
+        let failed = false;
+
+        const fail = (error) => {
+            if (failed) return;
+            failed = true;
+            client.destroy();
+            stream.destroy();
+            reject(error);
+        };
+
+        client.setTimeout(timeout, () => fail(new Error('clamd timed out')));
+        client.on('error', fail);
+        client.on('data', (data) => { reply += data.toString(); });
+        client.on('close', () => {
+            if (!failed) resolve(reply);
+        });
+
+        client.on('connect', async () => {
+            try {
+                client.write('zINSTREAM\0');
+
+                for await (const data of stream) {
+                    for (let offset = 0; offset < data.length; offset += FRAME_SIZE) {
+                        const frame = data.subarray(offset, offset + FRAME_SIZE);
+                        const length = Buffer.alloc(4);
+                        length.writeUInt32BE(frame.length);
+
+                        client.write(length);
+                        if (!client.write(frame)) {
+                            await once(client, 'drain');
+                        }
+                    }
+                }
+
+                // Zero-length frame ends the stream
+                client.end(Buffer.alloc(4));
+            } catch (error) {
+                fail(error);
+            }
+        });
+    });
+
+    return {
+        name: 'clamd',
+
+        async scan(stream) {
+            const reply = (await instream(stream)).replace(/\0/g, '').trim();
+
+            // "stream: OK" / "stream: Eicar-Signature FOUND" / "... ERROR"
+            if (reply.endsWith('OK')) {
+                return { infected: false, signature: null };
+            }
+
+            const found = /^stream: (.+) FOUND$/.exec(reply);
+            if (found) {
+                return { infected: true, signature: found[1] };
+            }
+
+            throw new Error(`clamd: ${reply || 'no reply'}`);
+        }
+    };
+};
+
+export default createClamdDriver;
@@ -0,0 +1,33 @@
+/**
+ * Test Scanner Driver
+ * Flags files containing the EICAR test string, for development without ClamAV
+ */
+
+// Standard antivirus test string (harmless)
+const EICAR = Buffer.from('X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!H+H*');
+
+/**
+ * Create a test driver
+ * @returns {Object} - Scanner driver
+ */
+export const createTestDriver = () => ({
+    name: 'test',
+
+    async scan(stream) {
+        // Keep the tail of the previous chunk so a match across chunks is found
+        let tail = Buffer.alloc(0);
+
+        for await (const data of stream) {
+            const window = Buffer.concat([tail, data]);
+            if (window.includes(EICAR)) {
+                stream.destroy();
+                return { infected: true, signature: 'Eicar-Test-Signature' };
+            }
+            tail = window.subarray(Math.max(0, window.length - EICAR.length + 1));
+        }
+
+        return { infected: false, signature: null };
+    }
+});
+
+export default createTestDriver;
@@ -4,10 +4,17 @@
  */
 
 import cron from 'node-cron';
-import { File, Clipboard, User } from '../models/index.js';
+import { File, FileBlob, FileVersion, Clipboard, ClipAttachment, UploadSession } from '../models/index.js';
 import fs from 'fs/promises';
 import path from 'path';
-import { FILE_CONFIG } from '../config/constants.js';
+import { getStorage } from './storageService.js';
+import { queueThumbnail } from './thumbnailService.js';
+import { queueTextExtraction } from './textService.js';
+import { queueLinkPreview } from './unfurlService.js';
+import { emptyTrash } from './trashService.js';
+import { sendExpiryReminders } from './reminderService.js';
+import { partialDir } from '../middleware/upload.js';
+import { FILE_CONFIG, LINK_PREVIEW_STATUS, SCAN_CONFIG, SCAN_STATUS, SEARCH_CONFIG, TEXT_STATUS, THUMBNAIL_CONFIG, THUMBNAIL_STATUS, TRASH_CONFIG, UNFURL_CONFIG } from '../config/constants.js';
 
 /**
  * Cleanup expired files
@@ -23,36 +30,18 @@ export const cleanupExpiredFiles = async () => {
     let errors = [];
 
     try {
-        // Get all expired files
+        // Get all expired files (including ones sitting in the trash)
         const expiredFiles = await File.find({
             expiresAt: { $lt: new Date() }
-        }).populate('userId', 'username email');
+        }).withTrashed();
 
         console.log(`📁 Found ${expiredFiles.length} expired files`);
 
-        // Group files by user for storage update
-        const userStorageUpdates = new Map();
-
         for (const file of expiredFiles) {
             try {
-                // Track storage to free per user
-                if (file.userId) {
-                    const userId = file.userId._id.toString();
-                    const current = userStorageUpdates.get(userId) || 0;
-                    userStorageUpdates.set(userId, current + file.fileSize);
-                }
-
-                // Delete physical file
-                try {
-                    await fs.unlink(file.filePath);
-                } catch (err) {
-                    if (err.code !== 'ENOENT') {
-                        console.warn(`⚠️ Could not delete file: ${file.filePath}`);
-                    }
-                }
-
-                // Delete database record
-                await File.deleteOne({ _id: file._id });
+                // Document delete releases the stored contents, refunds the
+                // owner's storage and removes share links
+                await file.deleteOne();
 
                 deletedCount++;
                 freedSpace += file.fileSize;
@@ -64,17 +53,6 @@ export const cleanupExpiredFiles = async () => {
             }
         }
 
-        // Update user storage
-        for (const [userId, spaceFreed] of userStorageUpdates) {
-            try {
-                await User.findByIdAndUpdate(userId, {
-                    $inc: { storageUsed: -spaceFreed }
-                });
-            } catch (error) {
-                console.error(`Error updating storage for user ${userId}:`, error.message);
-            }
-        }
-
     } catch (error) {
         console.error('❌ Cleanup error:', error.message);
         errors.push({ error: error.message });
@@ -109,56 +87,265 @@ export const cleanupExpiredClipboards = async () => {
             expiresAt: { $lt: new Date() }
         });
 
-        console.log(`✅ Deleted ${result.deletedCount} expired clipboard items`);
-        return { deletedCount: result.deletedCount };
+        // Also covers clips the TTL index removed, which leave their attachments behind
+        const attachmentCount = await ClipAttachment.purgeOrphans();
+
+        console.log(`✅ Deleted ${result.deletedCount} expired clipboard items, ${attachmentCount} attachments`);
+        return { deletedCount: result.deletedCount, attachmentCount };
     } catch (error) {
         console.error('❌ Clipboard cleanup error:', error.message);
         return { error: error.message };
     }
 };
 
+/**
+ * Purge old trash
+ * Permanently deletes items trashed longer than the retention period
+ * @returns {Promise<Object>} Purge statistics
+ */
+export const purgeTrash = async () => {
+    console.log('🗑️ Starting trash purge...');
+
+    try {
+        const cutoff = new Date(Date.now() - TRASH_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const result = await emptyTrash({ deletedAt: { $lt: cutoff } });
+
+        console.log(`✅ Purged ${result.files} files, ${result.folders} folders and ${result.clips} clips from trash, ${formatBytes(result.freedSpace)} freed`);
+        return { ...result, freedSpaceFormatted: formatBytes(result.freedSpace) };
+    } catch (error) {
+        console.error('❌ Trash purge error:', error.message);
+        return { error: error.message };
+    }
+};
+
+/**
+ * Cleanup abandoned chunked uploads and staged files
+ * @returns {Promise<Object>} Cleanup statistics
+ */
+export const cleanupStaleUploads = async () => {
+    console.log('📦 Starting stale upload cleanup...');
+
+    try {
+        let { count, freedSpace } = await UploadSession.cleanupExpiredSessions();
+
+        // Staged files left behind by interrupted requests
+        const cutoff = Date.now() - FILE_CONFIG.UPLOAD_SESSION_HOURS * 60 * 60 * 1000;
+        for (const fileName of await fs.readdir(partialDir)) {
+            const filePath = path.join(partialDir, fileName);
+            try {
+                const stat = await fs.stat(filePath);
+                if (stat.mtimeMs < cutoff) {
+                    await fs.unlink(filePath);
+                    count++;
+                    freedSpace += stat.size;
+                }
+            } catch (error) {
+                console.warn(`⚠️ Could not delete staged file: ${fileName}`);
+            }
+        }
+
+        console.log(`✅ Deleted ${count} stale uploads, ${formatBytes(freedSpace)} freed`);
+        return { deletedCount: count, freedSpace, freedSpaceFormatted: formatBytes(freedSpace) };
+    } catch (error) {
+        console.error('❌ Stale upload cleanup error:', error.message);
+        return { error: error.message };
+    }
+};
+
+/**
+ * Scan files still waiting for a verdict
+ * Covers uploads made while the scanner was unavailable and files from before scanning
+ * @returns {Promise<Object>} Scan statistics
+ */
+export const scanPendingFiles = async () => {
+    console.log('🛡️ Starting pending virus scans...');
+
+    const counts = { clean: 0, infected: 0, pending: 0 };
+
+    try {
+        // Older records may not have a scan status at all
+        const files = await File.find({
+            scanStatus: { $nin: [SCAN_STATUS.CLEAN, SCAN_STATUS.INFECTED] }
+        }).limit(SCAN_CONFIG.RESCAN_BATCH);
+
+        for (const file of files) {
+            // Files sharing a blob may have been settled by an earlier rescan
+            const current = await File.findById(file._id).select('scanStatus');
+            if (!current || current.scanStatus !== SCAN_STATUS.PENDING) continue;
+
+            const status = await file.rescan();
+            counts[status]++;
+
+            if (status === SCAN_STATUS.INFECTED) {
+                console.warn(`☣️ Infected: ${file.originalName} (${file.scanResult})`);
+            }
+        }
+
+        // Images and files pasted into the clipboard
+        const attachments = await ClipAttachment.find({
+            scanStatus: SCAN_STATUS.PENDING
+        }).limit(SCAN_CONFIG.RESCAN_BATCH);
+
+        for (const attachment of attachments) {
+            // Settled by a file or attachment sharing its blob
+            const current = await ClipAttachment.findById(attachment._id).select('scanStatus');
+            if (!current || current.scanStatus !== SCAN_STATUS.PENDING) continue;
+
+            const status = await attachment.rescan();
+            counts[status]++;
+
+            if (status === SCAN_STATUS.INFECTED) {
+                console.warn(`☣️ Infected clip attachment: ${attachment.originalName} (${attachment.scanResult})`);
+            }
+        }
+
+        const scanned = files.length + attachments.length;
+        console.log(`✅ Scanned ${scanned} files: ${counts.clean} clean, ${counts.infected} infected, ${counts.pending} still pending`);
+        return { scanned, ...counts };
+    } catch (error) {
+        console.error('❌ Pending scan error:', error.message);
+        return { error: error.message };
+    }
+};
+
+/**
+ * Generate missing thumbnails
+ * Covers files uploaded before a restart, files that became clean after a rescan
+ * and files from before thumbnails existed
+ * @returns {Promise<Object>} Generation statistics
+ */
+export const generatePendingThumbnails = async () => {
+    const counts = { ready: 0, failed: 0, unsupported: 0, pending: 0 };
+
+    try {
+        // Older records may not have a thumbnail status at all
+        const files = await File.find({
+            scanStatus: SCAN_STATUS.CLEAN,
+            thumbnailStatus: { $nin: [THUMBNAIL_STATUS.READY, THUMBNAIL_STATUS.FAILED, THUMBNAIL_STATUS.UNSUPPORTED] }
+        }).limit(THUMBNAIL_CONFIG.BATCH);
+
+        if (files.length === 0) return { generated: 0, ...counts };
+
+        console.log(`🖼️ Generating ${files.length} pending thumbnails...`);
+        for (const file of files) {
+            const status = await queueThumbnail(file);
+            counts[status]++;
+        }
+
+        console.log(`✅ Thumbnails: ${counts.ready} ready, ${counts.failed} failed, ${counts.unsupported} unsupported`);
+        return { generated: files.length, ...counts };
+    } catch (error) {
+        console.error('❌ Thumbnail generation error:', error.message);
+        return { error: error.message };
+    }
+};
+
+/**
+ * Extract missing search text
+ * Covers files uploaded before a restart, files that became clean after a rescan
+ * and files from before content search existed
+ * @returns {Promise<Object>} Extraction statistics
+ */
+export const indexPendingText = async () => {
+    const counts = { ready: 0, failed: 0, unsupported: 0, pending: 0 };
+
+    try {
+        // Older records may not have a text status at all
+        const files = await File.find({
+            scanStatus: SCAN_STATUS.CLEAN,
+            textStatus: { $nin: [TEXT_STATUS.READY, TEXT_STATUS.FAILED, TEXT_STATUS.UNSUPPORTED] }
+        }).limit(SEARCH_CONFIG.BATCH);
+
+        if (files.length === 0) return { indexed: 0, ...counts };
+
+        console.log(`🔎 Extracting search text for ${files.length} files...`);
+        for (const file of files) {
+            const status = await queueTextExtraction(file);
+            counts[status]++;
+        }
+
+        console.log(`✅ Search text: ${counts.ready} ready, ${counts.failed} failed, ${counts.unsupported} unsupported`);
+        return { indexed: files.length, ...counts };
+    } catch (error) {
+        console.error('❌ Text extraction error:', error.message);
+        return { error: error.message };
+    }
+};
+
+/**
+ * Fetch missing link previews
+ * Covers link clips saved before a restart and link clips from before link previews existed
+ * @returns {Promise<Object>} Fetch statistics
+ */
+export const generatePendingLinkPreviews = async () => {
+    const counts = { ready: 0, failed: 0, blocked: 0, unsupported: 0, pending: 0 };
+    if (!UNFURL_CONFIG.ENABLED) return { fetched: 0, ...counts };
+
+    try {
+        const clips = await Clipboard.find({
+            contentType: 'link',
+            vault: { $ne: true },
+            $or: [{ linkPreview: null }, { 'linkPreview.status': LINK_PREVIEW_STATUS.PENDING }]
+        }).limit(UNFURL_CONFIG.BATCH);
+
+        if (clips.length === 0) return { fetched: 0, ...counts };
+
+        console.log(`🔗 Fetching ${clips.length} pending link previews...`);
+        for (const clip of clips) {
+            // Older clips have no preview to fetch into yet
+            if (!clip.linkPreview) {
+                clip.linkPreview = { status: LINK_PREVIEW_STATUS.PENDING, url: clip.content.trim() };
+                await Clipboard.updateOne({ _id: clip._id }, { linkPreview: clip.linkPreview });
+            }
+
+            const status = await queueLinkPreview(clip);
+            counts[status]++;
+        }
+
+        console.log(`✅ Link previews: ${counts.ready} ready, ${counts.failed} failed, ${counts.blocked} blocked, ${counts.unsupported} unsupported`);
+        return { fetched: clips.length, ...counts };
+    } catch (error) {
+        console.error('❌ Link preview error:', error.message);
+        return { error: error.message };
+    }
+};
+
 /**
  * Cleanup orphaned files
- * Files on disk that don't have database records
+ * Stored files that don't have database records
  * @returns {Promise<Object>} Cleanup statistics
  */
 export const cleanupOrphanedFiles = async () => {
     console.log('🔍 Starting orphaned files cleanup...');
 
-    const uploadDir = path.join(process.cwd(), FILE_CONFIG.UPLOAD_DIR);
+    const storage = getStorage();
+    // Skip recent objects, an upload may not have created its record yet
+    const cutoff = Date.now() - 60 * 60 * 1000;
     let deletedCount = 0;
     let freedSpace = 0;
 
     try {
-        // Get all user directories
-        const userDirs = await fs.readdir(uploadDir);
-
-        for (const userDir of userDirs) {
-            const userPath = path.join(uploadDir, userDir);
-            const stat = await fs.stat(userPath);
-
-            if (!stat.isDirectory()) continue;
-
-            // Get all files in user directory
-            const files = await fs.readdir(userPath);
-
-            for (const fileName of files) {
-                const filePath = path.join(userPath, fileName);
-
-                // Check if file exists in database
-                const dbFile = await File.findOne({ fileName });
-
-                if (!dbFile) {
-                    // Orphaned file - delete it
-                    try {
-                        const fileStat = await fs.stat(filePath);
-                        await fs.unlink(filePath);
-                        deletedCount++;
-                        freedSpace += fileStat.size;
-                        console.log(`✓ Deleted orphaned: ${fileName}`);
-                    } catch (error) {
-                        console.warn(`⚠️ Could not delete orphaned file: ${filePath}`);
-                    }
+        // Walk every stored file
+        for await (const object of storage.list()) {
+            if (object.lastModified.getTime() > cutoff) continue;
+
+            // Check if the contents are referenced (blobs and their thumbnails, or files
+            // stored before deduplication)
+            const fileName = object.key.split('/').pop();
+            const isReferenced = object.key.startsWith('blobs/')
+                ? await FileBlob.exists({ $or: [{ storageKey: object.key }, { thumbnailKey: object.key }] })
+                : await File.exists({ fileName }).withTrashed() || await FileVersion.exists({ fileName }) ||
+                    await ClipAttachment.exists({ fileName });
+
+            if (!isReferenced) {
+                // Orphaned file - delete it
+                try {
+                    await storage.delete(object.key);
+                    deletedCount++;
+                    freedSpace += object.size;
+                    console.log(`✓ Deleted orphaned: ${fileName}`);
+                } catch (error) {
+                    console.warn(`⚠️ Could not delete orphaned file: ${object.key}`);
                 }
             }
         }
@@ -197,6 +384,27 @@ export const getStorageStats = async () => {
             }
         });
 
+        // Virus scan states
+        const infectedFiles = await File.countDocuments({ scanStatus: SCAN_STATUS.INFECTED });
+        const pendingScans = await File.countDocuments({ scanStatus: SCAN_STATUS.PENDING });
+
+        // Unique stored contents (what deduplication actually keeps)
+        const blobStats = await FileBlob.aggregate([
+            {
+                $group: {
+                    _id: null,
+                    uniqueBlobs: { $sum: 1 },
+                    storedSize: { $sum: '$size' }
+                }
+            }
+        ]);
+        const storedSize = blobStats[0]?.storedSize || 0;
+        const legacySize = (await File.aggregate([
+            { $match: { blobId: null } },
+            { $group: { _id: null, size: { $sum: '$fileSize' } } }
+        ]))[0]?.size || 0;
+        const savedSize = Math.max(0, (totalStats[0]?.totalSize || 0) - storedSize - legacySize);
+
         // Files by type
         const byType = await File.aggregate([
             {
@@ -214,6 +422,13 @@ export const getStorageStats = async () => {
             ...(totalStats[0] || { totalFiles: 0, totalSize: 0, totalDownloads: 0 }),
             totalSizeFormatted: formatBytes(totalStats[0]?.totalSize || 0),
             expiringSoon,
+            infectedFiles,
+            pendingScans,
+            uniqueBlobs: blobStats[0]?.uniqueBlobs || 0,
+            storedSize: storedSize + legacySize,
+            storedSizeFormatted: formatBytes(storedSize + legacySize),
+            dedupSavedSize: savedSize,
+            dedupSavedSizeFormatted: formatBytes(savedSize),
             byType
         };
     } catch (error) {
@@ -246,6 +461,8 @@ export const initScheduledTasks = () => {
         console.log('📅 Running scheduled file cleanup...');
         await cleanupExpiredFiles();
         await cleanupExpiredClipboards();
+        await purgeTrash();
+        await cleanupStaleUploads();
     }, {
         timezone: process.env.TZ || 'Asia/Kolkata'
     });
@@ -258,6 +475,41 @@ export const initScheduledTasks = () => {
         timezone: process.env.TZ || 'Asia/Kolkata'
     });
 
+    // Warn users about expiring files and clips every day at 9:00 AM
+    cron.schedule('0 9 * * *', async () => {
+        await sendExpiryReminders();
+    }, {
+        timezone: process.env.TZ || 'Asia/Kolkata'
+    });
+
+    // Retry pending virus scans every 10 minutes
+    cron.schedule('*/10 * * * *', async () => {
+        await scanPendingFiles();
+    }, {
+        timezone: process.env.TZ || 'Asia/Kolkata'
+    });
+
+    // Catch up on thumbnails every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+        await generatePendingThumbnails();
+    }, {
+        timezone: process.env.TZ || 'Asia/Kolkata'
+    });
+
+    // Catch up on search text every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+        await indexPendingText();
+    }, {
+        timezone: process.env.TZ || 'Asia/Kolkata'
+    });
+
+    // Catch up on link previews every 5 minutes
+    cron.schedule('*/5 * * * *', async () => {
+        await generatePendingLinkPreviews();
+    }, {
+        timezone: process.env.TZ || 'Asia/Kolkata'
+    });
+
     // Log storage stats daily at midnight
     cron.schedule('0 0 * * *', async () => {
         const stats = await getStorageStats();
@@ -267,15 +519,26 @@ export const initScheduledTasks = () => {
     });
 
     console.log('✅ Scheduled tasks initialized');
-    console.log('   - File cleanup: Daily at 2:00 AM');
+    console.log('   - File, trash & upload cleanup: Daily at 2:00 AM');
     console.log('   - Orphan cleanup: Weekly on Sunday at 3:00 AM');
+    console.log('   - Expiry reminders: Daily at 9:00 AM');
+    console.log('   - Pending virus scans: Every 10 minutes');
+    console.log('   - Pending thumbnails: Every 5 minutes');
+    console.log('   - Pending search text: Every 5 minutes');
+    console.log('   - Pending link previews: Every 5 minutes');
     console.log('   - Storage stats: Daily at midnight');
 };
 
 export default {
     cleanupExpiredFiles,
     cleanupExpiredClipboards,
+    purgeTrash,
+    cleanupStaleUploads,
     cleanupOrphanedFiles,
+    scanPendingFiles,
+    generatePendingThumbnails,
+    indexPendingText,
+    generatePendingLinkPreviews,
     getStorageStats,
     initScheduledTasks
 };
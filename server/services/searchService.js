@@ -0,0 +1,195 @@
+/**
+ * Search Service
+ * One ranked search over a user's files (names and contents), folders and clips
+ *
+ * Words are matched through the text indexes, which rank by relevance and
+ * match word forms ("reports" finds "report"). Names that only contain the
+ * query inside a word ("port" in "report.pdf") are found too, ranked lower.
+ */
+
+import { File, Folder, Clipboard } from '../models/index.js';
+import { SEARCH_CONFIG } from '../config/constants.js';
+
+// Score of a name that contains the query without a text index match
+const PARTIAL_NAME_SCORE = 0.5;
+
+// Fields returned for each kind of result
+const FILE_FIELDS = '_id originalName description mimeType detectedType fileSize folderId isStarred vault scanStatus thumbnailStatus expiresAt createdAt contentText';
+const FOLDER_FIELDS = '_id name color parentId createdAt';
+const CLIP_FIELDS = '_id title content contentType language vault isPinned expiresAt createdAt';
+
+/**
+ * Escape text for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build the pattern that highlights a query
+ * Each word matches at the start of a word, with common endings dropped so
+ * "reports" also marks "report" and "reporting" like the index does.
+ * @param {string} q - Search query
+ * @returns {RegExp|null}
+ */
+const getHighlightPattern = (q) => {
+    const words = [...new Set(q.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])].slice(0, 10);
+    if (words.length === 0) return null;
+
+    const stems = words.map(word => escapeRegExp(word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '') : word));
+    return new RegExp(`(?<![\\p{L}\\p{N}])(${stems.join('|')})[\\p{L}\\p{N}]*|${escapeRegExp(q.trim())}`, 'giu');
+};
+
+/**
+ * Find the ranges a pattern matches in a text
+ * @param {string} text - Text to search
+ * @param {RegExp} pattern - Global pattern
+ * @returns {Array<number[]>} - [start, end] pairs
+ */
+const findMatches = (text, pattern) => {
+    if (!pattern) return [];
+    return [...text.matchAll(pattern)]
+        .filter(match => match[0].length > 0)
+        .map(match => [match.index, match.index + match[0].length]);
+};
+
+/**
+ * Cut the part of a text around its first match
+ * @param {string|null} text - Full text (extracted contents, clip text)
+ * @param {RegExp} pattern - Highlight pattern
+ * @returns {Object|null} - { text, matches }, null if the text doesn't match
+ */
+const makeSnippet = (text, pattern) => {
+    if (!text || !pattern) return null;
+
+    const first = text.search(pattern);
+    if (first === -1) return null;
+
+    // Start at a word boundary a little before the match
+    let start = Math.max(0, first - Math.floor(SEARCH_CONFIG.SNIPPET_LENGTH / 3));
+    if (start > 0) {
+        const space = text.indexOf(' ', start);
+        if (space !== -1 && space < first) start = space + 1;
+    }
+    const end = Math.min(text.length, start + SEARCH_CONFIG.SNIPPET_LENGTH);
+
+    const snippet = (start > 0 ? '…' : '') +
+        text.slice(start, end).replace(/\s+/g, ' ') +
+        (end < text.length ? '…' : '');
+
+    return { text: snippet, matches: findMatches(snippet, pattern) };
+};
+
+/**
+ * Run the ranked text query and the partial name query on one collection
+ * @param {Model} Model - File, Folder or Clipboard
+ * @param {Object} filter - Owner, folder and date conditions
+ * @param {string} q - Search query
+ * @param {string} nameField - Field holding the name
+ * @param {string} fields - Fields to return
+ * @returns {Promise<Array<Object>>} - [{ doc, score }]
+ */
+const searchCollection = async (Model, filter, q, nameField, fields) => {
+    const ranked = await Model.find({ ...filter, $text: { $search: q } }, { score: { $meta: 'textScore' } })
+        .select(fields)
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(SEARCH_CONFIG.MAX_RESULTS)
+        .lean();
+
+    const partial = await Model.find({
+        ...filter,
+        _id: { $nin: ranked.map(doc => doc._id) },
+        [nameField]: { $regex: escapeRegExp(q.trim()), $options: 'i' }
+    })
+        .select(fields)
+        .sort({ createdAt: -1 })
+        .limit(SEARCH_CONFIG.MAX_RESULTS)
+        .lean();
+
+    return [
+        ...ranked.map(doc => ({ doc, score: doc.score })),
+        ...partial.map(doc => ({ doc, score: PARTIAL_NAME_SCORE }))
+    ];
+};
+
+/**
+ * Search a user's files, folders and clips
+ * @param {ObjectId} userId - Owner
+ * @param {Object} options
+ * @param {string} options.q - Search query
+ * @param {string} [options.type] - Only 'file', 'folder' or 'clip' results
+ * @param {Folder|null} [options.folder] - Only files and folders inside this folder (clips are left out)
+ * @param {string} [options.from] - Created on or after this day (YYYY-MM-DD)
+ * @param {string} [options.to] - Created on or before this day (YYYY-MM-DD)
+ * @returns {Promise<Object>} - { results: [{ type, score, name, snippet, item }], counts }
+ */
+export const search = async (userId, { q, type, folder = null, from, to }) => {
+    const pattern = getHighlightPattern(q);
+    const filter = { userId };
+
+    if (from || to) {
+        filter.createdAt = {};
+        if (from) filter.createdAt.$gte = new Date(from);
+        // The whole "to" day is included
+        if (to) filter.createdAt.$lt = new Date(new Date(to).getTime() + 24 * 60 * 60 * 1000);
+    }
+
+    // Folder scope covers its subfolders
+    const scope = folder && [folder._id, ...await folder.getDescendantIds()];
+
+    const results = [];
+
+    if (!type || type === 'file') {
+        const files = await searchCollection(File, scope ? { ...filter, folderId: { $in: scope } } : filter,
+            q, 'originalName', FILE_FIELDS);
+
+        results.push(...files.map(({ doc: { contentText, score, ...file }, score: rank }) => ({
+            type: 'file',
+            score: rank,
+            name: { text: file.originalName, matches: findMatches(file.originalName, pattern) },
+            snippet: makeSnippet(contentText, pattern) || makeSnippet(file.description, pattern),
+            item: file
+        })));
+    }
+
+    if (!type || type === 'folder') {
+        const folders = await searchCollection(Folder, scope ? { ...filter, parentId: { $in: scope } } : filter,
+            q, 'name', FOLDER_FIELDS);
+
+        results.push(...folders.map(({ doc: { score, ...found }, score: rank }) => ({
+            type: 'folder',
+            score: rank,
+            name: { text: found.name, matches: findMatches(found.name, pattern) },
+            snippet: null,
+            item: found
+        })));
+    }
+
+    // Clips don't live in folders
+    if ((!type || type === 'clip') && !scope) {
+        const clips = await searchCollection(Clipboard, filter, q, 'title', CLIP_FIELDS);
+
+        results.push(...clips.map(({ doc: { content, score, ...clip }, score: rank }) => ({
+            type: 'clip',
+            score: rank,
+            name: { text: clip.title, matches: findMatches(clip.title, pattern) },
+            // Vault clips only have ciphertext
+            snippet: clip.vault ? null : makeSnippet(content, pattern),
+            item: clip
+        })));
+    }
+
+    results.sort((a, b) => b.score - a.score || new Date(b.item.createdAt) - new Date(a.item.createdAt));
+
+    const counts = { file: 0, folder: 0, clip: 0 };
+    results.forEach(result => counts[result.type]++);
+
+    return {
+        results: results.slice(0, SEARCH_CONFIG.MAX_RESULTS),
+        counts
+    };
+};
+
+export default {
+    search
+};
@@ -0,0 +1,111 @@
+/**
+ * Local Disk Storage Driver
+ * Keeps file contents under the upload directory
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { createReadStream, createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+
+/**
+ * Create a local disk driver
+ * @param {Object} options
+ * @param {string} options.root - Absolute storage root directory
+ * @returns {Object} - Storage driver
+ */
+export const createLocalDriver = ({ root }) => {
+    /**
+     * Resolve a key to a path inside the root
+     * Absolute keys (records from before storage keys existed) are used as they are
+     * @param {string} key - Storage key
+     * @returns {string}
+     */
+    const resolve = (key) => path.resolve(root, key);
+
+    /**
+     * Ensure the parent directory of a path exists
+     * @param {string} filePath - Target path
+     */
+    const ensureDir = (filePath) => fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    return {
+        name: 'local',
+
+        async put(key, body) {
+            const target = resolve(key);
+            await ensureDir(target);
+            await pipeline(body, createWriteStream(target));
+        },
+
+        async putFile(key, filePath) {
+            const target = resolve(key);
+            await ensureDir(target);
+
+            try {
+                await fs.rename(filePath, target);
+            } catch (error) {
+                // Staging directory on another filesystem
+                if (error.code !== 'EXDEV') throw error;
+                await fs.copyFile(filePath, target);
+                await fs.unlink(filePath);
+            }
+        },
+
+        async get(key, { start, end } = {}) {
+            const filePath = resolve(key);
+            // Surface missing files before a stream is handed out
+            await fs.access(filePath);
+            return createReadStream(filePath, { start, end });
+        },
+
+        async delete(key) {
+            await fs.unlink(resolve(key)).catch((error) => {
+                if (error.code !== 'ENOENT') throw error;
+            });
+        },
+
+        async stat(key) {
+            try {
+                const stat = await fs.stat(resolve(key));
+                return { size: stat.size, lastModified: stat.mtime };
+            } catch (error) {
+                if (error.code === 'ENOENT') return null;
+                throw error;
+            }
+        },
+
+        async *list(prefix = '') {
+            // Walk the tree, skipping internal directories such as .partial
+            const walk = async function* (dir) {
+                let entries;
+                try {
+                    entries = await fs.readdir(dir, { withFileTypes: true });
+                } catch (error) {
+                    if (error.code === 'ENOENT') return;
+                    throw error;
+                }
+
+                for (const entry of entries) {
+                    if (entry.name.startsWith('.')) continue;
+
+                    const fullPath = path.join(dir, entry.name);
+                    if (entry.isDirectory()) {
+                        yield* walk(fullPath);
+                    } else if (entry.isFile()) {
+                        const stat = await fs.stat(fullPath);
+                        yield {
+                            key: path.relative(root, fullPath).split(path.sep).join('/'),
+                            size: stat.size,
+                            lastModified: stat.mtime
+                        };
+                    }
+                }
+            };
+
+            yield* walk(resolve(prefix));
+        }
+    };
+};
+
+export default createLocalDriver;
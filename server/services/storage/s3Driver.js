@@ -0,0 +1,124 @@
+/**
+ * S3-Compatible Storage Driver
+ * Keeps file contents in an S3 bucket (AWS S3, MinIO, R2, ...)
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import {
+    S3Client,
+    PutObjectCommand,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command
+} from '@aws-sdk/client-s3';
+
+/**
+ * Create an S3 driver
+ * Credentials come from the standard AWS environment variables
+ * @param {Object} options
+ * @param {string} options.bucket - Bucket name
+ * @param {string} options.region - Bucket region
+ * @param {string} [options.endpoint] - Custom endpoint for S3-compatible services
+ * @param {boolean} [options.forcePathStyle] - Use path-style URLs
+ * @param {string} [options.prefix] - Key prefix inside the bucket
+ * @returns {Object} - Storage driver
+ */
+export const createS3Driver = ({ bucket, region, endpoint, forcePathStyle, prefix = '' }) => {
+    if (!bucket) {
+        throw new Error('AWS_S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const client = new S3Client({
+        region,
+        endpoint,
+        forcePathStyle,
+        // Plain signed uploads, not every S3-compatible service accepts streaming checksums
+        requestChecksumCalculation: 'WHEN_REQUIRED',
+        responseChecksumValidation: 'WHEN_REQUIRED'
+    });
+
+    // Keys are always stored with forward slashes under the prefix
+    const objectKey = (key) => `${prefix}${key}`;
+
+    const isNotFound = (error) =>
+        error.name === 'NotFound' ||
+        error.name === 'NoSuchKey' ||
+        error.$metadata?.httpStatusCode === 404;
+
+    return {
+        name: 's3',
+
+        async put(key, body, { size, contentType } = {}) {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(key),
+                Body: body,
+                ContentLength: size,
+                ContentType: contentType
+            }));
+        },
+
+        async putFile(key, filePath, { contentType } = {}) {
+            const { size } = await fs.stat(filePath);
+            await this.put(key, createReadStream(filePath), { size, contentType });
+            await fs.unlink(filePath).catch(() => { });
+        },
+
+        async get(key, { start, end } = {}) {
+            const range = start !== undefined ? `bytes=${start}-${end ?? ''}` : undefined;
+
+            const response = await client.send(new GetObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(key),
+                Range: range
+            }));
+            return response.Body;
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({
+                Bucket: bucket,
+                Key: objectKey(key)
+            }));
+        },
+
+        async stat(key) {
+            try {
+                const head = await client.send(new HeadObjectCommand({
+                    Bucket: bucket,
+                    Key: objectKey(key)
+                }));
+                return { size: head.ContentLength, lastModified: head.LastModified };
+            } catch (error) {
+                if (isNotFound(error)) return null;
+                throw error;
+            }
+        },
+
+        async *list(listPrefix = '') {
+            let continuationToken;
+
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: objectKey(listPrefix),
+                    ContinuationToken: continuationToken
+                }));
+
+                for (const object of page.Contents || []) {
+                    yield {
+                        key: object.Key.slice(prefix.length),
+                        size: object.Size,
+                        lastModified: object.LastModified
+                    };
+                }
+
+                continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (continuationToken);
+        }
+    };
+};
+
+export default createS3Driver;
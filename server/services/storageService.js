@@ -0,0 +1,71 @@
+/**
+ * Storage Service
+ * Selects the storage driver that holds file contents
+ *
+ * Every driver implements the same interface, addressed by storage keys
+ * (e.g. "blobs/ab/<sha256>-<suffix>"):
+ *   put(key, stream, { size, contentType })   - Store a stream
+ *   putFile(key, filePath, { contentType })   - Move a local (staged) file into storage
+ *   get(key, { start, end })                  - Readable stream, optionally a byte range
+ *   delete(key)                               - Remove (missing keys are ignored)
+ *   stat(key)                                 - { size, lastModified } or null if missing
+ *   list(prefix)                              - Async iterable of { key, size, lastModified }
+ */
+
+import path from 'path';
+import { createLocalDriver } from './storage/localDriver.js';
+import { createS3Driver } from './storage/s3Driver.js';
+import { FILE_CONFIG, STORAGE_CONFIG } from '../config/constants.js';
+
+// Active driver (created on first use)
+let driver = null;
+
+/**
+ * Create the driver selected by STORAGE_DRIVER
+ * @returns {Object} - Storage driver
+ */
+const createDriver = () => {
+    switch (STORAGE_CONFIG.DRIVER) {
+        case 'local':
+            return createLocalDriver({
+                root: path.join(process.cwd(), FILE_CONFIG.UPLOAD_DIR)
+            });
+        case 's3':
+            return createS3Driver({
+                bucket: STORAGE_CONFIG.S3_BUCKET,
+                region: STORAGE_CONFIG.S3_REGION,
+                endpoint: STORAGE_CONFIG.S3_ENDPOINT,
+                forcePathStyle: STORAGE_CONFIG.S3_FORCE_PATH_STYLE,
+                prefix: STORAGE_CONFIG.S3_PREFIX
+            });
+        default:
+            throw new Error(`Unknown storage driver: ${STORAGE_CONFIG.DRIVER}`);
+    }
+};
+
+/**
+ * Get the active storage driver
+ * @returns {Object} - Storage driver
+ */
+export const getStorage = () => {
+    if (!driver) {
+        driver = createDriver();
+    }
+    return driver;
+};
+
+/**
+ * Initialize storage driver
+ * Called once at app startup so configuration errors surface early
+ * @returns {string} - Driver name
+ */
+export const initStorage = () => {
+    const { name } = getStorage();
+    console.log(`✅ Storage driver initialized (${name})`);
+    return name;
+};
+
+export default {
+    getStorage,
+    initStorage
+};
@@ -0,0 +1,123 @@
+/**
+ * Tag Service
+ * Lists a user's tags and renames, merges or removes them everywhere
+ *
+ * Tags live on files and clips (and in smart collection filters) rather than
+ * in a collection of their own, so a tag exists as long as something uses it.
+ * Trashed items are updated too, so they come back with the current tags.
+ */
+
+import { File, Clipboard, SmartCollection } from '../models/index.js';
+
+/**
+ * Count how often each tag is used in one collection
+ * @param {Model} Model - File or Clipboard
+ * @param {ObjectId} userId - Owner
+ * @returns {Promise<Array<Object>>} - [{ _id: tag, count }]
+ */
+const countTags = (Model, userId) => Model.aggregate([
+    { $match: { userId, deletedAt: null, 'tags.0': { $exists: true } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+]);
+
+/**
+ * Build an update pipeline that replaces one tag with another in place
+ * Items that already have both keep one copy, so a rename never adds a tag
+ * and never takes an item past TAG_CONFIG.MAX_PER_ITEM.
+ * @param {string} field - Tag array field
+ * @param {string} from - Current tag
+ * @param {string} to - New tag
+ * @returns {Array<Object>}
+ */
+const replaceTagPipeline = (field, from, to) => [{
+    $set: {
+        [field]: {
+            $reduce: {
+                input: { $map: { input: `$${field}`, in: { $cond: [{ $eq: ['$$this', from] }, to, '$$this'] } } },
+                initialValue: [],
+                in: { $cond: [{ $in: ['$$this', '$$value'] }, '$$value', { $concatArrays: ['$$value', ['$$this']] }] }
+            }
+        }
+    }
+}];
+
+/**
+ * Get a user's tags with how many files and clips use them
+ * @param {ObjectId} userId - Owner
+ * @param {Object} [options]
+ * @param {string} [options.prefix] - Only tags starting with this (normalized)
+ * @param {number} [options.limit] - Most tags returned
+ * @returns {Promise<Array<Object>>} - [{ name, files, clips }], most used first
+ */
+export const getUserTags = async (userId, { prefix = '', limit } = {}) => {
+    const [files, clips] = await Promise.all([countTags(File, userId), countTags(Clipboard, userId)]);
+
+    const tags = new Map();
+    const entry = (name) => {
+        if (!tags.has(name)) tags.set(name, { name, files: 0, clips: 0 });
+        return tags.get(name);
+    };
+    files.forEach(({ _id, count }) => { entry(_id).files = count; });
+    clips.forEach(({ _id, count }) => { entry(_id).clips = count; });
+
+    const result = [...tags.values()]
+        .filter(tag => tag.name.startsWith(prefix))
+        .sort((a, b) => (b.files + b.clips) - (a.files + a.clips) || a.name.localeCompare(b.name));
+
+    return limit ? result.slice(0, limit) : result;
+};
+
+/**
+ * Rename a tag on all of a user's files, clips and collections
+ * Renaming to a tag that is already in use merges the two.
+ * @param {ObjectId} userId - Owner
+ * @param {string} from - Current tag (normalized)
+ * @param {string} to - New tag (normalized)
+ * @returns {Promise<Object|null>} - { merged, files, clips }, null if the tag isn't used
+ */
+export const renameTag = async (userId, from, to) => {
+    const models = [File, Clipboard];
+    const uses = await Promise.all(models.map(Model => Model.exists({ userId, tags: from }).withTrashed()));
+    if (!uses.some(Boolean)) return null;
+
+    if (from === to) return { merged: false, files: 0, clips: 0 };
+
+    const merged = (await Promise.all(models.map(Model =>
+        Model.exists({ userId, tags: to }).withTrashed()))).some(Boolean);
+
+    const counts = [];
+    for (const Model of models) {
+        const { matchedCount } = await Model.updateMany({ userId, tags: from }, replaceTagPipeline('tags', from, to)).withTrashed();
+        counts.push(matchedCount);
+    }
+
+    await SmartCollection.updateMany({ userId, 'filter.tags': from }, replaceTagPipeline('filter.tags', from, to));
+
+    console.log(`🏷️ Tag ${from} ${merged ? 'merged into' : 'renamed to'} ${to}`);
+    return { merged, files: counts[0], clips: counts[1] };
+};
+
+/**
+ * Remove a tag from all of a user's files, clips and collections
+ * @param {ObjectId} userId - Owner
+ * @param {string} tag - Tag to remove (normalized)
+ * @returns {Promise<Object|null>} - { files, clips }, null if the tag isn't used
+ */
+export const deleteTag = async (userId, tag) => {
+    const [files, clips] = await Promise.all([File, Clipboard].map(Model =>
+        Model.updateMany({ userId, tags: tag }, { $pull: { tags: tag } }).withTrashed()));
+
+    if (files.matchedCount === 0 && clips.matchedCount === 0) return null;
+
+    await SmartCollection.updateMany({ userId, 'filter.tags': tag }, { $pull: { 'filter.tags': tag } });
+
+    console.log(`🏷️ Tag ${tag} removed from ${files.modifiedCount} files and ${clips.modifiedCount} clips`);
+    return { files: files.modifiedCount, clips: clips.modifiedCount };
+};
+
+export default {
+    getUserTags,
+    renameTag,
+    deleteTag
+};
@@ -0,0 +1,183 @@
+/**
+ * Text Extraction Service
+ * Pulls searchable text out of PDFs, DOCX documents and plain text formats
+ * (TXT, CSV, JSON). The text is stored on the file and covered by its text
+ * index; files with the same contents reuse one extraction.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import yauzl from 'yauzl';
+import { getStorage } from './storageService.js';
+import { partialDir } from '../middleware/upload.js';
+import { runTool } from '../utils/runTool.js';
+import { SEARCH_CONFIG, TEXT_STATUS, SCAN_STATUS } from '../config/constants.js';
+
+// Plain text formats read as UTF-8
+const TEXT_TYPES = ['text/plain', 'text/csv', 'application/json', 'text/markdown'];
+
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Extractions run one at a time
+let queue = Promise.resolve();
+
+/**
+ * Get the extractor for a file type
+ * @param {string} mimeType - Detected MIME type
+ * @returns {string|null} - 'text', 'pdf', 'docx' or null if unsupported
+ */
+const getExtractor = (mimeType) => {
+    if (TEXT_TYPES.includes(mimeType)) return 'text';
+    if (mimeType === 'application/pdf') return 'pdf';
+    if (mimeType === DOCX_TYPE) return 'docx';
+    return null;
+};
+
+/**
+ * Decode the XML entities Word writes in document text
+ * @param {string} text - Text with entities
+ * @returns {string}
+ */
+const decodeEntities = (text) => text
+    .replace(/&#x([0-9a-f]+);/gi, (_, hex) => String.fromCodePoint(parseInt(hex, 16)))
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * Read the body text of a DOCX document (word/document.xml)
+ * @param {string} sourcePath - Local copy of the document
+ * @returns {Promise<string>}
+ */
+const readDocx = async (sourcePath) => {
+    const zipfile = await yauzl.openPromise(sourcePath, { autoClose: false });
+
+    try {
+        for await (const entry of zipfile.eachEntry()) {
+            if (entry.fileName !== 'word/document.xml') continue;
+            if (entry.uncompressedSize > SEARCH_CONFIG.MAX_FILE_SIZE) {
+                throw new Error('Document body is too large');
+            }
+
+            const chunks = [];
+            for await (const chunk of await zipfile.openReadStreamPromise(entry)) chunks.push(chunk);
+
+            // Paragraphs and breaks become line breaks, tabs stay tabs, tags go
+            const xml = Buffer.concat(chunks).toString('utf8');
+            return decodeEntities(xml
+                .replace(/<\/w:p>|<w:br\/>/g, '\n')
+                .replace(/<w:tab\/>/g, '\t')
+                .replace(/<[^>]+>/g, ''));
+        }
+        return '';
+    } finally {
+        zipfile.close();
+    }
+};
+
+/**
+ * Extract the text of a local copy
+ * @param {string} extractor - 'text', 'pdf' or 'docx'
+ * @param {string} sourcePath - Local copy of the contents
+ * @returns {Promise<string>}
+ */
+const extractText = async (extractor, sourcePath) => {
+    switch (extractor) {
+        case 'text':
+            return (await fs.readFile(sourcePath, 'utf8')).replace(/^\uFEFF/, '');
+        case 'pdf':
+            // All pages as UTF-8, written to stdout
+            return (await runTool(SEARCH_CONFIG.PDFTOTEXT_PATH, SEARCH_CONFIG.TIMEOUT_MS, [
+                '-enc', 'UTF-8',
+                '-q',
+                sourcePath,
+                '-'
+            ])).toString('utf8');
+        case 'docx':
+            return readDocx(sourcePath);
+        default:
+            throw new Error(`Unknown extractor: ${extractor}`);
+    }
+};
+
+/**
+ * Extract and store the searchable text of a file
+ * Only clean files are read; files still being scanned stay pending.
+ * @param {File} file - File document
+ * @returns {Promise<string>} - New text status
+ */
+export const indexFileText = async (file) => {
+    const File = mongoose.model('File');
+
+    if (file.scanStatus !== SCAN_STATUS.CLEAN) return file.textStatus;
+
+    const setStatus = async (textStatus, contentText = null) => {
+        await File.updateOne({ _id: file._id }, { textStatus, contentText }).withTrashed();
+        file.textStatus = textStatus;
+        return textStatus;
+    };
+
+    const extractor = getExtractor(file.detectedType || file.mimeType);
+    if (!extractor || file.fileSize > SEARCH_CONFIG.MAX_FILE_SIZE) {
+        return setStatus(TEXT_STATUS.UNSUPPORTED);
+    }
+
+    // Extracted for another file with the same contents
+    if (file.blobId) {
+        const twin = await File.findOne({
+            _id: { $ne: file._id },
+            blobId: file.blobId,
+            textStatus: TEXT_STATUS.READY
+        }).select('+contentText').withTrashed();
+
+        if (twin) return setStatus(TEXT_STATUS.READY, twin.contentText);
+    }
+
+    const sourcePath = path.join(partialDir, `text-${crypto.randomUUID()}${file.extension}`);
+
+    try {
+        await pipeline(await getStorage().get(file.filePath), createWriteStream(sourcePath));
+        const text = await extractText(extractor, sourcePath);
+
+        // Collapse runs of spaces and blank lines
+        const contentText = text
+            .replace(/[ \t\f\v\r]+/g, ' ')
+            .replace(/\s*\n\s*/g, '\n')
+            .trim()
+            .slice(0, SEARCH_CONFIG.MAX_TEXT_LENGTH);
+
+        return setStatus(TEXT_STATUS.READY, contentText);
+    } catch (error) {
+        console.warn(`⚠️ Text extraction failed for ${file.originalName}: ${error.message}`);
+        return setStatus(TEXT_STATUS.FAILED);
+    } finally {
+        await fs.unlink(sourcePath).catch(() => { });
+    }
+};
+
+/**
+ * Queue text extraction for a file
+ * Jobs run one after another in the background; the promise never rejects.
+ * @param {File} file - File document
+ * @returns {Promise<string>} - New text status
+ */
+export const queueTextExtraction = (file) => {
+    const job = queue.then(() => indexFileText(file)).catch((error) => {
+        console.error('❌ Text extraction queue error:', error.message);
+        return file.textStatus;
+    });
+    queue = job;
+    return job;
+};
+
+export default {
+    indexFileText,
+    queueTextExtraction
+};
@@ -0,0 +1,174 @@
+/**
+ * Thumbnail Service
+ * Renders small WebP thumbnails for images, video poster frames and the first
+ * page of PDFs. Thumbnails belong to the blob (stored next to its contents) so
+ * duplicate uploads share them.
+ */
+
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+import path from 'path';
+import fs from 'fs/promises';
+import { createWriteStream } from 'fs';
+import { pipeline } from 'stream/promises';
+import sharp from 'sharp';
+import { getStorage } from './storageService.js';
+import { partialDir } from '../middleware/upload.js';
+import { runTool } from '../utils/runTool.js';
+import { THUMBNAIL_CONFIG, THUMBNAIL_STATUS, SCAN_STATUS } from '../config/constants.js';
+
+// Raster images sharp can read
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+
+// Thumbnails are rendered one at a time
+let queue = Promise.resolve();
+
+/**
+ * Get the renderer for a file type
+ * @param {string} mimeType - Detected MIME type
+ * @returns {string|null} - 'image', 'video', 'pdf' or null if unsupported
+ */
+const getRenderer = (mimeType) => {
+    if (IMAGE_TYPES.includes(mimeType)) return 'image';
+    if (mimeType?.startsWith('video/')) return 'video';
+    if (mimeType === 'application/pdf') return 'pdf';
+    return null;
+};
+
+/**
+ * Render the source image for a thumbnail
+ * @param {string} renderer - 'image', 'video' or 'pdf'
+ * @param {string} sourcePath - Local copy of the contents
+ * @returns {Promise<Buffer|string>} - Image data or path for sharp
+ */
+const renderSource = async (renderer, sourcePath) => {
+    switch (renderer) {
+        case 'image':
+            return sourcePath;
+        case 'video':
+            // Representative frame from the start of the video
+            return runTool(THUMBNAIL_CONFIG.FFMPEG_PATH, THUMBNAIL_CONFIG.TIMEOUT_MS, [
+                '-v', 'error',
+                '-i', sourcePath,
+                '-vf', `thumbnail,scale=${THUMBNAIL_CONFIG.SIZE * 2}:-2`,
+                '-frames:v', '1',
+                '-f', 'image2pipe',
+                '-c:v', 'png',
+                'pipe:1'
+            ]);
+        case 'pdf':
+            // First page, written to stdout
+            return runTool(THUMBNAIL_CONFIG.PDFTOPPM_PATH, THUMBNAIL_CONFIG.TIMEOUT_MS, [
+                '-png',
+                '-f', '1',
+                '-l', '1',
+                '-singlefile',
+                '-scale-to', String(THUMBNAIL_CONFIG.SIZE * 2),
+                sourcePath
+            ]);
+        default:
+            throw new Error(`Unknown renderer: ${renderer}`);
+    }
+};
+
+/**
+ * Render and store the thumbnail of a blob
+ * @param {FileBlob} blob - Blob document
+ * @param {string} renderer - 'image', 'video' or 'pdf'
+ * @returns {Promise<string>} - Storage key of the thumbnail
+ */
+const renderThumbnail = async (blob, renderer) => {
+    const storage = getStorage();
+    const id = crypto.randomBytes(8).toString('hex');
+    const sourcePath = path.join(partialDir, `thumb-${id}.src`);
+    const thumbPath = path.join(partialDir, `thumb-${id}.webp`);
+
+    try {
+        // Renderers need a seekable local copy (e.g. MP4 index at the end)
+        await pipeline(await storage.get(blob.storageKey), createWriteStream(sourcePath));
+
+        const source = await renderSource(renderer, sourcePath);
+        await sharp(source, { animated: false })
+            .rotate()
+            .resize(THUMBNAIL_CONFIG.SIZE, THUMBNAIL_CONFIG.SIZE, { fit: 'inside', withoutEnlargement: true })
+            .webp({ quality: THUMBNAIL_CONFIG.QUALITY })
+            .toFile(thumbPath);
+
+        const key = `${blob.storageKey}.thumb.webp`;
+        await storage.putFile(key, thumbPath, { contentType: 'image/webp' });
+        return key;
+    } finally {
+        await fs.unlink(sourcePath).catch(() => { });
+        await fs.unlink(thumbPath).catch(() => { });
+    }
+};
+
+/**
+ * Generate the thumbnail of a file
+ * Only clean files are rendered; files still being scanned stay pending.
+ * @param {File} file - File document
+ * @returns {Promise<string>} - New thumbnail status
+ */
+export const generateThumbnail = async (file) => {
+    const File = mongoose.model('File');
+    const FileBlob = mongoose.model('FileBlob');
+
+    if (file.scanStatus !== SCAN_STATUS.CLEAN) return file.thumbnailStatus;
+
+    const setStatus = async (thumbnailStatus, filter = { _id: file._id }) => {
+        await File.updateMany(filter, { thumbnailStatus }).withTrashed();
+        file.thumbnailStatus = thumbnailStatus;
+        return thumbnailStatus;
+    };
+
+    // Files stored before deduplication have no blob to keep a thumbnail with
+    const renderer = getRenderer(file.detectedType || file.mimeType);
+    const blob = file.blobId && await FileBlob.findById(file.blobId);
+    if (!renderer || !blob) {
+        return setStatus(THUMBNAIL_STATUS.UNSUPPORTED);
+    }
+
+    // Rendered for another file with the same contents
+    if (blob.thumbnailKey) {
+        return setStatus(THUMBNAIL_STATUS.READY, { blobId: blob._id });
+    }
+
+    try {
+        const key = await renderThumbnail(blob, renderer);
+
+        // The blob may have been deleted while rendering
+        const updated = await FileBlob.findOneAndUpdate(
+            { _id: blob._id, thumbnailKey: null },
+            { thumbnailKey: key }
+        );
+        if (!updated) {
+            await getStorage().delete(key).catch(() => { });
+            return file.thumbnailStatus;
+        }
+
+        return setStatus(THUMBNAIL_STATUS.READY, { blobId: blob._id });
+    } catch (error) {
+        console.warn(`⚠️ Thumbnail failed for ${file.originalName}: ${error.message}`);
+        return setStatus(THUMBNAIL_STATUS.FAILED);
+    }
+};
+
+/**
+ * Queue thumbnail generation for a file
+ * Jobs run one after another in the background; the promise never rejects.
+ * @param {File} file - File document
+ * @returns {Promise<string>} - New thumbnail status
+ */
+export const queueThumbnail = (file) => {
+    const job = queue.then(() => generateThumbnail(file)).catch((error) => {
+        console.error('❌ Thumbnail queue error:', error.message);
+        return file.thumbnailStatus;
+    });
+    queue = job;
+    return job;
+};
+
+export default {
+    generateThumbnail,
+    queueThumbnail
+};
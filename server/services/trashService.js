@@ -0,0 +1,105 @@
+/**
+ * Trash Service
+ * Listing and permanent deletion of trashed files, folders and clips
+ *
+ * Only top-level entries are listed: contents trashed along with a folder
+ * (trashedWith set) come back or go away with that folder.
+ */
+
+import { File, Folder, Clipboard, ClipAttachment } from '../models/index.js';
+import { TRASH_CONFIG } from '../config/constants.js';
+
+/**
+ * Get when a trashed item will be purged
+ * @param {Date} deletedAt - Trash time
+ * @returns {Date}
+ */
+export const getPurgeDate = (deletedAt) => {
+    return new Date(deletedAt.getTime() + TRASH_CONFIG.RETENTION_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * List a user's trash, newest first
+ * @param {ObjectId} userId - User ID
+ * @returns {Promise<Object>} - { files, folders, clips }
+ */
+export const listTrash = async (userId) => {
+    const filter = { userId, deletedAt: { $ne: null }, trashedWith: null };
+
+    const [files, folders, clips] = await Promise.all([
+        File.find(filter).sort({ deletedAt: -1 }),
+        Folder.find(filter).sort({ deletedAt: -1 }),
+        Clipboard.find(filter).sort({ deletedAt: -1 }).select('-content')
+    ]);
+
+    // Folder entries show how much came along with them
+    const contents = await File.aggregate([
+        { $match: { trashedWith: { $in: folders.map(folder => folder._id) } } },
+        { $group: { _id: '$trashedWith', fileCount: { $sum: 1 }, totalSize: { $sum: '$fileSize' } } }
+    ]);
+    const contentMap = new Map(contents.map(entry => [entry._id.toString(), entry]));
+
+    const withPurgeDate = (doc, extra = {}) => ({
+        ...doc.toJSON(),
+        ...extra,
+        purgeAt: getPurgeDate(doc.deletedAt)
+    });
+
+    return {
+        files: files.map(file => withPurgeDate(file)),
+        folders: folders.map(folder => {
+            const entry = contentMap.get(folder._id.toString());
+            return withPurgeDate(folder, {
+                fileCount: entry?.fileCount || 0,
+                totalSize: entry?.totalSize || 0
+            });
+        }),
+        clips: clips.map(clip => withPurgeDate(clip))
+    };
+};
+
+/**
+ * Permanently delete trashed items
+ * Folders go first so their cascade removes the contents trashed with them.
+ * @param {Object} [filter] - Extra conditions (e.g. userId, deletedAt cutoff)
+ * @returns {Promise<Object>} - Deleted counts and freed space
+ */
+export const emptyTrash = async (filter = {}) => {
+    const query = { deletedAt: { $ne: null }, ...filter, trashedWith: null };
+    const result = { folders: 0, files: 0, clips: 0, freedSpace: 0 };
+
+    const folders = await Folder.find(query);
+    for (const folder of folders) {
+        const contents = await File.find({ trashedWith: folder._id }).withTrashed().select('fileSize');
+        result.files += contents.length;
+        result.freedSpace += contents.reduce((sum, file) => sum + file.fileSize, 0);
+
+        // Document delete cascades to subfolders and files
+        await folder.deleteOne();
+        result.folders++;
+    }
+
+    const files = await File.find(query);
+    for (const file of files) {
+        // Document delete releases the stored contents and refunds the owner's storage
+        await file.deleteOne();
+        result.files++;
+        result.freedSpace += file.fileSize;
+    }
+
+    const clips = await Clipboard.deleteMany(query);
+    result.clips = clips.deletedCount;
+
+    // Images and files of the deleted clips
+    if (result.clips > 0) {
+        await ClipAttachment.purgeOrphans(filter.userId ? { userId: filter.userId } : {});
+    }
+
+    return result;
+};
+
+export default {
+    getPurgeDate,
+    listTrash,
+    emptyTrash
+};
@@ -0,0 +1,375 @@
+/**
+ * Unfurl Service
+ * Fetches the title, description, site name, Open Graph image and favicon of
+ * link clips and caches them on the clip as its link preview.
+ *
+ * Pages are fetched from public addresses only (see utils/networkGuard.js),
+ * from the allowed ports, with a time limit, a size limit and a redirect cap.
+ */
+
+import mongoose from 'mongoose';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import zlib from 'zlib';
+import { publish } from './eventService.js';
+import { isPublicAddress, createPublicLookup } from '../utils/networkGuard.js';
+import { UNFURL_CONFIG, LINK_PREVIEW_STATUS } from '../config/constants.js';
+
+const REDIRECT_CODES = [301, 302, 303, 307, 308];
+const HTML_TYPES = ['text/html', 'application/xhtml+xml'];
+
+const DECOMPRESSORS = {
+    gzip: () => zlib.createGunzip(),
+    'x-gzip': () => zlib.createGunzip(),
+    deflate: () => zlib.createInflate(),
+    br: () => zlib.createBrotliDecompress()
+};
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…' };
+
+// Link previews are fetched one at a time
+let queue = Promise.resolve();
+
+/**
+ * Error of a page that can't be unfurled
+ * status is the link preview status it leads to (failed, blocked or unsupported).
+ */
+export class UnfurlError extends Error {
+    constructor(message, status = LINK_PREVIEW_STATUS.FAILED) {
+        super(message);
+        this.name = 'UnfurlError';
+        this.status = status;
+    }
+}
+
+/**
+ * Check a URL before fetching it
+ * @param {URL} url - Page URL
+ * @param {Object} options - { allowAddresses, allowPorts }
+ */
+const checkUrl = (url, { allowAddresses, allowPorts }) => {
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new UnfurlError(`Unsupported protocol ${url.protocol}`, LINK_PREVIEW_STATUS.UNSUPPORTED);
+    }
+    if (url.username || url.password) {
+        throw new UnfurlError('Links with credentials are not fetched', LINK_PREVIEW_STATUS.BLOCKED);
+    }
+
+    const port = Number(url.port) || (url.protocol === 'https:' ? 443 : 80);
+    if (![...UNFURL_CONFIG.ALLOWED_PORTS, ...allowPorts].includes(port)) {
+        throw new UnfurlError(`Port ${port} is not allowed`, LINK_PREVIEW_STATUS.BLOCKED);
+    }
+
+    // Addresses in the URL skip DNS, so they are checked here
+    const host = url.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host) && !isPublicAddress(host) && !allowAddresses.includes(host)) {
+        throw new UnfurlError(`${host} is not a public address`, LINK_PREVIEW_STATUS.BLOCKED);
+    }
+};
+
+/**
+ * Send a GET request
+ * @returns {Promise<IncomingMessage>}
+ */
+const sendRequest = (url, { lookup, signal }) => new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+        method: 'GET',
+        headers: {
+            'User-Agent': UNFURL_CONFIG.USER_AGENT,
+            'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.1',
+            'Accept-Encoding': 'gzip, deflate, br',
+            'Accept-Language': 'en'
+        },
+        // A fresh connection per request, made to the address the lookup checked
+        agent: false,
+        lookup,
+        signal
+    }, resolve);
+
+    request.on('error', reject);
+    request.end();
+});
+
+/**
+ * Read the start of a page, up to the end of its head
+ * @param {IncomingMessage} response - Page response
+ * @param {number} maxBytes - Most bytes read (after decompression)
+ * @returns {Promise<Buffer>}
+ */
+const readHead = async (response, maxBytes) => {
+    const encoding = (response.headers['content-encoding'] || '').trim().toLowerCase();
+    const decompress = DECOMPRESSORS[encoding];
+    if (encoding && encoding !== 'identity' && !decompress) {
+        response.destroy();
+        throw new UnfurlError(`Unsupported content encoding ${encoding}`, LINK_PREVIEW_STATUS.UNSUPPORTED);
+    }
+
+    const stream = decompress ? response.pipe(decompress()) : response;
+    if (decompress) response.on('error', (error) => stream.destroy(error));
+
+    const chunks = [];
+    let size = 0;
+    try {
+        for await (const chunk of stream) {
+            chunks.push(chunk);
+            size += chunk.length;
+
+            // The rest of the page isn't needed
+            if (size >= maxBytes || /<\/head\s*>/i.test(chunk.toString('latin1'))) break;
+        }
+    } finally {
+        response.destroy();
+        stream.destroy();
+    }
+
+    return Buffer.concat(chunks).subarray(0, maxBytes);
+};
+
+/**
+ * Fetch a web page, following redirects
+ * @returns {Promise<Object>} - { url (after redirects), body, charset }
+ */
+const fetchPage = async (url, options) => {
+    const lookup = createPublicLookup(options.allowAddresses);
+    let current = url;
+
+    for (let redirects = 0; ; redirects++) {
+        checkUrl(current, options);
+
+        let response;
+        try {
+            response = await sendRequest(current, { lookup, signal: options.signal });
+        } catch (error) {
+            if (error.code === 'ENOTPUBLIC') throw new UnfurlError(error.message, LINK_PREVIEW_STATUS.BLOCKED);
+            throw error;
+        }
+
+        if (REDIRECT_CODES.includes(response.statusCode)) {
+            response.destroy();
+            if (redirects >= UNFURL_CONFIG.MAX_REDIRECTS) {
+                throw new UnfurlError(`More than ${UNFURL_CONFIG.MAX_REDIRECTS} redirects`);
+            }
+            if (!response.headers.location) throw new UnfurlError('Redirect without a location');
+
+            current = new URL(response.headers.location, current);
+            continue;
+        }
+
+        if (response.statusCode !== 200) {
+            response.destroy();
+            throw new UnfurlError(`HTTP ${response.statusCode}`);
+        }
+
+        const [type, ...params] = (response.headers['content-type'] || '').toLowerCase().split(';');
+        if (!HTML_TYPES.includes(type.trim())) {
+            response.destroy();
+            throw new UnfurlError(`Not a web page (${type.trim() || 'no content type'})`, LINK_PREVIEW_STATUS.UNSUPPORTED);
+        }
+
+        const charset = params.map(param => param.trim()).find(param => param.startsWith('charset='))?.slice(8);
+        const body = await readHead(response, options.maxBytes);
+        return { url: current, body, charset };
+    }
+};
+
+/**
+ * Decode a page, using its meta charset when the headers have none
+ */
+const decodePage = (body, charset) => {
+    const declared = charset || /<meta[^>]+charset\s*=\s*["']?([\w-]+)/i.exec(body.subarray(0, 2048).toString('latin1'))?.[1];
+
+    try {
+        return new TextDecoder(declared || 'utf-8').decode(body);
+    } catch {
+        return new TextDecoder('utf-8').decode(body);
+    }
+};
+
+const decodeEntities = (text) => text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, name) => {
+    if (name[0] === '#') {
+        const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+/**
+ * Clean up a text value: entities decoded, whitespace collapsed, length capped
+ */
+const cleanText = (text, maxLength) => {
+    if (!text) return null;
+
+    const clean = decodeEntities(text).replace(/\s+/g, ' ').trim();
+    if (!clean) return null;
+    return clean.length > maxLength ? `${clean.slice(0, maxLength - 1)}…` : clean;
+};
+
+/**
+ * Resolve an image or icon URL against the page
+ * Only web URLs are kept; private addresses are dropped since the browser would load them.
+ */
+const cleanUrl = (value, base) => {
+    if (!value) return null;
+
+    try {
+        const url = new URL(decodeEntities(value.trim()), base);
+        const host = url.hostname.replace(/^\[|\]$/g, '');
+
+        if (!['http:', 'https:'].includes(url.protocol)) return null;
+        if (host === 'localhost' || (net.isIP(host) && !isPublicAddress(host))) return null;
+        return url.href.length <= UNFURL_CONFIG.MAX_URL_LENGTH ? url.href : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Parse the attributes of an HTML tag
+ * @param {string} tag - e.g. '<meta property="og:title" content="Hi">'
+ * @returns {Object} - Attribute values by lowercase name
+ */
+const parseAttributes = (tag) => {
+    const attributes = {};
+    const pattern = /([^\s=/<>"']+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+
+    for (const [, name, double, single, bare] of tag.matchAll(pattern)) {
+        attributes[name.toLowerCase()] = double ?? single ?? bare;
+    }
+    return attributes;
+};
+
+/**
+ * Pick the preview fields out of a page
+ * @param {string} html - Page (its head is enough)
+ * @param {URL} pageUrl - Page URL after redirects, for relative links
+ * @returns {Object} - { title, description, siteName, imageUrl, faviconUrl }
+ */
+export const parsePreview = (html, pageUrl) => {
+    const headEnd = html.search(/<\/head\s*>/i);
+    const head = headEnd === -1 ? html : html.slice(0, headEnd);
+
+    const meta = {};
+    for (const [tag] of head.matchAll(/<meta\b[^>]*>/gi)) {
+        const { property, name, itemprop, content } = parseAttributes(tag);
+        const key = (property || name || itemprop || '').toLowerCase();
+        if (key && content !== undefined && meta[key] === undefined) meta[key] = content;
+    }
+
+    // Icons first, then Apple touch icons; the site's /favicon.ico otherwise
+    const icons = [...head.matchAll(/<link\b[^>]*>/gi)]
+        .map(([tag]) => parseAttributes(tag))
+        .filter(link => link.href && /(^|\s)(icon|apple-touch-icon)(\s|$)/i.test(link.rel || ''))
+        .sort((a, b) => /apple/i.test(a.rel) - /apple/i.test(b.rel));
+
+    const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(head)?.[1];
+
+    return {
+        title: cleanText(meta['og:title'] || meta['twitter:title'] || title, UNFURL_CONFIG.MAX_TITLE_LENGTH),
+        description: cleanText(
+            meta['og:description'] || meta['twitter:description'] || meta.description,
+            UNFURL_CONFIG.MAX_DESCRIPTION_LENGTH
+        ),
+        siteName: cleanText(meta['og:site_name'] || meta['application-name'], UNFURL_CONFIG.MAX_TITLE_LENGTH),
+        imageUrl: cleanUrl(meta['og:image:secure_url'] || meta['og:image'] || meta['og:image:url'] ||
+            meta['twitter:image'] || meta['twitter:image:src'], pageUrl),
+        faviconUrl: cleanUrl(icons[0]?.href || '/favicon.ico', pageUrl)
+    };
+};
+
+/**
+ * Fetch the link preview of a URL
+ * @param {string} link - Page URL
+ * @param {Object} [options]
+ * @param {string[]} [options.allowAddresses] - Non-public addresses to allow (local test servers only)
+ * @param {number[]} [options.allowPorts] - Ports to allow besides UNFURL_CONFIG.ALLOWED_PORTS
+ * @param {number} [options.timeoutMs] - Time limit for the whole fetch
+ * @param {number} [options.maxBytes] - Most bytes of the page read
+ * @returns {Promise<Object>} - { url, title, description, siteName, imageUrl, faviconUrl }
+ * @throws {UnfurlError} - With the link preview status the failure leads to
+ */
+export const unfurlUrl = async (link, options = {}) => {
+    const {
+        allowAddresses = [],
+        allowPorts = [],
+        timeoutMs = UNFURL_CONFIG.TIMEOUT_MS,
+        maxBytes = UNFURL_CONFIG.MAX_BYTES
+    } = options;
+
+    let url;
+    try {
+        url = new URL(link.trim());
+    } catch {
+        throw new UnfurlError('Not a URL', LINK_PREVIEW_STATUS.UNSUPPORTED);
+    }
+
+    const signal = AbortSignal.timeout(timeoutMs);
+    try {
+        const page = await fetchPage(url, { allowAddresses, allowPorts, maxBytes, signal });
+        return { url: page.url.href, ...parsePreview(decodePage(page.body, page.charset), page.url) };
+    } catch (error) {
+        if (error instanceof UnfurlError) throw error;
+        if (signal.aborted) throw new UnfurlError(`Timed out after ${timeoutMs}ms`);
+        throw new UnfurlError(error.message);
+    }
+};
+
+/**
+ * Fetch and store the link preview of a clip
+ * The result is only stored if the clip still has the same link.
+ * @param {Clipboard} clip - Link clip with a pending preview
+ * @returns {Promise<string>} - New link preview status
+ */
+export const generateLinkPreview = async (clip) => {
+    const Clipboard = mongoose.model('Clipboard');
+    const link = clip.linkPreview?.url;
+    if (!link) return LINK_PREVIEW_STATUS.UNSUPPORTED;
+
+    let linkPreview;
+    try {
+        const { url, ...preview } = await unfurlUrl(link);
+        linkPreview = { status: LINK_PREVIEW_STATUS.READY, url: link, ...preview, fetchedAt: new Date() };
+    } catch (error) {
+        console.warn(`⚠️ Link preview of ${link} failed: ${error.message}`);
+        linkPreview = { status: error.status || LINK_PREVIEW_STATUS.FAILED, url: link, fetchedAt: new Date() };
+    }
+
+    const result = await Clipboard.updateOne(
+        { _id: clip._id, 'linkPreview.url': link },
+        { linkPreview }
+    ).withTrashed();
+
+    if (result.modifiedCount > 0) {
+        clip.linkPreview = linkPreview;
+        publish(clip.userId, 'clips', { action: 'updated', ids: [clip._id.toString()] });
+    }
+    return linkPreview.status;
+};
+
+/**
+ * Queue link preview generation for a clip
+ * Clips without a pending preview are skipped. Jobs run one after another in
+ * the background; the promise never rejects.
+ * @param {Clipboard} clip - Clip document
+ * @returns {Promise<string|null>} - New link preview status (null for clips without one)
+ */
+export const queueLinkPreview = (clip) => {
+    const status = clip.linkPreview?.status ?? null;
+    if (!UNFURL_CONFIG.ENABLED || status !== LINK_PREVIEW_STATUS.PENDING) return Promise.resolve(status);
+
+    const job = queue.then(() => generateLinkPreview(clip)).catch((error) => {
+        console.error('❌ Link preview queue error:', error.message);
+        return LINK_PREVIEW_STATUS.FAILED;
+    });
+    queue = job;
+    return job;
+};
+
+export default {
+    UnfurlError,
+    parsePreview,
+    unfurlUrl,
+    generateLinkPreview,
+    queueLinkPreview
+};
@@ -0,0 +1,86 @@
+/**
+ * Classifier Accuracy Utility
+ * Runs the content classifier over the labelled samples and reports its accuracy
+ *
+ * The classifier is tuned against the corpus, so every sample there has to
+ * stay correct; that's a regression check, not an accuracy estimate. Accuracy
+ * is measured on the held-out set, which the classifier is never tuned
+ * against. Exits with an error when either falls short.
+ */
+
+import { classifyContent } from './contentClassifier.js';
+import corpus from './classifierCorpus.js';
+import holdout from './classifierHoldout.js';
+
+// Share of held-out samples that must get both type and language right
+const MIN_ACCURACY = 0.9;
+
+const formatLabel = ({ contentType, language }) => language ? `${contentType}/${language}` : contentType;
+
+/**
+ * Classify every sample of a set
+ * @param {Array<Object>} samples - Labelled samples
+ * @returns {Object} - { byLabel, misses, accuracy }
+ */
+const measure = (samples) => {
+    const misses = [];
+    const byLabel = {};
+
+    for (const sample of samples) {
+        const result = classifyContent(sample.content);
+        const label = formatLabel(sample);
+        const correct = result.contentType === sample.contentType && result.language === sample.language;
+
+        byLabel[label] = byLabel[label] || { total: 0, correct: 0 };
+        byLabel[label].total++;
+
+        if (correct) {
+            byLabel[label].correct++;
+        } else {
+            misses.push({ label, result, content: sample.content });
+        }
+    }
+
+    return { byLabel, misses, accuracy: (samples.length - misses.length) / samples.length };
+};
+
+/**
+ * Print the results of a set
+ * @param {string} name - Set name
+ * @param {Array<Object>} samples - Labelled samples
+ * @returns {Object} - Results of measure
+ */
+const report = (name, samples) => {
+    const results = measure(samples);
+
+    console.log(`\n${name}\n`);
+    console.log('Label'.padEnd(24), 'Correct');
+    for (const [label, { total, correct }] of Object.entries(results.byLabel).sort()) {
+        console.log(label.padEnd(24), `${correct}/${total}`);
+    }
+
+    for (const { label, result, content } of results.misses) {
+        console.log(`\n❌ Expected ${label}, got ${formatLabel(result)}:\n${content.slice(0, 200)}`);
+    }
+
+    const correct = samples.length - results.misses.length;
+    console.log(`\n${name} accuracy: ${(results.accuracy * 100).toFixed(1)}% (${correct}/${samples.length})`);
+    return results;
+};
+
+const tuning = report('Tuning corpus', corpus);
+const heldOut = report('Held-out set', holdout);
+
+let failed = false;
+if (tuning.misses.length > 0) {
+    console.error('❌ Tuning corpus samples are misclassified');
+    failed = true;
+}
+if (heldOut.accuracy < MIN_ACCURACY) {
+    console.error(`❌ Held-out accuracy below the ${MIN_ACCURACY * 100}% minimum`);
+    failed = true;
+}
+
+if (failed) {
+    process.exit(1);
+}
@@ -0,0 +1,268 @@
+/**
+ * Content Classifier Corpus
+ * Labelled samples the classifier is tuned against; every one must be
+ * classified correctly (npm run classifier:accuracy)
+ *
+ * Add a sample here whenever a clip is misclassified, so a fix for one
+ * language can't quietly break another. Because the classifier is tuned
+ * against these, 100% here says nothing about unseen clips.
+ */
+
+export default [
+    { contentType: 'text', language: null, content: 'Hello there, meet me at the library at 5pm.' },
+    { contentType: 'text', language: null, content: 'Select the best option from the list and import it into your notes.' },
+    { contentType: 'text', language: null, content: 'Remember to buy milk, eggs and bread.\nAlso call mom tomorrow.' },
+    { contentType: 'text', language: null, content: 'The function of the heart is to pump blood. It does so continuously.' },
+    { contentType: 'text', language: null, content: 'Let me know when you are free; we can discuss the project.' },
+    { contentType: 'text', language: null, content: 'Note: the exam is on Monday.\nRoom: 204' },
+    { contentType: 'text', language: null, content: '42' },
+    { contentType: 'text', language: null, content: 'cd player broken again, need a new one' },
+    { contentType: 'link', language: null, content: 'https://example.com/path?x=1' },
+    { contentType: 'link', language: null, content: 'www.google.com' },
+    { contentType: 'link', language: null, content: 'github.com/user/repo' },
+    { contentType: 'email', language: null, content: 'john.doe@university.edu' },
+    { contentType: 'email', language: null, content: 'mailto:a@b.io' },
+    { contentType: 'json', language: 'json', content: '{"name": "x", "list": [1,2,3]}' },
+    { contentType: 'json', language: 'json', content: '[1, 2, {"a": null}]' },
+    { contentType: 'code', language: 'yaml', content: 'name: build\non:\n  push:\n    branches: [main]\njobs:\n  test:\n    runs-on: ubuntu-latest' },
+    { contentType: 'code', language: 'yaml', content: 'version: "3"\nservices:\n  web:\n    image: nginx\n    ports:\n      - "80:80"' },
+    { contentType: 'markdown', language: 'markdown', content: '# Title\n\nSome **bold** text and a [link](https://x.com).\n\n- one\n- two' },
+    { contentType: 'markdown', language: 'markdown', content: '## Notes\n\n1. First\n2. Second\n\n```js\nconst a = 1;\n```' },
+    { contentType: 'markdown', language: 'markdown', content: '| a | b |\n|---|---|\n| 1 | 2 |' },
+    { contentType: 'code', language: 'sql', content: 'SELECT id, name FROM users WHERE age > 21 ORDER BY name;' },
+    { contentType: 'code', language: 'sql', content: 'CREATE TABLE users (\n  id INTEGER PRIMARY KEY,\n  name VARCHAR(100) NOT NULL\n);' },
+    { contentType: 'code', language: 'sql', content: 'select * from orders o inner join customers c on c.id = o.customer_id where c.country = \'FR\'' },
+    { contentType: 'code', language: 'sql', content: 'INSERT INTO users (name) VALUES (\'bob\');' },
+    { contentType: 'code', language: 'bash', content: 'npm install express' },
+    { contentType: 'code', language: 'bash', content: 'git commit -m "fix"' },
+    { contentType: 'code', language: 'bash', content: '#!/bin/bash\nfor f in *.txt; do\n  echo "$f"\ndone' },
+    { contentType: 'code', language: 'bash', content: '$ ls -la /tmp | grep foo' },
+    { contentType: 'code', language: 'bash', content: 'docker run -d -p 80:80 nginx' },
+    { contentType: 'code', language: 'bash', content: 'sudo apt-get update && sudo apt-get install -y curl' },
+    { contentType: 'code', language: 'bash', content: 'cd ~/project && make build' },
+    { contentType: 'code', language: 'javascript', content: 'const add = (a, b) => a + b;\nconsole.log(add(1, 2));' },
+    { contentType: 'code', language: 'javascript', content: 'import express from \'express\';\nconst app = express();\napp.listen(3000);' },
+    { contentType: 'code', language: 'javascript', content: 'function greet(name) {\n  return `Hi ${name}`;\n}\nmodule.exports = greet;' },
+    { contentType: 'code', language: 'typescript', content: 'interface User {\n  id: number;\n  name: string;\n}\nconst u: User = { id: 1, name: "a" };' },
+    { contentType: 'code', language: 'typescript', content: 'export function sum(a: number, b: number): number {\n  return a + b;\n}' },
+    { contentType: 'code', language: 'python', content: 'def fib(n):\n    if n < 2:\n        return n\n    return fib(n-1) + fib(n-2)\n\nprint(fib(10))' },
+    { contentType: 'code', language: 'python', content: 'import numpy as np\nimport pandas as pd\ndf = pd.read_csv("x.csv")' },
+    { contentType: 'code', language: 'python', content: 'class Dog(Animal):\n    def __init__(self, name):\n        self.name = name' },
+    { contentType: 'code', language: 'python', content: 'for i in range(10):\n    print(i)' },
+    { contentType: 'code', language: 'java', content: 'public class Main {\n    public static void main(String[] args) {\n        System.out.println("Hello");\n    }\n}' },
+    { contentType: 'code', language: 'java', content: 'import java.util.List;\nimport java.util.ArrayList;\n\nList<String> items = new ArrayList<>();' },
+    { contentType: 'code', language: 'csharp', content: 'using System;\n\nnamespace App {\n    class Program {\n        static void Main(string[] args) {\n            Console.WriteLine("Hi");\n        }\n    }\n}' },
+    { contentType: 'code', language: 'csharp', content: 'public class User {\n    public string Name { get; set; }\n}' },
+    { contentType: 'code', language: 'c', content: '#include <stdio.h>\n\nint main(void) {\n    printf("hi\\n");\n    return 0;\n}' },
+    { contentType: 'code', language: 'cpp', content: '#include <iostream>\nusing namespace std;\nint main() {\n    cout << "hi" << endl;\n}' },
+    { contentType: 'code', language: 'cpp', content: 'std::vector<int> v = {1, 2, 3};\nfor (auto x : v) std::cout << x;' },
+    { contentType: 'code', language: 'go', content: 'package main\n\nimport "fmt"\n\nfunc main() {\n    fmt.Println("hi")\n}' },
+    { contentType: 'code', language: 'go', content: 'x, err := strconv.Atoi(s)\nif err != nil {\n    return err\n}' },
+    { contentType: 'code', language: 'rust', content: 'fn main() {\n    let mut v = Vec::new();\n    v.push(1);\n    println!("{:?}", v);\n}' },
+    { contentType: 'code', language: 'rust', content: 'use std::collections::HashMap;\n\npub struct Cache {\n    map: HashMap<String, u32>,\n}' },
+    { contentType: 'code', language: 'php', content: '<?php\necho "Hello";\n$x = 5;' },
+    { contentType: 'code', language: 'php', content: 'public function show($id) {\n    return $this->repo->find($id);\n}' },
+    { contentType: 'code', language: 'ruby', content: 'def hello(name)\n  puts "Hello #{name}"\nend' },
+    { contentType: 'code', language: 'ruby', content: '[1, 2, 3].each do |n|\n  puts n\nend' },
+    { contentType: 'code', language: 'kotlin', content: 'fun main() {\n    val name = "Kotlin"\n    println("Hello, $name")\n}' },
+    { contentType: 'code', language: 'kotlin', content: 'data class User(val id: Int, val name: String)' },
+    { contentType: 'code', language: 'swift', content: 'import SwiftUI\n\nstruct ContentView: View {\n    var body: some View {\n        Text("Hi")\n    }\n}' },
+    { contentType: 'code', language: 'swift', content: 'guard let url = URL(string: s) else { return }' },
+    { contentType: 'code', language: 'xml', content: '<?xml version="1.0"?>\n<note><to>Tove</to></note>' },
+    { contentType: 'code', language: 'html', content: '<!DOCTYPE html>\n<html>\n<body>\n<p>Hi</p>\n</body>\n</html>' },
+    { contentType: 'code', language: 'html', content: '<div class="card">\n  <span>Title</span>\n</div>' },
+    { contentType: 'code', language: 'css', content: '.card {\n  padding: 16px;\n  color: #fff;\n}' },
+    { contentType: 'code', language: 'css', content: '@media (max-width: 768px) {\n  .nav { display: none; }\n}' },
+    { contentType: 'text', language: null, content: 'Meeting notes:\n- discuss budget\n- plan trip\nThanks!' },
+    { contentType: 'text', language: null, content: 'Dear Professor,\nI will miss class today.\nBest regards,\nAnna' },
+    { contentType: 'text', language: null, content: 'Answer: 42. Reason: because it is.' },
+    { contentType: 'email', language: null, content: 'user@example.com, other@example.com' },
+    { contentType: 'code', language: 'javascript', content: 'let total = items.reduce((sum, i) => sum + i.price, 0);' },
+    { contentType: 'code', language: 'bash', content: 'pip install requests' },
+    { contentType: 'code', language: 'javascript', content: 'const x = 1' },
+    { contentType: 'code', language: 'python', content: 'print("hello")' },
+    { contentType: 'code', language: 'python', content: 'def foo(): pass' },
+    { contentType: 'code', language: 'bash', content: 'echo hello' },
+    { contentType: 'code', language: 'html', content: '<b>bold</b>' },
+    { contentType: 'text', language: null, content: 'Todo:\n- item' },
+    { contentType: 'text', language: null, content: 'Shopping:\n- milk\n- bread\n- apples' },
+    { contentType: 'text', language: null, content: 'Name: Priya Shah\nID: 20231187\nCourse: CS201' },
+    { contentType: 'text', language: null, content: 'Monday: math\nTuesday: physics\nWednesday: chemistry' },
+    { contentType: 'text', language: null, content: 'git gud lol' },
+    { contentType: 'markdown', language: 'markdown', content: 'See [the docs](https://example.com/docs) for details.' },
+    { contentType: 'markdown', language: 'markdown', content: '> Note: this is **important**.\n\nRead it twice.' },
+    { contentType: 'markdown', language: 'markdown', content: '# Title\n\nIntro paragraph.\n\n## Section\n\nMore text.' },
+    { contentType: 'code', language: 'javascript', content: 'var limit = 10' },
+    { contentType: 'code', language: 'javascript', content: 'let count = 0;' },
+    { contentType: 'code', language: 'javascript', content: 'app.get("/", (req, res) => {\n  res.send("ok");\n});' },
+    { contentType: 'code', language: 'javascript', content: 'items.filter(x => x.done).map(x => x.id)' },
+    { contentType: 'code', language: 'python', content: 'print(len(words))' },
+    { contentType: 'code', language: 'python', content: 'def square(x): return x * x' },
+    { contentType: 'code', language: 'python', content: 'x = [i * i for i in range(10)]' },
+    { contentType: 'code', language: 'python', content: 'with open("data.txt") as f:\n    lines = f.readlines()' },
+    { contentType: 'code', language: 'python', content: 'try:\n    n = int(s)\nexcept ValueError:\n    n = 0' },
+    { contentType: 'code', language: 'python', content: 'while True:\n    line = input()\n    if not line:\n        break' },
+    { contentType: 'code', language: 'java', content: 'public static int max(int a, int b) {\n    return a > b ? a : b;\n}' },
+    { contentType: 'code', language: 'csharp', content: 'using System.Linq;\n\nvar evens = nums.Where(n => n % 2 == 0).ToList();' },
+    { contentType: 'code', language: 'c', content: 'printf("%d\\n", x);' },
+    { contentType: 'code', language: 'c', content: 'typedef struct Node {\n    int value;\n    struct Node *next;\n} Node;' },
+    { contentType: 'code', language: 'php', content: '$name = $_GET["name"];\necho $name;' },
+    { contentType: 'code', language: 'ruby', content: 'puts "hello"' },
+    { contentType: 'code', language: 'ruby', content: 'require "json"\ndata = JSON.parse(text)' },
+    { contentType: 'code', language: 'kotlin', content: 'val list = listOf(1, 2, 3)' },
+    { contentType: 'code', language: 'sql', content: 'select count(*) from orders where status = \'paid\'' },
+    { contentType: 'code', language: 'bash', content: 'echo $HOME' },
+    { contentType: 'code', language: 'bash', content: 'ls -la' },
+    { contentType: 'code', language: 'bash', content: 'cd ..' },
+    { contentType: 'code', language: 'bash', content: 'grep -rn "TODO" src/' },
+    { contentType: 'code', language: 'bash', content: 'export PATH="$HOME/bin:$PATH"' },
+    { contentType: 'code', language: 'bash', content: 'for i in 1 2 3; do echo $i; done' },
+    { contentType: 'code', language: 'html', content: '<em>note</em>' },
+    { contentType: 'code', language: 'css', content: 'body { margin: 0; }' },
+    { contentType: 'text', language: null, content: 'ok' },
+    { contentType: 'text', language: null, content: 'thanks!' },
+    { contentType: 'text', language: null, content: 'See you at 6' },
+    { contentType: 'text', language: null, content: 'Room 301, 2nd floor' },
+    { contentType: 'text', language: null, content: 'wifi password is campus2024' },
+    { contentType: 'text', language: null, content: 'Can you send me the slides from today?' },
+    { contentType: 'text', language: null, content: 'The lab report is due Friday at noon. Late submissions lose 10% per day.' },
+    { contentType: 'text', language: null, content: 'Print the form, sign it and bring it to the office.' },
+    { contentType: 'text', language: null, content: 'Import duties apply to orders over $150.' },
+    { contentType: 'text', language: null, content: 'Let x be the number of apples; then 3x + 2 = 11.' },
+    { contentType: 'text', language: null, content: 'Class starts at 9. Bring your calculator.' },
+    { contentType: 'text', language: null, content: 'Make sure to echo the main points in the conclusion.' },
+    { contentType: 'text', language: null, content: 'go to the gym after class' },
+    { contentType: 'text', language: null, content: 'cat food, litter, treats' },
+    { contentType: 'text', language: null, content: 'Phone: +1 555 0100' },
+    { contentType: 'text', language: null, content: 'Order #4411 shipped' },
+    { contentType: 'text', language: null, content: 'Chapter 4 summary\n\nCells divide by mitosis. The phases are prophase, metaphase, anaphase and telophase.' },
+    { contentType: 'text', language: null, content: 'Hi all,\n\nThe study group moves to Thursday this week.\n\nCheers,\nSam' },
+    { contentType: 'text', language: null, content: 'To do:\n- finish essay\n- email advisor\n- return library books' },
+    { contentType: 'text', language: null, content: 'Packing list\n- charger\n- passport\n- socks' },
+    { contentType: 'text', language: null, content: 'Steps:\n1. Log in\n2. Open settings\n3. Click reset' },
+    { contentType: 'text', language: null, content: 'Quote of the day: "Stay hungry, stay foolish."' },
+    { contentType: 'text', language: null, content: 'TODO: call the landlord about the heater' },
+    { contentType: 'text', language: null, content: 'if you are reading this, the meeting moved to room 12' },
+    { contentType: 'text', language: null, content: 'For each student, record the grade and the date.' },
+    { contentType: 'text', language: null, content: 'Return the book by Monday or you will be charged a fee.' },
+    { contentType: 'text', language: null, content: 'The answer is (a) because the function is increasing on [0, 1].' },
+    { contentType: 'text', language: null, content: 'Total: $23.50 (split 3 ways = $7.83 each)' },
+    { contentType: 'text', language: null, content: 'Remember: no class next week!' },
+    { contentType: 'text', language: null, content: 'Deadline moved -> March 3rd' },
+    { contentType: 'text', language: null, content: '3.14159' },
+    { contentType: 'text', language: null, content: 'A-B-C-D-E' },
+    { contentType: 'text', language: null, content: 'Groceries:\n- rice\n- onions\n- olive oil' },
+    { contentType: 'text', language: null, content: 'Email: see below\nPhone: 555 0199\nOffice: B204' },
+    { contentType: 'text', language: null, content: 'Lunch: pasta\nDinner: soup' },
+    { contentType: 'text', language: null, content: 'brb lol' },
+    { contentType: 'link', language: null, content: 'https://docs.python.org/3/library/functions.html' },
+    { contentType: 'link', language: null, content: 'http://localhost:3000/dashboard' },
+    { contentType: 'link', language: null, content: 'https://meet.google.com/abc-defg-hij' },
+    { contentType: 'link', language: null, content: 'https://www.youtube.com/watch?v=dQw4w9WgXcQ&t=42s' },
+    { contentType: 'link', language: null, content: 'www.wikipedia.org/wiki/Graph_theory' },
+    { contentType: 'link', language: null, content: 'stackoverflow.com/questions/11227809' },
+    { contentType: 'link', language: null, content: 'https://example.edu/syllabus.pdf' },
+    { contentType: 'link', language: null, content: '  https://github.com/org/repo/pull/12  ' },
+    { contentType: 'email', language: null, content: 'prof.smith@college.edu' },
+    { contentType: 'email', language: null, content: 'a.b+notes@gmail.com' },
+    { contentType: 'email', language: null, content: 'ta1@uni.ac.uk; ta2@uni.ac.uk' },
+    { contentType: 'email', language: null, content: 'first@x.org\nsecond@y.org' },
+    { contentType: 'json', language: 'json', content: '{"ok": true}' },
+    { contentType: 'json', language: 'json', content: '{\n  "name": "campus-share",\n  "version": "1.0.0",\n  "private": true\n}' },
+    { contentType: 'json', language: 'json', content: '[]' },
+    { contentType: 'json', language: 'json', content: '[{"id": 1, "tags": ["a", "b"]}, {"id": 2, "tags": []}]' },
+    { contentType: 'json', language: 'json', content: '{"user": {"name": "Ann", "roles": ["admin"]}, "active": false}' },
+    { contentType: 'markdown', language: 'markdown', content: '# Lab 3\n\nMeasure the **period** of the pendulum.' },
+    { contentType: 'markdown', language: 'markdown', content: '## Setup\n\n```bash\nnpm install\n```' },
+    { contentType: 'markdown', language: 'markdown', content: '### Week 2\n- Read chapter 3\n- Quiz on **Friday**' },
+    { contentType: 'markdown', language: 'markdown', content: '| Name | Score |\n|------|-------|\n| Ann  | 90    |\n| Bob  | 85    |' },
+    { contentType: 'markdown', language: 'markdown', content: 'Run `npm test` before pushing. See [CONTRIBUTING](CONTRIBUTING.md).' },
+    { contentType: 'markdown', language: 'markdown', content: 'Check the [syllabus](https://uni.edu/cs101) before Monday.' },
+    { contentType: 'markdown', language: 'markdown', content: '> "Be kind."\n\n— *Anonymous*' },
+    { contentType: 'markdown', language: 'markdown', content: '# Week 5\n\n## Reading\n\nChapter 7.' },
+    { contentType: 'code', language: 'yaml', content: 'server:\n  port: 8080\n  host: 0.0.0.0\nlogging:\n  level: debug' },
+    { contentType: 'code', language: 'yaml', content: 'apiVersion: v1\nkind: Service\nmetadata:\n  name: web\nspec:\n  ports:\n    - port: 80' },
+    { contentType: 'code', language: 'yaml', content: '- name: install deps\n  run: npm ci\n- name: test\n  run: npm test' },
+    { contentType: 'code', language: 'yaml', content: 'language: node_js\nnode_js:\n  - "18"\nscript: npm test' },
+    { contentType: 'code', language: 'javascript', content: 'console.log("hi")' },
+    { contentType: 'code', language: 'javascript', content: 'document.getElementById("app").innerHTML = "";' },
+    { contentType: 'code', language: 'javascript', content: 'const res = await fetch(url);\nconst data = await res.json();' },
+    { contentType: 'code', language: 'javascript', content: 'export default function App() {\n  return null;\n}' },
+    { contentType: 'code', language: 'javascript', content: 'const { name, age } = user;\nif (age === 18) {\n  alert(name);\n}' },
+    { contentType: 'code', language: 'javascript', content: 'const fs = require("fs");' },
+    { contentType: 'code', language: 'javascript', content: 'const name = "Sam";' },
+    { contentType: 'code', language: 'javascript', content: 'let done = false' },
+    { contentType: 'code', language: 'javascript', content: 'router.post("/login", async (req, res) => {\n  res.json({ ok: true });\n});' },
+    { contentType: 'code', language: 'javascript', content: 'users.map(u => u.email).join(", ")' },
+    { contentType: 'code', language: 'typescript', content: 'type Props = { title: string; count?: number };' },
+    { contentType: 'code', language: 'typescript', content: 'const port: number = 3000;' },
+    { contentType: 'code', language: 'typescript', content: 'interface Todo {\n  id: string;\n  done: boolean;\n}' },
+    { contentType: 'code', language: 'typescript', content: 'function parse(input: string): Record<string, number> {\n  return JSON.parse(input);\n}' },
+    { contentType: 'code', language: 'python', content: 'import os' },
+    { contentType: 'code', language: 'python', content: 'from collections import Counter' },
+    { contentType: 'code', language: 'python', content: 'def area(r):\n    return 3.14 * r ** 2' },
+    { contentType: 'code', language: 'python', content: 'if __name__ == "__main__":\n    main()' },
+    { contentType: 'code', language: 'python', content: 'import matplotlib.pyplot as plt\nplt.plot(xs, ys)\nplt.show()' },
+    { contentType: 'code', language: 'python', content: 'print(total)' },
+    { contentType: 'code', language: 'python', content: 'def add(a, b): return a + b' },
+    { contentType: 'code', language: 'python', content: 'evens = [n for n in nums if n % 2 == 0]' },
+    { contentType: 'code', language: 'python', content: 'with open("out.csv", "w") as out:\n    out.write(row)' },
+    { contentType: 'code', language: 'python', content: 'try:\n    value = float(text)\nexcept ValueError:\n    value = None' },
+    { contentType: 'code', language: 'python', content: 'while n > 0:\n    n -= 1' },
+    { contentType: 'code', language: 'java', content: 'System.out.println("Hello");' },
+    { contentType: 'code', language: 'java', content: 'import java.util.Scanner;\n\nScanner sc = new Scanner(System.in);\nint n = sc.nextInt();' },
+    { contentType: 'code', language: 'java', content: '@Override\npublic String toString() {\n    return name;\n}' },
+    { contentType: 'code', language: 'java', content: 'private static boolean isEven(int n) {\n    return n % 2 == 0;\n}' },
+    { contentType: 'code', language: 'csharp', content: 'Console.WriteLine("Hello");' },
+    { contentType: 'code', language: 'csharp', content: 'public int Age { get; set; }' },
+    { contentType: 'code', language: 'csharp', content: 'using System.Collections.Generic;\n\nvar names = new List<string>();' },
+    { contentType: 'code', language: 'c', content: '#include <stdlib.h>\n\nint *arr = malloc(n * sizeof(int));' },
+    { contentType: 'code', language: 'cpp', content: 'std::cout << "hi" << std::endl;' },
+    { contentType: 'code', language: 'cpp', content: '#include <vector>\n#include <algorithm>\n\nstd::sort(v.begin(), v.end());' },
+    { contentType: 'code', language: 'cpp', content: 'template <typename T>\nT maxOf(T a, T b) { return a > b ? a : b; }' },
+    { contentType: 'code', language: 'c', content: 'printf("Total: %d\\n", total);' },
+    { contentType: 'code', language: 'c', content: 'typedef struct {\n    int x;\n    int y;\n} Point;' },
+    { contentType: 'code', language: 'go', content: 'fmt.Println("hi")' },
+    { contentType: 'code', language: 'go', content: 'func add(a int, b int) int {\n\treturn a + b\n}' },
+    { contentType: 'code', language: 'go', content: 'resp, err := http.Get(url)\nif err != nil {\n\tlog.Fatal(err)\n}' },
+    { contentType: 'code', language: 'rust', content: 'println!("hi");' },
+    { contentType: 'code', language: 'rust', content: 'let mut total = 0;' },
+    { contentType: 'code', language: 'rust', content: 'fn square(x: i32) -> i32 {\n    x * x\n}' },
+    { contentType: 'code', language: 'rust', content: 'impl Point {\n    pub fn new(x: f64, y: f64) -> Self {\n        Point { x, y }\n    }\n}' },
+    { contentType: 'code', language: 'php', content: '<?php echo "hi"; ?>' },
+    { contentType: 'code', language: 'php', content: 'class UserController {\n    public function index() {\n        return $this->view("users");\n    }\n}' },
+    { contentType: 'code', language: 'php', content: '$id = (int) $_POST["id"];' },
+    { contentType: 'code', language: 'ruby', content: 'class Cat < Animal\n  attr_reader :name\nend' },
+    { contentType: 'code', language: 'ruby', content: 'puts "Total: #{total}"' },
+    { contentType: 'code', language: 'ruby', content: 'require "csv"\nrows = CSV.read("data.csv")' },
+    { contentType: 'code', language: 'kotlin', content: 'fun greet(name: String): String {\n    return "Hi $name"\n}' },
+    { contentType: 'code', language: 'swift', content: 'import Foundation\n\nlet date = Date()' },
+    { contentType: 'code', language: 'swift', content: 'if let name = user.name {\n    print(name)\n}' },
+    { contentType: 'code', language: 'kotlin', content: 'val names = mutableListOf<String>()' },
+    { contentType: 'code', language: 'sql', content: 'SELECT * FROM students;' },
+    { contentType: 'code', language: 'sql', content: 'UPDATE users SET active = 0 WHERE last_login < \'2023-01-01\';' },
+    { contentType: 'code', language: 'sql', content: 'DELETE FROM sessions WHERE expires_at < NOW();' },
+    { contentType: 'code', language: 'sql', content: 'ALTER TABLE courses ADD COLUMN credits INTEGER DEFAULT 3;' },
+    { contentType: 'code', language: 'sql', content: 'select name, email from students where year = 2' },
+    { contentType: 'code', language: 'bash', content: 'git status' },
+    { contentType: 'code', language: 'bash', content: 'npm run dev' },
+    { contentType: 'code', language: 'bash', content: 'ssh student@lab.cs.example.edu' },
+    { contentType: 'code', language: 'bash', content: 'python3 -m venv .venv && source .venv/bin/activate' },
+    { contentType: 'code', language: 'bash', content: 'curl -X POST -H "Content-Type: application/json" -d \'{"a":1}\' http://localhost:5000/api' },
+    { contentType: 'code', language: 'bash', content: 'mkdir -p build && cd build && cmake ..' },
+    { contentType: 'code', language: 'bash', content: 'echo "done"' },
+    { contentType: 'code', language: 'bash', content: 'ls ~/Downloads' },
+    { contentType: 'code', language: 'bash', content: 'cd ~/projects/campus-share' },
+    { contentType: 'code', language: 'bash', content: 'grep -i error app.log' },
+    { contentType: 'code', language: 'bash', content: 'export NODE_ENV=production' },
+    { contentType: 'code', language: 'bash', content: 'while read line; do echo "$line"; done < list.txt' },
+    { contentType: 'code', language: 'html', content: '<a href="https://example.com">link</a>' },
+    { contentType: 'code', language: 'html', content: '<ul>\n  <li>One</li>\n  <li>Two</li>\n</ul>' },
+    { contentType: 'code', language: 'html', content: '<form action="/login" method="post">\n  <input name="user">\n  <button>Go</button>\n</form>' },
+    { contentType: 'code', language: 'html', content: '<img src="cat.png" alt="cat">' },
+    { contentType: 'code', language: 'xml', content: '<?xml version="1.0" encoding="UTF-8"?>\n<project>\n  <version>1.0</version>\n</project>' },
+    { contentType: 'code', language: 'css', content: '.btn:hover {\n  background: #333;\n  cursor: pointer;\n}' },
+    { contentType: 'code', language: 'css', content: '#header, .nav > li {\n  display: flex;\n  gap: 8px;\n}' },
+    { contentType: 'code', language: 'html', content: '<strong>Warning:</strong> read this first' },
+    { contentType: 'code', language: 'css', content: 'h1 { font-size: 2rem; color: navy; }' }
+];
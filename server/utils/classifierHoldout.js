@@ -0,0 +1,164 @@
+/**
+ * Content Classifier Held-out Set
+ * Labelled samples the classifier is never tuned against; accuracy is
+ * reported on these (npm run classifier:accuracy)
+ *
+ * These were written after the last classifier change and committed before
+ * the classifier was run on them. Don't change the classifier to fix a
+ * sample here: add a similar sample to classifierCorpus.js and fix that one,
+ * and replace held-out samples only with new ones the classifier hasn't seen.
+ */
+
+export default [
+    // Plain text
+    { contentType: 'text', language: null, content: 'yes' },
+    { contentType: 'text', language: null, content: 'on my way' },
+    { contentType: 'text', language: null, content: 'Bus 42 leaves at 7:15' },
+    { contentType: 'text', language: null, content: 'locker code 4471' },
+    { contentType: 'text', language: null, content: 'Did anyone take notes in the stats lecture?' },
+    { contentType: 'text', language: null, content: 'The midterm covers chapters 1 to 5, including the optional reading.' },
+    { contentType: 'text', language: null, content: 'Return the keys to reception before you leave.' },
+    { contentType: 'text', language: null, content: 'Export the grades as a spreadsheet and send them to me.' },
+    { contentType: 'text', language: null, content: 'Define the problem first, then list possible solutions.' },
+    { contentType: 'text', language: null, content: 'Class is cancelled today; the TA will post the slides.' },
+    { contentType: 'text', language: null, content: 'copy the homework from the board' },
+    { contentType: 'text', language: null, content: 'print shop closes at 8' },
+    { contentType: 'text', language: null, content: 'Abstract\n\nWe study the effect of sleep on memory in undergraduate students. Results show a clear improvement after eight hours.' },
+    { contentType: 'text', language: null, content: 'Hey team,\n\nI pushed the draft to the shared folder. Please review by Wednesday.\n\nThanks,\nLeo' },
+    { contentType: 'text', language: null, content: 'Books to borrow:\n- Linear Algebra Done Right\n- The Pragmatic Programmer' },
+    { contentType: 'text', language: null, content: 'Weekend plans\n- laundry\n- groceries\n- call grandma' },
+    { contentType: 'text', language: null, content: 'Agenda:\n1. Budget\n2. Event dates\n3. Any other business' },
+    { contentType: 'text', language: null, content: 'Room: 2.14\nTime: 10:00\nLecturer: Dr. Okafor' },
+    { contentType: 'text', language: null, content: 'Breakfast: oats\nLunch: salad\nDinner: curry' },
+    { contentType: 'text', language: null, content: 'Reminder: lab coats are required from next week.' },
+    { contentType: 'text', language: null, content: 'x = 5 is the solution to the first equation' },
+    { contentType: 'text', language: null, content: 'while you are at the store, grab some coffee' },
+    { contentType: 'text', language: null, content: 'Total: $23.50 (split 3 ways)' },
+    { contentType: 'text', language: null, content: '1984' },
+
+    // Links
+    { contentType: 'link', language: null, content: 'https://docs.google.com/document/d/1aBcD/edit' },
+    { contentType: 'link', language: null, content: 'http://127.0.0.1:8080/admin/users' },
+    { contentType: 'link', language: null, content: 'https://www.youtube.com/watch?v=abc123' },
+    { contentType: 'link', language: null, content: 'https://university.edu/library/hours#weekend' },
+    { contentType: 'link', language: null, content: 'stackoverflow.com/questions/12345' },
+
+    // Email addresses
+    { contentType: 'email', language: null, content: 'registrar@campus.edu' },
+    { contentType: 'email', language: null, content: 'maria_lopez99@gmail.com' },
+    { contentType: 'email', language: null, content: 'mailto:help@it.university.edu' },
+
+    // JSON
+    { contentType: 'json', language: 'json', content: '{"id": 7, "done": false}' },
+    { contentType: 'json', language: 'json', content: '{\n  "course": "CS101",\n  "students": 120,\n  "tags": ["intro", "python"]\n}' },
+    { contentType: 'json', language: 'json', content: '[{"name": "Ana"}, {"name": "Ben"}]' },
+    { contentType: 'json', language: 'json', content: '{"nested": {"deep": {"value": 1.5}}}' },
+
+    // Markdown
+    { contentType: 'markdown', language: 'markdown', content: '# Lab 3\n\nMeasure the **pendulum** period five times.\n\n- Record each value\n- Average them' },
+    { contentType: 'markdown', language: 'markdown', content: 'Slides are [here](https://example.edu/slides.pdf).' },
+    { contentType: 'markdown', language: 'markdown', content: '## Setup\n\nRun this first:\n\n```bash\nnpm install\n```' },
+    { contentType: 'markdown', language: 'markdown', content: '| Day | Room |\n|-----|------|\n| Mon | 101 |\n| Tue | 204 |' },
+    { contentType: 'markdown', language: 'markdown', content: '> Read chapter 2 before class.\n\nBring **questions**.' },
+    { contentType: 'markdown', language: 'markdown', content: 'Use `git status` to check your changes and **commit** often.' },
+
+    // YAML
+    { contentType: 'code', language: 'yaml', content: 'database:\n  host: localhost\n  port: 5432\n  name: campus' },
+    { contentType: 'code', language: 'yaml', content: 'steps:\n  - uses: actions/checkout@v4\n  - run: npm test' },
+    { contentType: 'code', language: 'yaml', content: 'logging:\n  level: debug\n  files:\n    - app.log\n    - error.log' },
+
+    // JavaScript
+    { contentType: 'code', language: 'javascript', content: 'const total = prices.reduce((a, b) => a + b, 0);' },
+    { contentType: 'code', language: 'javascript', content: 'let i = 0' },
+    { contentType: 'code', language: 'javascript', content: 'console.log("ready")' },
+    { contentType: 'code', language: 'javascript', content: 'function greet(name) {\n  return `Hello, ${name}`;\n}' },
+    { contentType: 'code', language: 'javascript', content: 'import express from "express";\nconst app = express();' },
+    { contentType: 'code', language: 'javascript', content: 'document.querySelector("#btn").addEventListener("click", onClick);' },
+    { contentType: 'code', language: 'javascript', content: 'fetch("/api/data").then(res => res.json()).then(show);' },
+    { contentType: 'code', language: 'javascript', content: 'module.exports = { sum, average };' },
+
+    // TypeScript
+    { contentType: 'code', language: 'typescript', content: 'interface Point {\n  x: number;\n  y: number;\n}' },
+    { contentType: 'code', language: 'typescript', content: 'function sum(a: number, b: number): number {\n  return a + b;\n}' },
+    { contentType: 'code', language: 'typescript', content: 'type Status = "open" | "closed";' },
+
+    // Python
+    { contentType: 'code', language: 'python', content: 'print("done")' },
+    { contentType: 'code', language: 'python', content: 'def mean(xs): return sum(xs) / len(xs)' },
+    { contentType: 'code', language: 'python', content: 'import numpy as np' },
+    { contentType: 'code', language: 'python', content: 'squares = {n: n * n for n in range(5)}' },
+    { contentType: 'code', language: 'python', content: 'for name in names:\n    print(name)' },
+    { contentType: 'code', language: 'python', content: 'class Student:\n    def __init__(self, name):\n        self.name = name' },
+    { contentType: 'code', language: 'python', content: 'if x > 10:\n    print("big")\nelse:\n    print("small")' },
+    { contentType: 'code', language: 'python', content: 'df = pd.read_csv("grades.csv")\nprint(df.head())' },
+
+    // Java
+    { contentType: 'code', language: 'java', content: 'System.out.printf("%d items%n", count);' },
+    { contentType: 'code', language: 'java', content: 'public class Main {\n    public static void main(String[] args) {\n    }\n}' },
+    { contentType: 'code', language: 'java', content: 'import java.util.ArrayList;\n\nList<String> names = new ArrayList<>();' },
+    { contentType: 'code', language: 'java', content: 'public int getAge() {\n    return age;\n}' },
+
+    // C#
+    { contentType: 'code', language: 'csharp', content: 'Console.WriteLine($"Total: {total}");' },
+    { contentType: 'code', language: 'csharp', content: 'public string Name { get; set; }' },
+    { contentType: 'code', language: 'csharp', content: 'using System;\n\nnamespace Demo\n{\n    class Program { }\n}' },
+
+    // C and C++
+    { contentType: 'code', language: 'c', content: '#include <stdio.h>\n\nint main(void) {\n    return 0;\n}' },
+    { contentType: 'code', language: 'c', content: 'int *p = malloc(10 * sizeof(int));' },
+    { contentType: 'code', language: 'cpp', content: '#include <iostream>\n\nint main() {\n    std::cout << "hi" << std::endl;\n}' },
+    { contentType: 'code', language: 'cpp', content: 'std::vector<int> v = {1, 2, 3};' },
+
+    // Go
+    { contentType: 'code', language: 'go', content: 'package main\n\nimport "fmt"\n\nfunc main() {\n\tfmt.Println("hi")\n}' },
+    { contentType: 'code', language: 'go', content: 'if err != nil {\n\treturn err\n}' },
+    { contentType: 'code', language: 'go', content: 'x := 5' },
+
+    // Rust
+    { contentType: 'code', language: 'rust', content: 'fn main() {\n    println!("hi");\n}' },
+    { contentType: 'code', language: 'rust', content: 'let v: Vec<i32> = Vec::new();' },
+    { contentType: 'code', language: 'rust', content: 'impl Point {\n    fn new(x: i32) -> Self { Point { x } }\n}' },
+
+    // PHP
+    { contentType: 'code', language: 'php', content: '<?php\necho "Hello";' },
+    { contentType: 'code', language: 'php', content: '$total = $price * $qty;' },
+    { contentType: 'code', language: 'php', content: 'function greet($name) {\n    return "Hi " . $name;\n}' },
+
+    // Ruby
+    { contentType: 'code', language: 'ruby', content: 'def greet(name)\n  puts "Hi #{name}"\nend' },
+    { contentType: 'code', language: 'ruby', content: 'scores.each_with_index do |s, i|\n  puts "#{i}: #{s}"\nend' },
+    { contentType: 'code', language: 'ruby', content: 'attr_accessor :name' },
+
+    // Kotlin and Swift
+    { contentType: 'code', language: 'kotlin', content: 'fun main() {\n    println("hi")\n}' },
+    { contentType: 'code', language: 'kotlin', content: 'data class User(val name: String)' },
+    { contentType: 'code', language: 'swift', content: 'import SwiftUI\n\nstruct ContentView: View {\n    var body: some View { Text("Hi") }\n}' },
+    { contentType: 'code', language: 'swift', content: 'guard let user = user else { return }' },
+
+    // SQL
+    { contentType: 'code', language: 'sql', content: 'SELECT * FROM courses;' },
+    { contentType: 'code', language: 'sql', content: 'insert into grades (student_id, score) values (1, 95);' },
+    { contentType: 'code', language: 'sql', content: 'UPDATE users SET verified = true WHERE id = 3;' },
+    { contentType: 'code', language: 'sql', content: 'CREATE TABLE notes (\n  id INTEGER PRIMARY KEY,\n  body TEXT NOT NULL\n);' },
+
+    // Shell
+    { contentType: 'code', language: 'bash', content: 'npm run lint -- --fix' },
+    { contentType: 'code', language: 'bash', content: 'git push origin main' },
+    { contentType: 'code', language: 'bash', content: 'sudo apt install python3-pip' },
+    { contentType: 'code', language: 'bash', content: 'echo "hello world" > out.txt' },
+    { contentType: 'code', language: 'bash', content: 'ls -lh /var/log' },
+    { contentType: 'code', language: 'bash', content: 'cd src && make' },
+    { contentType: 'code', language: 'bash', content: '#!/bin/bash\nset -e\nnpm ci\nnpm run build' },
+    { contentType: 'code', language: 'bash', content: 'docker run -p 8080:80 nginx' },
+    { contentType: 'code', language: 'bash', content: 'if [ -f .env ]; then source .env; fi' },
+
+    // HTML, XML and CSS
+    { contentType: 'code', language: 'html', content: '<p>Hello</p>' },
+    { contentType: 'code', language: 'html', content: '<i>see below</i>' },
+    { contentType: 'code', language: 'html', content: '<table>\n  <tr><td>1</td></tr>\n</table>' },
+    { contentType: 'code', language: 'html', content: '<button class="btn" onclick="save()">Save</button>' },
+    { contentType: 'code', language: 'xml', content: '<?xml version="1.0"?>\n<catalog>\n  <book id="1"/>\n</catalog>' },
+    { contentType: 'code', language: 'css', content: 'p { color: red; }' },
+    { contentType: 'code', language: 'css', content: '.grid {\n  display: grid;\n  grid-template-columns: 1fr 1fr;\n}' },
+    { contentType: 'code', language: 'css', content: '@media (min-width: 600px) {\n  .sidebar { display: block; }\n}' }
+];
@@ -0,0 +1,339 @@
+/**
+ * Content Classifier
+ * Works out what a clip's text is (plain text, link, email, JSON, Markdown
+ * or code) and which language code is written in
+ *
+ * Each language scores the distinctive patterns found in the text and the
+ * best score wins, so one loose match (a sentence starting with "Select" or
+ * "import") is not enough to call prose code. Languages use highlight.js names.
+ */
+
+// Lowest score that names a language
+const MIN_SCORE = 4;
+
+// Text longer than this is classified from its start
+const SAMPLE_LENGTH = 5000;
+
+const URL_PATTERN = /^(https?:\/\/|www\.)[^\s/$.?#][^\s]*$/i;
+const BARE_DOMAIN_PATTERN = /^([a-z\d-]+\.)+[a-z]{2,}(\/[^\s]*)?$/i;
+const EMAIL_PATTERN = /^(mailto:)?[\w.+-]+@[\w-]+(\.[\w-]+)*\.[a-z]{2,}$/i;
+
+// Shell commands that rarely start a sentence, and ones that might
+const STRONG_COMMANDS = 'sudo|npm|npx|yarn|pnpm|docker|docker-compose|kubectl|pip3?|apt(-get)?|brew|chmod|chown|curl|wget|ssh|scp|systemctl|mkdir|tar|conda|nvm|echo';
+const WEAK_COMMANDS = 'cd|ls|cp|mv|rm|export|cat|grep|make|node|python3?|java|go|cargo|touch|sed|awk';
+const GIT_COMMANDS = 'add|commit|push|pull|clone|checkout|switch|status|log|diff|branch|merge|rebase|fetch|init|remote|stash|reset|restore|tag|show|config|rm|mv|cherry-pick';
+
+// HTML elements, for opening and closing tags
+const HTML_TAGS = 'html|head|body|div|span|p|a|b|i|u|em|strong|small|code|pre|ul|ol|li|script|style|section|article|nav|header|footer|main|aside|table|tr|td|th|thead|tbody|form|label|input|select|option|textarea|button|img|video|audio|canvas|iframe|br|hr|h[1-6]';
+
+/**
+ * Patterns per language: [pattern, weight]
+ * Each pattern counts once, however often it matches. Negative weights count
+ * against a language.
+ */
+const LANGUAGES = {
+    javascript: [
+        [/^\s*(import\s+[\w{}*\s,$]+\s+from\s+['"]|export\s+(default\s+)?(async\s+)?(function|const|class|let)\b)/m, 4],
+        [/^\s*(const|let|var)\s+(?!mut\b)[\w${}[\],\s]+\s*=[^=]/m, 4],
+        [/\bfunction\s*[\w$]*\s*\([^)]*\)\s*\{/, 2],
+        [/\([^)]*\)\s*=>|\b\w+\s*=>/, 2],
+        [/\b(console\.(log|error|warn)|document\.\w+|window\.\w+|module\.exports|require\(['"])/, 4],
+        [/\b(app|router)\.(get|post|put|patch|delete|use|listen)\(/, 3],
+        [/\.(map|filter|reduce|forEach|find|some|every|then|catch)\(/, 2],
+        [/===|!==/, 2],
+        [/\b(async|await)\s+\w/, 1],
+        [/;\s*$/m, 1]
+    ],
+    typescript: [
+        [/^\s*(export\s+)?(interface|type)\s+\w+(<[^>]+>)?\s*(=|\{|extends)/m, 4],
+        [/[\w)]\s*:\s*(string|number|boolean|any|void|unknown|never|Promise<|Record<|Array<)/, 3],
+        [/\b(public|private|protected|readonly)\s+\w+\s*[:(]/, 2],
+        [/\bas\s+(const|string|number|any|unknown)\b/, 2],
+        [/^\s*import\s+type\s/m, 3]
+    ],
+    python: [
+        [/^\s*(async\s+)?def\s+\w+\s*\([^)]*\)\s*(->\s*[^:]+)?:(\s*$|\s+\S)/m, 5],
+        [/^\s*(from\s+[\w.]+\s+import\s+[\w*]|import\s+[\w.]+(\s+as\s+\w+)?\s*$)/m, 4],
+        [/^\s*class\s+\w+(\([^)]*\))?:\s*$/m, 5],
+        [/\bself\.\w+/, 2],
+        [/^\s*(if|elif|for|while|with|try|except|else)\b[^{;]*:\s*$/m, 2],
+        [/\bprint\(/, 1],
+        [/^\s*print\(/m, 3],
+        [/\b(range|len|enumerate|isinstance|input|open|int|str|float|zip|sorted)\(/, 2],
+        [/\[[^\]]+\bfor\s+\w+\s+in\s+[^\]]+\]/, 4],
+        [/^\s*except(\s+[\w.]+(\s+as\s+\w+)?)?\s*:/m, 4],
+        [/^\s*(if|elif|else|for|while|with|try|def|class)\b[^\n{;]*:[ \t]*\n[ \t]+\S/m, 2],
+        // Python lines don't end with braces or semicolons
+        [/[{;]\s*$/m, -3],
+        [/\b(None|True|False)\b/, 1],
+        [/^\s*if\s+__name__\s*==\s*['"]__main__['"]/m, 5],
+        [/^\s*@\w+(\.\w+)*(\(.*\))?\s*$/m, 1]
+    ],
+    java: [
+        [/\bpublic\s+(static\s+)?(final\s+)?(void|class|interface|enum|int|String|boolean)\b/, 3],
+        [/\bSystem\.(out|err)\.print(ln|f)?\(/, 5],
+        [/^\s*import\s+(static\s+)?java(x)?\.[\w.*]+;/m, 5],
+        [/^\s*package\s+[\w.]+;\s*$/m, 4],
+        [/\b(private|protected)\s+(static\s+)?(final\s+)?[A-Z]\w*(<[\w<>?, ]+>)?\s+\w+\s*[;=(]/, 2],
+        [/@Override\b/, 3],
+        [/\bString\[\]\s+\w+/, 3],
+        [/\b(public|private|protected)\s+(static\s+)?(final\s+)?[\w<>[\]]+\s+[a-z]\w*\s*\([^)]*\)\s*(throws\s+[\w, ]+)?\{/, 2],
+        [/\bboolean\b/, 2]
+    ],
+    csharp: [
+        [/^\s*using\s+System(\.[\w.]+)?;\s*$/m, 5],
+        [/\bnamespace\s+[\w.]+\s*(;|\{|$)/m, 2],
+        [/\bConsole\.(Write|WriteLine|ReadLine)\(/, 5],
+        [/\{\s*get;\s*(private\s+)?(set;|init;)?\s*\}/, 5],
+        [/\bvar\s+\w+\s*=\s*new\s+\w+/, 2],
+        [/\b(public|private|internal)\s+(async\s+)?(static\s+)?(override\s+)?(Task|void|string|int|bool)(<[\w<>, ]+>)?\s+[A-Z]\w*\s*\(/, 3],
+        [/\.(Where|Select|OrderBy|OrderByDescending|ToList|ToArray|FirstOrDefault|Any)\(/, 3]
+    ],
+    c: [
+        [/^\s*#include\s*<(stdio|stdlib|string|math|unistd|stdint|stdbool|ctype|time)\.h>/m, 5],
+        [/\bprintf\s*\(\s*"/, 3],
+        [/"[^"\n]*%[-+ #0]*\d*(\.\d+)?(l|ll|h)?[dioufsxXcp][^"\n]*"/, 2],
+        [/\bint\s+main\s*\(/, 2],
+        [/\b(malloc|calloc|free|sizeof)\s*\(/, 2],
+        [/^\s*#(define|ifndef|ifdef|endif)\b/m, 2],
+        [/\b(struct|typedef)\s+\w+/, 1],
+        [/^\s*typedef\s/m, 3],
+        [/\bstruct\s+\w+\s*\*\s*\w+/, 3],
+        [/\bchar\s*\*\s*\w+/, 2]
+    ],
+    cpp: [
+        [/^\s*#include\s*<(iostream|vector|string|map|unordered_map|algorithm|memory|set|queue|fstream|sstream)>/m, 5],
+        [/\bstd::\w+/, 4],
+        [/\b(cout|cerr)\s*<<|\bcin\s*>>/, 4],
+        [/^\s*using\s+namespace\s+std\s*;/m, 5],
+        [/\btemplate\s*<\s*(typename|class)\b/, 4],
+        [/\bint\s+main\s*\(/, 1]
+    ],
+    go: [
+        [/^\s*package\s+\w+\s*$/m, 3],
+        [/^\s*func\s+(\(\w+\s+\*?\w+\)\s+)?\w+\s*\(/m, 4],
+        [/\bfmt\.\w+\(/, 4],
+        [/\w\s*:=\s*/, 2],
+        [/^\s*import\s+(\(\s*$|"[\w/.-]+"\s*$)/m, 3],
+        [/\bfunc\s*\([^)]*\)\s*(\w+\s*)?\{/, 1],
+        [/\berr\s*!=\s*nil\b/, 4]
+    ],
+    rust: [
+        [/^\s*(pub(\(crate\))?\s+)?(async\s+)?fn\s+\w+\s*(<[^>]+>)?\s*\(/m, 4],
+        [/\blet\s+mut\s+\w+/, 4],
+        [/\b(println|print|eprintln|vec|format|panic|macro_rules|assert_eq)!\s*[([{]/, 4],
+        [/^\s*use\s+[\w:]+(::\{[\w, *]+\}|::\*)?;\s*$/m, 3],
+        [/^\s*(pub\s+)?(impl|struct|enum|trait|mod)\s+\w+/m, 2],
+        [/->\s*(Self|Result<|Option<|i32|i64|u32|u64|usize|String|&str|bool)\b/, 2],
+        [/&mut\s+\w+|&str\b|&'\w+/, 3]
+    ],
+    php: [
+        [/<\?php/, 8],
+        [/\$\w+\s*=[^=]/, 2],
+        [/\$this->\w+/, 4],
+        [/\$_(GET|POST|SERVER|SESSION|REQUEST|COOKIE|FILES)\b/, 5],
+        [/\bfunction\s+\w+\s*\([^)]*\$\w+/, 3],
+        [/\b(echo|print)\s+["'$]/, 1],
+        [/\w+::\w+\(/, 1],
+        [/=>\s*['"$\d[]/, 1]
+    ],
+    ruby: [
+        [/^\s*def\s+[\w.]+[?!]?(\([^)]*\))?\s*$/m, 3],
+        [/^\s*end\s*$/m, 3],
+        [/^\s*require(_relative)?\s+['"][\w/.-]+['"]\s*$/m, 4],
+        [/^\s*puts\s+/m, 4],
+        [/\bdo\s*\|\w+(,\s*\w+)*\|/, 4],
+        [/^\s*(class\s+\w+(\s*<\s*[\w:]+)?|module\s+\w+)\s*$/m, 2],
+        [/\battr_(accessor|reader|writer)\s+:/, 5]
+    ],
+    kotlin: [
+        [/^\s*(private\s+|suspend\s+|override\s+)*fun\s+\w+\s*\(/m, 4],
+        [/\bval\s+\w+\s*(:\s*[\w<>?]+)?\s*=/, 3],
+        [/\bvar\s+\w+\s*:\s*[A-Z][\w<>?]*/, 2],
+        [/^\s*(data\s+class|object|companion\s+object)\s+\w*/m, 4],
+        [/\bprintln\(/, 1],
+        [/\b(listOf|mapOf|setOf|arrayOf|mutableListOf|mutableMapOf)(<[\w<>?, ]+>)?\(/, 4]
+    ],
+    swift: [
+        [/^\s*import\s+(UIKit|Foundation|SwiftUI|Combine)\s*$/m, 6],
+        [/\b(guard|if)\s+let\s+\w+/, 4],
+        [/^\s*func\s+\w+\s*\([^)]*\)\s*(->\s*[\w?[\]]+\s*)?\{/m, 2],
+        [/\b(let|var)\s+\w+\s*:\s*[A-Z][\w?[\]]*\s*=/, 2],
+        [/\bstruct\s+\w+\s*:\s*(View|Codable|Identifiable)\b/, 5]
+    ],
+    sql: [
+        [/^\s*(SELECT\s+(DISTINCT\s+)?(\*|[\w.`"()*]+(\s+AS\s+\w+)?(\s*,\s*[\w.`"()*]+(\s+AS\s+\w+)?)*)\s+FROM\s+[\w.`"]+|INSERT\s+INTO\s+[\w.`"]+|UPDATE\s+[\w.`"]+\s+SET\s|DELETE\s+FROM\s+[\w.`"]+|CREATE\s+(TABLE|INDEX|VIEW|DATABASE|SCHEMA)\b|ALTER\s+TABLE\s|DROP\s+(TABLE|DATABASE|INDEX)\s|WITH\s+\w+\s+AS\s*\()/im, 3],
+        [/\b(FROM|WHERE|JOIN|GROUP BY|ORDER BY|VALUES|PRIMARY KEY|VARCHAR|INTEGER|NOT NULL|LIMIT)\b/, 2],
+        [/\bwhere\s+[\w.]+\s*(=|<>|!=|<|>|like\b|in\s*\(|is\s+(not\s+)?null)/i, 2],
+        [/\b(inner|left|right|outer)\s+join\b/i, 2],
+        [/;\s*$/m, 1]
+    ],
+    bash: [
+        [/^#!\/(usr\/)?bin\/(env\s+)?(ba|z|k)?sh\b/m, 8],
+        [new RegExp(`^\\s*(\\$\\s+)?(${STRONG_COMMANDS})(\\s|$)`, 'm'), 4],
+        [new RegExp(`^\\s*(\\$\\s+)?(${WEAK_COMMANDS})\\s+[-\\w./~$"']`, 'm'), 2],
+        // Flags, paths and variables after a weak command
+        [new RegExp(`^\\s*(\\$\\s+)?(${WEAK_COMMANDS})\\s+(--?\\w|\\.\\.?(/|\\s|$)|[~/$"'])`, 'm'), 2],
+        [new RegExp(`^\\s*(\\$\\s+)?git\\s+(${GIT_COMMANDS})\\b`, 'm'), 4],
+        [/^\s*export\s+[A-Z_][A-Z0-9_]*=/m, 4],
+        [/;\s*(do|then|done|fi)\b/, 3],
+        [/^\s*\$\s+\w/m, 3],
+        [/\s(\|\s*(grep|awk|sed|xargs|sort|uniq|head|tail|wc|tee)\b|&&\s+\w|2>&1|>\s*\/dev\/null)/, 2],
+        [/\s--?[a-z][\w-]*/, 1],
+        [/^\s*(if\s+\[\[?\s|fi\s*$|then\s*$|done\s*$|for\s+\w+\s+in\s|esac\s*$)/m, 3],
+        [/\$\{?[A-Za-z_]\w*\}?|\$\(\w/, 1]
+    ],
+    html: [
+        [/^\s*<!DOCTYPE\s+html/i, 8],
+        [new RegExp(`<(${HTML_TAGS})(\\s[^>]*)?>`, 'i'), 3],
+        [new RegExp(`</(${HTML_TAGS})>`, 'i'), 2],
+        [/\s(class|id|href|src)="[^"]*"/, 1]
+    ],
+    xml: [
+        [/^\s*<\?xml\b/, 8],
+        [/<(\w+:)?\w+(\s+[\w:]+="[^"]*")*\s*\/>/, 1],
+        [/<\/(\w+:)?\w+>\s*$/m, 1]
+    ],
+    css: [
+        [/^\s*([.#]?[\w-]+|\*)([\s,>+~]+[.#:]?[\w-]+|:{1,2}[\w-]+(\([^)]*\))?|\[[^\]]+\])*\s*\{\s*$/m, 2],
+        [/^\s*[a-z-]+\s*:\s*[^;{}:]+;\s*$/m, 3],
+        [/@media\b|@import\s+url|@keyframes\b|@font-face\b|!important/, 3],
+        // A rule on one line: selector { property: value; }
+        [/^[ \t]*[\w.#*[\]:>+~, \t-]+\{[ \t]*[a-z-]+[ \t]*:[ \t]*[^;{}:\n]+;[ \t]*([a-z-]+[ \t]*:[ \t]*[^;{}:\n]+;[ \t]*)*\}/m, 4],
+        [/:\s*-?\d*\.?\d+(px|em|rem|vh|vw|%)\b/, 1],
+        [/#[\da-f]{3}([\da-f]{3})?\b;/i, 1]
+    ],
+    markdown: [
+        [/^#{1,6}\s+\S/m, 2],
+        [/^#{1,6}\s+\S[\s\S]*\n#{1,6}\s+\S/, 2],
+        [/^\s*[-*+]\s+\S/m, 1],
+        [/^\s*\d+\.\s+\S/m, 1],
+        [/\[[^\]\n]+\]\([^)\s]+\)/, 4],
+        [/^```/m, 3],
+        [/\*\*[^*\n]+\*\*|__[^_\n]+__/, 2],
+        [/(^|\s)\*[^*\s][^*\n]*\*(?=[\s.,;:!?]|$)/m, 2],
+        [/(^|\s)`[^`\n]+`/, 1],
+        [/^\s*>\s+\S/m, 2],
+        [/^\|?\s*:?-{3,}:?\s*\|/m, 4],
+        [/^(={3,}|-{3,})\s*$/m, 1]
+    ]
+};
+
+// JavaScript patterns also count towards TypeScript
+const EXTENDS = { typescript: 'javascript' };
+
+/**
+ * Score every language against a text
+ * @param {string} text - Text to classify
+ * @returns {Object<string, number>} - Score per language
+ */
+const scoreLanguages = (text) => {
+    const scores = {};
+
+    for (const [language, patterns] of Object.entries(LANGUAGES)) {
+        scores[language] = patterns.reduce(
+            (score, [pattern, weight]) => pattern.test(text) ? score + weight : score,
+            0
+        );
+    }
+
+    // A superset only wins with its own patterns
+    for (const [language, base] of Object.entries(EXTENDS)) {
+        if (scores[language] >= 3) scores[language] += scores[base];
+        else scores[language] = 0;
+    }
+
+    return scores;
+};
+
+/**
+ * Check whether most lines are YAML keys or list items
+ * @param {Array<string>} lines - Non-empty lines
+ * @returns {boolean}
+ */
+const looksLikeYaml = (lines) => {
+    const content = lines.filter(line => !/^\s*#/.test(line) && line.trim() !== '---');
+    // Two "Key: value" lines could as well be a note
+    if (content.length < 3) return false;
+
+    // Code ends lines with these, YAML doesn't
+    if (content.some(line => /[;{]\s*$/.test(line))) return false;
+
+    const keyLines = content.filter(line => /^\s*[\w.-]+:(\s|$)/.test(line));
+    const yamlLines = content.filter(line => /^\s*([\w."'-]+:(\s|$)|-\s+\S|-\s*$)/.test(line));
+
+    // Flat "Key: value" lines and lists under a heading are notes; YAML nests
+    const nested = content.some(line => /^\s+([\w."'-]+:(\s|$)|-(\s|$))|^\s*-\s+[\w."'-]+:(\s|$)/.test(line));
+
+    return nested && keyLines.length >= 1 && yamlLines.length / content.length >= 0.7;
+};
+
+/**
+ * Check whether a text is shaped like code, for code in languages without patterns
+ * @param {Array<string>} lines - Non-empty lines
+ * @returns {boolean}
+ */
+const looksLikeCode = (lines) => {
+    if (lines.length < 2) return false;
+
+    const codeLines = lines.filter(line => /[;{}]\s*$|^\s*[})\]]/.test(line));
+    return codeLines.length / lines.length >= 0.4;
+};
+
+/**
+ * Classify a clip's text
+ * @param {string} content - Text content
+ * @returns {{contentType: string, language: string|null}}
+ *   contentType is 'text', 'link', 'email', 'json', 'markdown' or 'code'
+ */
+export const classifyContent = (content = '') => {
+    const text = content.trim().slice(0, SAMPLE_LENGTH);
+    if (!text) return { contentType: 'text', language: null };
+
+    // One URL
+    if (!/\s/.test(text) && (URL_PATTERN.test(text) || BARE_DOMAIN_PATTERN.test(text))) {
+        return { contentType: 'link', language: null };
+    }
+
+    // One email address or a list of them
+    if (text.split(/[\s,;]+/).every(part => EMAIL_PATTERN.test(part))) {
+        return { contentType: 'email', language: null };
+    }
+
+    // Objects and arrays only, "42" or "true" stay text
+    if (/^[[{]/.test(text)) {
+        try {
+            JSON.parse(content);
+            return { contentType: 'json', language: 'json' };
+        } catch {
+            // Not JSON
+        }
+    }
+
+    const lines = text.split('\n').filter(line => line.trim());
+    const scores = scoreLanguages(text);
+    const [best, score] = Object.entries(scores).reduce(
+        (top, entry) => entry[1] > top[1] ? entry : top,
+        [null, 0]
+    );
+
+    if (score >= MIN_SCORE) {
+        return best === 'markdown'
+            ? { contentType: 'markdown', language: 'markdown' }
+            : { contentType: 'code', language: best };
+    }
+
+    if (looksLikeYaml(lines)) {
+        return { contentType: 'code', language: 'yaml' };
+    }
+
+    if (looksLikeCode(lines)) {
+        return { contentType: 'code', language: null };
+    }
+
+    return { contentType: 'text', language: null };
+};
+
+export default {
+    classifyContent
+};
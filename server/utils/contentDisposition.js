@@ -0,0 +1,39 @@
+/**
+ * Content-Disposition Header
+ * Sends a file name that every browser saves correctly: a plain ASCII
+ * filename for old clients and the exact UTF-8 name in filename* (RFC 5987)
+ */
+
+/**
+ * Make an ASCII stand-in for a file name
+ * Accents are dropped ("Café" becomes "Cafe"); other characters that can't
+ * go in a quoted string become "_".
+ * @param {string} filename - File name
+ * @returns {string}
+ */
+const asciiFallback = (filename) => filename
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7e]|["\\]/g, '_');
+
+/**
+ * Percent-encode a file name for filename*
+ * encodeURIComponent leaves ' ( ) * unencoded, which RFC 5987 doesn't allow.
+ * @param {string} filename - File name
+ * @returns {string}
+ */
+const encodeExtValue = (filename) => encodeURIComponent(filename)
+    .replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * Build a Content-Disposition header value
+ * @param {string} disposition - 'attachment' or 'inline'
+ * @param {string} filename - File name as the user sees it
+ * @returns {string}
+ */
+export const formatContentDisposition = (disposition, filename) =>
+    `${disposition}; filename="${asciiFallback(filename)}"; filename*=UTF-8''${encodeExtValue(filename)}`;
+
+export default {
+    formatContentDisposition
+};
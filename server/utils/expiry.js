@@ -0,0 +1,69 @@
+/**
+ * Expiry Policies
+ * Expiry is chosen in whole days: 0 keeps a file forever, anything else
+ * must be between 1 day and FILE_CONFIG.MAX_EXPIRY_DAYS.
+ */
+
+import { FILE_CONFIG } from '../config/constants.js';
+
+/**
+ * Check whether users may choose an expiry
+ * @param {number} days - Expiry in days (0 = never)
+ * @returns {boolean}
+ */
+export const isExpiryAllowed = (days) => {
+    if (!Number.isInteger(days)) return false;
+    if (days === 0) return FILE_CONFIG.ALLOW_NO_EXPIRY;
+    return days >= 1 && days <= FILE_CONFIG.MAX_EXPIRY_DAYS;
+};
+
+/**
+ * Bring a stored expiry within the current limits
+ * Folder defaults may predate a lower cap.
+ * @param {number} days - Expiry in days (0 = never)
+ * @returns {number}
+ */
+export const clampExpiryDays = (days) => {
+    if (days === 0) return FILE_CONFIG.ALLOW_NO_EXPIRY ? 0 : FILE_CONFIG.MAX_EXPIRY_DAYS;
+    return Math.min(Math.max(days, 1), FILE_CONFIG.MAX_EXPIRY_DAYS);
+};
+
+/**
+ * Get the expiry date for a number of days from now
+ * @param {number} days - Expiry in days (0 = never)
+ * @returns {Date|null} - null when the file never expires
+ */
+export const getExpiryDate = (days) => {
+    if (days === 0) return null;
+    return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Work out the expiry of a new upload
+ * @param {number|null} [requested] - Expiry chosen for the upload
+ * @param {Folder|null} [folder] - Destination folder (null for root level)
+ * @returns {Promise<number>} - Expiry in days (0 = never)
+ */
+export const resolveExpiryDays = async (requested, folder) => {
+    if (requested !== undefined && requested !== null) return requested;
+    if (folder) return await folder.getExpiryDays();
+    return clampExpiryDays(FILE_CONFIG.EXPIRY_DAYS);
+};
+
+/**
+ * Get the limits sent to the client for its expiry pickers
+ * @returns {Object}
+ */
+export const getExpiryPolicy = () => ({
+    defaultDays: clampExpiryDays(FILE_CONFIG.EXPIRY_DAYS),
+    maxDays: FILE_CONFIG.MAX_EXPIRY_DAYS,
+    allowNever: FILE_CONFIG.ALLOW_NO_EXPIRY
+});
+
+export default {
+    isExpiryAllowed,
+    clampExpiryDays,
+    getExpiryDate,
+    resolveExpiryDays,
+    getExpiryPolicy
+};
@@ -0,0 +1,234 @@
+/**
+ * File Type Detection
+ * Identifies file contents from their leading bytes (magic numbers)
+ * instead of trusting the MIME type sent by the browser
+ */
+
+import path from 'path';
+import fs from 'fs/promises';
+import { FILE_CONFIG } from '../config/constants.js';
+
+// Bytes read from the start of a file for detection
+export const SNIFF_BYTES = 4100;
+
+// Contents that are never accepted, whatever they are labelled as
+const EXECUTABLE_TYPES = [
+    'application/x-msdownload',
+    'application/x-executable',
+    'application/x-mach-binary',
+    'text/x-shellscript',
+    'text/html'
+];
+
+// Raster images are often saved with the wrong image extension, which is harmless
+const RASTER_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+// Extensions that fit each detected type
+const EXTENSIONS_BY_TYPE = {
+    'image/jpeg': RASTER_EXTENSIONS,
+    'image/png': RASTER_EXTENSIONS,
+    'image/gif': RASTER_EXTENSIONS,
+    'image/webp': RASTER_EXTENSIONS,
+    'image/svg+xml': ['.svg'],
+    'video/mp4': ['.mp4', '.m4v'],
+    'video/quicktime': ['.mov'],
+    'video/webm': ['.webm'],
+    'video/x-msvideo': ['.avi'],
+    'audio/mpeg': ['.mp3'],
+    'audio/wav': ['.wav'],
+    'audio/ogg': ['.ogg', '.oga'],
+    'application/pdf': ['.pdf'],
+    'application/zip': ['.zip'],
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': ['.xlsx'],
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation': ['.pptx'],
+    'application/msword': ['.doc'],
+    'application/vnd.ms-excel': ['.xls'],
+    'application/vnd.ms-powerpoint': ['.ppt'],
+    'application/x-rar-compressed': ['.rar'],
+    'application/x-7z-compressed': ['.7z'],
+    'text/plain': ['.txt', '.log'],
+    'text/markdown': ['.md', '.markdown'],
+    'text/csv': ['.csv'],
+    'application/json': ['.json']
+};
+
+// Office Open XML documents are zip archives
+const OOXML_TYPES = {
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+};
+
+// Legacy Office documents share the Compound File Binary container
+const CFB_TYPES = {
+    '.doc': 'application/msword',
+    '.xls': 'application/vnd.ms-excel',
+    '.ppt': 'application/vnd.ms-powerpoint'
+};
+
+/**
+ * Check if a buffer starts with the given bytes
+ * @param {Buffer} buffer - File head
+ * @param {number[]|string} signature - Bytes or ASCII string
+ * @param {number} [offset=0] - Start offset
+ * @returns {boolean}
+ */
+const startsWith = (buffer, signature, offset = 0) => {
+    const bytes = typeof signature === 'string' ? Buffer.from(signature, 'latin1') : signature;
+    if (buffer.length < offset + bytes.length) return false;
+    return bytes.every((byte, i) => buffer[offset + i] === byte);
+};
+
+/**
+ * Detect text formats (UTF-8 without NUL bytes)
+ * @param {Buffer} buffer - File head
+ * @param {string} extension - Lowercase extension
+ * @returns {string|null}
+ */
+const detectText = (buffer, extension) => {
+    if (buffer.includes(0)) return null;
+
+    try {
+        // stream: true tolerates a character cut off at the end of the head
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer, { stream: true });
+    } catch {
+        return null;
+    }
+
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+
+    if (text.startsWith('#!')) return 'text/x-shellscript';
+    if (/^<(!doctype html|html|head|body|script|iframe)[\s>]/.test(text)) return 'text/html';
+    if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*(<!doctype svg[^>]*>\s*)?<svg[\s>]/.test(text)) return 'image/svg+xml';
+
+    if (extension === '.csv') return 'text/csv';
+    if (extension === '.json') return 'application/json';
+    if (extension === '.md' || extension === '.markdown') return 'text/markdown';
+    return 'text/plain';
+};
+
+/**
+ * Detect a MIME type from the first bytes of a file
+ * Container formats (zip, CFB, plain text) are refined using the extension.
+ * @param {Buffer} buffer - File head (up to SNIFF_BYTES)
+ * @param {string} [fileName] - Original file name
+ * @returns {string|null} - Detected MIME type, null if unknown
+ */
+export const detectMimeType = (buffer, fileName = '') => {
+    const extension = path.extname(fileName).toLowerCase();
+
+    // Images
+    if (startsWith(buffer, [0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+    if (startsWith(buffer, [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+    if (startsWith(buffer, 'GIF87a') || startsWith(buffer, 'GIF89a')) return 'image/gif';
+
+    // RIFF containers
+    if (startsWith(buffer, 'RIFF')) {
+        if (startsWith(buffer, 'WEBP', 8)) return 'image/webp';
+        if (startsWith(buffer, 'WAVE', 8)) return 'audio/wav';
+        if (startsWith(buffer, 'AVI ', 8)) return 'video/x-msvideo';
+    }
+
+    // ISO base media (MP4, MOV)
+    if (startsWith(buffer, 'ftyp', 4)) {
+        return startsWith(buffer, 'qt  ', 8) ? 'video/quicktime' : 'video/mp4';
+    }
+
+    // Matroska / WebM
+    if (startsWith(buffer, [0x1A, 0x45, 0xDF, 0xA3])) {
+        return buffer.subarray(0, 64).includes('webm') ? 'video/webm' : 'video/x-matroska';
+    }
+
+    // Audio
+    if (startsWith(buffer, 'OggS')) return 'audio/ogg';
+    if (startsWith(buffer, 'ID3') || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) return 'audio/mpeg';
+
+    // Documents
+    if (startsWith(buffer, '%PDF-')) return 'application/pdf';
+    if (startsWith(buffer, [0xD0, 0xCF, 0x11, 0xE0, 0xA1, 0xB1, 0x1A, 0xE1])) {
+        return CFB_TYPES[extension] || 'application/x-cfb';
+    }
+
+    // Archives
+    if (startsWith(buffer, [0x50, 0x4B, 0x03, 0x04]) || startsWith(buffer, [0x50, 0x4B, 0x05, 0x06])) {
+        if (OOXML_TYPES[extension] && buffer.includes('[Content_Types].xml')) {
+            return OOXML_TYPES[extension];
+        }
+        return 'application/zip';
+    }
+    if (startsWith(buffer, [0x52, 0x61, 0x72, 0x21, 0x1A, 0x07])) return 'application/x-rar-compressed';
+    if (startsWith(buffer, [0x37, 0x7A, 0xBC, 0xAF, 0x27, 0x1C])) return 'application/x-7z-compressed';
+
+    // Executables
+    if (startsWith(buffer, 'MZ')) return 'application/x-msdownload';
+    if (startsWith(buffer, [0x7F, 0x45, 0x4C, 0x46])) return 'application/x-executable';
+    if (
+        startsWith(buffer, [0xFE, 0xED, 0xFA, 0xCE]) ||
+        startsWith(buffer, [0xFE, 0xED, 0xFA, 0xCF]) ||
+        startsWith(buffer, [0xCF, 0xFA, 0xED, 0xFE]) ||
+        startsWith(buffer, [0xCA, 0xFE, 0xBA, 0xBE])
+    ) {
+        return 'application/x-mach-binary';
+    }
+
+    return detectText(buffer, extension);
+};
+
+/**
+ * Read the head of a local file
+ * @param {string} filePath - File path
+ * @returns {Promise<Buffer>}
+ */
+export const readFileHead = async (filePath) => {
+    const handle = await fs.open(filePath, 'r');
+    try {
+        const buffer = Buffer.alloc(SNIFF_BYTES);
+        const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+};
+
+/**
+ * Check a staged upload's contents against the allowed types and its extension
+ * Accepted files take the detected type, which corrects a wrong declared type.
+ * @param {string} filePath - Staged file path
+ * @param {string} originalName - Original file name
+ * @returns {Promise<{valid: boolean, detectedType: string|null}>}
+ */
+export const inspectUpload = async (filePath, originalName) => {
+    const detectedType = detectMimeType(await readFileHead(filePath), originalName);
+
+    if (!detectedType || EXECUTABLE_TYPES.includes(detectedType)) {
+        return { valid: false, detectedType };
+    }
+    if (!FILE_CONFIG.ALLOWED_TYPES.includes(detectedType)) {
+        return { valid: false, detectedType };
+    }
+
+    // The extension has to fit the contents too (e.g. no zip named .pdf)
+    const extension = path.extname(originalName).toLowerCase();
+    const extensions = EXTENSIONS_BY_TYPE[detectedType];
+    if (extension && extensions && !extensions.includes(extension)) {
+        return { valid: false, detectedType };
+    }
+
+    return { valid: true, detectedType };
+};
+
+/**
+ * Check if a detected type may be served inline
+ * @param {string|null} detectedType - Sniffed MIME type
+ * @returns {boolean}
+ */
+export const isSafeInline = (detectedType) => FILE_CONFIG.SAFE_INLINE_TYPES.includes(detectedType);
+
+export default {
+    SNIFF_BYTES,
+    detectMimeType,
+    readFileHead,
+    inspectUpload,
+    isSafeInline
+};
@@ -0,0 +1,42 @@
+/**
+ * Folder Path Utilities
+ * Turns relative paths from folder uploads and ZIP archives into folder names
+ */
+
+import { FILE_CONFIG } from '../config/constants.js';
+
+/**
+ * Split a relative path into its names
+ * Empty and "." segments are dropped and control characters replaced.
+ * @param {string} relativePath - Path such as "Project/src/app.js"
+ * @returns {string[]|null} - Names, or null if the path is absolute or climbs out with ".."
+ */
+export const splitRelativePath = (relativePath) => {
+    if (relativePath.startsWith('/') || /^[a-zA-Z]:/.test(relativePath)) return null;
+
+    const names = relativePath.split(/[\\/]/).filter(name => name && name !== '.');
+    if (names.includes('..')) return null;
+
+    return names.map(name => name.replace(/[\x00-\x1f]/g, '_').trim() || '_');
+};
+
+/**
+ * Get the folders an uploaded file's relative path puts it in
+ * @param {string} [relativePath] - Path including the file name, e.g. "Project/src/app.js"
+ * @returns {string[]|null} - Folder names from the outermost down ([] for none),
+ *   or null if the path is unsafe or nested deeper than MAX_FOLDER_DEPTH
+ */
+export const getUploadFolderNames = (relativePath) => {
+    if (!relativePath) return [];
+
+    const names = splitRelativePath(relativePath);
+    if (!names) return null;
+
+    const folderNames = names.slice(0, -1);
+    return folderNames.length > FILE_CONFIG.MAX_FOLDER_DEPTH ? null : folderNames;
+};
+
+export default {
+    splitRelativePath,
+    getUploadFolderNames
+};
@@ -0,0 +1,88 @@
+/**
+ * Network Guard Utility
+ * Keeps server-side fetches of user-supplied URLs away from private networks
+ *
+ * Addresses are checked after DNS resolution, and the connection is made to
+ * the checked address, so a hostname can't switch to a private address
+ * between the check and the request (DNS rebinding).
+ */
+
+import dns from 'dns';
+import net from 'net';
+
+// Loopback, private, link-local, shared, documentation, multicast and reserved ranges
+const BLOCKED_RANGES = [
+    ['0.0.0.0', 8, 'ipv4'],
+    ['10.0.0.0', 8, 'ipv4'],
+    ['100.64.0.0', 10, 'ipv4'],
+    ['127.0.0.0', 8, 'ipv4'],
+    ['169.254.0.0', 16, 'ipv4'],
+    ['172.16.0.0', 12, 'ipv4'],
+    ['192.0.0.0', 24, 'ipv4'],
+    ['192.0.2.0', 24, 'ipv4'],
+    ['192.88.99.0', 24, 'ipv4'],
+    ['192.168.0.0', 16, 'ipv4'],
+    ['198.18.0.0', 15, 'ipv4'],
+    ['198.51.100.0', 24, 'ipv4'],
+    ['203.0.113.0', 24, 'ipv4'],
+    ['224.0.0.0', 4, 'ipv4'],
+    ['240.0.0.0', 4, 'ipv4'],
+    ['::', 128, 'ipv6'],
+    ['::1', 128, 'ipv6'],
+    // IPv4-mapped, NAT64 and 6to4 addresses can wrap any IPv4 address
+    ['::ffff:0:0', 96, 'ipv6'],
+    ['64:ff9b::', 96, 'ipv6'],
+    ['64:ff9b:1::', 48, 'ipv6'],
+    ['2002::', 16, 'ipv6'],
+    ['100::', 64, 'ipv6'],
+    ['2001::', 23, 'ipv6'],
+    ['2001:db8::', 32, 'ipv6'],
+    ['fc00::', 7, 'ipv6'],
+    ['fe80::', 10, 'ipv6'],
+    ['fec0::', 10, 'ipv6'],
+    ['ff00::', 8, 'ipv6']
+];
+
+const blockList = new net.BlockList();
+for (const [address, prefix, type] of BLOCKED_RANGES) {
+    blockList.addSubnet(address, prefix, type);
+}
+
+/**
+ * Check whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - False for private, local and reserved addresses (and non-addresses)
+ */
+export const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    if (!family) return false;
+
+    return !blockList.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+/**
+ * Make a DNS lookup for http.request that only resolves to public addresses
+ * Fails with code ENOTPUBLIC if any address of the host is not public.
+ * @param {string[]} [allowAddresses] - Non-public addresses to allow anyway (local test servers)
+ * @returns {Function} - lookup(hostname, options, callback)
+ */
+export const createPublicLookup = (allowAddresses = []) => (hostname, options, callback) => {
+    dns.lookup(hostname, { all: true, family: options.family || 0 }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = addresses.find(({ address }) => !isPublicAddress(address) && !allowAddresses.includes(address));
+        if (blocked) {
+            const notPublic = new Error(`${hostname} resolves to a non-public address (${blocked.address})`);
+            notPublic.code = 'ENOTPUBLIC';
+            return callback(notPublic);
+        }
+
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+export default {
+    isPublicAddress,
+    createPublicLookup
+};
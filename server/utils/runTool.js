@@ -0,0 +1,28 @@
+/**
+ * External Tools
+ * Runs command line tools (ffmpeg, poppler) used for thumbnails and search
+ */
+
+import { execFile } from 'child_process';
+
+/**
+ * Run an external tool and collect its stdout
+ * @param {string} command - Executable
+ * @param {number} timeout - Milliseconds before the tool is killed
+ * @param {string[]} args - Arguments
+ * @returns {Promise<Buffer>}
+ */
+export const runTool = (command, timeout, args) => new Promise((resolve, reject) => {
+    execFile(command, args, {
+        encoding: 'buffer',
+        timeout,
+        maxBuffer: 32 * 1024 * 1024
+    }, (error, stdout) => {
+        if (error) return reject(error);
+        resolve(stdout);
+    });
+});
+
+export default {
+    runTool
+};
@@ -0,0 +1,251 @@
+/**
+ * Storage Check Utility
+ * Runs the S3 storage driver against a local S3-compatible fixture server and
+ * checks uploads, downloads, byte ranges, listing and deletes
+ *
+ * The fixture keeps objects in memory and speaks enough of the S3 REST API
+ * (path-style, as MinIO is usually set up) for the driver. It checks that
+ * requests are signed but doesn't verify the signatures. Exits with an error
+ * when a check fails.
+ */
+
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { Readable } from 'stream';
+import { createS3Driver } from '../services/storage/s3Driver.js';
+
+const BUCKET = 'campus-share';
+const PREFIX = 'check/';
+
+// Objects per list page, small so listing has to follow continuation tokens
+const PAGE_SIZE = 2;
+
+// Key -> { body, contentType, lastModified }
+const objects = new Map();
+let unsigned = 0;
+
+const xml = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?>\n${body}`);
+};
+
+const escapeXml = (value) => value.replace(/[<>&'"]/g, char => `&#${char.charCodeAt(0)};`);
+
+const noSuchKey = (req, res) => {
+    // HEAD responses have no body, the SDK goes by the status
+    if (req.method === 'HEAD') {
+        res.writeHead(404);
+        return res.end();
+    }
+    xml(res, 404, '<Error><Code>NoSuchKey</Code><Message>The specified key does not exist.</Message></Error>');
+};
+
+/**
+ * Read a request body, undoing aws-chunked encoding if the SDK used it
+ */
+const readBody = async (req) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+
+    if (!/aws-chunked/.test(req.headers['content-encoding'] || '')) return body;
+
+    const parts = [];
+    let offset = 0;
+    while (offset < body.length) {
+        const lineEnd = body.indexOf('\r\n', offset);
+        const size = parseInt(body.subarray(offset, lineEnd).toString().split(';')[0], 16);
+        if (!size) break;
+        parts.push(body.subarray(lineEnd + 2, lineEnd + 2 + size));
+        offset = lineEnd + 2 + size + 2;
+    }
+    return Buffer.concat(parts);
+};
+
+const listObjects = (res, params) => {
+    const prefix = params.get('prefix') || '';
+    const start = Number(params.get('continuation-token') || 0);
+    const keys = [...objects.keys()].filter(key => key.startsWith(prefix)).sort();
+    const page = keys.slice(start, start + PAGE_SIZE);
+    const truncated = start + PAGE_SIZE < keys.length;
+
+    xml(res, 200, `<ListBucketResult>
+        <Name>${BUCKET}</Name>
+        <Prefix>${escapeXml(prefix)}</Prefix>
+        <KeyCount>${page.length}</KeyCount>
+        <MaxKeys>${PAGE_SIZE}</MaxKeys>
+        <IsTruncated>${truncated}</IsTruncated>
+        ${truncated ? `<NextContinuationToken>${start + PAGE_SIZE}</NextContinuationToken>` : ''}
+        ${page.map(key => `<Contents>
+            <Key>${escapeXml(key)}</Key>
+            <Size>${objects.get(key).body.length}</Size>
+            <LastModified>${objects.get(key).lastModified.toISOString()}</LastModified>
+        </Contents>`).join('')}
+    </ListBucketResult>`);
+};
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://fixture');
+    const [, bucket, ...rest] = url.pathname.split('/');
+    const key = decodeURIComponent(rest.join('/'));
+
+    if (!/^AWS4-HMAC-SHA256 /.test(req.headers.authorization || '')) unsigned++;
+
+    if (decodeURIComponent(bucket) !== BUCKET) {
+        return xml(res, 404, '<Error><Code>NoSuchBucket</Code></Error>');
+    }
+
+    if (!key && req.method === 'GET' && url.searchParams.get('list-type') === '2') {
+        return listObjects(res, url.searchParams);
+    }
+
+    const object = objects.get(key);
+
+    switch (req.method) {
+        case 'PUT': {
+            const body = await readBody(req);
+            objects.set(key, {
+                body,
+                contentType: req.headers['content-type'] || 'application/octet-stream',
+                lastModified: new Date()
+            });
+            res.writeHead(200, { ETag: '"fixture"' });
+            return res.end();
+        }
+        case 'HEAD':
+        case 'GET': {
+            if (!object) return noSuchKey(req, res);
+
+            const headers = {
+                'Content-Type': object.contentType,
+                'Last-Modified': object.lastModified.toUTCString(),
+                'Accept-Ranges': 'bytes'
+            };
+            let body = object.body;
+            let status = 200;
+
+            const range = /^bytes=(\d+)-(\d*)$/.exec(req.headers.range || '');
+            if (range) {
+                const start = Number(range[1]);
+                const end = range[2] ? Math.min(Number(range[2]), body.length - 1) : body.length - 1;
+                headers['Content-Range'] = `bytes ${start}-${end}/${body.length}`;
+                body = body.subarray(start, end + 1);
+                status = 206;
+            }
+
+            res.writeHead(status, { ...headers, 'Content-Length': body.length });
+            return res.end(req.method === 'HEAD' ? undefined : body);
+        }
+        case 'DELETE':
+            // S3 answers the same whether or not the key existed
+            objects.delete(key);
+            res.writeHead(204);
+            return res.end();
+        default:
+            res.writeHead(405);
+            res.end();
+    }
+});
+
+await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+const { port } = server.address();
+
+// The SDK reads credentials from the environment; the fixture accepts any
+process.env.AWS_ACCESS_KEY_ID = 'storage-check';
+process.env.AWS_SECRET_ACCESS_KEY = 'storage-check';
+
+const storage = createS3Driver({
+    bucket: BUCKET,
+    region: 'us-east-1',
+    endpoint: `http://127.0.0.1:${port}`,
+    forcePathStyle: true,
+    prefix: PREFIX
+});
+
+const CONTENT = Buffer.from('0123456789abcdefghijklmnopqrstuvwxyz');
+const KEY = 'blobs/ab/check.txt';
+// Spaces, plus signs and non-ASCII must survive URL encoding
+const ODD_KEY = 'blobs/cd/Lecture notes + Café.txt';
+
+const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks).toString();
+};
+
+/**
+ * Run a storage call and return its result, or the error name it failed with
+ */
+const attempt = async (run) => {
+    try {
+        return await run();
+    } catch (error) {
+        return { error: error.name };
+    }
+};
+
+const listKeys = async (prefix) => {
+    const keys = [];
+    for await (const { key } of storage.list(prefix)) keys.push(key);
+    return keys;
+};
+
+const checks = [
+    ['Put stream', async () => {
+        await storage.put(KEY, Readable.from([CONTENT]), { size: CONTENT.length, contentType: 'text/plain' });
+        return objects.get(`${PREFIX}${KEY}`);
+    }, (object) => object?.body.equals(CONTENT) && object.contentType === 'text/plain'],
+    ['Stat', () => storage.stat(KEY), (result) =>
+        result?.size === CONTENT.length && result.lastModified instanceof Date],
+    ['Get', async () => readAll(await storage.get(KEY)), (result) => result === CONTENT.toString()],
+    ['Byte range', async () => readAll(await storage.get(KEY, { start: 10, end: 15 })), (result) => result === 'abcdef'],
+    ['Open-ended range', async () => readAll(await storage.get(KEY, { start: 30 })), (result) => result === 'uvwxyz'],
+    ['Single byte range', async () => readAll(await storage.get(KEY, { start: 0, end: 0 })), (result) => result === '0'],
+    ['Put staged file', async () => {
+        const staged = path.join(await fs.mkdtemp(path.join(os.tmpdir(), 'storage-check-')), 'upload');
+        await fs.writeFile(staged, 'staged contents');
+        await storage.putFile(ODD_KEY, staged, { contentType: 'text/plain' });
+        const left = await fs.stat(staged).then(() => true, () => false);
+        await fs.rm(path.dirname(staged), { recursive: true, force: true });
+        return { left, text: await readAll(await storage.get(ODD_KEY)) };
+    }, (result) => !result.left && result.text === 'staged contents'],
+    ['List across pages', async () => {
+        for (const name of ['a', 'b', 'c', 'd']) {
+            await storage.put(`list/${name}.txt`, Buffer.from(name), { size: 1 });
+        }
+        return listKeys('list/');
+    }, (keys) => keys.join() === 'list/a.txt,list/b.txt,list/c.txt,list/d.txt'],
+    ['List everything', () => listKeys(), (keys) => keys.length === 6 && keys.includes(ODD_KEY)],
+    ['Missing key stat', () => storage.stat('blobs/missing'), (result) => result === null],
+    ['Missing key get', () => attempt(() => storage.get('blobs/missing')), (result) => result?.error === 'NoSuchKey'],
+    ['Delete', async () => {
+        await storage.delete(KEY);
+        return { stat: await storage.stat(KEY), stored: objects.has(`${PREFIX}${KEY}`) };
+    }, (result) => result.stat === null && !result.stored],
+    ['Delete missing key', () => attempt(() => storage.delete('blobs/missing')), (result) => result === undefined],
+    ['Requests signed', async () => unsigned, (result) => result === 0]
+];
+
+let failures = 0;
+try {
+    for (const [name, run, check] of checks) {
+        const result = await attempt(run);
+        if (check(result)) {
+            console.log(`✅ ${name}`);
+        } else {
+            failures++;
+            console.log(`❌ ${name}:`, JSON.stringify(result));
+        }
+    }
+} finally {
+    server.closeAllConnections();
+    server.close();
+}
+
+console.log(`\n${checks.length - failures}/${checks.length} checks passed`);
+
+if (failures > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,33 @@
+/**
+ * Tag Names
+ * Tags are stored lowercase with dashes for spaces, so "OS Notes",
+ * "os notes" and "#os-notes" are the same tag.
+ */
+
+import { TAG_CONFIG } from '../config/constants.js';
+
+/**
+ * Normalize one tag name
+ * @param {string} tag - Tag as typed
+ * @returns {string} - Normalized tag ('' if nothing is left)
+ */
+export const normalizeTag = (tag) => String(tag)
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .slice(0, TAG_CONFIG.MAX_LENGTH);
+
+/**
+ * Normalize a list of tags, dropping empty ones and duplicates
+ * @param {Array<string>} tags - Tags as typed
+ * @returns {Array<string>}
+ */
+export const normalizeTags = (tags = []) => [...new Set(tags.map(normalizeTag).filter(Boolean))];
+
+/**
+ * Parse a comma-separated tag filter ("os,exam")
+ * @param {string} [value] - Query value
+ * @returns {Array<string>}
+ */
+export const parseTagList = (value) => normalizeTags(value ? String(value).split(',') : []);
@@ -0,0 +1,55 @@
+/**
+ * Vault Ciphertext
+ * Vault items start with a random item ID, followed by AES-GCM segments of
+ * IV + ciphertext + tag made in the browser. Clips are one segment, in base64;
+ * files are split into segments of VAULT_CONFIG.SEGMENT_SIZE bytes. Each
+ * segment authenticates the item ID, its index and whether it is the last, so
+ * the browser notices reordered, repeated or missing segments. The server can't
+ * decrypt any of it, it only checks the shape and size.
+ */
+
+import { CLIPBOARD_CONFIG, VAULT_CONFIG } from '../config/constants.js';
+
+const BASE64_PATTERN = /^[A-Za-z0-9+/]+={0,2}$/;
+
+// Longest encoded clip: every UTF-16 unit of the longest text can take 3 bytes of UTF-8
+export const VAULT_CLIP_MAX_LENGTH = 4 * Math.ceil(
+    (CLIPBOARD_CONFIG.MAX_LENGTH * 3 + VAULT_CONFIG.HEADER_SIZE + VAULT_CONFIG.OVERHEAD) / 3
+);
+
+/**
+ * Check whether a clip's content looks like vault ciphertext
+ * @param {string} content - Clip content
+ * @returns {boolean}
+ */
+export const isVaultCiphertext = (content) => {
+    if (typeof content !== 'string' || content.length % 4 !== 0) return false;
+    if (content.length > VAULT_CLIP_MAX_LENGTH || !BASE64_PATTERN.test(content)) return false;
+
+    // At least one byte of text besides the item ID, IV and tag
+    return Buffer.byteLength(content, 'base64') > VAULT_CONFIG.HEADER_SIZE + VAULT_CONFIG.OVERHEAD;
+};
+
+/**
+ * Get the plaintext size of a vault file
+ * The item ID comes first and every segment adds VAULT_CONFIG.OVERHEAD bytes;
+ * an empty file is one empty segment.
+ * @param {number} size - Ciphertext size in bytes
+ * @returns {number|null} - Plaintext size, null if no ciphertext can have this size
+ */
+export const getVaultPlainSize = (size) => {
+    const { HEADER_SIZE, SEGMENT_SIZE, OVERHEAD } = VAULT_CONFIG;
+    const segmentsSize = size - HEADER_SIZE;
+    if (segmentsSize < OVERHEAD) return null;
+
+    const segments = Math.max(1, Math.ceil(segmentsSize / (SEGMENT_SIZE + OVERHEAD)));
+    const lastSegment = segmentsSize - (segments - 1) * (SEGMENT_SIZE + OVERHEAD);
+
+    return lastSegment >= OVERHEAD ? segmentsSize - segments * OVERHEAD : null;
+};
+
+export default {
+    VAULT_CLIP_MAX_LENGTH,
+    isVaultCiphertext,
+    getVaultPlainSize
+};